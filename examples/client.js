@@ -71,9 +71,9 @@ async function example() {
     const health = await client.checkHealth();
     console.log('Health:', health);
 
-    // Send verification code
+    // Send verification code to a sandbox number (requires a test mode API key)
     console.log('\nSending verification code...');
-    const sendResult = await client.sendVerificationCode('+1234567890', {
+    const sendResult = await client.sendVerificationCode('+12025550100', {
       blockVoip: true,
       senderId: 'MyApp',
       messageTemplate: 'Your verification code is: {code}. Valid for 10 minutes.'
@@ -81,9 +81,9 @@ async function example() {
     console.log('Send result:', sendResult);
 
     if (sendResult.success) {
-      // Verify the code (in real app, user would enter this)
+      // Verify the code (in real app, user would enter this; the code is only echoed in test mode)
       console.log('\nVerifying code...');
-      const verifyResult = await client.verifyCode('+1234567890', sendResult.code);
+      const verifyResult = await client.verifyCode('+12025550100', sendResult.code);
       console.log('Verify result:', verifyResult);
     }
 
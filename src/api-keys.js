@@ -0,0 +1,261 @@
+/**
+ * Multi-tenant API keys.
+ *
+ * - Keys look like `vk_live_<hex>` or `vk_test_<hex>` (test keys run in sandbox
+ *   test mode) and are only shown once, at creation or rotation.
+ * - Only a SHA-256 hash of each key is stored, alongside its tenant ID,
+ *   scopes and per-key defaults (sender ID, template, VoIP policy,
+ *   allowed countries, code policy, template variables).
+ * - Rotation issues a new key with the same settings and keeps the old key
+ *   working for an overlap window. A key can be rotated once, while active.
+ *   Keys rotated from one another share a lineage ID, which owns the
+ *   webhook endpoints registered with any of them.
+ * - The `API_KEY` and `TEST_API_KEY` environment values keep working as
+ *   built-in keys for the `default` tenant.
+ *
+ * @module api-keys
+ */
+
+import { z } from "@hono/zod-openapi";
+import { randomHex, sha256Hex, timingSafeEqual } from "./crypto-utils.js";
+import { codePolicySchema } from "./code-policy.js";
+
+export const SCOPES = ["send", "verify", "sms", "lookup", "admin"];
+export const DEFAULT_TENANT_ID = "default";
+export const DEFAULT_ROTATION_OVERLAP = 24 * 60 * 60; // seconds
+
+const recordKey = (id) => `apikey:id:${id}`;
+const hashKey = (hash) => `apikey:hash:${hash}`;
+
+/**
+ * Zod schema for per-key defaults applied to sends made with the key.
+ */
+export const apiKeyConfigSchema = z.object({
+  senderId: z.string().max(11).optional(),
+  messageTemplate: z.string().optional(),
+  templateName: z.string().optional().describe("Named template used when a send names none"),
+  appName: z.string().max(50).optional().describe("Default value of {app_name}"),
+  domain: z.string().max(253).optional().describe("Default value of {domain}"),
+  blockVoip: z.boolean().optional(),
+  allowedCountries: z.array(z.string().length(2)).optional(),
+  codePolicy: codePolicySchema.optional()
+});
+
+/**
+ * Zod schema for an API key as returned by the admin routes.
+ */
+export const apiKeySchema = z.object({
+  id: z.string(),
+  name: z.string().optional(),
+  tenantId: z.string(),
+  scopes: z.array(z.enum(SCOPES)),
+  testMode: z.boolean(),
+  config: apiKeyConfigSchema,
+  prefix: z.string(),
+  createdAt: z.string(),
+  expiresAt: z.string().optional(),
+  revokedAt: z.string().optional(),
+  rotatedFrom: z.string().optional(),
+  rotatedTo: z.string().optional(),
+  lineageId: z.string().optional().describe("Shared with the keys this one was rotated from or to")
+});
+
+/**
+ * Built-in key records for the environment keys.
+ *
+ * @param {Object} [env] - Worker environment
+ * @param {string} apiKey - Presented key
+ * @returns {Object|null} Record for API_KEY (all scopes) or TEST_API_KEY (test mode, no admin)
+ */
+function environmentKey(env = {}, apiKey) {
+  if (env.API_KEY && timingSafeEqual(apiKey, env.API_KEY)) {
+    return {
+      id: "env:API_KEY",
+      tenantId: DEFAULT_TENANT_ID,
+      scopes: [...SCOPES],
+      testMode: false,
+      config: {}
+    };
+  }
+  if (env.TEST_API_KEY && timingSafeEqual(apiKey, env.TEST_API_KEY)) {
+    return {
+      id: "env:TEST_API_KEY",
+      tenantId: DEFAULT_TENANT_ID,
+      scopes: SCOPES.filter(scope => scope !== "admin"),
+      testMode: true,
+      config: {}
+    };
+  }
+  return null;
+}
+
+/**
+ * Remove the stored hash before returning a record to API clients.
+ *
+ * @param {Object} record - Stored key record
+ * @returns {Object}
+ */
+export function toPublicApiKey(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+function isActive(record) {
+  if (record.revokedAt) return false;
+  return !record.expiresAt || Date.parse(record.expiresAt) > Date.now();
+}
+
+/**
+ * Resolve a presented key to its record.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} env - Worker environment
+ * @param {string} apiKey - Presented key
+ * @returns {Promise<Object|null>} Active key record or null
+ */
+export async function authenticateKey(store, env, apiKey) {
+  if (!apiKey) return null;
+
+  const builtIn = environmentKey(env, apiKey);
+  if (builtIn) return builtIn;
+
+  const id = await store.get(hashKey(await sha256Hex(apiKey)));
+  if (!id) return null;
+
+  const record = await store.get(recordKey(id));
+  return record && isActive(record) ? record : null;
+}
+
+/**
+ * Create a key.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} options
+ * @param {string} options.tenantId - Tenant the key belongs to
+ * @param {string[]} options.scopes - Granted scopes
+ * @param {string} [options.name] - Human-readable label
+ * @param {boolean} [options.testMode=false] - Issue a sandbox test key
+ * @param {Object} [options.config] - Per-key defaults
+ * @param {string} [options.rotatedFrom] - ID of the key this one replaces
+ * @param {string} [options.lineageId] - Lineage of the key it replaces; a new lineage by default
+ * @returns {Promise<{key: string, record: Object}>} The plaintext key (shown once) and its record
+ */
+export async function createApiKey(store, { tenantId, scopes, name, testMode = false, config = {}, rotatedFrom, lineageId }) {
+  const key = `vk_${testMode ? "test" : "live"}_${randomHex(24)}`;
+  const hash = await sha256Hex(key);
+  const record = {
+    id: `key_${randomHex(12)}`,
+    name,
+    tenantId,
+    scopes,
+    testMode,
+    config,
+    prefix: key.slice(0, 12),
+    hash,
+    createdAt: new Date().toISOString(),
+    rotatedFrom
+  };
+  record.lineageId = lineageId || record.id;
+
+  await store.put(recordKey(record.id), record);
+  await store.put(hashKey(hash), record.id);
+  return { key, record };
+}
+
+/**
+ * Load a key record by ID.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} id - Key ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getApiKey(store, id) {
+  return store.get(recordKey(id));
+}
+
+/**
+ * The lineage a key belongs to: the ID of the first key in its rotation chain.
+ * Records from before lineages, and the environment keys, are their own.
+ *
+ * @param {Object} record - Key record
+ * @returns {string}
+ */
+export function keyLineageId(record) {
+  return record.lineageId || record.id;
+}
+
+/**
+ * Look up the lineage of a key by ID, for records that only kept the key ID.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} id - Key ID
+ * @returns {Promise<string>} The lineage ID, or `id` for keys not in the store
+ */
+export async function resolveKeyLineage(store, id) {
+  const record = await getApiKey(store, id);
+  return record ? keyLineageId(record) : id;
+}
+
+/**
+ * List stored keys, optionally for one tenant.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} [tenantId] - Only return keys for this tenant
+ * @returns {Promise<Object[]>} Records ordered by creation time
+ */
+export async function listApiKeys(store, tenantId) {
+  const keys = await store.list(recordKey(""));
+  const records = await Promise.all(keys.map(key => store.get(key)));
+  return records
+    .filter(record => record && (!tenantId || record.tenantId === tenantId))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Replace a key with a new one carrying the same settings. The old key keeps
+ * working until the overlap window closes.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} record - Key to rotate
+ * @param {number} [overlapSeconds=86400] - How long the old key stays valid
+ * @returns {Promise<{key: string, record: Object}|null>} The replacement key,
+ *   or null if the key is revoked, expired or already rotated
+ */
+export async function rotateApiKey(store, record, overlapSeconds = DEFAULT_ROTATION_OVERLAP) {
+  // Rotating again would leave more than one live successor
+  if (!isActive(record) || record.rotatedTo) return null;
+
+  const replacement = await createApiKey(store, {
+    tenantId: record.tenantId,
+    scopes: record.scopes,
+    name: record.name,
+    testMode: record.testMode,
+    config: record.config,
+    rotatedFrom: record.id,
+    lineageId: keyLineageId(record)
+  });
+
+  const expiresAt = new Date(Date.now() + overlapSeconds * 1000).toISOString();
+  // Never extend a key that already expires sooner
+  if (!record.expiresAt || record.expiresAt > expiresAt) {
+    record.expiresAt = expiresAt;
+  }
+  record.rotatedTo = replacement.record.id;
+  await store.put(recordKey(record.id), record);
+
+  return replacement;
+}
+
+/**
+ * Revoke a key immediately.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} record - Key to revoke
+ * @returns {Promise<Object>} The updated record
+ */
+export async function revokeApiKey(store, record) {
+  record.revokedAt = record.revokedAt || new Date().toISOString();
+  await store.put(recordKey(record.id), record);
+  await store.delete(hashKey(record.hash));
+  return record;
+}
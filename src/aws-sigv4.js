@@ -0,0 +1,88 @@
+/**
+ * AWS Signature Version 4 request signing with the Web Crypto API.
+ *
+ * Shared by every AWS-backed client (SNS, End User Messaging SMS) so that
+ * canonicalization lives in one place.
+ *
+ * @module aws-sigv4
+ */
+
+import { toHex, hmacSha256, sha256Hex } from "./crypto-utils.js";
+
+const ALGORITHM = "AWS4-HMAC-SHA256";
+
+// RFC 3986 encoding as required for canonical query strings
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+function canonicalQuery(searchParams) {
+  return [...searchParams.entries()]
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort(([a, x], [b, y]) => (a < b ? -1 : a > b ? 1 : x < y ? -1 : x > y ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join("&");
+}
+
+/**
+ * Sign a request.
+ *
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full request URL, including any query string
+ * @param {Object} [request.headers] - Headers to sign; `host` and `x-amz-date` are added
+ * @param {string} [request.body=""] - Request body
+ * @param {string} request.service - Signing service name, e.g. "sns"
+ * @param {string} request.region - AWS region
+ * @param {string} request.accessKeyId - AWS access key ID
+ * @param {string} request.secretAccessKey - AWS secret access key
+ * @param {string} [request.sessionToken] - Temporary credential session token
+ * @param {Date} [request.date] - Signing time (defaults to now)
+ * @returns {Promise<Object>} Headers to send, including `authorization`
+ */
+export async function signAwsRequest({
+  method,
+  url,
+  headers = {},
+  body = "",
+  service,
+  region,
+  accessKeyId,
+  secretAccessKey,
+  sessionToken,
+  date = new Date()
+}) {
+  const { host, pathname, searchParams } = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+  const dateStamp = amzDate.slice(0, 8);
+
+  const signed = { ...headers, host, "x-amz-date": amzDate };
+  if (sessionToken) signed["x-amz-security-token"] = sessionToken;
+
+  const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+  const lowerCased = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), value]));
+  const canonicalHeaders = names.map(name => `${name}:${String(lowerCased[name]).trim()}\n`).join("");
+  const signedHeaders = names.join(";");
+
+  const canonicalRequest = [
+    method,
+    pathname || "/",
+    canonicalQuery(searchParams),
+    canonicalHeaders,
+    signedHeaders,
+    await sha256Hex(body)
+  ].join("\n");
+
+  const credentialScope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = [ALGORITHM, amzDate, credentialScope, await sha256Hex(canonicalRequest)].join("\n");
+
+  let key = `AWS4${secretAccessKey}`;
+  for (const part of [dateStamp, region, service, "aws4_request"]) {
+    key = await hmacSha256(key, part);
+  }
+  const signature = toHex(await hmacSha256(key, stringToSign));
+
+  return {
+    ...signed,
+    authorization: `${ALGORITHM} Credential=${accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
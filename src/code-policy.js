@@ -0,0 +1,120 @@
+/**
+ * Verification code policies.
+ *
+ * - Codes are drawn from `crypto.getRandomValues` with rejection sampling,
+ *   so every character of the alphabet is equally likely (no modulo bias).
+ * - A policy sets the length, the alphabet (numeric or alphanumeric),
+ *   whether look-alike characters are excluded, and optional grouping
+ *   such as "123-456" for readability.
+ * - Codes are normalized before hashing and comparison: separators and
+ *   whitespace are dropped and letters upper-cased, so "abc 123" and
+ *   "ABC-123" match.
+ *
+ * @module code-policy
+ */
+
+import { z } from "@hono/zod-openapi";
+
+const DIGITS = "0123456789";
+const LETTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+// Characters easily confused with one another when read or typed: 0/O, 1/I/l
+const AMBIGUOUS = "0O1IL";
+
+export const DEFAULT_CODE_POLICY = Object.freeze({
+  length: 6,
+  charset: "numeric",
+  excludeAmbiguous: false,
+  groupSize: 0,
+  separator: "-"
+});
+
+/**
+ * Zod schema for a code policy supplied by API callers or configuration.
+ */
+export const codePolicySchema = z.object({
+  length: z.number().int().min(4).max(12).optional(),
+  charset: z.enum(["numeric", "alphanumeric"]).optional(),
+  excludeAmbiguous: z.boolean().optional(),
+  groupSize: z.number().int().min(0).max(6).optional(),
+  separator: z.enum(["-", " "]).optional()
+});
+
+/**
+ * Merge partial policies over the defaults; later sources win.
+ * Invalid sources throw, so misconfiguration fails loudly.
+ *
+ * @param {...Object} sources - Partial policies, lowest priority first
+ * @returns {Object} Complete policy
+ */
+export function resolveCodePolicy(...sources) {
+  const policy = { ...DEFAULT_CODE_POLICY };
+  for (const source of sources) {
+    if (!source) continue;
+    const parsed = codePolicySchema.parse(typeof source === "string" ? JSON.parse(source) : source);
+    for (const [key, value] of Object.entries(parsed)) {
+      if (value !== undefined) policy[key] = value;
+    }
+  }
+  return policy;
+}
+
+/**
+ * The alphabet a policy draws from. Ambiguous characters are only removed
+ * from alphanumeric codes; numeric codes keep all ten digits.
+ *
+ * @param {Object} policy - Complete policy
+ * @returns {string}
+ */
+export function codeAlphabet(policy) {
+  if (policy.charset === "numeric") return DIGITS;
+  const alphabet = DIGITS + LETTERS;
+  return policy.excludeAmbiguous
+    ? alphabet.split("").filter(ch => !AMBIGUOUS.includes(ch)).join("")
+    : alphabet;
+}
+
+/**
+ * Split a code into groups, e.g. "123456" with groupSize 3 becomes "123-456".
+ *
+ * @param {string} code - Raw code
+ * @param {Object} policy - Complete policy
+ * @returns {string}
+ */
+export function formatCode(code, policy) {
+  if (!policy.groupSize || policy.groupSize >= code.length) return code;
+  const groups = code.match(new RegExp(`.{1,${policy.groupSize}}`, "g"));
+  return groups.join(policy.separator);
+}
+
+/**
+ * Generate a code without modulo bias.
+ *
+ * @param {Object} [policy] - Partial or complete policy
+ * @returns {string} Code, grouped if the policy asks for it
+ */
+export function generateCode(policy = DEFAULT_CODE_POLICY) {
+  const resolved = resolveCodePolicy(policy);
+  const alphabet = codeAlphabet(resolved);
+  // Largest multiple of the alphabet size that fits in a byte; bytes above it are redrawn
+  const limit = 256 - (256 % alphabet.length);
+
+  let code = "";
+  while (code.length < resolved.length) {
+    for (const byte of crypto.getRandomValues(new Uint8Array(resolved.length * 2))) {
+      if (byte < limit && code.length < resolved.length) {
+        code += alphabet[byte % alphabet.length];
+      }
+    }
+  }
+  return formatCode(code, resolved);
+}
+
+/**
+ * Normalize a code for hashing and comparison.
+ *
+ * @param {string} code - Code as typed by the user
+ * @returns {string} Code without whitespace or hyphens, upper-cased
+ */
+export function normalizeCode(code) {
+  return String(code).replace(/[\s-]/g, "").toUpperCase();
+}
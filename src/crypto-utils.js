@@ -0,0 +1,158 @@
+/**
+ * Web Crypto helpers shared by the verification modules.
+ * Everything here runs unchanged on Cloudflare Workers and Node 18+.
+ *
+ * @module crypto-utils
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Convert a buffer to a lowercase hex string.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {string}
+ */
+export function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(b => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Random hex string from `crypto.getRandomValues`.
+ * @param {number} bytes - Number of random bytes
+ * @returns {string}
+ */
+export function randomHex(bytes) {
+  return toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+/**
+ * SHA-256 digest of a string as hex.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(text) {
+  return toHex(await crypto.subtle.digest("SHA-256", encoder.encode(text)));
+}
+
+/**
+ * HMAC-SHA256 of a string.
+ * @param {string|ArrayBuffer} secret - Signing key
+ * @param {string} text - Data to sign
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function hmacSha256(secret, text) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    typeof secret === "string" ? encoder.encode(secret) : secret,
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  return crypto.subtle.sign("HMAC", key, encoder.encode(text));
+}
+
+/**
+ * HMAC-SHA1 of a string, for webhook signatures that still use it (Twilio).
+ * @param {string} secret - Signing key
+ * @param {string} text - Data to sign
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function hmacSha1(secret, text) {
+  const key = await crypto.subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-1" }, false, ["sign"]);
+  return crypto.subtle.sign("HMAC", key, encoder.encode(text));
+}
+
+/**
+ * Compare two strings without exiting early on the first difference.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function timingSafeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Base64-encode a string (as UTF-8) or buffer.
+ * @param {string|ArrayBuffer|Uint8Array} data
+ * @returns {string}
+ */
+export function base64Encode(data) {
+  const bytes = typeof data === "string" ? encoder.encode(data) : new Uint8Array(data);
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+/**
+ * Base64url-encode a string or buffer (no padding).
+ * @param {string|ArrayBuffer|Uint8Array} data
+ * @returns {string}
+ */
+export function base64UrlEncode(data) {
+  return base64Encode(data).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Decode a base64url string to text.
+ * @param {string} text
+ * @returns {string}
+ */
+export function base64UrlDecode(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+}
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Base32-encode bytes (RFC 4648, no padding), as authenticator apps expect secrets.
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {string}
+ */
+export function base32Encode(data) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of new Uint8Array(data)) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * Decode base32 text; case, spaces and padding are ignored.
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} On characters outside the base32 alphabet
+ */
+export function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, "");
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Uint8Array.from(bytes);
+}
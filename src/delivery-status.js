@@ -0,0 +1,202 @@
+/**
+ * Delivery status tracking per provider message ID.
+ *
+ * - Every message sent through `/api/send` or `/api/sms` gets a record keyed
+ *   by its message ID, owned by the sending tenant.
+ * - Provider callbacks add events to the record's history: SNS delivery
+ *   status logs and End User Messaging events forwarded through an SNS HTTP
+ *   subscription, and Twilio status callbacks.
+ * - History is kept in timestamp order, since callbacks can arrive out of
+ *   order. The record's status is the most advanced one seen (a final status
+ *   beats sent, which beats queued), latest first among equals, because
+ *   provider clocks and ours disagree. Carrier, failure reason and price are
+ *   kept from the events that report them.
+ *
+ * Statuses are provider-neutral: queued, sent, delivered, undelivered, failed.
+ *
+ * @module delivery-status
+ */
+
+import { TWILIO_STATUSES } from "./providers/twilio.js";
+
+export const MESSAGE_STATUSES = ["queued", "sent", "delivered", "undelivered", "failed"];
+
+// Records outlive the codes they carried; 30 days covers carrier disputes
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const messageKey = (messageId) => `message:${messageId}`;
+
+// How far along the delivery each status is; final statuses share the top rank
+const STATUS_RANKS = { queued: 0, sent: 1, delivered: 2, undelivered: 2, failed: 2 };
+
+const byTimestamp = (a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp);
+
+// Most advanced status in a history, latest first among equals
+const currentStatus = (history) => history.reduce((current, event) =>
+  (!current || STATUS_RANKS[event.status] >= STATUS_RANKS[current.status] ? event : current), null).status;
+
+// End User Messaging SMS event types mapped to provider-neutral statuses
+const END_USER_MESSAGING_EVENTS = {
+  TEXT_PENDING: "queued",
+  TEXT_QUEUED: "queued",
+  TEXT_SUCCESSFUL: "sent",
+  TEXT_DELIVERED: "delivered"
+};
+
+const emptyRecord = (messageId) => ({
+  messageId,
+  tenantId: null,
+  status: "queued",
+  history: [],
+  createdAt: new Date().toISOString()
+});
+
+async function save(store, record) {
+  record.updatedAt = new Date().toISOString();
+  await store.put(messageKey(record.messageId), record, { ttl: RETENTION_SECONDS });
+}
+
+/**
+ * Record a message that was just handed to a provider. Callbacks that
+ * arrived before the record are kept.
+ *
+ * @param {Object} store - Storage adapter from `getStore`
+ * @param {Object} message
+ * @param {string} message.messageId - Provider message ID
+ * @param {string} message.tenantId - Tenant that sent the message
+ * @param {string} [message.apiKeyId] - Key that sent the message, for its webhooks
+ * @param {string} message.phoneNumber - E.164 destination
+ * @param {string} [message.provider] - Provider target, e.g. "sns:us-east-1"
+ * @param {string} [message.channel='sms'] - Delivery channel
+ * @param {string} [message.verificationId] - Verification session the message carried a code for
+ * @returns {Promise<Object>} The stored record
+ */
+export async function recordMessage(store, { messageId, tenantId, apiKeyId, phoneNumber, provider, channel = "sms", verificationId }) {
+  const record = await store.get(messageKey(messageId)) || emptyRecord(messageId);
+  const event = { status: "queued", timestamp: new Date().toISOString(), source: "api" };
+
+  Object.assign(record, { tenantId, apiKeyId, phoneNumber, provider, channel, verificationId });
+  record.history = [event, ...record.history].sort(byTimestamp);
+  record.status = currentStatus(record.history);
+
+  await save(store, record);
+  return record;
+}
+
+/**
+ * Add a provider status event to a message's history.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} event - Event from `parseSnsDeliveryEvent` or `parseTwilioStatusCallback`
+ * @returns {Promise<{record: Object, changed: boolean}>} The updated record, and whether its status changed
+ */
+export async function recordStatusEvent(store, { messageId, ...event }) {
+  const record = await store.get(messageKey(messageId)) || emptyRecord(messageId);
+  const previousStatus = record.history.length ? record.status : null;
+
+  // Providers retry callbacks; the same status at the same time is only kept once
+  const duplicate = record.history.some(entry => entry.status === event.status && entry.timestamp === event.timestamp);
+  if (!duplicate) {
+    record.history.push(event);
+    record.history.sort(byTimestamp);
+  }
+
+  record.status = currentStatus(record.history);
+  for (const field of ["carrier", "errorCode", "reason", "price", "priceUnit"]) {
+    if (event[field] !== undefined) record[field] = event[field];
+  }
+
+  await save(store, record);
+  return { record, changed: record.status !== previousStatus };
+}
+
+/**
+ * Load a message record for a tenant.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} tenantId - Tenant asking for the record
+ * @param {string} messageId - Provider message ID
+ * @returns {Promise<Object|null>} The record, or null when missing or owned by another tenant
+ */
+export async function getMessage(store, tenantId, messageId) {
+  const record = await store.get(messageKey(messageId));
+  return record && record.tenantId === tenantId ? record : null;
+}
+
+// "2016-06-28 00:40:34.558" (SNS delivery logs) is UTC without a zone
+const parseTimestamp = (value) => {
+  if (value === undefined || value === null) return new Date().toISOString();
+  const date = typeof value === "number" ? new Date(value) : new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(" ", "T")}Z`);
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+};
+
+/**
+ * Parse the `Message` of an SNS notification carrying an SMS delivery event.
+ * Accepts SNS delivery status logs and End User Messaging SMS events.
+ *
+ * @param {Object|string} message - Notification message, parsed or as JSON
+ * @returns {Object|null} Status event, or null when the message is not a delivery event
+ */
+export function parseSnsDeliveryEvent(message) {
+  const data = typeof message === "string" ? JSON.parse(message) : message;
+
+  // SNS SMS delivery status log
+  if (data?.notification?.messageId && data.delivery) {
+    const success = data.status === "SUCCESS";
+    // The log timestamp is when SNS accepted the message; the carrier answered after the dwell time
+    const acceptedAt = Date.parse(parseTimestamp(data.notification.timestamp));
+    return {
+      messageId: data.notification.messageId,
+      status: success ? "delivered" : "failed",
+      timestamp: new Date(acceptedAt + (data.delivery.dwellTimeMs || 0)).toISOString(),
+      carrier: data.delivery.phoneCarrier,
+      reason: success ? undefined : data.delivery.providerResponse,
+      price: data.delivery.priceInUSD,
+      priceUnit: data.delivery.priceInUSD === undefined ? undefined : "USD",
+      source: "sns"
+    };
+  }
+
+  // End User Messaging SMS event (event destinations publishing to SNS)
+  if (data?.messageId && typeof data.eventType === "string" && data.eventType.startsWith("TEXT_")) {
+    const status = END_USER_MESSAGING_EVENTS[data.eventType] || "failed";
+    return {
+      messageId: data.messageId,
+      status,
+      timestamp: parseTimestamp(data.eventTimestamp),
+      carrier: data.carrierName,
+      errorCode: status === "failed" ? data.messageStatus : undefined,
+      reason: status === "failed" ? data.messageStatusDescription : undefined,
+      price: data.totalMessagePrice,
+      priceUnit: data.totalMessagePrice === undefined ? undefined : "USD",
+      source: "end-user-messaging"
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a Twilio message status callback.
+ *
+ * @param {Object} params - Form parameters of the callback
+ * @returns {Object|null} Status event, or null when the callback has no message SID
+ */
+export function parseTwilioStatusCallback(params) {
+  const messageId = params.MessageSid || params.SmsSid;
+  if (!messageId) return null;
+
+  const status = TWILIO_STATUSES[params.MessageStatus || params.SmsStatus];
+  if (!status) return null;
+
+  return {
+    messageId,
+    status,
+    timestamp: new Date().toISOString(),
+    errorCode: params.ErrorCode || undefined,
+    reason: params.ErrorMessage || undefined,
+    price: params.Price ? Math.abs(Number(params.Price)) : undefined,
+    priceUnit: params.PriceUnit || undefined,
+    source: "twilio"
+  };
+}
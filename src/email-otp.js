@@ -0,0 +1,148 @@
+/**
+ * Email delivery for verification codes.
+ *
+ * Email is the fallback for users who cannot receive SMS, for example when
+ * their number is rejected by the VoIP check. The code still verifies the
+ * phone number's session, so expiry and attempt limits are the same as SMS.
+ *
+ * Messages have a plain-text and an HTML part. `EMAIL_TEMPLATE` (JSON with
+ * `subject`, `text` and `html`) overrides the defaults; `{code}` and
+ * `{expires_minutes}` are replaced, HTML-escaped in the HTML part.
+ *
+ * @module email-otp
+ */
+
+import { z } from "@hono/zod-openapi";
+import { formatPhoneNumber, isValidPhoneNumber, isValidVerificationCode } from "./verify-phone.ts";
+import { DEFAULT_EXPIRES_IN } from "./verification-sessions.js";
+
+export const DEFAULT_EMAIL_TEMPLATE = Object.freeze({
+  subject: "Your verification code is {code}",
+  text: "Your verification code is {code}.\n\nIt expires in {expires_minutes} minutes. If you did not request this code, you can ignore this email.",
+  html: [
+    "<!DOCTYPE html>",
+    "<html>",
+    "<body style=\"font-family: -apple-system, Helvetica, Arial, sans-serif; color: #111;\">",
+    "<p>Your verification code is:</p>",
+    "<p style=\"font-size: 28px; font-weight: bold; letter-spacing: 4px;\">{code}</p>",
+    "<p>It expires in {expires_minutes} minutes. If you did not request this code, you can ignore this email.</p>",
+    "</body>",
+    "</html>"
+  ].join("\n")
+});
+
+/**
+ * Zod schema for a partial email template from configuration (`EMAIL_TEMPLATE`).
+ */
+export const emailTemplateSchema = z.object({
+  subject: z.string().min(1).optional(),
+  text: z.string().min(1).optional(),
+  html: z.string().min(1).optional()
+});
+
+// Deliberately loose; the mail server is the final judge of deliverability
+const EMAIL_PATTERN = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;"
+})[char]);
+
+const fill = (template, values, escape = (value) => value) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? escape(values[name]) : match));
+
+/**
+ * Merge partial templates over the default; later sources win.
+ *
+ * @param {...(Object|string)} sources - Partial templates or JSON strings, lowest priority first
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function resolveEmailTemplate(...sources) {
+  const template = { ...DEFAULT_EMAIL_TEMPLATE };
+  for (const source of sources) {
+    if (!source) continue;
+    const parsed = emailTemplateSchema.parse(typeof source === "string" ? JSON.parse(source) : source);
+    for (const [key, value] of Object.entries(parsed)) {
+      if (value !== undefined) template[key] = value;
+    }
+  }
+  return template;
+}
+
+/**
+ * Render the subject and both bodies for a code.
+ *
+ * @param {string} code - Verification code
+ * @param {Object} [options]
+ * @param {Object} [options.template] - Complete template from `resolveEmailTemplate`
+ * @param {number} [options.expiresIn] - Code lifetime in seconds
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function buildEmailMessage(code, { template = DEFAULT_EMAIL_TEMPLATE, expiresIn = DEFAULT_EXPIRES_IN } = {}) {
+  const values = { code, expires_minutes: Math.round(expiresIn / 60) };
+  return {
+    subject: fill(template.subject, values),
+    text: fill(template.text, values),
+    html: fill(template.html, values, escapeHtml)
+  };
+}
+
+/**
+ * Whether a string looks like an email address.
+ *
+ * @param {string} email
+ * @returns {boolean}
+ */
+export function isValidEmail(email) {
+  return typeof email === "string" && email.length <= 254 && EMAIL_PATTERN.test(email);
+}
+
+/**
+ * Email a verification code for a phone number. Resolves to the same shape
+ * as `verifyPhone` so callers can treat every channel alike.
+ *
+ * @param {Object} options
+ * @param {string} options.email - Recipient address
+ * @param {string} options.phoneNumber - Phone number being verified
+ * @param {string} options.code - Verification code
+ * @param {Object} options.transport - Mail transport (see mail)
+ * @param {string} options.from - Sender address
+ * @param {Object} [options.template] - Complete template from `resolveEmailTemplate`
+ * @returns {Promise<Object>} verifyPhone-style result
+ */
+export async function sendEmailCode({ email, phoneNumber, code, transport, from, template }) {
+  try {
+    if (!code || !isValidVerificationCode(code)) {
+      throw new Error("Code must be alphanumeric and at least 4 characters");
+    }
+
+    const formattedPhone = formatPhoneNumber(phoneNumber);
+    if (!isValidPhoneNumber(formattedPhone)) {
+      throw new Error("Invalid phone number format. Please use E.164 format (e.g., +1234567890)");
+    }
+
+    if (!isValidEmail(email)) {
+      throw new Error("Invalid email address");
+    }
+
+    const message = buildEmailMessage(code, { template, expiresIn: DEFAULT_EXPIRES_IN });
+    const response = await transport.send({ from, to: email, ...message });
+
+    return {
+      success: true,
+      message: "Verification email sent successfully",
+      messageId: response.messageId,
+      provider: response.provider || transport.name,
+      code,
+      phoneNumber: formattedPhone,
+      email,
+      expiresIn: DEFAULT_EXPIRES_IN
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      details: error.stack || undefined,
+      retryable: error.retryable === true || undefined
+    };
+  }
+}
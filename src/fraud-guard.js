@@ -0,0 +1,303 @@
+/**
+ * SMS pumping (toll fraud) guard.
+ *
+ * Runs before any message is handed to the SMS provider and blocks traffic
+ * that looks like artificially inflated sends to high-cost destinations:
+ *
+ * - Country allow/deny lists (ISO 3166-1 alpha-2)
+ * - Number types from libphonenumber with its full metadata (the default
+ *   metadata cannot tell most premium-rate numbers apart); premium-rate and
+ *   shared-cost numbers are blocked by default
+ * - Per-country velocity: sends per country in a fixed window, with
+ *   optional per-country overrides
+ * - Conversion anomalies: when the share of verification codes that get
+ *   verified collapses for a country or number prefix, an anomaly flag is
+ *   raised for review (and, with `blockAnomalies`, further sends there are
+ *   blocked until the flag is cleared)
+ *
+ * Every blocked request is recorded as a fraud event for review.
+ * Counters live in the verification store; they are not atomic, so bind the
+ * Durable Object backend where exact counts matter.
+ *
+ * @module fraud-guard
+ */
+
+import { z } from "@hono/zod-openapi";
+import { parsePhoneNumber } from "libphonenumber-js/max";
+import { getPhoneNumberCountry } from "./verify-phone.ts";
+import { randomHex } from "./crypto-utils.js";
+
+const DAY = 24 * 60 * 60;
+const EVENT_TTL = 30 * DAY;
+const ANOMALY_TTL = 7 * DAY;
+
+/**
+ * Error code returned with every request the guard blocks.
+ */
+export const FRAUD_ERROR_CODE = "fraud_blocked";
+
+export const DEFAULT_FRAUD_POLICY = Object.freeze({
+  allowedCountries: [],
+  deniedCountries: [],
+  blockedNumberTypes: ["PREMIUM_RATE", "SHARED_COST"],
+  velocityWindow: 60 * 60,
+  maxPerCountry: 1000,
+  countryLimits: {},
+  conversionWindow: 60 * 60,
+  minSamples: 30,
+  minConversionRate: 0.2,
+  prefixLength: 6,
+  blockAnomalies: false
+});
+
+/**
+ * Zod schema for a partial policy from configuration (`FRAUD_POLICY`).
+ */
+export const fraudPolicySchema = z.object({
+  allowedCountries: z.array(z.string().length(2)).optional(),
+  deniedCountries: z.array(z.string().length(2)).optional(),
+  blockedNumberTypes: z.array(z.string()).optional(),
+  velocityWindow: z.number().int().min(1).optional(),
+  maxPerCountry: z.number().int().min(1).optional(),
+  countryLimits: z.record(z.number().int().min(0)).optional(),
+  conversionWindow: z.number().int().min(1).optional(),
+  minSamples: z.number().int().min(1).optional(),
+  minConversionRate: z.number().min(0).max(1).optional(),
+  prefixLength: z.number().int().min(1).max(15).optional(),
+  blockAnomalies: z.boolean().optional()
+});
+
+/**
+ * Error messages for each block reason.
+ */
+export const FRAUD_ERRORS = {
+  country_not_allowed: "Destination country is not enabled",
+  country_denied: "Destination country is blocked",
+  number_type: "Destination number type is blocked",
+  velocity: "Too many messages to this country, try again later",
+  anomaly: "Destination is under review for suspicious traffic"
+};
+
+const eventKey = (createdAt, id) => `fraud:event:${createdAt}:${id}`;
+const velocityKey = (country, bucket) => `fraud:velocity:${country}:${bucket}`;
+const conversionKey = (scope, value, bucket) => `fraud:conversion:${scope}:${value}:${bucket}`;
+const anomalyKey = (scope, value) => `fraud:anomaly:${scope}:${value}`;
+
+const bucketOf = (seconds) => Math.floor(Date.now() / (seconds * 1000));
+
+/**
+ * Merge partial policies over the defaults; later sources win.
+ *
+ * @param {...(Object|string)} sources - Partial policies or JSON strings, lowest priority first
+ * @returns {Object} Complete policy
+ */
+export function resolveFraudPolicy(...sources) {
+  const policy = { ...DEFAULT_FRAUD_POLICY };
+  for (const source of sources) {
+    if (!source) continue;
+    const parsed = fraudPolicySchema.parse(typeof source === "string" ? JSON.parse(source) : source);
+    for (const [key, value] of Object.entries(parsed)) {
+      if (value !== undefined) policy[key] = value;
+    }
+  }
+  return policy;
+}
+
+/**
+ * Country and number prefix a phone number is tracked under.
+ *
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {Object} policy - Complete policy
+ * @returns {{country: string, prefix: string}}
+ */
+function destinationOf(phoneNumber, policy) {
+  return {
+    country: getPhoneNumberCountry(phoneNumber) || "ZZ",
+    prefix: phoneNumber.slice(0, policy.prefixLength + 1)
+  };
+}
+
+function numberTypeOf(phoneNumber) {
+  try {
+    return parsePhoneNumber(phoneNumber).getType();
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Check a destination against the policy.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {Object} [policy] - Complete policy from `resolveFraudPolicy`
+ * @returns {Promise<{allowed: boolean, reason?: string, country: string, numberType?: string}>}
+ */
+export async function checkFraud(store, phoneNumber, policy = DEFAULT_FRAUD_POLICY) {
+  const { country, prefix } = destinationOf(phoneNumber, policy);
+  const numberType = numberTypeOf(phoneNumber);
+  const blocked = (reason) => ({ allowed: false, reason, country, numberType });
+
+  if (policy.allowedCountries.length && !policy.allowedCountries.includes(country)) {
+    return blocked("country_not_allowed");
+  }
+  if (policy.deniedCountries.includes(country)) {
+    return blocked("country_denied");
+  }
+  if (numberType && policy.blockedNumberTypes.includes(numberType)) {
+    return blocked("number_type");
+  }
+
+  const limit = policy.countryLimits[country] ?? policy.maxPerCountry;
+  const sent = await store.get(velocityKey(country, bucketOf(policy.velocityWindow))) || 0;
+  if (sent >= limit) {
+    return blocked("velocity");
+  }
+
+  if (policy.blockAnomalies) {
+    const flags = await Promise.all([
+      store.get(anomalyKey("country", country)),
+      store.get(anomalyKey("prefix", prefix))
+    ]);
+    if (flags.some(Boolean)) return blocked("anomaly");
+  }
+
+  return { allowed: true, country, numberType };
+}
+
+/**
+ * Record a blocked request for review.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} details
+ * @param {string} details.tenantId - Tenant of the calling API key
+ * @param {string} details.phoneNumber - E.164 destination
+ * @param {string} details.route - API route that was called
+ * @param {string} details.reason - Block reason from `checkFraud`
+ * @param {string} [details.country] - Destination country
+ * @param {string} [details.numberType] - Destination number type
+ * @returns {Promise<Object>} The stored event
+ */
+export async function recordFraudEvent(store, { tenantId, phoneNumber, route, reason, country, numberType }) {
+  const event = {
+    id: `fre_${randomHex(8)}`,
+    tenantId,
+    phoneNumber,
+    route,
+    reason,
+    country,
+    numberType,
+    createdAt: new Date().toISOString()
+  };
+  await store.put(eventKey(event.createdAt, event.id), event, { ttl: EVENT_TTL });
+  return event;
+}
+
+/**
+ * List recorded fraud events, newest first.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {number} [limit=100] - Maximum number of events
+ * @returns {Promise<Object[]>}
+ */
+export async function listFraudEvents(store, limit = 100) {
+  const keys = (await store.list("fraud:event:")).sort().reverse().slice(0, limit);
+  const events = await Promise.all(keys.map(key => store.get(key)));
+  return events.filter(Boolean);
+}
+
+async function increment(store, key, field, ttl) {
+  const stats = await store.get(key) || { sent: 0, verified: 0 };
+  stats[field] += 1;
+  await store.put(key, stats, { ttl });
+  return stats;
+}
+
+/**
+ * Raise an anomaly flag when conversion for a country or prefix collapses.
+ */
+async function evaluateConversion(store, scope, value, stats, policy) {
+  if (stats.sent < policy.minSamples) return;
+
+  const conversionRate = stats.verified / stats.sent;
+  if (conversionRate >= policy.minConversionRate) return;
+  if (await store.get(anomalyKey(scope, value))) return;
+
+  const anomaly = {
+    scope,
+    value,
+    sent: stats.sent,
+    verified: stats.verified,
+    conversionRate,
+    flaggedAt: new Date().toISOString()
+  };
+  console.warn("Verification conversion anomaly:", anomaly);
+  await store.put(anomalyKey(scope, value), anomaly, { ttl: ANOMALY_TTL });
+}
+
+/**
+ * Count a delivered message towards the country velocity and, for
+ * verification codes, towards conversion tracking.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {Object} [policy] - Complete policy from `resolveFraudPolicy`
+ * @param {Object} [options]
+ * @param {boolean} [options.verification=false] - Whether the message carried a verification code
+ */
+export async function recordFraudSend(store, phoneNumber, policy = DEFAULT_FRAUD_POLICY, { verification = false } = {}) {
+  const { country, prefix } = destinationOf(phoneNumber, policy);
+
+  const key = velocityKey(country, bucketOf(policy.velocityWindow));
+  await store.put(key, (await store.get(key) || 0) + 1, { ttl: policy.velocityWindow });
+
+  if (!verification) return;
+
+  const bucket = bucketOf(policy.conversionWindow);
+  for (const [scope, value] of [["country", country], ["prefix", prefix]]) {
+    const stats = await increment(store, conversionKey(scope, value, bucket), "sent", policy.conversionWindow * 2);
+    await evaluateConversion(store, scope, value, stats, policy);
+  }
+}
+
+/**
+ * Count a successful verification towards conversion tracking.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {Object} [policy] - Complete policy from `resolveFraudPolicy`
+ */
+export async function recordFraudConversion(store, phoneNumber, policy = DEFAULT_FRAUD_POLICY) {
+  const { country, prefix } = destinationOf(phoneNumber, policy);
+  const bucket = bucketOf(policy.conversionWindow);
+  for (const [scope, value] of [["country", country], ["prefix", prefix]]) {
+    await increment(store, conversionKey(scope, value, bucket), "verified", policy.conversionWindow * 2);
+  }
+}
+
+/**
+ * List raised anomaly flags.
+ *
+ * @param {Object} store - Storage adapter
+ * @returns {Promise<Object[]>}
+ */
+export async function listAnomalies(store) {
+  const keys = await store.list("fraud:anomaly:");
+  const anomalies = await Promise.all(keys.map(key => store.get(key)));
+  return anomalies.filter(Boolean).sort((a, b) => b.flaggedAt.localeCompare(a.flaggedAt));
+}
+
+/**
+ * Clear an anomaly flag after review.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} scope - "country" or "prefix"
+ * @param {string} value - Country code or number prefix
+ * @returns {Promise<boolean>} Whether a flag was cleared
+ */
+export async function clearAnomaly(store, scope, value) {
+  const key = anomalyKey(scope, value);
+  if (!await store.get(key)) return false;
+  await store.delete(key);
+  return true;
+}
@@ -4,5 +4,23 @@
  */
 
 import app from "./verify-phone-server.js";
+import { getStore } from "./verification-store.js";
+import { processWebhookRetries } from "./webhooks.js";
+import { processScheduledMessages } from "./scheduled-sms.js";
 
-export default app; 
\ No newline at end of file
+// Durable Object class for the VERIFY_DO storage binding
+export { VerificationStoreObject } from "./verification-store.js";
+// Durable Object class for the optional SMS_SCHEDULER alarm binding
+export { SmsSchedulerObject } from "./scheduled-sms.js";
+
+export default {
+  fetch: app.fetch,
+
+  // Cron Trigger: retry webhook deliveries and send scheduled SMS that are due.
+  // With SMS_SCHEDULER bound its alarm sends them instead, so only one runs.
+  scheduled(controller, env, ctx) {
+    const store = getStore(env);
+    ctx.waitUntil(processWebhookRetries(store, env));
+    if (!env.SMS_SCHEDULER) ctx.waitUntil(processScheduledMessages(store, env));
+  }
+};
@@ -0,0 +1,141 @@
+/**
+ * Magic-link verification.
+ *
+ * - `/api/send` with `mode: "link"` texts a short URL, `/v/<token>`, instead
+ *   of a code. The token is the session's single-use code: 128 random bits,
+ *   stored only as hashes, expiring with the session.
+ * - Opening the link only shows a confirmation page. The session is
+ *   verified by the page's POST, so link-preview bots and mail scanners that
+ *   fetch URLs cannot use up the token.
+ * - After confirming, the browser is redirected to the tenant's success or
+ *   failure URL from `MAGIC_LINKS`, with `verificationId` and `status` (and
+ *   `reason` on failure) in the query string:
+ *
+ * ```json
+ * {
+ *   "baseUrl": "https://verify.example.com",
+ *   "tenants": {
+ *     "acme": { "successUrl": "https://acme.com/verified", "failureUrl": "https://acme.com/verify-failed" }
+ *   }
+ * }
+ * ```
+ *
+ * Tenant settings win over the top-level ones. Without redirect URLs the
+ * result is shown on a plain page.
+ *
+ * @module magic-links
+ */
+
+import { z } from "@hono/zod-openapi";
+import { randomHex, sha256Hex } from "./crypto-utils.js";
+
+export const DEFAULT_LINK_TEMPLATE = "Tap to verify your phone number: {link}";
+
+const RETENTION_SECONDS = 24 * 60 * 60;
+
+const linkKey = (tokenHash) => `link:${tokenHash}`;
+
+const linkSettingsSchema = z.object({
+  baseUrl: z.string().url().optional().describe("Origin the /v/<token> links point at"),
+  successUrl: z.string().url().optional(),
+  failureUrl: z.string().url().optional(),
+  messageTemplate: z.string().min(1).refine(template => template.includes("{link}"), "Template must contain {link}").optional()
+});
+
+/**
+ * Zod schema for `MAGIC_LINKS`.
+ */
+export const magicLinksSchema = linkSettingsSchema.extend({
+  tenants: z.record(linkSettingsSchema).optional()
+});
+
+/**
+ * Parse the magic-link settings from configuration.
+ *
+ * @param {Object|string} [source] - Settings or JSON string (`MAGIC_LINKS`)
+ * @returns {Object}
+ */
+export function parseMagicLinks(source) {
+  if (!source) return {};
+  return magicLinksSchema.parse(typeof source === "string" ? JSON.parse(source) : source);
+}
+
+/**
+ * A tenant's magic-link settings, over the top-level ones.
+ *
+ * @param {Object} registry - From `parseMagicLinks`
+ * @param {string} tenantId - Tenant
+ * @returns {{baseUrl?: string, successUrl?: string, failureUrl?: string, messageTemplate: string}}
+ */
+export function resolveMagicLinkSettings(registry, tenantId) {
+  const { tenants, ...global } = registry;
+  const tenant = tenants?.[tenantId] || {};
+  return {
+    baseUrl: tenant.baseUrl ?? global.baseUrl,
+    successUrl: tenant.successUrl ?? global.successUrl,
+    failureUrl: tenant.failureUrl ?? global.failureUrl,
+    messageTemplate: tenant.messageTemplate ?? global.messageTemplate ?? DEFAULT_LINK_TEMPLATE
+  };
+}
+
+/**
+ * New link token: 32 hex characters, which is also a valid verification code.
+ *
+ * @returns {string}
+ */
+export function createLinkToken() {
+  return randomHex(16);
+}
+
+/**
+ * Public URL of a link.
+ *
+ * @param {string} baseUrl - Origin serving `/v/<token>`
+ * @param {string} token - Link token
+ * @returns {string}
+ */
+export function magicLinkUrl(baseUrl, token) {
+  return `${baseUrl.replace(/\/+$/, "")}/v/${token}`;
+}
+
+/**
+ * Index a link token to its session. Only a hash of the token is stored.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} options
+ * @param {string} options.token - Link token
+ * @param {string} options.verificationId - Session the token verifies
+ * @param {string} options.apiKeyId - Key that sent the link, for its webhooks
+ * @param {number} options.expiresIn - Session lifetime in seconds
+ * @param {boolean} [options.testMode=false] - Sent in test mode, so kept out of fraud statistics
+ */
+export async function saveMagicLink(store, { token, verificationId, apiKeyId, expiresIn, testMode = false }) {
+  await store.put(linkKey(await sha256Hex(token)), { verificationId, apiKeyId, testMode }, { ttl: expiresIn + RETENTION_SECONDS });
+}
+
+/**
+ * Look up a link token.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} token - Link token from the URL
+ * @returns {Promise<{verificationId: string, apiKeyId: string, testMode: boolean}|null>}
+ */
+export async function findMagicLink(store, token) {
+  if (!/^[0-9a-f]{32}$/.test(token)) return null;
+  return store.get(linkKey(await sha256Hex(token)));
+}
+
+/**
+ * Add the verification result to a redirect URL.
+ *
+ * @param {string} url - Tenant success or failure URL
+ * @param {Object} params - Query parameters; undefined values are skipped
+ * @returns {string}
+ */
+export function redirectUrl(url, params) {
+  const target = new URL(url);
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined) target.searchParams.set(name, value);
+  }
+  return target.toString();
+}
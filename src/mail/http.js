@@ -0,0 +1,53 @@
+/**
+ * Generic HTTP mail API transport.
+ *
+ * Posts `{ from, to, subject, text, html }` as JSON with a bearer token, which
+ * matches Resend, Postmark-style relays and most in-house mail gateways. The
+ * message ID is read from `id` or `messageId` in the response.
+ *
+ * @module mail/http
+ */
+
+export class HttpMailTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Endpoint that accepts the message
+   * @param {string} [options.apiKey] - Sent as `Authorization: Bearer <apiKey>`
+   */
+  constructor({ url, apiKey } = {}) {
+    this.name = "http";
+    this.url = url;
+    this.apiKey = apiKey;
+  }
+
+  /**
+   * Send an email.
+   *
+   * @param {Object} message
+   * @param {string} message.from - Sender, optionally "Name <address>"
+   * @param {string} message.to - Recipient address
+   * @param {string} message.subject - Subject line
+   * @param {string} message.text - Plain-text body
+   * @param {string} message.html - HTML body
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send({ from, to, subject, text, html }) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await fetch(this.url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ from, to, subject, text, html })
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw Object.assign(
+        new Error(`Mail API request failed: ${response.status}: ${data.message || data.error || "Unknown error"}`),
+        { status: response.status }
+      );
+    }
+    return { messageId: data.id || data.messageId };
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Mail transports for the email verification channel.
+ *
+ * Every transport implements `send({ from, to, subject, text, html })`,
+ * resolving to `{ messageId }`. `MAIL_TRANSPORT` picks one (default "ses"):
+ *
+ * - `ses`: Amazon SES with the AWS credentials, optional `SES_ENDPOINT`
+ * - `smtp`: `SMTP_HOST`, `SMTP_PORT`, `SMTP_SECURE`, `SMTP_USERNAME`, `SMTP_PASSWORD`
+ * - `http`: `MAIL_API_URL` and `MAIL_API_KEY`
+ *
+ * Transports get the same retries and circuit breaker as SMS providers.
+ *
+ * @module mail
+ */
+
+import { ProviderConfigError } from "../providers/index.js";
+import { FailoverProvider, resolveRetryPolicy } from "../providers/failover.js";
+import { SesTransport } from "./ses.js";
+import { SmtpTransport } from "./smtp.js";
+import { HttpMailTransport } from "./http.js";
+
+export { SesTransport, SmtpTransport, HttpMailTransport };
+
+export const DEFAULT_MAIL_TRANSPORT = "ses";
+
+const factories = {
+  ses: (env) => {
+    if (!env.AWS_ACCESS_KEY_ID || !env.AWS_SECRET_ACCESS_KEY) {
+      throw new ProviderConfigError("AWS credentials not configured", "Please set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY environment variables");
+    }
+    return new SesTransport({
+      accessKeyId: env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+      region: env.SES_REGION || env.AWS_REGION || "us-east-1",
+      configurationSetName: env.SES_CONFIGURATION_SET,
+      endpoint: env.SES_ENDPOINT
+    });
+  },
+  smtp: (env) => {
+    if (!env.SMTP_HOST) {
+      throw new ProviderConfigError("SMTP server not configured", "Please set SMTP_HOST environment variable");
+    }
+    return new SmtpTransport({
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT ? Number(env.SMTP_PORT) : undefined,
+      secure: env.SMTP_SECURE,
+      username: env.SMTP_USERNAME,
+      password: env.SMTP_PASSWORD
+    });
+  },
+  http: (env) => {
+    if (!env.MAIL_API_URL) {
+      throw new ProviderConfigError("Mail API not configured", "Please set MAIL_API_URL environment variable");
+    }
+    return new HttpMailTransport({ url: env.MAIL_API_URL, apiKey: env.MAIL_API_KEY });
+  }
+};
+
+export const MAIL_TRANSPORT_NAMES = Object.keys(factories);
+
+/**
+ * Build the configured mail transport, wrapped with retries and a circuit breaker.
+ *
+ * @param {Object} [env] - Worker environment
+ * @returns {FailoverProvider} Transport with `send` and `name`
+ * @throws {ProviderConfigError} If the transport is unknown or not configured
+ */
+export function getMailTransport(env = {}) {
+  if (!env.MAIL_FROM) {
+    throw new ProviderConfigError("Email sender not configured", "Please set MAIL_FROM environment variable");
+  }
+
+  const name = env.MAIL_TRANSPORT || DEFAULT_MAIL_TRANSPORT;
+  const factory = factories[name];
+  if (!factory) {
+    throw new ProviderConfigError(`Unknown mail transport "${name}"`, `Supported transports: ${MAIL_TRANSPORT_NAMES.join(", ")}`);
+  }
+
+  const transport = factory(env);
+  const target = transport.region ? `${transport.name}:${transport.region}` : transport.name;
+  return new FailoverProvider([{ target, provider: transport }], { policy: resolveRetryPolicy(env.SMS_RETRY) });
+}
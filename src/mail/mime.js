@@ -0,0 +1,68 @@
+/**
+ * Minimal MIME message builder for verification emails.
+ *
+ * Builds a `multipart/alternative` message with a plain-text and an HTML part.
+ * Bodies are base64 encoded so any UTF-8 text survives 7-bit transports, and
+ * non-ASCII subjects use RFC 2047 encoded words.
+ *
+ * @module mail/mime
+ */
+
+import { base64Encode, randomHex } from "../crypto-utils.js";
+
+// Split base64 into the 76-character lines required by RFC 2045
+const wrap = (text) => text.match(/.{1,76}/g)?.join("\r\n") || "";
+
+/**
+ * Encode a header value as an RFC 2047 encoded word when it is not plain ASCII.
+ *
+ * @param {string} value - Header value
+ * @returns {string}
+ */
+export function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${base64Encode(value)}?=`;
+}
+
+/**
+ * Build a complete RFC 5322 message.
+ *
+ * @param {Object} message
+ * @param {string} message.from - Sender address, optionally "Name <address>"
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @param {string} message.html - HTML body
+ * @param {string} [message.messageId] - Message-ID without angle brackets
+ * @param {Date} [message.date] - Date header (defaults to now)
+ * @returns {{raw: string, messageId: string}} Message with CRLF line endings
+ */
+export function buildMimeMessage({ from, to, subject, text, html, messageId, date = new Date() }) {
+  const domain = (from.match(/@([^>\s]+)/) || [])[1] || "localhost";
+  const id = messageId || `${randomHex(16)}@${domain}`;
+  const boundary = `alt_${randomHex(12)}`;
+
+  const part = (type, body) => [
+    `--${boundary}`,
+    `Content-Type: ${type}; charset=UTF-8`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    wrap(base64Encode(body))
+  ].join("\r\n");
+
+  const raw = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${id}>`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    part("text/plain", text),
+    part("text/html", html),
+    `--${boundary}--`,
+    ""
+  ].join("\r\n");
+
+  return { raw, messageId: id };
+}
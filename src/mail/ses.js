@@ -0,0 +1,77 @@
+/**
+ * Amazon SES mail transport (SESv2 `SendEmail` with simple content), signed
+ * with the shared SigV4 code.
+ *
+ * @module mail/ses
+ */
+
+import { signAwsRequest } from "../aws-sigv4.js";
+
+export class SesTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.accessKeyId - AWS access key ID
+   * @param {string} options.secretAccessKey - AWS secret access key
+   * @param {string} [options.region='us-east-1'] - AWS region
+   * @param {string} [options.configurationSetName] - Configuration set for delivery events
+   * @param {string} [options.endpoint] - Override the API endpoint
+   */
+  constructor({ accessKeyId, secretAccessKey, region = "us-east-1", configurationSetName, endpoint } = {}) {
+    this.name = "ses";
+    this.region = region;
+    this.credentials = { accessKeyId, secretAccessKey };
+    this.configurationSetName = configurationSetName;
+    this.endpoint = endpoint || `https://email.${region}.amazonaws.com`;
+  }
+
+  /**
+   * Send an email.
+   *
+   * @param {Object} message
+   * @param {string} message.from - Verified sender identity, optionally "Name <address>"
+   * @param {string} message.to - Recipient address
+   * @param {string} message.subject - Subject line
+   * @param {string} message.text - Plain-text body
+   * @param {string} message.html - HTML body
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send({ from, to, subject, text, html }) {
+    const url = `${this.endpoint}/v2/email/outbound-emails`;
+    const body = JSON.stringify({
+      FromEmailAddress: from,
+      Destination: { ToAddresses: [to] },
+      Content: {
+        Simple: {
+          Subject: { Data: subject, Charset: "UTF-8" },
+          Body: {
+            Text: { Data: text, Charset: "UTF-8" },
+            Html: { Data: html, Charset: "UTF-8" }
+          }
+        }
+      },
+      ConfigurationSetName: this.configurationSetName
+    });
+
+    const headers = await signAwsRequest({
+      method: "POST",
+      url,
+      headers: { "content-type": "application/json" },
+      body,
+      service: "ses",
+      region: this.region,
+      ...this.credentials
+    });
+
+    const response = await fetch(url, { method: "POST", headers, body });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const code = response.headers.get("x-amzn-errortype")?.split(":")[0] || data.__type?.split("#").pop() || undefined;
+      throw Object.assign(
+        new Error(`SES request failed: ${code || response.status}: ${data.message || data.Message || "Unknown error"}`),
+        { code, status: response.status }
+      );
+    }
+    return { messageId: data.MessageId };
+  }
+}
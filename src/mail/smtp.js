@@ -0,0 +1,177 @@
+/**
+ * SMTP mail transport over TCP sockets.
+ *
+ * In Workers the socket comes from `cloudflare:sockets`; tests and other
+ * runtimes pass their own `connect` that returns an object with the same
+ * shape (`readable`, `writable`, `close()` and, for STARTTLS, `startTls()`).
+ *
+ * Supports implicit TLS (`secure: "on"`, port 465), STARTTLS
+ * (`secure: "starttls"`, port 587) and plain connections to a local sink
+ * (`secure: "off"`), with AUTH PLAIN when credentials are configured.
+ *
+ * @module mail/smtp
+ */
+
+import { base64Encode } from "../crypto-utils.js";
+import { buildMimeMessage } from "./mime.js";
+
+const decoder = new TextDecoder();
+const encoder = new TextEncoder();
+
+const connectSocket = async (address, options) => {
+  const { connect } = await import("cloudflare:sockets");
+  return connect(address, options);
+};
+
+// Bare address from "Name <address>"
+const envelopeAddress = (address) => (address.match(/<([^>]+)>/) || [])[1] || address.trim();
+
+// Lines starting with "." are doubled so they do not end the DATA section
+const dotStuff = (raw) => raw.replace(/^\./gm, "..");
+
+/**
+ * One SMTP conversation.
+ */
+class SmtpSession {
+  constructor(socket) {
+    this.attach(socket);
+    this.buffer = "";
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.reader = socket.readable.getReader();
+    this.writer = socket.writable.getWriter();
+  }
+
+  // Read one (possibly multi-line) reply: "250-first\r\n250 last\r\n"
+  async reply() {
+    for (;;) {
+      const lines = this.buffer.split("\r\n");
+      const last = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+      if (last !== -1 && last < lines.length - 1) {
+        this.buffer = lines.slice(last + 1).join("\r\n");
+        return { code: Number(lines[last].slice(0, 3)), message: lines.slice(0, last + 1).map(line => line.slice(4)).join("\n") };
+      }
+
+      const { value, done } = await this.reader.read();
+      if (done) throw Object.assign(new Error("SMTP connection closed unexpectedly"), { retryable: true });
+      this.buffer += decoder.decode(value, { stream: true });
+    }
+  }
+
+  async write(data) {
+    await this.writer.write(encoder.encode(data));
+  }
+
+  /**
+   * Send a command and check the reply code.
+   *
+   * @param {string|null} line - Command without CRLF, or null to only read a reply
+   * @param {number[]} expected - Accepted reply codes
+   * @returns {Promise<{code: number, message: string}>}
+   */
+  async command(line, expected) {
+    if (line !== null) await this.write(`${line}\r\n`);
+    const reply = await this.reply();
+    if (!expected.includes(reply.code)) {
+      throw Object.assign(new Error(`SMTP error: ${reply.code} ${reply.message}`), {
+        code: String(reply.code),
+        // 4xx replies are transient failures
+        retryable: reply.code >= 400 && reply.code < 500
+      });
+    }
+    return reply;
+  }
+
+  upgrade() {
+    this.reader.releaseLock();
+    this.writer.releaseLock();
+    this.attach(this.socket.startTls());
+    this.buffer = "";
+  }
+
+  async close() {
+    try {
+      this.reader.releaseLock();
+      this.writer.releaseLock();
+    } finally {
+      await this.socket.close();
+    }
+  }
+}
+
+export class SmtpTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.host - SMTP server host
+   * @param {number} [options.port=587] - SMTP server port
+   * @param {string} [options.secure="starttls"] - "on", "starttls" or "off"
+   * @param {string} [options.username] - AUTH PLAIN user
+   * @param {string} [options.password] - AUTH PLAIN password
+   * @param {string} [options.heloName="localhost"] - Name sent with EHLO
+   * @param {Function} [options.connect] - `(address, options) => socket`, defaults to `cloudflare:sockets`
+   */
+  constructor({ host, port = 587, secure = "starttls", username, password, heloName = "localhost", connect = connectSocket } = {}) {
+    this.name = "smtp";
+    this.host = host;
+    this.port = Number(port);
+    this.secure = secure;
+    this.username = username;
+    this.password = password;
+    this.heloName = heloName;
+    this.connect = connect;
+  }
+
+  /**
+   * Send an email.
+   *
+   * @param {Object} message
+   * @param {string} message.from - Sender, optionally "Name <address>"
+   * @param {string} message.to - Recipient address
+   * @param {string} message.subject - Subject line
+   * @param {string} message.text - Plain-text body
+   * @param {string} message.html - HTML body
+   * @returns {Promise<{messageId: string}>} The Message-ID header value
+   */
+  async send({ from, to, subject, text, html }) {
+    const { raw, messageId } = buildMimeMessage({ from, to, subject, text, html });
+
+    let socket;
+    try {
+      socket = await this.connect(
+        { hostname: this.host, port: this.port },
+        { secureTransport: this.secure, allowHalfOpen: false }
+      );
+    } catch (error) {
+      throw Object.assign(new Error(`SMTP connection failed: ${error.message}`), { retryable: true });
+    }
+
+    const session = new SmtpSession(socket);
+    try {
+      await session.command(null, [220]);
+      await session.command(`EHLO ${this.heloName}`, [250]);
+
+      if (this.secure === "starttls") {
+        await session.command("STARTTLS", [220]);
+        session.upgrade();
+        await session.command(`EHLO ${this.heloName}`, [250]);
+      }
+
+      if (this.username) {
+        await session.command(`AUTH PLAIN ${base64Encode(`\0${this.username}\0${this.password || ""}`)}`, [235]);
+      }
+
+      await session.command(`MAIL FROM:<${envelopeAddress(from)}>`, [250]);
+      await session.command(`RCPT TO:<${envelopeAddress(to)}>`, [250, 251]);
+      await session.command("DATA", [354]);
+      // The message already ends with CRLF, so "." completes the terminator line
+      await session.command(`${dotStuff(raw)}.`, [250]);
+      await session.command("QUIT", [221]).catch(() => {});
+
+      return { messageId };
+    } finally {
+      await session.close().catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,252 @@
+/**
+ * Template engine and named per-tenant message templates.
+ *
+ * - Templates use `{code}`, `{app_name}`, `{expires_minutes}` and `{domain}`.
+ *   Every occurrence is replaced; `{{` and `}}` write literal braces.
+ * - Values are inserted once and never re-scanned, and control characters
+ *   in them are replaced with spaces, so a value cannot inject placeholders
+ *   or extra lines.
+ * - Rendered messages are checked against their SMS encoding: characters
+ *   outside GSM-7 (unless the template is declared `unicode`) and messages
+ *   longer than one segment are issues. Templates with `validation: "reject"`
+ *   refuse them, at save time and at send time; `"warn"` only reports them.
+ * - Named templates are stored per tenant with optional per-locale bodies,
+ *   picked like the built-in catalog in `sms-templates`.
+ *
+ * @module message-templates
+ */
+
+import { z } from "@hono/zod-openapi";
+import { analyzeSms } from "./sms-encoding.js";
+import { findLocalizedTemplate, normalizeLocale } from "./sms-templates.js";
+import { DEFAULT_EXPIRES_IN } from "./verification-sessions.js";
+
+export const TEMPLATE_VARIABLES = ["code", "app_name", "expires_minutes", "domain"];
+export const TEMPLATE_VALIDATIONS = ["reject", "warn"];
+
+const PLACEHOLDER = /\{\{|\}\}|\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+const templateKey = (tenantId, name) => `template:${tenantId}:${name}`;
+
+/**
+ * Raised when a template cannot be saved or a message cannot be sent with it.
+ */
+export class TemplateError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = "TemplateError";
+    this.issues = issues;
+  }
+}
+
+/**
+ * Zod schema for a named template as saved through the API.
+ */
+export const messageTemplateSchema = z.object({
+  body: z.string().min(1).max(1600).describe("Default text, e.g. \"{app_name}: your code is {code}\""),
+  locales: z.record(z.string().min(1).max(1600)).optional().describe("Text per locale, e.g. { \"pt-BR\": \"...\" }"),
+  appName: z.string().max(50).optional().describe("Value of {app_name}"),
+  domain: z.string().max(253).optional().describe("Value of {domain}"),
+  unicode: z.boolean().optional().default(false).describe("Allow characters outside GSM-7 (UCS-2 messages)"),
+  validation: z.enum(TEMPLATE_VALIDATIONS).optional().default("reject").describe("Reject or only warn about encoding issues")
+});
+
+// Control characters (including newlines) are replaced in inserted values
+const sanitizeValue = (value) => String(value).replace(/[\u0000-\u001f\u007f]+/g, " ");
+
+/**
+ * Render a template. Unknown placeholders are left as they are.
+ *
+ * @param {string} template - Template text
+ * @param {Object} [variables] - Values by variable name
+ * @returns {string}
+ */
+export function renderTemplate(template, variables = {}) {
+  return template.replace(PLACEHOLDER, (match, name) => {
+    if (match === "{{") return "{";
+    if (match === "}}") return "}";
+    const value = variables[name];
+    return value === undefined || value === null ? match : sanitizeValue(value);
+  });
+}
+
+/**
+ * Escape text so that it renders as it is.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeTemplate(text) {
+  return text.replace(/[{}]/g, brace => brace + brace);
+}
+
+/**
+ * Names of the placeholders in a template, each once.
+ *
+ * @param {string} template - Template text
+ * @returns {string[]}
+ */
+export function templatePlaceholders(template) {
+  return [...new Set([...template.matchAll(PLACEHOLDER)].map(match => match[1]).filter(Boolean))];
+}
+
+/**
+ * Problems that make a template unusable: unknown variables or no `{code}`.
+ *
+ * @param {string} template - Template text
+ * @returns {string[]} Error messages; empty when the template is valid
+ */
+export function validateTemplate(template) {
+  const names = templatePlaceholders(template);
+  const unknown = names.filter(name => !TEMPLATE_VARIABLES.includes(name));
+
+  const errors = unknown.map(name => `Unknown variable {${name}}; use ${TEMPLATE_VARIABLES.map(known => `{${known}}`).join(", ")}`);
+  if (!names.includes("code")) errors.push("Template must contain {code}");
+  return errors;
+}
+
+/**
+ * Analyze a rendered message and list its encoding issues.
+ *
+ * @param {string} text - Rendered message
+ * @param {Object} [options]
+ * @param {boolean} [options.unicode=false] - Whether UCS-2 is expected
+ * @returns {{analysis: Object, issues: Array<{code: string, message: string}>}}
+ */
+export function checkMessage(text, { unicode = false } = {}) {
+  const analysis = analyzeSms(text);
+  const issues = [];
+
+  if (!unicode && analysis.encoding === "UCS-2") {
+    issues.push({
+      code: "non_gsm_characters",
+      message: `Characters outside GSM-7 force UCS-2 encoding: ${analysis.nonGsmCharacters.join(" ")}`,
+      characters: analysis.nonGsmCharacters
+    });
+  }
+  if (analysis.segments > 1) {
+    issues.push({
+      code: "multiple_segments",
+      message: `Message is ${analysis.units} ${analysis.encoding === "GSM-7" ? "septets" : "UCS-2 units"} and splits into ${analysis.segments} segments`,
+      segments: analysis.segments
+    });
+  }
+
+  return { analysis, issues };
+}
+
+/**
+ * Variables for rendering a verification message.
+ *
+ * @param {Object} options
+ * @param {string} options.code - Verification code
+ * @param {number} [options.expiresIn=DEFAULT_EXPIRES_IN] - Code lifetime in seconds
+ * @param {string} [options.appName] - Value of {app_name}
+ * @param {string} [options.domain] - Value of {domain}
+ * @returns {Object}
+ */
+export function templateVariables({ code, expiresIn = DEFAULT_EXPIRES_IN, appName = "", domain = "" }) {
+  return {
+    code,
+    app_name: appName,
+    expires_minutes: String(Math.ceil(expiresIn / 60)),
+    domain
+  };
+}
+
+/**
+ * Pick a named template's text for the request's locale, falling back to its body.
+ *
+ * @param {Object} template - Stored template
+ * @param {Object} [options] - `locale`, `acceptLanguage` and `phoneNumber`, as for `findLocalizedTemplate`
+ * @returns {{template: string, locale: string|undefined}}
+ */
+export function localizeMessageTemplate(template, options = {}) {
+  return findLocalizedTemplate([template.locales], options) || { template: template.body, locale: undefined };
+}
+
+/**
+ * Validate and store a named template. Every body is rendered with sample
+ * values and checked; with `validation: "reject"` any issue refuses the save.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} tenantId - Tenant the template belongs to
+ * @param {string} name - Template name
+ * @param {Object} input - Parsed `messageTemplateSchema` body
+ * @param {Object} sample - Sample variables, e.g. from `templateVariables`
+ * @returns {Promise<{template: Object, analysis: Object, warnings: string[]}>}
+ *   The stored template, the analysis of its default body, and the issues it was saved with
+ * @throws {TemplateError} When a body is invalid, or has issues and validation is "reject"
+ */
+export async function saveMessageTemplate(store, tenantId, name, input, sample) {
+  const locales = Object.fromEntries(Object.entries(input.locales || {})
+    .map(([locale, body]) => [normalizeLocale(locale), body]));
+  const bodies = [["default", input.body], ...Object.entries(locales)];
+
+  const errors = bodies.flatMap(([label, body]) => validateTemplate(body).map(error => `${label}: ${error}`));
+  if (errors.length) throw new TemplateError("Invalid template", errors.map(message => ({ code: "invalid_template", message })));
+
+  const variables = { ...sample, app_name: input.appName ?? sample.app_name, domain: input.domain ?? sample.domain };
+  const checks = bodies.map(([label, body]) => {
+    const { analysis, issues } = checkMessage(renderTemplate(body, variables), { unicode: input.unicode });
+    return { analysis, issues: issues.map(issue => ({ ...issue, message: `${label}: ${issue.message}` })) };
+  });
+  const issues = checks.flatMap(check => check.issues);
+
+  if (issues.length && input.validation === "reject") {
+    throw new TemplateError("Template has encoding issues", issues);
+  }
+
+  const existing = await store.get(templateKey(tenantId, name));
+  const now = new Date().toISOString();
+  const template = {
+    name,
+    tenantId,
+    body: input.body,
+    locales,
+    appName: input.appName,
+    domain: input.domain,
+    unicode: input.unicode,
+    validation: input.validation,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+
+  await store.put(templateKey(tenantId, name), template);
+  return { template, analysis: checks[0].analysis, warnings: issues.map(issue => issue.message) };
+}
+
+/**
+ * Load a tenant's template.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} tenantId - Tenant
+ * @param {string} name - Template name
+ * @returns {Promise<Object|null>}
+ */
+export async function getMessageTemplate(store, tenantId, name) {
+  return store.get(templateKey(tenantId, name));
+}
+
+/**
+ * List a tenant's templates by name.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} tenantId - Tenant
+ * @returns {Promise<Object[]>}
+ */
+export async function listMessageTemplates(store, tenantId) {
+  const keys = await store.list(templateKey(tenantId, ""));
+  const templates = await Promise.all(keys.map(key => store.get(key)));
+  return templates.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Remove a tenant's template.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} template - Stored template
+ */
+export async function deleteMessageTemplate(store, template) {
+  await store.delete(templateKey(template.tenantId, template.name));
+}
@@ -0,0 +1,179 @@
+/**
+ * Per-destination throttling for verification sends.
+ *
+ * IP rate limiting cannot stop one victim's number being sprayed from many
+ * IPs, so these limits are keyed on the destination phone number and shared
+ * across Worker isolates through the storage adapter (use the Durable Object
+ * backend for strongly consistent counters).
+ *
+ * - `resendInterval`: minimum seconds between two sends to a number
+ * - `maxPerHour` / `maxPerDay`: send caps over sliding windows
+ * - Failed verifications beyond `failureThreshold` lock the number for
+ *   `backoffBase * 2^n` seconds (capped at `backoffMax`), blocking both new
+ *   sends and further verification attempts. A successful verification
+ *   resets the failure count.
+ *
+ * @module phone-throttle
+ */
+
+import { z } from "@hono/zod-openapi";
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+export const DEFAULT_PHONE_LIMITS = Object.freeze({
+  resendInterval: 30,
+  maxPerHour: 5,
+  maxPerDay: 10,
+  failureThreshold: 3,
+  backoffBase: 60,
+  backoffMax: DAY
+});
+
+/**
+ * Zod schema for partial limits from configuration (`PHONE_THROTTLE`).
+ */
+export const phoneLimitsSchema = z.object({
+  resendInterval: z.number().int().min(0).optional(),
+  maxPerHour: z.number().int().min(1).optional(),
+  maxPerDay: z.number().int().min(1).optional(),
+  failureThreshold: z.number().int().min(0).optional(),
+  backoffBase: z.number().int().min(1).optional(),
+  backoffMax: z.number().int().min(1).optional()
+});
+
+/**
+ * Error messages for each throttle reason.
+ */
+export const THROTTLE_ERRORS = {
+  locked: "Too many failed verifications for this phone number",
+  resend_interval: "Please wait before requesting another code",
+  hourly_limit: "Too many codes sent to this phone number in the last hour",
+  daily_limit: "Too many codes sent to this phone number today"
+};
+
+const stateKey = (phoneNumber) => `throttle:phone:${phoneNumber}`;
+
+/**
+ * Merge partial limits over the defaults; later sources win.
+ *
+ * @param {...(Object|string)} sources - Partial limits or JSON strings, lowest priority first
+ * @returns {Object} Complete limits
+ */
+export function resolvePhoneLimits(...sources) {
+  const limits = { ...DEFAULT_PHONE_LIMITS };
+  for (const source of sources) {
+    if (!source) continue;
+    const parsed = phoneLimitsSchema.parse(typeof source === "string" ? JSON.parse(source) : source);
+    for (const [key, value] of Object.entries(parsed)) {
+      if (value !== undefined) limits[key] = value;
+    }
+  }
+  return limits;
+}
+
+async function load(store, phoneNumber) {
+  const state = await store.get(stateKey(phoneNumber));
+  const dayAgo = Date.now() - DAY * 1000;
+  return {
+    sends: (state?.sends || []).filter(sentAt => sentAt > dayAgo),
+    failures: state?.failures || 0,
+    lockedUntil: state?.lockedUntil || 0
+  };
+}
+
+async function save(store, phoneNumber, state) {
+  const lockRemaining = Math.max(0, (state.lockedUntil - Date.now()) / 1000);
+  await store.put(stateKey(phoneNumber), state, { ttl: Math.max(DAY, lockRemaining) });
+}
+
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+/**
+ * Check whether a number is currently locked by failed verifications.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {Promise<{allowed: boolean, reason?: string, retryAfter?: number}>}
+ */
+export async function checkVerifyAllowed(store, phoneNumber) {
+  const { lockedUntil } = await load(store, phoneNumber);
+  if (lockedUntil > Date.now()) {
+    return { allowed: false, reason: "locked", retryAfter: secondsUntil(lockedUntil) };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Check whether another code may be sent to a number.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {Object} [limits] - Complete limits from `resolvePhoneLimits`
+ * @returns {Promise<{allowed: boolean, reason?: string, retryAfter?: number}>}
+ *   `retryAfter` is in seconds
+ */
+export async function checkSendAllowed(store, phoneNumber, limits = DEFAULT_PHONE_LIMITS) {
+  const state = await load(store, phoneNumber);
+  const now = Date.now();
+
+  if (state.lockedUntil > now) {
+    return { allowed: false, reason: "locked", retryAfter: secondsUntil(state.lockedUntil) };
+  }
+
+  const lastSend = state.sends[state.sends.length - 1];
+  if (lastSend && limits.resendInterval && lastSend + limits.resendInterval * 1000 > now) {
+    return { allowed: false, reason: "resend_interval", retryAfter: secondsUntil(lastSend + limits.resendInterval * 1000) };
+  }
+
+  const hourAgo = now - HOUR * 1000;
+  const lastHour = state.sends.filter(sentAt => sentAt > hourAgo);
+  if (lastHour.length >= limits.maxPerHour) {
+    return { allowed: false, reason: "hourly_limit", retryAfter: secondsUntil(lastHour[lastHour.length - limits.maxPerHour] + HOUR * 1000) };
+  }
+
+  if (state.sends.length >= limits.maxPerDay) {
+    return { allowed: false, reason: "daily_limit", retryAfter: secondsUntil(state.sends[state.sends.length - limits.maxPerDay] + DAY * 1000) };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Record a send to a number.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} phoneNumber - E.164 phone number
+ */
+export async function recordSend(store, phoneNumber) {
+  const state = await load(store, phoneNumber);
+  state.sends.push(Date.now());
+  await save(store, phoneNumber, state);
+}
+
+/**
+ * Record the outcome of a verification attempt. Failures past the threshold
+ * lock the number with exponential backoff; a success clears the failures.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {boolean} verified - Whether the code was correct
+ * @param {Object} [limits] - Complete limits from `resolvePhoneLimits`
+ */
+export async function recordVerifyResult(store, phoneNumber, verified, limits = DEFAULT_PHONE_LIMITS) {
+  const state = await load(store, phoneNumber);
+
+  if (verified) {
+    state.failures = 0;
+    state.lockedUntil = 0;
+  } else {
+    state.failures += 1;
+    const excess = state.failures - limits.failureThreshold;
+    if (excess > 0) {
+      const backoff = Math.min(limits.backoffBase * 2 ** (excess - 1), limits.backoffMax);
+      state.lockedUntil = Date.now() + backoff * 1000;
+    }
+  }
+
+  await save(store, phoneNumber, state);
+}
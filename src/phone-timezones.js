@@ -0,0 +1,152 @@
+/**
+ * Time zones for phone numbers and local wall-clock times.
+ *
+ * - A number's time zone is guessed from its country. Countries spanning
+ *   several zones use their most populous one (America/New_York for +1 US
+ *   numbers), so callers that know better should pass a zone.
+ * - Local times such as "2026-10-20T09:00" are converted to UTC with the
+ *   zone's offset at that moment, daylight saving included. Times skipped
+ *   by a spring-forward change move forward by the change.
+ *
+ * Uses only `Intl`, which Workers support with full time zone data.
+ *
+ * @module phone-timezones
+ */
+
+import { getPhoneNumberCountry } from "./verify-phone.ts";
+
+export const DEFAULT_TIMEZONE = "UTC";
+
+/**
+ * Main IANA time zone per ISO country code.
+ */
+export const COUNTRY_TIMEZONES = Object.freeze({
+  AE: "Asia/Dubai",
+  AR: "America/Argentina/Buenos_Aires",
+  AT: "Europe/Vienna",
+  AU: "Australia/Sydney",
+  BD: "Asia/Dhaka",
+  BE: "Europe/Brussels",
+  BG: "Europe/Sofia",
+  BR: "America/Sao_Paulo",
+  CA: "America/Toronto",
+  CH: "Europe/Zurich",
+  CL: "America/Santiago",
+  CN: "Asia/Shanghai",
+  CO: "America/Bogota",
+  CZ: "Europe/Prague",
+  DE: "Europe/Berlin",
+  DK: "Europe/Copenhagen",
+  DO: "America/Santo_Domingo",
+  EC: "America/Guayaquil",
+  EG: "Africa/Cairo",
+  ES: "Europe/Madrid",
+  FI: "Europe/Helsinki",
+  FR: "Europe/Paris",
+  GB: "Europe/London",
+  GH: "Africa/Accra",
+  GR: "Europe/Athens",
+  HK: "Asia/Hong_Kong",
+  HU: "Europe/Budapest",
+  ID: "Asia/Jakarta",
+  IE: "Europe/Dublin",
+  IL: "Asia/Jerusalem",
+  IN: "Asia/Kolkata",
+  IT: "Europe/Rome",
+  JM: "America/Jamaica",
+  JP: "Asia/Tokyo",
+  KE: "Africa/Nairobi",
+  KR: "Asia/Seoul",
+  KZ: "Asia/Almaty",
+  LK: "Asia/Colombo",
+  MA: "Africa/Casablanca",
+  MX: "America/Mexico_City",
+  MY: "Asia/Kuala_Lumpur",
+  NG: "Africa/Lagos",
+  NL: "Europe/Amsterdam",
+  NO: "Europe/Oslo",
+  NZ: "Pacific/Auckland",
+  PE: "America/Lima",
+  PH: "Asia/Manila",
+  PK: "Asia/Karachi",
+  PL: "Europe/Warsaw",
+  PR: "America/Puerto_Rico",
+  PT: "Europe/Lisbon",
+  RO: "Europe/Bucharest",
+  RS: "Europe/Belgrade",
+  RU: "Europe/Moscow",
+  SA: "Asia/Riyadh",
+  SE: "Europe/Stockholm",
+  SG: "Asia/Singapore",
+  TH: "Asia/Bangkok",
+  TR: "Europe/Istanbul",
+  TW: "Asia/Taipei",
+  UA: "Europe/Kyiv",
+  US: "America/New_York",
+  VE: "America/Caracas",
+  VN: "Asia/Ho_Chi_Minh",
+  ZA: "Africa/Johannesburg"
+});
+
+/**
+ * Whether the runtime knows a time zone.
+ *
+ * @param {string} timeZone - IANA name, e.g. "Europe/Berlin"
+ * @returns {boolean}
+ */
+export function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Guess a phone number's time zone from its country.
+ *
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {string|null} IANA name, or null for countries not in the table
+ */
+export function timezoneForPhoneNumber(phoneNumber) {
+  return COUNTRY_TIMEZONES[getPhoneNumberCountry(phoneNumber)] || null;
+}
+
+// Milliseconds the zone is ahead of UTC at a moment
+function offsetAt(time, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit"
+  }).formatToParts(time).map(({ type, value }) => [type, Number(value)]));
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (time - time % 1000);
+}
+
+/**
+ * Convert a local wall-clock time in a zone to a UTC timestamp.
+ *
+ * @param {string} localTime - "YYYY-MM-DDTHH:mm" or "YYYY-MM-DDTHH:mm:ss", without an offset
+ * @param {string} timeZone - IANA name
+ * @returns {number} Milliseconds since the epoch, or NaN for an invalid time
+ */
+export function zonedTimeToUtc(localTime, timeZone) {
+  const wallClock = Date.parse(`${localTime}Z`);
+  if (Number.isNaN(wallClock)) return NaN;
+
+  // Near a daylight saving change the offset at the wall-clock time can be
+  // wrong, so correct the guess with the offset at the guess itself
+  const guess = wallClock - offsetAt(wallClock, timeZone);
+  const corrected = wallClock - offsetAt(guess, timeZone);
+  if (offsetAt(corrected, timeZone) === offsetAt(guess, timeZone)) return corrected;
+
+  // No such local time (clocks went forward over it): take the later reading
+  return Math.max(guess, corrected);
+}
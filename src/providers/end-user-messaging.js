@@ -0,0 +1,122 @@
+/**
+ * AWS End User Messaging SMS and voice provider (`pinpoint-sms-voice-v2`
+ * `SendTextMessage` and `SendVoiceMessage`), the successor to SNS for direct SMS.
+ * Voice calls need a voice-capable phone number as the origination identity.
+ *
+ * Delivery events are published through configuration sets, so there is no
+ * per-message status lookup.
+ *
+ * @module providers/end-user-messaging
+ */
+
+import { signAwsRequest } from "../aws-sigv4.js";
+
+export class EndUserMessagingProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.accessKeyId - AWS access key ID
+   * @param {string} options.secretAccessKey - AWS secret access key
+   * @param {string} [options.region='us-east-1'] - AWS region
+   * @param {string} [options.originationIdentity] - Phone number, sender ID or pool to send from
+   * @param {string} [options.configurationSetName] - Configuration set for delivery events
+   * @param {string} [options.endpoint] - Override the API endpoint
+   */
+  constructor({ accessKeyId, secretAccessKey, region = "us-east-1", originationIdentity, configurationSetName, endpoint } = {}) {
+    this.name = "end-user-messaging";
+    this.region = region;
+    this.capabilities = {
+      channels: ["sms", "voice"],
+      senderId: false,
+      statusLookup: false
+    };
+    this.credentials = { accessKeyId, secretAccessKey };
+    this.originationIdentity = originationIdentity;
+    this.configurationSetName = configurationSetName;
+    this.endpoint = endpoint || `https://sms-voice.${region}.amazonaws.com`;
+  }
+
+  /**
+   * Call a `PinpointSMSVoiceV2` JSON action.
+   *
+   * @param {string} action - e.g. "SendTextMessage"
+   * @param {Object} params - Request body
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async request(action, params) {
+    const url = `${this.endpoint}/`;
+    const body = JSON.stringify(params);
+    const headers = await signAwsRequest({
+      method: "POST",
+      url,
+      headers: {
+        "content-type": "application/x-amz-json-1.0",
+        "x-amz-target": `PinpointSMSVoiceV2.${action}`
+      },
+      body,
+      service: "sms-voice",
+      region: this.region,
+      ...this.credentials
+    });
+
+    const response = await fetch(url, { method: "POST", headers, body });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const code = (data.__type || "").split("#").pop() || undefined;
+      throw Object.assign(
+        new Error(`End User Messaging request failed: ${code || response.status}: ${data.message || data.Message || "Unknown error"}`),
+        { code, status: response.status }
+      );
+    }
+    return data;
+  }
+
+  /**
+   * Send a text message.
+   *
+   * @param {Object} message
+   * @param {string} message.to - E.164 destination
+   * @param {string} message.body - Message text
+   * @param {string} [message.smsType='Transactional'] - "Transactional" or "Promotional"
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send({ to, body, smsType = "Transactional" }) {
+    const response = await this.request("SendTextMessage", {
+      DestinationPhoneNumber: to,
+      MessageBody: body,
+      MessageType: smsType.toUpperCase(),
+      OriginationIdentity: this.originationIdentity,
+      ConfigurationSetName: this.configurationSetName
+    });
+    return { messageId: response.MessageId };
+  }
+
+  /**
+   * Place a text-to-speech call.
+   *
+   * @param {Object} message
+   * @param {string} message.to - E.164 destination
+   * @param {string} message.ssml - SSML document to speak
+   * @param {string} [message.voice] - Polly voice name, e.g. "Joanna"
+   * @returns {Promise<{messageId: string}>}
+   */
+  async call({ to, ssml, voice }) {
+    const response = await this.request("SendVoiceMessage", {
+      DestinationPhoneNumber: to,
+      OriginationIdentity: this.originationIdentity,
+      MessageBody: ssml,
+      MessageBodyTextType: "SSML",
+      VoiceId: voice?.toUpperCase(),
+      ConfigurationSetName: this.configurationSetName
+    });
+    return { messageId: response.MessageId };
+  }
+
+  /**
+   * @param {string} messageId - Provider message ID
+   * @returns {Promise<{messageId: string, status: string}>}
+   */
+  async status(messageId) {
+    return { messageId, status: "unknown" };
+  }
+}
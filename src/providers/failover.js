@@ -0,0 +1,271 @@
+/**
+ * Retries, circuit breakers and ordered failover across SMS providers.
+ *
+ * - Retryable failures (throttling, 5xx, network errors) are retried with
+ *   full-jitter exponential backoff: `random(0, min(maxDelay, baseDelay * 2^n))`.
+ * - Each provider target ("sns:us-east-1", "twilio", ...) has a circuit
+ *   breaker. `breakerThreshold` consecutive retryable failures open it for
+ *   `breakerCooldown` seconds; after that one trial request decides whether it
+ *   closes again.
+ * - When a target's retries run out or its breaker is open, the next target
+ *   in the failover list is tried.
+ * - Non-retryable failures (invalid number, opted out, bad credentials) are
+ *   returned straight away: another provider would refuse them too.
+ *
+ * Breaker state is kept per isolate, like the token nonce cache.
+ *
+ * @module providers/failover
+ */
+
+import { z } from "@hono/zod-openapi";
+
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 3,
+  baseDelay: 200,
+  maxDelay: 2000,
+  breakerThreshold: 5,
+  breakerCooldown: 30
+});
+
+/**
+ * Zod schema for a partial retry policy from configuration (`SMS_RETRY`).
+ * Delays are in milliseconds, the breaker cooldown in seconds.
+ */
+export const retryPolicySchema = z.object({
+  maxAttempts: z.number().int().min(1).max(10).optional(),
+  baseDelay: z.number().int().min(0).optional(),
+  maxDelay: z.number().int().min(0).optional(),
+  breakerThreshold: z.number().int().min(1).optional(),
+  breakerCooldown: z.number().int().min(1).optional()
+});
+
+// Provider error codes that mean "try again later"
+const RETRYABLE_CODES = new Set([
+  "Throttling",
+  "ThrottlingException",
+  "TooManyRequestsException",
+  "ServiceUnavailable",
+  "ServiceUnavailableException",
+  "InternalError",
+  "InternalFailure",
+  "InternalServerException",
+  "RequestTimeout",
+  "20429" // Twilio: too many requests
+]);
+
+/**
+ * Merge partial retry policies over the defaults; later sources win.
+ *
+ * @param {...(Object|string)} sources - Partial policies or JSON strings, lowest priority first
+ * @returns {Object} Complete policy
+ */
+export function resolveRetryPolicy(...sources) {
+  const policy = { ...DEFAULT_RETRY_POLICY };
+  for (const source of sources) {
+    if (!source) continue;
+    const parsed = retryPolicySchema.parse(typeof source === "string" ? JSON.parse(source) : source);
+    for (const [key, value] of Object.entries(parsed)) {
+      if (value !== undefined) policy[key] = value;
+    }
+  }
+  return policy;
+}
+
+/**
+ * Whether a provider error is worth retrying.
+ *
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (typeof error?.retryable === "boolean") return error.retryable;
+  if (error?.name === "TypeError") return true; // fetch network failure
+  if (error?.status >= 500 || error?.status === 429) return true;
+  return RETRYABLE_CODES.has(String(error?.code));
+}
+
+/**
+ * Full-jitter backoff before the next attempt.
+ *
+ * @param {number} attempt - Attempts made so far (1-based)
+ * @param {Object} policy - Complete retry policy
+ * @param {Function} [random=Math.random] - Source of randomness
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelay(attempt, policy, random = Math.random) {
+  const cap = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.floor(random() * cap);
+}
+
+/**
+ * Circuit breakers keyed by provider target.
+ */
+export class CircuitBreakerRegistry {
+  constructor() {
+    this.breakers = new Map();
+  }
+
+  get(target) {
+    if (!this.breakers.has(target)) {
+      this.breakers.set(target, { state: "closed", failures: 0, openedAt: null, trialStartedAt: null });
+    }
+    return this.breakers.get(target);
+  }
+
+  /**
+   * Whether a request may go to a target. An open breaker turns half-open
+   * once its cooldown has passed and lets a single trial request through;
+   * others are refused until the trial is recorded, or until another cooldown
+   * passes if it never is.
+   *
+   * @param {string} target - Provider target label
+   * @param {Object} policy - Complete retry policy
+   * @returns {boolean}
+   */
+  canRequest(target, policy) {
+    const breaker = this.get(target);
+    if (breaker.state === "closed") return true;
+
+    const now = Date.now();
+    const since = breaker.state === "half_open" ? breaker.trialStartedAt : breaker.openedAt;
+    if (now - since < policy.breakerCooldown * 1000) return false;
+    breaker.state = "half_open";
+    breaker.trialStartedAt = now;
+    return true;
+  }
+
+  recordSuccess(target) {
+    Object.assign(this.get(target), { state: "closed", failures: 0, openedAt: null, trialStartedAt: null });
+  }
+
+  recordFailure(target, policy) {
+    const breaker = this.get(target);
+    breaker.failures += 1;
+    if (breaker.state === "half_open" || breaker.failures >= policy.breakerThreshold) {
+      breaker.state = "open";
+      breaker.openedAt = Date.now();
+      breaker.trialStartedAt = null;
+    }
+  }
+
+  /**
+   * Current state of every breaker, for health checks.
+   *
+   * @returns {Object[]} `{ target, state, failures, openedAt }`
+   */
+  snapshot() {
+    return [...this.breakers.entries()].map(([target, breaker]) => ({
+      target,
+      state: breaker.state,
+      failures: breaker.failures,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null
+    }));
+  }
+
+  reset() {
+    this.breakers.clear();
+  }
+}
+
+/**
+ * Breakers shared by every request in this isolate.
+ */
+export const circuitBreakers = new CircuitBreakerRegistry();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Provider that sends through an ordered list of targets with retries and
+ * circuit breakers. It exposes the primary provider's name and capabilities,
+ * and `send` reports the target that actually delivered.
+ */
+export class FailoverProvider {
+  /**
+   * @param {Array<{target: string, provider: Object}>} targets - Providers in failover order
+   * @param {Object} [options]
+   * @param {Object} [options.policy] - Complete retry policy
+   * @param {CircuitBreakerRegistry} [options.breakers] - Breaker registry
+   * @param {Function} [options.sleep] - Delay function, for tests
+   */
+  constructor(targets, { policy = DEFAULT_RETRY_POLICY, breakers = circuitBreakers, sleep: wait = sleep } = {}) {
+    this.targets = targets;
+    this.policy = policy;
+    this.breakers = breakers;
+    this.sleep = wait;
+    this.name = targets[0].provider.name;
+    this.capabilities = targets[0].provider.capabilities;
+  }
+
+  /**
+   * Send a text message.
+   *
+   * @param {Object} message - See the provider `send` interface
+   * @returns {Promise<{messageId: string, provider: string}>} `provider` is the delivering target
+   * @throws {Error} The last provider error; `retryable` is true when every target was unavailable
+   */
+  async send(message) {
+    return this.dispatch("send", message);
+  }
+
+  /**
+   * Place a text-to-speech call.
+   *
+   * @param {Object} message - See the provider `call` interface
+   * @returns {Promise<{messageId: string, provider: string}>}
+   */
+  async call(message) {
+    return this.dispatch("call", message);
+  }
+
+  /**
+   * Send a WhatsApp template message.
+   *
+   * @param {Object} message - See the WhatsApp provider `sendTemplate` interface
+   * @returns {Promise<{messageId: string, provider: string}>}
+   */
+  async sendTemplate(message) {
+    return this.dispatch("sendTemplate", message);
+  }
+
+  async dispatch(method, message) {
+    let lastError;
+
+    for (const { target, provider } of this.targets) {
+      for (let attempt = 1; attempt <= this.policy.maxAttempts; attempt++) {
+        if (!this.breakers.canRequest(target, this.policy)) break;
+
+        try {
+          const result = await provider[method](message);
+          this.breakers.recordSuccess(target);
+          return { ...result, provider: target };
+        } catch (error) {
+          if (!isRetryableError(error)) {
+            // The target answered, so it is up; this also settles a half-open trial
+            this.breakers.recordSuccess(target);
+            throw error;
+          }
+
+          this.breakers.recordFailure(target, this.policy);
+          lastError = error;
+          if (attempt < this.policy.maxAttempts) {
+            await this.sleep(backoffDelay(attempt, this.policy));
+          }
+        }
+      }
+    }
+
+    const error = lastError || Object.assign(new Error("All SMS providers are unavailable"), { code: "providers_unavailable" });
+    error.retryable = true;
+    throw error;
+  }
+
+  /**
+   * Look up a message's status with the primary provider.
+   *
+   * @param {string} messageId - Provider message ID
+   * @returns {Promise<Object>}
+   */
+  async status(messageId) {
+    return this.targets[0].provider.status(messageId);
+  }
+}
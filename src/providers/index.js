@@ -0,0 +1,274 @@
+/**
+ * SMS provider registry and routing.
+ *
+ * Every provider implements the same interface:
+ * - `name` and `capabilities` (`channels`, `senderId`, `statusLookup`)
+ * - `send({ to, body, senderId, smsType })` resolves to `{ messageId }`
+ * - `status(messageId)` resolves to `{ messageId, status }` where status is
+ *   one of queued, sent, delivered, undelivered, failed or unknown
+ * - Voice-capable providers (`capabilities.channels` includes "voice") also
+ *   implement `call({ to, ssml, text, locale, voice })`
+ *
+ * The provider for a message is picked from `SMS_ROUTING` (JSON), most
+ * specific first: tenant + country, tenant, country, then `SMS_PROVIDER`
+ * (default "sns"):
+ *
+ * ```json
+ * {
+ *   "countries": { "IN": "vonage" },
+ *   "failover": ["sns:us-west-2", "twilio"],
+ *   "tenants": { "acme": { "provider": "twilio", "countries": { "GB": "end-user-messaging" } } }
+ * }
+ * ```
+ *
+ * Voice calls use the tenant's `voiceProvider`, then `VOICE_PROVIDER`
+ * (default "end-user-messaging"). WhatsApp messages always go through the
+ * Cloud API provider, from the tenant's sender in `WHATSAPP_TEMPLATES`.
+ *
+ * `failover` (top level or per tenant) lists the targets tried, in order,
+ * when the selected provider keeps failing; voice calls skip targets that
+ * cannot place calls. A target is a provider name, optionally with an AWS
+ * region. Retries and circuit breakers are tuned with `SMS_RETRY`, see
+ * `providers/failover`.
+ *
+ * Each provider reads its credentials from the environment; the base URL
+ * overrides point a provider at a local HTTP stand-in.
+ *
+ * @module providers
+ */
+
+import { z } from "@hono/zod-openapi";
+import { SnsProvider } from "./sns.js";
+import { TwilioProvider } from "./twilio.js";
+import { VonageProvider } from "./vonage.js";
+import { EndUserMessagingProvider } from "./end-user-messaging.js";
+import { WhatsAppProvider } from "./whatsapp.js";
+import { FailoverProvider, resolveRetryPolicy } from "./failover.js";
+import { parseWhatsAppTemplates, resolveWhatsAppSender } from "../whatsapp-templates.js";
+
+export { SnsProvider, TwilioProvider, VonageProvider, EndUserMessagingProvider, WhatsAppProvider, FailoverProvider };
+
+export const DEFAULT_PROVIDER = "sns";
+export const DEFAULT_VOICE_PROVIDER = "end-user-messaging";
+
+/**
+ * Raised when the selected provider is missing configuration.
+ */
+export class ProviderConfigError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = "ProviderConfigError";
+    this.details = details;
+  }
+}
+
+const requireEnv = (env, names, message) => {
+  const missing = names.filter(name => !env[name]);
+  if (missing.length) {
+    throw new ProviderConfigError(message, `Please set ${missing.join(" and ")} environment variable${missing.length > 1 ? "s" : ""}`);
+  }
+};
+
+const requireAws = (env) => requireEnv(env, ["AWS_ACCESS_KEY_ID", "AWS_SECRET_ACCESS_KEY"], "AWS credentials not configured");
+
+// Build a provider from environment configuration; AWS providers take a region override
+const factories = {
+  sns: (env, region) => {
+    requireAws(env);
+    return new SnsProvider({
+      accessKeyId: env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+      region: region || env.AWS_REGION || "us-east-1",
+      endpoint: env.SNS_ENDPOINT
+    });
+  },
+  "end-user-messaging": (env, region) => {
+    requireAws(env);
+    return new EndUserMessagingProvider({
+      accessKeyId: env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+      region: region || env.AWS_REGION || "us-east-1",
+      originationIdentity: env.SMS_VOICE_ORIGINATION_IDENTITY,
+      configurationSetName: env.SMS_VOICE_CONFIGURATION_SET,
+      endpoint: env.SMS_VOICE_ENDPOINT
+    });
+  },
+  twilio: (env) => {
+    requireEnv(env, ["TWILIO_ACCOUNT_SID", "TWILIO_AUTH_TOKEN"], "Twilio credentials not configured");
+    if (!env.TWILIO_FROM && !env.TWILIO_MESSAGING_SERVICE_SID && !env.TWILIO_VOICE_FROM) {
+      throw new ProviderConfigError("Twilio sender not configured", "Please set TWILIO_FROM or TWILIO_MESSAGING_SERVICE_SID");
+    }
+    return new TwilioProvider({
+      accountSid: env.TWILIO_ACCOUNT_SID,
+      authToken: env.TWILIO_AUTH_TOKEN,
+      from: env.TWILIO_FROM,
+      messagingServiceSid: env.TWILIO_MESSAGING_SERVICE_SID,
+      voiceFrom: env.TWILIO_VOICE_FROM,
+      statusCallback: env.TWILIO_STATUS_CALLBACK_URL,
+      baseUrl: env.TWILIO_BASE_URL
+    });
+  },
+  vonage: (env) => {
+    requireEnv(env, ["VONAGE_API_KEY", "VONAGE_API_SECRET"], "Vonage credentials not configured");
+    return new VonageProvider({
+      apiKey: env.VONAGE_API_KEY,
+      apiSecret: env.VONAGE_API_SECRET,
+      from: env.VONAGE_FROM,
+      baseUrl: env.VONAGE_BASE_URL
+    });
+  }
+};
+
+export const PROVIDER_NAMES = Object.keys(factories);
+
+const providerName = z.enum(PROVIDER_NAMES);
+
+// "sns", "sns:eu-west-1", "twilio", ...
+const failoverTarget = z.string().refine(target => PROVIDER_NAMES.includes(target.split(":")[0]), {
+  message: `Failover targets must start with one of: ${PROVIDER_NAMES.join(", ")}`
+});
+
+/**
+ * Zod schema for `SMS_ROUTING`.
+ */
+export const providerRoutingSchema = z.object({
+  countries: z.record(providerName).optional(),
+  failover: z.array(failoverTarget).optional(),
+  tenants: z.record(z.object({
+    provider: providerName.optional(),
+    voiceProvider: providerName.optional(),
+    countries: z.record(providerName).optional(),
+    failover: z.array(failoverTarget).optional()
+  })).optional()
+});
+
+const parseRouting = (env) => (env.SMS_ROUTING ? providerRoutingSchema.parse(JSON.parse(env.SMS_ROUTING)) : {});
+
+/**
+ * Pick the provider name for a message.
+ *
+ * @param {Object} [env] - Worker environment
+ * @param {Object} [target]
+ * @param {string} [target.tenantId] - Tenant sending the message
+ * @param {string} [target.country] - Destination ISO country code
+ * @returns {string} Provider name
+ */
+export function resolveProviderName(env = {}, { tenantId, country } = {}) {
+  const routing = parseRouting(env);
+  const tenant = tenantId ? routing.tenants?.[tenantId] : undefined;
+
+  return tenant?.countries?.[country]
+    || tenant?.provider
+    || routing.countries?.[country]
+    || env.SMS_PROVIDER
+    || DEFAULT_PROVIDER;
+}
+
+/**
+ * Build a provider by name from environment configuration.
+ *
+ * @param {string} name - Provider name
+ * @param {Object} [env] - Worker environment
+ * @param {Object} [options]
+ * @param {string} [options.region] - AWS region, overriding `AWS_REGION`
+ * @returns {Object} Provider instance
+ * @throws {ProviderConfigError} If the provider is unknown or not configured
+ */
+export function createProvider(name, env = {}, { region } = {}) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new ProviderConfigError(`Unknown SMS provider "${name}"`, `Supported providers: ${PROVIDER_NAMES.join(", ")}`);
+  }
+  return factory(env, region);
+}
+
+// Label used for breakers and reported to clients, e.g. "sns:us-east-1" or "twilio"
+const targetLabel = (provider) => (provider.region ? `${provider.name}:${provider.region}` : provider.name);
+
+// Wrap a primary provider and its failover targets with retries and circuit breakers
+function withFailover(env, primary, { tenantId, channel }) {
+  const routing = parseRouting(env);
+  const failover = (tenantId && routing.tenants?.[tenantId]?.failover) || routing.failover || [];
+
+  const providers = [
+    primary,
+    ...failover
+      .map(entry => {
+        const [name, region] = entry.split(":");
+        return createProvider(name, env, { region });
+      })
+      .filter(provider => provider.capabilities.channels.includes(channel))
+  ];
+
+  // The same target listed twice would only repeat the retries
+  const targets = [];
+  for (const provider of providers) {
+    const label = targetLabel(provider);
+    if (!targets.some(existing => existing.target === label)) {
+      targets.push({ target: label, provider });
+    }
+  }
+
+  return new FailoverProvider(targets, { policy: resolveRetryPolicy(env.SMS_RETRY) });
+}
+
+/**
+ * Build the provider that should deliver a message: the routed provider
+ * followed by its failover targets, wrapped with retries and circuit breakers.
+ *
+ * @param {Object} [env] - Worker environment
+ * @param {Object} [target] - `{ tenantId, country }`, see `resolveProviderName`
+ * @returns {FailoverProvider} Provider instance
+ * @throws {ProviderConfigError} If the selected or a failover provider is not configured
+ */
+export function getProvider(env = {}, target = {}) {
+  const primary = createProvider(resolveProviderName(env, target), env);
+  return withFailover(env, primary, { tenantId: target.tenantId, channel: "sms" });
+}
+
+/**
+ * Build the provider that should place a voice call, with voice-capable
+ * failover targets.
+ *
+ * @param {Object} [env] - Worker environment
+ * @param {Object} [target]
+ * @param {string} [target.tenantId] - Tenant placing the call
+ * @returns {FailoverProvider} Provider instance
+ * @throws {ProviderConfigError} If the voice provider is not configured or cannot place calls
+ */
+export function getVoiceProvider(env = {}, { tenantId } = {}) {
+  const routing = parseRouting(env);
+  const name = (tenantId && routing.tenants?.[tenantId]?.voiceProvider) || env.VOICE_PROVIDER || DEFAULT_VOICE_PROVIDER;
+
+  const primary = createProvider(name, env);
+  if (!primary.capabilities.channels.includes("voice")) {
+    throw new ProviderConfigError(`SMS provider "${name}" cannot place voice calls`, "Set VOICE_PROVIDER to end-user-messaging or twilio");
+  }
+  return withFailover(env, primary, { tenantId, channel: "voice" });
+}
+
+/**
+ * Build the WhatsApp Cloud API provider, sending from the tenant's number
+ * in `WHATSAPP_TEMPLATES` or `WHATSAPP_PHONE_NUMBER_ID`.
+ *
+ * @param {Object} [env] - Worker environment
+ * @param {Object} [target]
+ * @param {string} [target.tenantId] - Tenant sending the message
+ * @returns {FailoverProvider} Provider instance
+ * @throws {ProviderConfigError} If the access token or sender is not configured
+ */
+export function getWhatsAppProvider(env = {}, { tenantId } = {}) {
+  requireEnv(env, ["WHATSAPP_ACCESS_TOKEN"], "WhatsApp credentials not configured");
+  const phoneNumberId = resolveWhatsAppSender(parseWhatsAppTemplates(env.WHATSAPP_TEMPLATES), tenantId, env.WHATSAPP_PHONE_NUMBER_ID);
+  if (!phoneNumberId) {
+    throw new ProviderConfigError("WhatsApp sender not configured", "Please set WHATSAPP_PHONE_NUMBER_ID environment variable");
+  }
+
+  const provider = new WhatsAppProvider({
+    accessToken: env.WHATSAPP_ACCESS_TOKEN,
+    phoneNumberId,
+    apiVersion: env.WHATSAPP_API_VERSION,
+    baseUrl: env.WHATSAPP_BASE_URL
+  });
+  return new FailoverProvider([{ target: "whatsapp", provider }], { policy: resolveRetryPolicy(env.SMS_RETRY) });
+}
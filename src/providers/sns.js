@@ -0,0 +1,64 @@
+/**
+ * AWS SNS SMS provider (`Publish` to a phone number).
+ *
+ * SNS has no per-message status lookup; delivery results arrive through
+ * SNS delivery status logging instead.
+ *
+ * @module providers/sns
+ */
+
+import { SNSClient } from "../sns.js";
+
+export class SnsProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.accessKeyId - AWS access key ID
+   * @param {string} options.secretAccessKey - AWS secret access key
+   * @param {string} [options.region='us-east-1'] - AWS region
+   * @param {string} [options.endpoint] - Override the SNS endpoint
+   */
+  constructor({ accessKeyId, secretAccessKey, region = "us-east-1", endpoint } = {}) {
+    this.name = "sns";
+    this.region = region;
+    this.capabilities = {
+      channels: ["sms"],
+      senderId: true,
+      statusLookup: false
+    };
+    this.client = new SNSClient({ accessKeyId, secretAccessKey, region, endpoint });
+  }
+
+  /**
+   * Send a text message.
+   *
+   * @param {Object} message
+   * @param {string} message.to - E.164 destination
+   * @param {string} message.body - Message text
+   * @param {string} [message.senderId] - Alphanumeric sender ID
+   * @param {string} [message.smsType='Transactional'] - "Transactional" or "Promotional"
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send({ to, body, senderId, smsType = "Transactional" }) {
+    const params = {
+      Message: body,
+      PhoneNumber: to,
+      "MessageAttributes.entry.1.Name": "AWS.SNS.SMS.SenderID",
+      "MessageAttributes.entry.1.Value.DataType": "String",
+      "MessageAttributes.entry.1.Value.StringValue": senderId,
+      "MessageAttributes.entry.2.Name": "AWS.SNS.SMS.SMSType",
+      "MessageAttributes.entry.2.Value.DataType": "String",
+      "MessageAttributes.entry.2.Value.StringValue": smsType
+    };
+
+    const response = await this.client.makeRequest("Publish", params);
+    return { messageId: response.MessageId };
+  }
+
+  /**
+   * @param {string} messageId - Provider message ID
+   * @returns {Promise<{messageId: string, status: string}>}
+   */
+  async status(messageId) {
+    return { messageId, status: "unknown" };
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Twilio Programmable Messaging and Voice provider.
+ *
+ * Sends from a Messaging Service when one is configured, otherwise from a
+ * fixed number. Calls read SSML through `<Say>` with an Amazon Polly voice
+ * and are placed from `voiceFrom` (or `from`). Message status can be looked
+ * up by SID, and is pushed to `statusCallback` when one is configured.
+ *
+ * @module providers/twilio
+ */
+
+// Twilio message statuses mapped to provider-neutral statuses
+export const TWILIO_STATUSES = {
+  accepted: "queued",
+  scheduled: "queued",
+  queued: "queued",
+  sending: "sent",
+  sent: "sent",
+  delivered: "delivered",
+  read: "delivered",
+  undelivered: "undelivered",
+  failed: "failed",
+  canceled: "failed"
+};
+
+export class TwilioProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.accountSid - Account SID
+   * @param {string} options.authToken - Auth token
+   * @param {string} [options.from] - Sending phone number
+   * @param {string} [options.messagingServiceSid] - Messaging Service to send through
+   * @param {string} [options.voiceFrom] - Number to place calls from (defaults to `from`)
+   * @param {string} [options.statusCallback] - URL that receives message status callbacks
+   * @param {string} [options.baseUrl='https://api.twilio.com'] - Override the API base URL
+   */
+  constructor({ accountSid, authToken, from, messagingServiceSid, voiceFrom, statusCallback, baseUrl = "https://api.twilio.com" } = {}) {
+    this.name = "twilio";
+    this.capabilities = {
+      channels: ["sms", "voice"],
+      senderId: false,
+      statusLookup: true
+    };
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.from = from;
+    this.messagingServiceSid = messagingServiceSid;
+    this.voiceFrom = voiceFrom || from;
+    this.statusCallback = statusCallback;
+    this.baseUrl = baseUrl;
+  }
+
+  async request(method, path, form) {
+    const response = await fetch(`${this.baseUrl}/2010-04-01/Accounts/${this.accountSid}${path}`, {
+      method,
+      headers: {
+        Authorization: `Basic ${btoa(`${this.accountSid}:${this.authToken}`)}`,
+        ...(form && { "Content-Type": "application/x-www-form-urlencoded" })
+      },
+      body: form && new URLSearchParams(form).toString()
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw Object.assign(
+        new Error(`Twilio request failed: ${data.code || response.status}: ${data.message || "Unknown error"}`),
+        { code: data.code, status: response.status }
+      );
+    }
+    return data;
+  }
+
+  /**
+   * Send a text message.
+   *
+   * @param {Object} message
+   * @param {string} message.to - E.164 destination
+   * @param {string} message.body - Message text
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send({ to, body }) {
+    const sender = this.messagingServiceSid
+      ? { MessagingServiceSid: this.messagingServiceSid }
+      : { From: this.from };
+
+    const data = await this.request("POST", "/Messages.json", {
+      To: to,
+      Body: body,
+      ...sender,
+      ...(this.statusCallback && { StatusCallback: this.statusCallback })
+    });
+    return { messageId: data.sid };
+  }
+
+  /**
+   * Place a text-to-speech call.
+   *
+   * @param {Object} message
+   * @param {string} message.to - E.164 destination
+   * @param {string} message.ssml - SSML document to speak
+   * @param {string} message.locale - BCP 47 language, e.g. "en-US"
+   * @param {string} message.voice - Polly voice name, e.g. "Joanna"
+   * @returns {Promise<{messageId: string}>} The call SID
+   */
+  async call({ to, ssml, locale, voice }) {
+    // <Say> takes the SSML body without the <speak> root
+    const speech = ssml.replace(/^<speak>|<\/speak>$/g, "");
+    const twiml = `<Response><Say voice="Polly.${voice}" language="${locale}">${speech}</Say></Response>`;
+
+    const data = await this.request("POST", "/Calls.json", { To: to, From: this.voiceFrom, Twiml: twiml });
+    return { messageId: data.sid };
+  }
+
+  /**
+   * Look up a message's delivery status.
+   *
+   * @param {string} messageId - Message SID
+   * @returns {Promise<{messageId: string, status: string, errorCode?: number}>}
+   */
+  async status(messageId) {
+    const data = await this.request("GET", `/Messages/${encodeURIComponent(messageId)}.json`);
+    return {
+      messageId,
+      status: TWILIO_STATUSES[data.status] || "unknown",
+      errorCode: data.error_code ?? undefined
+    };
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Vonage (Nexmo) SMS API provider.
+ *
+ * The SMS API reports delivery through delivery receipt webhooks only, so
+ * there is no per-message status lookup.
+ *
+ * @module providers/vonage
+ */
+
+export class VonageProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - API key
+   * @param {string} options.apiSecret - API secret
+   * @param {string} [options.from] - Default sender (number or alphanumeric ID)
+   * @param {string} [options.baseUrl='https://rest.nexmo.com'] - Override the API base URL
+   */
+  constructor({ apiKey, apiSecret, from, baseUrl = "https://rest.nexmo.com" } = {}) {
+    this.name = "vonage";
+    this.capabilities = {
+      channels: ["sms"],
+      senderId: true,
+      statusLookup: false
+    };
+    this.apiKey = apiKey;
+    this.apiSecret = apiSecret;
+    this.from = from;
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Send a text message.
+   *
+   * @param {Object} message
+   * @param {string} message.to - E.164 destination
+   * @param {string} message.body - Message text
+   * @param {string} [message.senderId] - Alphanumeric sender ID
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send({ to, body, senderId }) {
+    const response = await fetch(`${this.baseUrl}/sms/json`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        api_key: this.apiKey,
+        api_secret: this.apiSecret,
+        to: to.replace(/^\+/, ""),
+        from: senderId || this.from,
+        text: body,
+        // Anything outside ASCII needs the unicode message type
+        type: /[^\x00-\x7F]/.test(body) ? "unicode" : "text"
+      }).toString()
+    });
+
+    if (!response.ok) {
+      throw Object.assign(new Error(`Vonage request failed: ${response.status}`), { status: response.status });
+    }
+
+    // Vonage answers 200 and reports failures per message; "1" is throttling, "5" an internal error
+    const [result] = (await response.json()).messages || [];
+    if (!result || result.status !== "0") {
+      throw Object.assign(
+        new Error(`Vonage request failed: ${result?.status ?? "unknown"}: ${result?.["error-text"] || "Unknown error"}`),
+        { code: result?.status, retryable: ["1", "5"].includes(result?.status) }
+      );
+    }
+    return { messageId: result["message-id"] };
+  }
+
+  /**
+   * @param {string} messageId - Provider message ID
+   * @returns {Promise<{messageId: string, status: string}>}
+   */
+  async status(messageId) {
+    return { messageId, status: "unknown" };
+  }
+}
@@ -0,0 +1,344 @@
+/**
+ * Minimal QR code encoder with SVG output, for authenticator enrollment.
+ *
+ * - Byte mode only, error correction level M (15% recovery), versions 1-40.
+ * - The mask with the lowest ISO/IEC 18004 penalty score is chosen.
+ * - `qrCodeSvg` draws the dark modules as a single path with a quiet zone,
+ *   so the result can be inlined in HTML or served as `image/svg+xml`.
+ *
+ * Written against the specification rather than pulled in as a dependency
+ * so it runs on Workers without a bundle step.
+ *
+ * @module qr-code
+ */
+
+// Error correction codewords per block and number of blocks for level M, by version
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+  26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+  17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+
+// Format bits of error correction level M
+const ECC_LEVEL_M = 0;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Modules available for data and error correction codewords
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+const dataCodewords = (version) =>
+  Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version];
+
+function alignmentPositions(version, size) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < count; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+// Split data into blocks, add error correction to each and interleave them
+function addErrorCorrection(data, version) {
+  const blockCount = ERROR_CORRECTION_BLOCKS[version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blockCount - rawCodewords % blockCount;
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+    offset += block.length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < shortBlocks) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Short blocks have a padding byte where long blocks have their last data byte
+      if (i !== shortBlockLength - eccLength || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+// Mode indicator, length, data, terminator and padding as codewords
+function encodeData(bytes, version) {
+  const capacity = dataCodewords(version) * 8;
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0b0100, 4);
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+function createGrid(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  // Alignment patterns, except where they would overlap a finder
+  const positions = alignmentPositions(version, size);
+  const last = positions.length - 1;
+  positions.forEach((cy, i) => positions.forEach((cx, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  // Version information
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      set(a, b, getBit(bits, i));
+      set(b, a, getBit(bits, i));
+    }
+  }
+
+  return { size, modules, reserved, set };
+}
+
+function drawFormatBits({ size, set }, mask) {
+  const data = (ECC_LEVEL_M << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i));
+  set(8, 7, getBit(bits, 6));
+  set(8, 8, getBit(bits, 7));
+  set(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i));
+  set(8, size - 8, true);
+}
+
+// Place codewords in the zigzag order, two columns at a time from the bottom right
+function drawCodewords({ size, modules, reserved }, codewords) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!reserved[y][x] && i < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+}
+
+function applyMask({ size, modules, reserved }, mask) {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+// ISO/IEC 18004 penalty: long runs, 2x2 blocks, finder-like patterns and dark/light imbalance
+function penaltyScore(modules) {
+  const size = modules.length;
+  const lines = [
+    ...modules,
+    ...modules.map((_, x) => modules.map(row => row[x]))
+  ];
+  let penalty = 0;
+
+  for (const line of lines) {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+    }
+
+    const text = line.map(dark => (dark ? "1" : "0")).join("");
+    for (const pattern of ["10111010000", "00001011101"]) {
+      for (let i = text.indexOf(pattern); i !== -1; i = text.indexOf(pattern, i + 1)) penalty += 40;
+    }
+  }
+
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) penalty += 3;
+    }
+  }
+
+  const dark = modules.reduce((total, row) => total + row.filter(Boolean).length, 0);
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+  return penalty;
+}
+
+/**
+ * Encode text as a QR code.
+ *
+ * @param {string} text - Text to encode (as UTF-8)
+ * @param {Object} [options]
+ * @param {number} [options.mask] - Force a mask pattern (0-7) instead of the best one
+ * @returns {boolean[][]} Rows of modules, true for dark
+ * @throws {RangeError} When the text does not fit version 40
+ */
+export function encodeQrCode(text, { mask } = {}) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+
+  let version = 1;
+  while (version <= 40 && 4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8) version++;
+  if (version > 40) throw new RangeError("Text is too long for a QR code");
+
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+
+  const render = (pattern) => {
+    const grid = createGrid(version);
+    drawFormatBits(grid, pattern);
+    drawCodewords(grid, codewords);
+    applyMask(grid, pattern);
+    return grid.modules;
+  };
+
+  if (mask !== undefined) return render(mask);
+
+  let best;
+  let bestPenalty = Infinity;
+  for (let pattern = 0; pattern < MASKS.length; pattern++) {
+    const modules = render(pattern);
+    const penalty = penaltyScore(modules);
+    if (penalty < bestPenalty) {
+      best = modules;
+      bestPenalty = penalty;
+    }
+  }
+  return best;
+}
+
+/**
+ * Render text as a QR code SVG.
+ *
+ * @param {string} text - Text to encode
+ * @param {Object} [options]
+ * @param {number} [options.margin=4] - Quiet zone in modules
+ * @param {number} [options.moduleSize=4] - Pixels per module for the width and height attributes
+ * @returns {string} SVG document
+ */
+export function qrCodeSvg(text, { margin = 4, moduleSize = 4 } = {}) {
+  const modules = encodeQrCode(text);
+  const dimension = modules.length + margin * 2;
+  const path = [];
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+  }));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${dimension * moduleSize}" height="${dimension * moduleSize}" `
+    + `viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">`
+    + `<rect width="${dimension}" height="${dimension}" fill="#fff"/>`
+    + `<path d="${path.join("")}" fill="#000"/></svg>`;
+}
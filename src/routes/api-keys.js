@@ -0,0 +1,250 @@
+/**
+ * Admin routes for managing API keys.
+ * Mounted under `/api/admin/keys` and restricted to keys with the `admin` scope.
+ * Admin keys of the default tenant manage every tenant's keys; admin keys of
+ * other tenants only their own tenant's.
+ *
+ * @module routes/api-keys
+ */
+
+import { OpenAPIHono, createRoute, z } from "@hono/zod-openapi";
+import { getStore } from "../verification-store.js";
+import {
+  SCOPES,
+  DEFAULT_TENANT_ID,
+  DEFAULT_ROTATION_OVERLAP,
+  apiKeyConfigSchema,
+  apiKeySchema,
+  toPublicApiKey,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey
+} from "../api-keys.js";
+
+const app = new OpenAPIHono();
+
+const errorSchema = z.object({
+  success: z.boolean(),
+  error: z.string()
+});
+
+const issuedKeySchema = z.object({
+  success: z.boolean(),
+  key: z.string().describe("The API key. It is only shown once."),
+  apiKey: apiKeySchema
+});
+
+const notFound = (c) => c.json({
+  success: false,
+  error: "API key not found"
+}, 404);
+
+const forbidden = (c) => c.json({
+  success: false,
+  error: "API key can only manage keys of its own tenant"
+}, 403);
+
+// Whether the calling key may manage a tenant's keys
+const canManage = (c, tenantId) => {
+  const { tenantId: own } = c.get("apiKey");
+  return own === DEFAULT_TENANT_ID || own === tenantId;
+};
+
+const forbiddenResponse = {
+  content: { "application/json": { schema: errorSchema } },
+  description: "The tenant belongs to another admin"
+};
+
+// Create a key
+const createKeyRoute = createRoute({
+  method: "post",
+  path: "/",
+  security: [{ apiKey: [] }],
+  request: {
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            tenantId: z.string().min(1, "Tenant ID is required"),
+            name: z.string().optional(),
+            scopes: z.array(z.enum(SCOPES)).min(1),
+            testMode: z.boolean().optional().default(false),
+            config: apiKeyConfigSchema.optional().default({})
+          })
+        }
+      }
+    }
+  },
+  responses: {
+    201: {
+      content: { "application/json": { schema: issuedKeySchema } },
+      description: "API key created"
+    },
+    403: forbiddenResponse
+  }
+});
+
+app.openapi(createKeyRoute, async (c) => {
+  const body = c.req.valid("json");
+  if (!canManage(c, body.tenantId)) return forbidden(c);
+
+  const { key, record } = await createApiKey(getStore(c.env), body);
+
+  return c.json({
+    success: true,
+    key,
+    apiKey: toPublicApiKey(record)
+  }, 201);
+});
+
+// List keys
+const listKeysRoute = createRoute({
+  method: "get",
+  path: "/",
+  security: [{ apiKey: [] }],
+  request: {
+    query: z.object({
+      tenantId: z.string().optional().describe("Defaults to all tenants for the default tenant, else the key's own")
+    })
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            apiKeys: z.array(apiKeySchema)
+          })
+        }
+      },
+      description: "API keys"
+    },
+    403: forbiddenResponse
+  }
+});
+
+app.openapi(listKeysRoute, async (c) => {
+  const own = c.get("apiKey").tenantId;
+  const { tenantId = own === DEFAULT_TENANT_ID ? undefined : own } = c.req.valid("query");
+  if (!canManage(c, tenantId)) return forbidden(c);
+
+  const records = await listApiKeys(getStore(c.env), tenantId);
+
+  return c.json({
+    success: true,
+    apiKeys: records.map(toPublicApiKey)
+  });
+});
+
+// Rotate a key
+const rotateKeyRoute = createRoute({
+  method: "post",
+  path: "/{id}/rotate",
+  security: [{ apiKey: [] }],
+  request: {
+    params: z.object({
+      id: z.string()
+    }),
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            overlapSeconds: z.number().int().min(0).max(30 * 24 * 60 * 60).optional()
+          })
+        }
+      }
+    }
+  },
+  responses: {
+    201: {
+      content: { "application/json": { schema: issuedKeySchema } },
+      description: "Replacement key issued; the old key stays valid for the overlap window"
+    },
+    403: forbiddenResponse,
+    404: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "API key not found"
+    },
+    409: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "API key is revoked, expired or already rotated"
+    }
+  }
+});
+
+// Why rotateApiKey turned a key down
+const rotationRefusal = (record) => {
+  if (record.revokedAt) return "API key is revoked";
+  if (record.rotatedTo) return "API key was already rotated";
+  return "API key has expired";
+};
+
+app.openapi(rotateKeyRoute, async (c) => {
+  const store = getStore(c.env);
+  const record = await getApiKey(store, c.req.param("id"));
+  if (!record) return notFound(c);
+  if (!canManage(c, record.tenantId)) return forbidden(c);
+
+  const { overlapSeconds = DEFAULT_ROTATION_OVERLAP } = c.req.valid("json");
+  const rotated = await rotateApiKey(store, record, overlapSeconds);
+  if (!rotated) {
+    return c.json({
+      success: false,
+      error: rotationRefusal(record)
+    }, 409);
+  }
+
+  const { key, record: replacement } = rotated;
+
+  return c.json({
+    success: true,
+    key,
+    apiKey: toPublicApiKey(replacement)
+  }, 201);
+});
+
+// Revoke a key
+const revokeKeyRoute = createRoute({
+  method: "post",
+  path: "/{id}/revoke",
+  security: [{ apiKey: [] }],
+  request: {
+    params: z.object({
+      id: z.string()
+    })
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            apiKey: apiKeySchema
+          })
+        }
+      },
+      description: "API key revoked"
+    },
+    403: forbiddenResponse,
+    404: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "API key not found"
+    }
+  }
+});
+
+app.openapi(revokeKeyRoute, async (c) => {
+  const store = getStore(c.env);
+  const record = await getApiKey(store, c.req.param("id"));
+  if (!record) return notFound(c);
+  if (!canManage(c, record.tenantId)) return forbidden(c);
+
+  return c.json({
+    success: true,
+    apiKey: toPublicApiKey(await revokeApiKey(store, record))
+  });
+});
+
+export default app;
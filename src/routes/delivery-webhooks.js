@@ -0,0 +1,184 @@
+/**
+ * Delivery status callbacks from SMS providers.
+ * Mounted under `/webhooks/delivery`; these routes do not take API keys, so
+ * each one authenticates its provider instead:
+ *
+ * - `POST /sns?token=...`: SNS HTTP(S) subscription. The token must match
+ *   `DELIVERY_WEBHOOK_SECRET`. Subscription confirmations are confirmed
+ *   automatically.
+ * - `POST /twilio`: Twilio status callback, checked against the
+ *   `X-Twilio-Signature` header with `TWILIO_AUTH_TOKEN`.
+ *
+ * A message reaching a final status is passed on to the sending key's
+ * webhooks as `message.delivered` or `message.failed`.
+ *
+ * @module routes/delivery-webhooks
+ */
+
+import { OpenAPIHono, createRoute, z } from "@hono/zod-openapi";
+import { getStore } from "../verification-store.js";
+import { base64Encode, hmacSha1, timingSafeEqual } from "../crypto-utils.js";
+import { parseSnsDeliveryEvent, parseTwilioStatusCallback, recordStatusEvent } from "../delivery-status.js";
+import { emitWebhookEvent, runAfterResponse } from "../webhooks.js";
+
+const app = new OpenAPIHono();
+
+const webhookResponseSchema = z.object({
+  success: z.boolean(),
+  error: z.string().optional()
+});
+
+// Only SNS itself may be asked to confirm a subscription
+const isSnsUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" && /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/.test(url.hostname);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Twilio request signature: base64 HMAC-SHA1 of the full URL followed by
+ * every POST parameter name and value, sorted by name.
+ *
+ * @param {string} authToken - Twilio auth token
+ * @param {string} url - Full callback URL as Twilio requested it
+ * @param {Object} params - POST parameters
+ * @returns {Promise<string>}
+ */
+export async function twilioSignature(authToken, url, params) {
+  const data = Object.keys(params).sort().reduce((text, key) => text + key + params[key], url);
+  return base64Encode(await hmacSha1(authToken, data));
+}
+
+const unauthorized = (c, error) => c.json({ success: false, error }, 401);
+
+// Webhook event for each final status
+const MESSAGE_EVENTS = {
+  delivered: "message.delivered",
+  undelivered: "message.failed",
+  failed: "message.failed"
+};
+
+// Record a status event and tell the sending key's webhooks when the message reaches a final status
+const recordEvent = async (c, event) => {
+  const store = getStore(c.env);
+  const { record, changed } = await recordStatusEvent(store, event);
+
+  const type = MESSAGE_EVENTS[record.status];
+  if (!changed || !type) return;
+
+  await runAfterResponse(c, emitWebhookEvent(store, c.env, {
+    apiKeyId: record.apiKeyId,
+    tenantId: record.tenantId,
+    type,
+    data: {
+      messageId: record.messageId,
+      phoneNumber: record.phoneNumber,
+      channel: record.channel,
+      verificationId: record.verificationId,
+      status: record.status,
+      carrier: record.carrier,
+      errorCode: record.errorCode,
+      reason: record.reason,
+      price: record.price,
+      priceUnit: record.priceUnit
+    }
+  }));
+};
+
+// SNS subscription
+const snsRoute = createRoute({
+  method: "post",
+  path: "/sns",
+  request: {
+    query: z.object({
+      token: z.string().optional()
+    })
+  },
+  responses: {
+    200: {
+      content: { "application/json": { schema: webhookResponseSchema } },
+      description: "Notification processed or subscription confirmed"
+    },
+    400: {
+      content: { "application/json": { schema: webhookResponseSchema } },
+      description: "Malformed notification"
+    },
+    401: {
+      content: { "application/json": { schema: webhookResponseSchema } },
+      description: "Missing or wrong webhook token"
+    }
+  }
+});
+
+app.openapi(snsRoute, async (c) => {
+  const secret = c.env?.DELIVERY_WEBHOOK_SECRET;
+  if (!secret || !timingSafeEqual(c.req.valid("query").token || "", secret)) {
+    return unauthorized(c, "Invalid webhook token");
+  }
+
+  // SNS posts JSON with a text/plain content type
+  let notification;
+  try {
+    notification = JSON.parse(await c.req.text());
+  } catch {
+    return c.json({ success: false, error: "Invalid notification" }, 400);
+  }
+
+  if (notification.Type === "SubscriptionConfirmation") {
+    if (!isSnsUrl(notification.SubscribeURL)) {
+      return c.json({ success: false, error: "Invalid subscription URL" }, 400);
+    }
+    await fetch(notification.SubscribeURL);
+    return c.json({ success: true });
+  }
+
+  if (notification.Type !== "Notification") {
+    return c.json({ success: true });
+  }
+
+  let event;
+  try {
+    event = parseSnsDeliveryEvent(notification.Message);
+  } catch {
+    return c.json({ success: false, error: "Invalid notification" }, 400);
+  }
+
+  // Other messages published to the topic are acknowledged and ignored
+  if (event) await recordEvent(c, event);
+  return c.json({ success: true });
+});
+
+// Twilio status callback
+const twilioRoute = createRoute({
+  method: "post",
+  path: "/twilio",
+  responses: {
+    200: {
+      content: { "application/json": { schema: webhookResponseSchema } },
+      description: "Status callback processed"
+    },
+    401: {
+      content: { "application/json": { schema: webhookResponseSchema } },
+      description: "Missing or wrong X-Twilio-Signature"
+    }
+  }
+});
+
+app.openapi(twilioRoute, async (c) => {
+  const authToken = c.env?.TWILIO_AUTH_TOKEN;
+  const params = Object.fromEntries(new URLSearchParams(await c.req.text()));
+
+  const expected = authToken ? await twilioSignature(authToken, c.req.url, params) : null;
+  if (!expected || !timingSafeEqual(c.req.header("X-Twilio-Signature") || "", expected)) {
+    return unauthorized(c, "Invalid Twilio signature");
+  }
+
+  const event = parseTwilioStatusCallback(params);
+  if (event) await recordEvent(c, event);
+  return c.json({ success: true });
+});
+
+export default app;
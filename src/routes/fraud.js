@@ -0,0 +1,150 @@
+/**
+ * Admin routes for reviewing fraud guard activity.
+ * Mounted under `/api/admin/fraud` and restricted to keys with the `admin` scope.
+ *
+ * @module routes/fraud
+ */
+
+import { OpenAPIHono, createRoute, z } from "@hono/zod-openapi";
+import { getStore } from "../verification-store.js";
+import { listFraudEvents, listAnomalies, clearAnomaly } from "../fraud-guard.js";
+
+const app = new OpenAPIHono();
+
+const fraudEventSchema = z.object({
+  id: z.string(),
+  tenantId: z.string(),
+  phoneNumber: z.string(),
+  route: z.string(),
+  reason: z.string(),
+  country: z.string().optional(),
+  numberType: z.string().optional(),
+  createdAt: z.string()
+});
+
+const anomalySchema = z.object({
+  scope: z.enum(["country", "prefix"]),
+  value: z.string(),
+  sent: z.number(),
+  verified: z.number(),
+  conversionRate: z.number(),
+  flaggedAt: z.string()
+});
+
+// List blocked requests
+const listEventsRoute = createRoute({
+  method: "get",
+  path: "/events",
+  security: [{ apiKey: [] }],
+  request: {
+    query: z.object({
+      limit: z.coerce.number().int().min(1).max(1000).optional()
+    })
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            events: z.array(fraudEventSchema)
+          })
+        }
+      },
+      description: "Blocked requests, newest first"
+    }
+  }
+});
+
+app.openapi(listEventsRoute, async (c) => {
+  const { limit } = c.req.valid("query");
+
+  return c.json({
+    success: true,
+    events: await listFraudEvents(getStore(c.env), limit)
+  });
+});
+
+// List conversion anomalies
+const listAnomaliesRoute = createRoute({
+  method: "get",
+  path: "/anomalies",
+  security: [{ apiKey: [] }],
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            anomalies: z.array(anomalySchema)
+          })
+        }
+      },
+      description: "Raised anomaly flags"
+    }
+  }
+});
+
+app.openapi(listAnomaliesRoute, async (c) => {
+  return c.json({
+    success: true,
+    anomalies: await listAnomalies(getStore(c.env))
+  });
+});
+
+// Clear an anomaly flag after review
+const clearAnomalyRoute = createRoute({
+  method: "post",
+  path: "/anomalies/clear",
+  security: [{ apiKey: [] }],
+  request: {
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            scope: z.enum(["country", "prefix"]),
+            value: z.string().min(1)
+          })
+        }
+      }
+    }
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean()
+          })
+        }
+      },
+      description: "Anomaly flag cleared"
+    },
+    404: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            error: z.string()
+          })
+        }
+      },
+      description: "No anomaly flag for this scope and value"
+    }
+  }
+});
+
+app.openapi(clearAnomalyRoute, async (c) => {
+  const { scope, value } = c.req.valid("json");
+
+  if (!await clearAnomaly(getStore(c.env), scope, value)) {
+    return c.json({
+      success: false,
+      error: "Anomaly not found"
+    }, 404);
+  }
+
+  return c.json({ success: true });
+});
+
+export default app;
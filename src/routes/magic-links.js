@@ -0,0 +1,179 @@
+/**
+ * Magic-link landing routes, mounted under `/v`. They take no API key: the
+ * token in the URL is the credential.
+ *
+ * - `GET /v/:token` shows a confirmation page and changes nothing, so link
+ *   previews and scanners that fetch the URL cannot use up the token.
+ * - `POST /v/:token` (the page's button) verifies the session and redirects
+ *   to the tenant's success or failure URL.
+ *
+ * @module routes/magic-links
+ */
+
+import { OpenAPIHono, createRoute, z } from "@hono/zod-openapi";
+import { getStore } from "../verification-store.js";
+import { checkVerification, getVerification } from "../verification-sessions.js";
+import { findMagicLink, parseMagicLinks, redirectUrl, resolveMagicLinkSettings } from "../magic-links.js";
+import { recordVerifyResult, resolvePhoneLimits } from "../phone-throttle.js";
+import { recordFraudConversion, resolveFraudPolicy } from "../fraud-guard.js";
+import { emitWebhookEvent, runAfterResponse } from "../webhooks.js";
+
+const app = new OpenAPIHono();
+
+// Messages for links that cannot be confirmed
+const LINK_FAILURES = {
+  not_found: "This link is not valid.",
+  expired: "This link has expired. Please request a new one.",
+  approved: "This link has already been used.",
+  canceled: "This link was replaced by a newer one.",
+  max_attempts: "This link can no longer be used."
+};
+
+const page = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${title}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 28rem; margin: 20vh auto; padding: 0 1rem; text-align: center; }
+    button { font-size: 1.1rem; padding: 0.75rem 2rem; border: 0; border-radius: 0.5rem; background: #1a73e8; color: #fff; cursor: pointer; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+// Links must never be cached, indexed or leak through the Referer header
+const noStore = (c) => {
+  c.header("Cache-Control", "no-store");
+  c.header("Referrer-Policy", "no-referrer");
+  c.header("X-Robots-Tag", "noindex");
+};
+
+// Load the link's session; null when the token is unknown
+const loadLink = async (store, token) => {
+  const link = await findMagicLink(store, token);
+  const session = link && await getVerification(store, link.verificationId);
+  return session ? { link, session } : null;
+};
+
+// Send the browser to the tenant's success or failure URL, or show the result
+const finish = (c, session, { verified, reason }, status) => {
+  const settings = resolveMagicLinkSettings(parseMagicLinks(c.env?.MAGIC_LINKS), session?.tenantId);
+  const target = verified ? settings.successUrl : settings.failureUrl;
+
+  if (target) {
+    return c.redirect(redirectUrl(target, {
+      verificationId: session?.id,
+      status: verified ? "approved" : session?.status,
+      reason
+    }), status);
+  }
+
+  return c.html(verified
+    ? page("Verified", "<h1>Verified</h1>\n<p>Your phone number is verified. You can close this page.</p>")
+    : page("Link not valid", `<h1>Link not valid</h1>\n<p>${LINK_FAILURES[reason] || LINK_FAILURES.not_found}</p>`),
+  verified ? 200 : 400);
+};
+
+const tokenParamSchema = z.object({
+  token: z.string()
+});
+
+// Confirmation page
+const showLinkRoute = createRoute({
+  method: "get",
+  path: "/{token}",
+  request: {
+    params: tokenParamSchema
+  },
+  responses: {
+    200: {
+      content: { "text/html": { schema: z.string() } },
+      description: "Confirmation page; nothing is verified until it is submitted"
+    },
+    302: {
+      description: "Link not valid: redirect to the tenant's failure URL"
+    },
+    400: {
+      content: { "text/html": { schema: z.string() } },
+      description: "Link not valid, when the tenant has no failure URL"
+    }
+  }
+});
+
+app.openapi(showLinkRoute, async (c) => {
+  noStore(c);
+  const loaded = await loadLink(getStore(c.env), c.req.valid("param").token);
+
+  if (!loaded) return finish(c, null, { verified: false, reason: "not_found" }, 302);
+  const { session } = loaded;
+  if (session.status !== "pending" || Date.parse(session.expiresAt) <= Date.now()) {
+    const reason = session.status === "pending" ? "expired" : session.status === "failed" ? "max_attempts" : session.status;
+    return finish(c, session, { verified: false, reason }, 302);
+  }
+
+  return c.html(page("Confirm verification", `<h1>Confirm your phone number</h1>
+<p>Tap the button to finish verifying.</p>
+<form method="post">
+  <button type="submit">Confirm</button>
+</form>`));
+});
+
+// Confirmation
+const confirmLinkRoute = createRoute({
+  method: "post",
+  path: "/{token}",
+  request: {
+    params: tokenParamSchema
+  },
+  responses: {
+    200: {
+      content: { "text/html": { schema: z.string() } },
+      description: "Verified, when the tenant has no success URL"
+    },
+    303: {
+      description: "Redirect to the tenant's success or failure URL"
+    },
+    400: {
+      content: { "text/html": { schema: z.string() } },
+      description: "Link not valid, when the tenant has no failure URL"
+    }
+  }
+});
+
+app.openapi(confirmLinkRoute, async (c) => {
+  noStore(c);
+  const store = getStore(c.env);
+  const token = c.req.valid("param").token;
+  const loaded = await loadLink(store, token);
+
+  if (!loaded) return finish(c, null, { verified: false, reason: "not_found" }, 303);
+  const { link, session } = loaded;
+
+  const previousStatus = session.status;
+  const result = await checkVerification(store, session, token);
+  const emit = (type, data) => runAfterResponse(c, emitWebhookEvent(store, c.env, {
+    apiKeyId: link.apiKeyId,
+    tenantId: session.tenantId,
+    type,
+    data: { verificationId: session.id, phoneNumber: session.phoneNumber, channel: session.channel, mode: "link", ...data }
+  }));
+
+  if (result.verified) {
+    await recordVerifyResult(store, session.phoneNumber, true, resolvePhoneLimits(c.env?.PHONE_THROTTLE));
+    if (!link.testMode) {
+      await recordFraudConversion(store, session.phoneNumber, resolveFraudPolicy(c.env?.FRAUD_POLICY));
+    }
+    await emit("verification.approved");
+  } else if (result.reason === "expired" && previousStatus !== "expired") {
+    await emit("verification.expired", { reason: result.reason });
+  }
+
+  return finish(c, result.session, result, 303);
+});
+
+export default app;
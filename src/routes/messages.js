@@ -0,0 +1,99 @@
+/**
+ * Message delivery status lookups.
+ * Mounted under `/api/messages` for keys with the `send` or `sms` scope;
+ * tenants only see their own messages.
+ *
+ * @module routes/messages
+ */
+
+import { OpenAPIHono, createRoute, z } from "@hono/zod-openapi";
+import { getStore } from "../verification-store.js";
+import { MESSAGE_STATUSES, getMessage } from "../delivery-status.js";
+
+const app = new OpenAPIHono();
+
+const statusSchema = z.enum(MESSAGE_STATUSES);
+
+const statusEventSchema = z.object({
+  status: statusSchema,
+  timestamp: z.string(),
+  source: z.string().describe("api, sns, end-user-messaging or twilio"),
+  carrier: z.string().optional(),
+  errorCode: z.string().optional(),
+  reason: z.string().optional(),
+  price: z.number().optional(),
+  priceUnit: z.string().optional()
+});
+
+const messageSchema = z.object({
+  messageId: z.string(),
+  phoneNumber: z.string(),
+  provider: z.string().optional(),
+  channel: z.string(),
+  verificationId: z.string().optional(),
+  status: statusSchema,
+  carrier: z.string().optional(),
+  errorCode: z.string().optional(),
+  reason: z.string().optional().describe("Carrier or provider failure reason"),
+  price: z.number().optional(),
+  priceUnit: z.string().optional(),
+  history: z.array(statusEventSchema),
+  createdAt: z.string(),
+  updatedAt: z.string()
+});
+
+// Look up a message's delivery status
+const getMessageRoute = createRoute({
+  method: "get",
+  path: "/{messageId}",
+  security: [{ apiKey: [] }],
+  request: {
+    params: z.object({
+      messageId: z.string()
+    })
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            message: messageSchema
+          })
+        }
+      },
+      description: "Message status and history"
+    },
+    404: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            error: z.string()
+          })
+        }
+      },
+      description: "Message not found"
+    }
+  }
+});
+
+app.openapi(getMessageRoute, async (c) => {
+  const { messageId } = c.req.valid("param");
+  const record = await getMessage(getStore(c.env), c.get("apiKey").tenantId, messageId);
+
+  if (!record) {
+    return c.json({
+      success: false,
+      error: "Message not found"
+    }, 404);
+  }
+
+  const { tenantId, apiKeyId, ...message } = record;
+  return c.json({
+    success: true,
+    message
+  });
+});
+
+export default app;
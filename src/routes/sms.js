@@ -0,0 +1,318 @@
+/**
+ * SMS planning routes that never reach a provider, batch job progress and
+ * scheduled messages.
+ * Mounted under `/api/sms` for keys with the `sms` scope.
+ *
+ * @module routes/sms
+ */
+
+import { OpenAPIHono, createRoute, z } from "@hono/zod-openapi";
+import { getStore } from "../verification-store.js";
+import { estimateSms, resolveSmsPricing } from "../sms-pricing.js";
+import { BATCH_ERROR_CODES, getBatchJob, toPublicBatchJob } from "../sms-batch.js";
+import {
+  SCHEDULED_STATUSES,
+  scheduledMessageSchema,
+  getScheduledMessage,
+  listScheduledMessages,
+  cancelScheduledMessage,
+  toPublicScheduledMessage
+} from "../scheduled-sms.js";
+
+const app = new OpenAPIHono();
+
+const encodingSchema = z.enum(["GSM-7", "UCS-2"]);
+
+const estimateSchema = z.object({
+  phoneNumber: z.string(),
+  valid: z.boolean().describe("Whether libphonenumber considers the number valid"),
+  country: z.string().optional(),
+  numberType: z.string().optional().describe("libphonenumber number type, e.g. MOBILE"),
+  encoding: encodingSchema,
+  segments: z.number(),
+  pricePerSegment: z.number().nullable(),
+  price: z.number().nullable().describe("Null for invalid numbers and countries without a price")
+});
+
+// Estimate the cost of a message
+const estimateRoute = createRoute({
+  method: "post",
+  path: "/estimate",
+  security: [{ apiKey: [] }],
+  request: {
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            phoneNumbers: z.array(z.string().min(1)).min(1).max(10000),
+            message: z.string().min(1, "Message is required")
+          })
+        }
+      }
+    }
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            encoding: encodingSchema,
+            segments: z.number().describe("Segments per message"),
+            nonGsmCharacters: z.array(z.string()).describe("Characters that force UCS-2"),
+            estimates: z.array(estimateSchema),
+            totals: z.object({
+              messages: z.number(),
+              segments: z.number().describe("Segments across valid numbers"),
+              price: z.number().describe("Price across priced numbers"),
+              currency: z.string(),
+              invalid: z.number(),
+              unpriced: z.number().describe("Valid numbers in countries without a price"),
+              byCountry: z.record(z.object({
+                messages: z.number(),
+                segments: z.number(),
+                price: z.number()
+              }))
+            })
+          })
+        }
+      },
+      description: "Estimated segments and price per number, with totals"
+    }
+  }
+});
+
+app.openapi(estimateRoute, (c) => {
+  const { phoneNumbers, message } = c.req.valid("json");
+  const { analysis, estimates, totals } = estimateSms({
+    phoneNumbers,
+    message,
+    pricing: resolveSmsPricing(c.env?.SMS_PRICING)
+  });
+
+  return c.json({
+    success: true,
+    encoding: analysis.encoding,
+    segments: analysis.segments,
+    nonGsmCharacters: analysis.nonGsmCharacters,
+    estimates,
+    totals
+  });
+});
+
+const batchJobSchema = z.object({
+  id: z.string(),
+  status: z.enum(["queued", "running", "completed", "failed"]),
+  total: z.number(),
+  processed: z.number(),
+  sent: z.number(),
+  failed: z.number(),
+  results: z.array(z.object({
+    index: z.number(),
+    phoneNumber: z.string(),
+    success: z.boolean(),
+    messageId: z.string().optional(),
+    provider: z.string().optional(),
+    errorCode: z.enum(BATCH_ERROR_CODES).optional(),
+    error: z.string().optional()
+  })).describe("Per-recipient results, in request order, once the job has finished"),
+  error: z.string().optional().describe("Why a failed job stopped"),
+  createdAt: z.string(),
+  updatedAt: z.string(),
+  startedAt: z.string().optional(),
+  completedAt: z.string().optional()
+});
+
+// Progress of an async batch
+const batchJobRoute = createRoute({
+  method: "get",
+  path: "/batch/{id}",
+  security: [{ apiKey: [] }],
+  request: {
+    params: z.object({
+      id: z.string()
+    })
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            job: batchJobSchema
+          })
+        }
+      },
+      description: "Batch job with its progress"
+    },
+    404: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            error: z.string()
+          })
+        }
+      },
+      description: "Batch job not found"
+    }
+  }
+});
+
+app.openapi(batchJobRoute, async (c) => {
+  const job = await getBatchJob(getStore(c.env), c.req.valid("param").id);
+  if (!job || job.tenantId !== c.get("apiKey").tenantId) {
+    return c.json({
+      success: false,
+      error: "Batch job not found"
+    }, 404);
+  }
+
+  return c.json({
+    success: true,
+    job: toPublicBatchJob(job)
+  });
+});
+
+const scheduledNotFound = (c) => c.json({
+  success: false,
+  error: "Scheduled message not found"
+}, 404);
+
+const scheduledErrorSchema = z.object({
+  success: z.boolean(),
+  error: z.string()
+});
+
+// List scheduled messages
+const listScheduledRoute = createRoute({
+  method: "get",
+  path: "/scheduled",
+  security: [{ apiKey: [] }],
+  request: {
+    query: z.object({
+      status: z.enum(SCHEDULED_STATUSES).optional()
+    })
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            scheduled: z.array(scheduledMessageSchema)
+          })
+        }
+      },
+      description: "The tenant's scheduled messages, soonest first"
+    }
+  }
+});
+
+app.openapi(listScheduledRoute, async (c) => {
+  const messages = await listScheduledMessages(getStore(c.env), c.get("apiKey").tenantId, c.req.valid("query"));
+
+  return c.json({
+    success: true,
+    scheduled: messages.map(toPublicScheduledMessage)
+  });
+});
+
+// Look up a scheduled message
+const getScheduledRoute = createRoute({
+  method: "get",
+  path: "/scheduled/{id}",
+  security: [{ apiKey: [] }],
+  request: {
+    params: z.object({
+      id: z.string()
+    })
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            scheduled: scheduledMessageSchema
+          })
+        }
+      },
+      description: "Scheduled message"
+    },
+    404: {
+      content: { "application/json": { schema: scheduledErrorSchema } },
+      description: "Scheduled message not found"
+    }
+  }
+});
+
+app.openapi(getScheduledRoute, async (c) => {
+  const message = await getScheduledMessage(getStore(c.env), c.get("apiKey").tenantId, c.req.valid("param").id);
+  if (!message) return scheduledNotFound(c);
+
+  return c.json({
+    success: true,
+    scheduled: toPublicScheduledMessage(message)
+  });
+});
+
+// Cancel a scheduled message
+const cancelScheduledRoute = createRoute({
+  method: "post",
+  path: "/scheduled/{id}/cancel",
+  security: [{ apiKey: [] }],
+  request: {
+    params: z.object({
+      id: z.string()
+    })
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            scheduled: scheduledMessageSchema
+          })
+        }
+      },
+      description: "Scheduled message canceled"
+    },
+    404: {
+      content: { "application/json": { schema: scheduledErrorSchema } },
+      description: "Scheduled message not found"
+    },
+    409: {
+      content: {
+        "application/json": {
+          schema: scheduledErrorSchema.extend({
+            scheduled: scheduledMessageSchema
+          })
+        }
+      },
+      description: "Message already sent, failed or canceled"
+    }
+  }
+});
+
+app.openapi(cancelScheduledRoute, async (c) => {
+  const store = getStore(c.env);
+  const message = await getScheduledMessage(store, c.get("apiKey").tenantId, c.req.valid("param").id);
+  if (!message) return scheduledNotFound(c);
+
+  if (!await cancelScheduledMessage(store, message)) {
+    return c.json({
+      success: false,
+      error: "Message is no longer scheduled",
+      scheduled: toPublicScheduledMessage(message)
+    }, 409);
+  }
+
+  return c.json({
+    success: true,
+    scheduled: toPublicScheduledMessage(message)
+  });
+});
+
+export default app;
@@ -0,0 +1,645 @@
+/**
+ * Admin routes for the AWS SNS account's SMS settings, spend, opt-out list
+ * and SMS sandbox phone numbers.
+ * Mounted under `/api/admin/sns` and restricted to keys with the `admin` scope.
+ *
+ * SNS keeps one opt-out list per account and region: numbers that replied
+ * STOP are dropped by SNS for every tenant, whatever their suppression lists say.
+ *
+ * @module routes/sns-admin
+ */
+
+import { OpenAPIHono, createRoute, z } from "@hono/zod-openapi";
+import { getStore } from "../verification-store.js";
+import { formatPhoneNumber, isValidPhoneNumber } from "../verify-phone.ts";
+import { ProviderConfigError, createProvider } from "../providers/index.js";
+import { importSuppressions } from "../suppression.js";
+import { getSpendStatus, resolveSpendGuard, saveSnsSpendLimit } from "../spend-guard.js";
+
+const app = new OpenAPIHono();
+
+// Pages of up to 100 numbers read per sync
+const MAX_SYNC_PAGES = 100;
+
+// SNS errors caused by the request rather than by SNS, and their status
+const SNS_CLIENT_ERRORS = {
+  InvalidParameter: 400,
+  VerificationException: 400,
+  UserError: 400,
+  ResourceNotFound: 404
+};
+
+// Languages SNS can send sandbox verification texts in
+const SANDBOX_LANGUAGES = ["en-US", "en-GB", "es-419", "es-ES", "de-DE", "fr-CA", "fr-FR", "it-IT", "ja-JP", "pt-BR", "kr-KR", "zh-CN", "zh-TW"];
+
+const errorSchema = z.object({
+  success: z.boolean(),
+  error: z.string(),
+  details: z.string().optional()
+});
+
+const regionQuery = z.object({
+  region: z.string().optional().describe("AWS region (default: AWS_REGION)")
+});
+
+const snsErrorResponses = {
+  500: {
+    content: { "application/json": { schema: errorSchema } },
+    description: "AWS credentials not configured"
+  },
+  502: {
+    content: { "application/json": { schema: errorSchema } },
+    description: "SNS rejected the request"
+  }
+};
+
+// Run a request with the account's SNS client. Missing credentials are a 500,
+// SNS errors a 502 unless the request was at fault.
+const withSns = async (c, region, request) => {
+  let client;
+  try {
+    client = createProvider("sns", c.env, { region }).client;
+  } catch (error) {
+    if (!(error instanceof ProviderConfigError)) throw error;
+    return c.json({
+      success: false,
+      error: error.message,
+      details: error.details
+    }, 500);
+  }
+
+  try {
+    return await request(client);
+  } catch (error) {
+    return c.json({
+      success: false,
+      error: "SNS request failed",
+      details: error.message
+    }, SNS_CLIENT_ERRORS[error.code] || 502);
+  }
+};
+
+// API names of the SMS attributes this API manages, and their SNS names
+const SMS_ATTRIBUTES = {
+  monthlySpendLimit: "MonthlySpendLimit",
+  defaultSmsType: "DefaultSMSType",
+  defaultSenderId: "DefaultSenderID",
+  deliveryStatusIamRole: "DeliveryStatusIAMRole",
+  usageReportS3Bucket: "UsageReportS3Bucket"
+};
+
+const smsAttributesSchema = z.object({
+  monthlySpendLimit: z.number().int().min(0).optional().describe("Monthly SMS spend limit in USD"),
+  defaultSmsType: z.enum(["Transactional", "Promotional"]).optional(),
+  defaultSenderId: z.string().regex(/^(?=.*[A-Za-z])[A-Za-z0-9]{1,11}$/, "Sender IDs are 1-11 letters and digits, with at least one letter").optional(),
+  deliveryStatusIamRole: z.string().optional().describe("ARN of the IAM role SNS logs delivery status with"),
+  usageReportS3Bucket: z.string().optional().describe("S3 bucket for daily SMS usage reports")
+});
+
+// Read the managed attributes, and remember the spend limit for the spend guard
+const readSmsAttributes = async (c, client) => {
+  const values = await client.getSMSAttributes(Object.values(SMS_ATTRIBUTES));
+  const attributes = Object.fromEntries(Object.entries(SMS_ATTRIBUTES)
+    .filter(([, name]) => values[name] !== undefined && values[name] !== "")
+    .map(([key, name]) => [key, key === "monthlySpendLimit" ? Number(values[name]) : values[name]]));
+
+  if (attributes.monthlySpendLimit !== undefined) {
+    await saveSnsSpendLimit(getStore(c.env), client.region, attributes.monthlySpendLimit);
+  }
+  return attributes;
+};
+
+const invalidPhoneNumber = (c) => c.json({
+  success: false,
+  error: "Invalid phone number format. Please use E.164 format (e.g., +1234567890)"
+}, 400);
+
+// The account's SMS settings
+const getSmsAttributesRoute = createRoute({
+  method: "get",
+  path: "/sms-attributes",
+  security: [{ apiKey: [] }],
+  request: {
+    query: regionQuery
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            region: z.string(),
+            attributes: smsAttributesSchema
+          })
+        }
+      },
+      description: "SMS settings; unset ones are left out"
+    },
+    ...snsErrorResponses
+  }
+});
+
+app.openapi(getSmsAttributesRoute, async (c) => {
+  const { region } = c.req.valid("query");
+
+  return withSns(c, region, async (client) => c.json({
+    success: true,
+    region: client.region,
+    attributes: await readSmsAttributes(c, client)
+  }));
+});
+
+// Change some of the account's SMS settings
+const setSmsAttributesRoute = createRoute({
+  method: "post",
+  path: "/sms-attributes",
+  security: [{ apiKey: [] }],
+  request: {
+    query: regionQuery,
+    body: {
+      content: {
+        "application/json": {
+          schema: smsAttributesSchema
+        }
+      }
+    }
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            region: z.string(),
+            attributes: smsAttributesSchema
+          })
+        }
+      },
+      description: "SMS settings after the change"
+    },
+    400: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "No settings given"
+    },
+    ...snsErrorResponses
+  }
+});
+
+app.openapi(setSmsAttributesRoute, async (c) => {
+  const { region } = c.req.valid("query");
+  const changes = Object.entries(c.req.valid("json"))
+    .filter(([key, value]) => SMS_ATTRIBUTES[key] && value !== undefined)
+    .map(([key, value]) => [SMS_ATTRIBUTES[key], String(value)]);
+
+  if (!changes.length) {
+    return c.json({
+      success: false,
+      error: "No SMS attributes to change"
+    }, 400);
+  }
+
+  return withSns(c, region, async (client) => {
+    await client.setSMSAttributes(Object.fromEntries(changes));
+    return c.json({
+      success: true,
+      region: client.region,
+      attributes: await readSmsAttributes(c, client)
+    });
+  });
+});
+
+// The month's estimated spend in a region and whether the spend guard paused promotional SMS
+const spendRoute = createRoute({
+  method: "get",
+  path: "/spend",
+  security: [{ apiKey: [] }],
+  request: {
+    query: regionQuery
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            region: z.string(),
+            month: z.string().describe("UTC month, e.g. 2026-10"),
+            spent: z.number().describe("Estimated from SMS_PRICING, in USD"),
+            messages: z.number().describe("Priced messages sent through SNS"),
+            monthlyLimit: z.number().nullable(),
+            pauseAt: z.number().describe("Share of the limit at which promotional SMS pause"),
+            paused: z.boolean()
+          })
+        }
+      },
+      description: "Spend guard status"
+    }
+  }
+});
+
+app.openapi(spendRoute, async (c) => {
+  const { region = c.env?.AWS_REGION } = c.req.valid("query");
+  const status = await getSpendStatus(getStore(c.env), resolveSpendGuard(c.env?.SPEND_GUARD), { region });
+
+  return c.json({
+    success: true,
+    ...status
+  });
+});
+
+// One page of the account's opt-out list
+const listOptOutsRoute = createRoute({
+  method: "get",
+  path: "/opt-outs",
+  security: [{ apiKey: [] }],
+  request: {
+    query: regionQuery.extend({
+      nextToken: z.string().optional()
+    })
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            phoneNumbers: z.array(z.string()),
+            nextToken: z.string().optional().describe("Pass back for the next page")
+          })
+        }
+      },
+      description: "Opted-out phone numbers"
+    },
+    ...snsErrorResponses
+  }
+});
+
+app.openapi(listOptOutsRoute, async (c) => {
+  const { region, nextToken } = c.req.valid("query");
+
+  return withSns(c, region, async (client) => c.json({
+    success: true,
+    ...await client.listPhoneNumbersOptedOut(nextToken)
+  }));
+});
+
+// Whether one number opted out
+const checkOptOutRoute = createRoute({
+  method: "get",
+  path: "/opt-outs/{phoneNumber}",
+  security: [{ apiKey: [] }],
+  request: {
+    params: z.object({
+      phoneNumber: z.string().min(1)
+    }),
+    query: regionQuery
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            phoneNumber: z.string(),
+            optedOut: z.boolean()
+          })
+        }
+      },
+      description: "Opt-out status"
+    },
+    400: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "Invalid phone number"
+    },
+    ...snsErrorResponses
+  }
+});
+
+app.openapi(checkOptOutRoute, async (c) => {
+  const { region } = c.req.valid("query");
+  const phoneNumber = formatPhoneNumber(c.req.valid("param").phoneNumber);
+  if (!isValidPhoneNumber(phoneNumber)) return invalidPhoneNumber(c);
+
+  return withSns(c, region, async (client) => c.json({
+    success: true,
+    phoneNumber,
+    optedOut: await client.checkIfPhoneNumberIsOptedOut(phoneNumber)
+  }));
+});
+
+// Opt a number back in, e.g. after the recipient asked to resubscribe
+const optInRoute = createRoute({
+  method: "post",
+  path: "/opt-in",
+  security: [{ apiKey: [] }],
+  request: {
+    query: regionQuery,
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            phoneNumber: z.string().min(1)
+          })
+        }
+      }
+    }
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            phoneNumber: z.string()
+          })
+        }
+      },
+      description: "Number opted back in with SNS; tenants' suppression lists are unchanged"
+    },
+    400: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "Invalid phone number"
+    },
+    ...snsErrorResponses
+  }
+});
+
+app.openapi(optInRoute, async (c) => {
+  const { region } = c.req.valid("query");
+  const phoneNumber = formatPhoneNumber(c.req.valid("json").phoneNumber);
+  if (!isValidPhoneNumber(phoneNumber)) return invalidPhoneNumber(c);
+
+  return withSns(c, region, async (client) => {
+    await client.optInPhoneNumber(phoneNumber);
+    return c.json({
+      success: true,
+      phoneNumber
+    });
+  });
+});
+
+// Copy the account's opt-out list into a tenant's suppression list
+const syncOptOutsRoute = createRoute({
+  method: "post",
+  path: "/opt-outs/sync",
+  security: [{ apiKey: [] }],
+  request: {
+    query: regionQuery,
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            tenantId: z.string().min(1)
+          })
+        }
+      }
+    }
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            imported: z.number(),
+            skipped: z.array(z.object({
+              phoneNumber: z.string().optional(),
+              error: z.string()
+            })),
+            complete: z.boolean().describe("False if the list was longer than one sync reads")
+          })
+        }
+      },
+      description: "Opted-out numbers added to the tenant's list"
+    },
+    ...snsErrorResponses
+  }
+});
+
+app.openapi(syncOptOutsRoute, async (c) => {
+  const { region } = c.req.valid("query");
+  const { tenantId } = c.req.valid("json");
+
+  return withSns(c, region, async (client) => {
+    const phoneNumbers = [];
+    let nextToken;
+    let pages = 0;
+    do {
+      const page = await client.listPhoneNumbersOptedOut(nextToken);
+      phoneNumbers.push(...page.phoneNumbers);
+      nextToken = page.nextToken;
+    } while (nextToken && ++pages < MAX_SYNC_PAGES);
+
+    const entries = phoneNumbers.map(phoneNumber => ({ phoneNumber, reason: "opted_out" }));
+    return c.json({
+      success: true,
+      ...await importSuppressions(getStore(c.env), tenantId, entries, "sns"),
+      complete: !nextToken
+    });
+  });
+});
+
+// Whether the account is still in the SMS sandbox
+const sandboxStatusRoute = createRoute({
+  method: "get",
+  path: "/sandbox",
+  security: [{ apiKey: [] }],
+  request: {
+    query: regionQuery
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            region: z.string(),
+            inSandbox: z.boolean().describe("Sandboxed accounts can only text verified numbers")
+          })
+        }
+      },
+      description: "SMS sandbox status"
+    },
+    ...snsErrorResponses
+  }
+});
+
+app.openapi(sandboxStatusRoute, async (c) => {
+  const { region } = c.req.valid("query");
+
+  return withSns(c, region, async (client) => c.json({
+    success: true,
+    region: client.region,
+    inSandbox: await client.getSMSSandboxAccountStatus()
+  }));
+});
+
+// One page of the sandbox's destination numbers
+const listSandboxNumbersRoute = createRoute({
+  method: "get",
+  path: "/sandbox/phone-numbers",
+  security: [{ apiKey: [] }],
+  request: {
+    query: regionQuery.extend({
+      nextToken: z.string().optional()
+    })
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            phoneNumbers: z.array(z.object({
+              phoneNumber: z.string(),
+              status: z.enum(["Pending", "Verified"])
+            })),
+            nextToken: z.string().optional().describe("Pass back for the next page")
+          })
+        }
+      },
+      description: "Sandbox destination numbers"
+    },
+    ...snsErrorResponses
+  }
+});
+
+app.openapi(listSandboxNumbersRoute, async (c) => {
+  const { region, nextToken } = c.req.valid("query");
+
+  return withSns(c, region, async (client) => c.json({
+    success: true,
+    ...await client.listSMSSandboxPhoneNumbers(nextToken)
+  }));
+});
+
+const sandboxNumberResponses = (description) => ({
+  200: {
+    content: {
+      "application/json": {
+        schema: z.object({
+          success: z.boolean(),
+          phoneNumber: z.string()
+        })
+      }
+    },
+    description
+  },
+  400: {
+    content: { "application/json": { schema: errorSchema } },
+    description: "Invalid phone number or one-time password"
+  },
+  404: {
+    content: { "application/json": { schema: errorSchema } },
+    description: "Number not in the sandbox"
+  },
+  ...snsErrorResponses
+});
+
+// Add a destination number; SNS texts it a one-time password
+const addSandboxNumberRoute = createRoute({
+  method: "post",
+  path: "/sandbox/phone-numbers",
+  security: [{ apiKey: [] }],
+  request: {
+    query: regionQuery,
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            phoneNumber: z.string().min(1),
+            languageCode: z.enum(SANDBOX_LANGUAGES).optional().default("en-US").describe("Language of the verification text")
+          })
+        }
+      }
+    }
+  },
+  responses: sandboxNumberResponses("Number added as Pending; verify it with the password SNS texted it")
+});
+
+app.openapi(addSandboxNumberRoute, async (c) => {
+  const { region } = c.req.valid("query");
+  const { languageCode } = c.req.valid("json");
+  const phoneNumber = formatPhoneNumber(c.req.valid("json").phoneNumber);
+  if (!isValidPhoneNumber(phoneNumber)) return invalidPhoneNumber(c);
+
+  return withSns(c, region, async (client) => {
+    await client.createSMSSandboxPhoneNumber(phoneNumber, languageCode);
+    return c.json({
+      success: true,
+      phoneNumber
+    });
+  });
+});
+
+// Verify a destination number with the password SNS texted it
+const verifySandboxNumberRoute = createRoute({
+  method: "post",
+  path: "/sandbox/phone-numbers/verify",
+  security: [{ apiKey: [] }],
+  request: {
+    query: regionQuery,
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            phoneNumber: z.string().min(1),
+            oneTimePassword: z.string().min(1)
+          })
+        }
+      }
+    }
+  },
+  responses: sandboxNumberResponses("Number verified; the account can now text it")
+});
+
+app.openapi(verifySandboxNumberRoute, async (c) => {
+  const { region } = c.req.valid("query");
+  const { oneTimePassword } = c.req.valid("json");
+  const phoneNumber = formatPhoneNumber(c.req.valid("json").phoneNumber);
+  if (!isValidPhoneNumber(phoneNumber)) return invalidPhoneNumber(c);
+
+  return withSns(c, region, async (client) => {
+    await client.verifySMSSandboxPhoneNumber(phoneNumber, oneTimePassword);
+    return c.json({
+      success: true,
+      phoneNumber
+    });
+  });
+});
+
+// Remove a destination number
+const deleteSandboxNumberRoute = createRoute({
+  method: "post",
+  path: "/sandbox/phone-numbers/delete",
+  security: [{ apiKey: [] }],
+  request: {
+    query: regionQuery,
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            phoneNumber: z.string().min(1)
+          })
+        }
+      }
+    }
+  },
+  responses: sandboxNumberResponses("Number removed from the sandbox")
+});
+
+app.openapi(deleteSandboxNumberRoute, async (c) => {
+  const { region } = c.req.valid("query");
+  const phoneNumber = formatPhoneNumber(c.req.valid("json").phoneNumber);
+  if (!isValidPhoneNumber(phoneNumber)) return invalidPhoneNumber(c);
+
+  return withSns(c, region, async (client) => {
+    await client.deleteSMSSandboxPhoneNumber(phoneNumber);
+    return c.json({
+      success: true,
+      phoneNumber
+    });
+  });
+});
+
+export default app;
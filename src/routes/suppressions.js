@@ -0,0 +1,200 @@
+/**
+ * Admin routes for tenants' suppression lists.
+ * Mounted under `/api/admin/suppressions` and restricted to keys with the `admin` scope.
+ *
+ * @module routes/suppressions
+ */
+
+import { OpenAPIHono, createRoute, z } from "@hono/zod-openapi";
+import { getStore } from "../verification-store.js";
+import {
+  SUPPRESSION_SCOPES,
+  importSuppressions,
+  listSuppressions,
+  parseSuppressionCsv,
+  removeSuppression,
+  suppressionEntrySchema,
+  suppressionsToCsv
+} from "../suppression.js";
+
+const app = new OpenAPIHono();
+
+const suppressionSchema = z.object({
+  phoneNumber: z.string(),
+  scope: z.enum(SUPPRESSION_SCOPES),
+  reason: z.string().optional(),
+  source: z.string(),
+  createdAt: z.string(),
+  updatedAt: z.string()
+});
+
+const tenantParams = z.object({
+  tenantId: z.string().min(1)
+});
+
+// Export a tenant's list
+const listSuppressionsRoute = createRoute({
+  method: "get",
+  path: "/{tenantId}",
+  security: [{ apiKey: [] }],
+  request: {
+    params: tenantParams,
+    query: z.object({
+      scope: z.enum(SUPPRESSION_SCOPES).optional(),
+      format: z.enum(["json", "csv"]).optional().default("json")
+    })
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            suppressions: z.array(suppressionSchema)
+          })
+        },
+        "text/csv": {
+          schema: z.string()
+        }
+      },
+      description: "Suppressed numbers, sorted by phone number"
+    }
+  }
+});
+
+app.openapi(listSuppressionsRoute, async (c) => {
+  const { tenantId } = c.req.valid("param");
+  const { scope, format } = c.req.valid("query");
+  const suppressions = await listSuppressions(getStore(c.env), tenantId, { scope });
+
+  if (format === "csv") {
+    return c.body(suppressionsToCsv(suppressions), 200, {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="suppressions-${tenantId}.csv"`
+    });
+  }
+
+  return c.json({
+    success: true,
+    suppressions
+  });
+});
+
+// Import entries into a tenant's list
+const importSuppressionsRoute = createRoute({
+  method: "post",
+  path: "/{tenantId}/import",
+  security: [{ apiKey: [] }],
+  request: {
+    params: tenantParams,
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            entries: z.array(suppressionEntrySchema).max(10000).optional(),
+            csv: z.string().optional().describe("phoneNumber[,scope[,reason]] per line, as exported")
+          })
+        }
+      }
+    }
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            imported: z.number(),
+            skipped: z.array(z.object({
+              phoneNumber: z.string().optional(),
+              error: z.string()
+            }))
+          })
+        }
+      },
+      description: "Entries added; numbers that could not be read are skipped"
+    },
+    400: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            error: z.string()
+          })
+        }
+      },
+      description: "Neither entries nor csv given"
+    }
+  }
+});
+
+app.openapi(importSuppressionsRoute, async (c) => {
+  const { tenantId } = c.req.valid("param");
+  const { entries = [], csv } = c.req.valid("json");
+
+  if (!entries.length && !csv) {
+    return c.json({
+      success: false,
+      error: "Nothing to import"
+    }, 400);
+  }
+
+  const summary = await importSuppressions(getStore(c.env), tenantId, [...entries, ...(csv ? parseSuppressionCsv(csv) : [])]);
+  return c.json({
+    success: true,
+    ...summary
+  });
+});
+
+// Take numbers off a tenant's list
+const removeSuppressionsRoute = createRoute({
+  method: "post",
+  path: "/{tenantId}/remove",
+  security: [{ apiKey: [] }],
+  request: {
+    params: tenantParams,
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            phoneNumbers: z.array(z.string().min(1)).min(1).max(1000)
+          })
+        }
+      }
+    }
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            removed: z.array(z.string()),
+            notFound: z.array(z.string())
+          })
+        }
+      },
+      description: "Numbers removed, and those that were not on the list"
+    }
+  }
+});
+
+app.openapi(removeSuppressionsRoute, async (c) => {
+  const { tenantId } = c.req.valid("param");
+  const { phoneNumbers } = c.req.valid("json");
+  const store = getStore(c.env);
+
+  const removed = [];
+  const notFound = [];
+  for (const phoneNumber of phoneNumbers) {
+    (await removeSuppression(store, tenantId, phoneNumber) ? removed : notFound).push(phoneNumber);
+  }
+
+  return c.json({
+    success: true,
+    removed,
+    notFound
+  });
+});
+
+export default app;
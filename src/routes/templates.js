@@ -0,0 +1,313 @@
+/**
+ * Named message templates for the caller's tenant.
+ * Mounted under `/api/templates` for keys with the `send` scope.
+ *
+ * @module routes/templates
+ */
+
+import { OpenAPIHono, createRoute, z } from "@hono/zod-openapi";
+import { getStore } from "../verification-store.js";
+import { generateCode, resolveCodePolicy } from "../code-policy.js";
+import {
+  TEMPLATE_VALIDATIONS,
+  TemplateError,
+  messageTemplateSchema,
+  templateVariables,
+  checkMessage,
+  renderTemplate,
+  localizeMessageTemplate,
+  saveMessageTemplate,
+  getMessageTemplate,
+  listMessageTemplates,
+  deleteMessageTemplate
+} from "../message-templates.js";
+
+const app = new OpenAPIHono();
+
+const errorSchema = z.object({
+  success: z.boolean(),
+  error: z.string(),
+  issues: z.array(z.object({
+    code: z.string(),
+    message: z.string()
+  })).optional()
+});
+
+const templateSchema = z.object({
+  name: z.string(),
+  body: z.string(),
+  locales: z.record(z.string()),
+  appName: z.string().optional(),
+  domain: z.string().optional(),
+  unicode: z.boolean(),
+  validation: z.enum(TEMPLATE_VALIDATIONS),
+  createdAt: z.string(),
+  updatedAt: z.string()
+});
+
+const analysisSchema = z.object({
+  encoding: z.enum(["GSM-7", "UCS-2"]),
+  characters: z.number(),
+  units: z.number().describe("Septets for GSM-7, UTF-16 code units for UCS-2"),
+  segments: z.number(),
+  unitsPerSegment: z.number(),
+  remaining: z.number().describe("Units left in the last segment"),
+  nonGsmCharacters: z.array(z.string())
+});
+
+const nameParamSchema = z.object({
+  name: z.string().regex(/^[a-z0-9][a-z0-9_-]{0,63}$/, "Use lowercase letters, digits, - and _")
+});
+
+const notFound = (c) => c.json({
+  success: false,
+  error: "Template not found"
+}, 404);
+
+const publicTemplate = ({ tenantId, ...template }) => template;
+
+// Sample values for checking a template: a code from the caller's policy and the key's defaults
+const sampleVariables = (c) => {
+  const { config } = c.get("apiKey");
+  return templateVariables({
+    code: generateCode(resolveCodePolicy(c.env?.CODE_POLICY, config.codePolicy)),
+    appName: config.appName ?? c.env?.APP_NAME,
+    domain: config.domain ?? c.env?.APP_DOMAIN
+  });
+};
+
+// Create or replace a template
+const saveTemplateRoute = createRoute({
+  method: "post",
+  path: "/{name}",
+  security: [{ apiKey: [] }],
+  request: {
+    params: nameParamSchema,
+    body: {
+      content: {
+        "application/json": {
+          schema: messageTemplateSchema
+        }
+      }
+    }
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            template: templateSchema,
+            analysis: analysisSchema.describe("Default body rendered with a sample code"),
+            warnings: z.array(z.string())
+          })
+        }
+      },
+      description: "Template saved, with any encoding issues it was saved with"
+    },
+    422: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "Invalid template, or encoding issues with validation \"reject\""
+    }
+  }
+});
+
+app.openapi(saveTemplateRoute, async (c) => {
+  const { name } = c.req.valid("param");
+
+  try {
+    const { template, analysis, warnings } = await saveMessageTemplate(
+      getStore(c.env),
+      c.get("apiKey").tenantId,
+      name,
+      c.req.valid("json"),
+      sampleVariables(c)
+    );
+
+    return c.json({
+      success: true,
+      template: publicTemplate(template),
+      analysis,
+      warnings
+    });
+  } catch (error) {
+    if (!(error instanceof TemplateError)) throw error;
+    return c.json({
+      success: false,
+      error: error.message,
+      issues: error.issues.map(({ code, message }) => ({ code, message }))
+    }, 422);
+  }
+});
+
+// List templates
+const listTemplatesRoute = createRoute({
+  method: "get",
+  path: "/",
+  security: [{ apiKey: [] }],
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            templates: z.array(templateSchema)
+          })
+        }
+      },
+      description: "The tenant's templates"
+    }
+  }
+});
+
+app.openapi(listTemplatesRoute, async (c) => {
+  const templates = await listMessageTemplates(getStore(c.env), c.get("apiKey").tenantId);
+
+  return c.json({
+    success: true,
+    templates: templates.map(publicTemplate)
+  });
+});
+
+// Look up a template
+const getTemplateRoute = createRoute({
+  method: "get",
+  path: "/{name}",
+  security: [{ apiKey: [] }],
+  request: {
+    params: nameParamSchema
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            template: templateSchema
+          })
+        }
+      },
+      description: "Template"
+    },
+    404: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "Template not found"
+    }
+  }
+});
+
+app.openapi(getTemplateRoute, async (c) => {
+  const template = await getMessageTemplate(getStore(c.env), c.get("apiKey").tenantId, c.req.valid("param").name);
+  if (!template) return notFound(c);
+
+  return c.json({
+    success: true,
+    template: publicTemplate(template)
+  });
+});
+
+// Render a template without sending it
+const previewTemplateRoute = createRoute({
+  method: "post",
+  path: "/{name}/preview",
+  security: [{ apiKey: [] }],
+  request: {
+    params: nameParamSchema,
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            code: z.string().optional().describe("Defaults to a sample code from the code policy"),
+            locale: z.string().optional(),
+            phoneNumber: z.string().optional().describe("Destination whose country picks the locale")
+          })
+        }
+      }
+    }
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            text: z.string(),
+            locale: z.string().optional(),
+            analysis: analysisSchema,
+            warnings: z.array(z.string())
+          })
+        }
+      },
+      description: "Rendered message and its encoding"
+    },
+    404: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "Template not found"
+    }
+  }
+});
+
+app.openapi(previewTemplateRoute, async (c) => {
+  const template = await getMessageTemplate(getStore(c.env), c.get("apiKey").tenantId, c.req.valid("param").name);
+  if (!template) return notFound(c);
+
+  const { code, locale, phoneNumber } = c.req.valid("json");
+  const localized = localizeMessageTemplate(template, { locale, phoneNumber });
+  const sample = sampleVariables(c);
+  const text = renderTemplate(localized.template, {
+    ...sample,
+    code: code || sample.code,
+    app_name: template.appName ?? sample.app_name,
+    domain: template.domain ?? sample.domain
+  });
+  const { analysis, issues } = checkMessage(text, { unicode: template.unicode });
+
+  return c.json({
+    success: true,
+    text,
+    locale: localized.locale,
+    analysis,
+    warnings: issues.map(issue => issue.message)
+  });
+});
+
+// Remove a template
+const deleteTemplateRoute = createRoute({
+  method: "post",
+  path: "/{name}/delete",
+  security: [{ apiKey: [] }],
+  request: {
+    params: nameParamSchema
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            template: templateSchema
+          })
+        }
+      },
+      description: "Template removed"
+    },
+    404: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "Template not found"
+    }
+  }
+});
+
+app.openapi(deleteTemplateRoute, async (c) => {
+  const store = getStore(c.env);
+  const template = await getMessageTemplate(store, c.get("apiKey").tenantId, c.req.valid("param").name);
+  if (!template) return notFound(c);
+
+  await deleteMessageTemplate(store, template);
+  return c.json({
+    success: true,
+    template: publicTemplate(template)
+  });
+});
+
+export default app;
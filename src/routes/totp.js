@@ -0,0 +1,356 @@
+/**
+ * TOTP authenticator enrollment and verification for the caller's tenant.
+ * Mounted under `/api/totp` for keys with the `verify` scope.
+ *
+ * @module routes/totp
+ */
+
+import { OpenAPIHono, createRoute, z } from "@hono/zod-openapi";
+import { getStore } from "../verification-store.js";
+import { qrCodeSvg } from "../qr-code.js";
+import {
+  TOTP_ALGORITHM,
+  TOTP_DIGITS,
+  TOTP_PERIOD,
+  enrollTotp,
+  getTotpFactor,
+  checkTotp,
+  regenerateRecoveryCodes,
+  deleteTotpFactor,
+  toPublicTotpFactor
+} from "../totp.js";
+
+const app = new OpenAPIHono();
+
+// Messages for codes that are not accepted
+const TOTP_ERRORS = {
+  invalid_code: "Invalid code",
+  replayed: "Code already used",
+  invalid_recovery_code: "Invalid recovery code",
+  not_active: "Recovery codes are issued once the authenticator is confirmed",
+  locked: "Too many failed attempts. Please try again later."
+};
+
+const errorSchema = z.object({
+  success: z.boolean(),
+  error: z.string()
+});
+
+const factorSchema = z.object({
+  userId: z.string(),
+  issuer: z.string(),
+  accountName: z.string(),
+  status: z.enum(["pending", "active"]).describe("Pending until the first valid code"),
+  recoveryCodesRemaining: z.number(),
+  lockedUntil: z.string().optional(),
+  createdAt: z.string(),
+  updatedAt: z.string(),
+  activatedAt: z.string().optional()
+});
+
+const userIdSchema = z.string().min(1).max(128).describe("Your own ID for the user");
+
+const userParamSchema = z.object({
+  userId: userIdSchema
+});
+
+const publicFactor = (factor) => {
+  const { tenantId, ...rest } = toPublicTotpFactor(factor);
+  return rest;
+};
+
+const notFound = (c) => c.json({
+  success: false,
+  error: "No authenticator enrolled for this user"
+}, 404);
+
+// Start enrollment
+const enrollRoute = createRoute({
+  method: "post",
+  path: "/enroll",
+  security: [{ apiKey: [] }],
+  request: {
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            userId: userIdSchema,
+            accountName: z.string().min(1).max(128).optional().describe("Shown in the authenticator app (default: userId)"),
+            issuer: z.string().min(1).max(64).optional().describe("Shown in the authenticator app (default: APP_NAME)"),
+            replace: z.boolean().optional().describe("Replace an active authenticator")
+          })
+        }
+      }
+    }
+  },
+  responses: {
+    201: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            factor: factorSchema,
+            secret: z.string().describe("Base32 secret for manual entry"),
+            uri: z.string().describe("otpauth:// URI"),
+            qrCode: z.string().describe("SVG QR code of the URI"),
+            algorithm: z.string(),
+            digits: z.number(),
+            period: z.number()
+          })
+        }
+      },
+      description: "Enrollment started; confirm it with a code through /api/totp/verify"
+    },
+    409: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "The user already has an active authenticator and replace is not set"
+    }
+  }
+});
+
+app.openapi(enrollRoute, async (c) => {
+  const store = getStore(c.env);
+  const { tenantId } = c.get("apiKey");
+  const { userId, accountName, issuer = c.env?.APP_NAME || "Verify", replace } = c.req.valid("json");
+
+  const existing = await getTotpFactor(store, tenantId, userId);
+  if (existing?.status === "active" && !replace) {
+    return c.json({
+      success: false,
+      error: "User already has an active authenticator"
+    }, 409);
+  }
+
+  const { factor, secret, uri } = await enrollTotp(store, { tenantId, userId, issuer, accountName });
+  c.header("Cache-Control", "no-store");
+  return c.json({
+    success: true,
+    factor: publicFactor(factor),
+    secret,
+    uri,
+    qrCode: qrCodeSvg(uri),
+    algorithm: TOTP_ALGORITHM,
+    digits: TOTP_DIGITS,
+    period: TOTP_PERIOD
+  }, 201);
+});
+
+// Check a code
+const verifyRoute = createRoute({
+  method: "post",
+  path: "/verify",
+  security: [{ apiKey: [] }],
+  request: {
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            userId: userIdSchema,
+            code: z.string().min(1).optional().describe("Code from the authenticator app"),
+            recoveryCode: z.string().min(1).optional().describe("Single-use recovery code")
+          }).refine(body => (body.code === undefined) !== (body.recoveryCode === undefined), {
+            message: "Provide either code or recoveryCode"
+          })
+        }
+      }
+    }
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            verified: z.boolean(),
+            factor: factorSchema,
+            recoveryCodes: z.array(z.string()).optional().describe("Issued once, when the first code confirms enrollment")
+          })
+        }
+      },
+      description: "Code accepted"
+    },
+    400: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "Code not accepted"
+    },
+    404: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "No authenticator enrolled for this user"
+    },
+    429: {
+      content: {
+        "application/json": {
+          schema: errorSchema.extend({
+            retryAfter: z.number().describe("Seconds until the lock ends")
+          })
+        }
+      },
+      description: "Too many failed attempts; see the Retry-After header"
+    }
+  }
+});
+
+app.openapi(verifyRoute, async (c) => {
+  const store = getStore(c.env);
+  const { userId, code, recoveryCode } = c.req.valid("json");
+  const factor = await getTotpFactor(store, c.get("apiKey").tenantId, userId);
+  if (!factor) return notFound(c);
+
+  const result = await checkTotp(store, factor, { code, recoveryCode });
+
+  if (result.reason === "locked") {
+    c.header("Retry-After", String(result.retryAfter));
+    return c.json({
+      success: false,
+      error: TOTP_ERRORS.locked,
+      retryAfter: result.retryAfter
+    }, 429);
+  }
+  if (!result.verified) {
+    return c.json({
+      success: false,
+      error: TOTP_ERRORS[result.reason]
+    }, 400);
+  }
+
+  if (result.recoveryCodes) c.header("Cache-Control", "no-store");
+  return c.json({
+    success: true,
+    verified: true,
+    factor: publicFactor(result.factor),
+    recoveryCodes: result.recoveryCodes
+  });
+});
+
+// Replace recovery codes
+const recoveryCodesRoute = createRoute({
+  method: "post",
+  path: "/recovery-codes",
+  security: [{ apiKey: [] }],
+  request: {
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            userId: userIdSchema
+          })
+        }
+      }
+    }
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            factor: factorSchema,
+            recoveryCodes: z.array(z.string()).describe("Shown only this once; earlier codes stop working")
+          })
+        }
+      },
+      description: "New recovery codes"
+    },
+    404: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "No active authenticator for this user"
+    }
+  }
+});
+
+app.openapi(recoveryCodesRoute, async (c) => {
+  const store = getStore(c.env);
+  const factor = await getTotpFactor(store, c.get("apiKey").tenantId, c.req.valid("json").userId);
+  if (factor?.status !== "active") {
+    return c.json({
+      success: false,
+      error: "No active authenticator for this user"
+    }, 404);
+  }
+
+  const recoveryCodes = await regenerateRecoveryCodes(store, factor);
+  c.header("Cache-Control", "no-store");
+  return c.json({
+    success: true,
+    factor: publicFactor(factor),
+    recoveryCodes
+  });
+});
+
+// Look up a user's authenticator
+const getFactorRoute = createRoute({
+  method: "get",
+  path: "/{userId}",
+  security: [{ apiKey: [] }],
+  request: {
+    params: userParamSchema
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            factor: factorSchema
+          })
+        }
+      },
+      description: "Authenticator, without its secret or recovery codes"
+    },
+    404: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "No authenticator enrolled for this user"
+    }
+  }
+});
+
+app.openapi(getFactorRoute, async (c) => {
+  const factor = await getTotpFactor(getStore(c.env), c.get("apiKey").tenantId, c.req.valid("param").userId);
+  if (!factor) return notFound(c);
+
+  return c.json({
+    success: true,
+    factor: publicFactor(factor)
+  });
+});
+
+// Remove a user's authenticator
+const deleteFactorRoute = createRoute({
+  method: "post",
+  path: "/{userId}/delete",
+  security: [{ apiKey: [] }],
+  request: {
+    params: userParamSchema
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            factor: factorSchema
+          })
+        }
+      },
+      description: "Authenticator removed"
+    },
+    404: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "No authenticator enrolled for this user"
+    }
+  }
+});
+
+app.openapi(deleteFactorRoute, async (c) => {
+  const store = getStore(c.env);
+  const factor = await getTotpFactor(store, c.get("apiKey").tenantId, c.req.valid("param").userId);
+  if (!factor) return notFound(c);
+
+  await deleteTotpFactor(store, factor);
+  return c.json({
+    success: true,
+    factor: publicFactor(factor)
+  });
+});
+
+export default app;
@@ -0,0 +1,280 @@
+/**
+ * Webhook endpoints and deliveries for the calling API key.
+ * Mounted under `/api/webhooks`; every key manages its own endpoints and
+ * only sees deliveries to them. A rotated key keeps those of the key it
+ * replaced.
+ *
+ * @module routes/webhooks
+ */
+
+import { OpenAPIHono, createRoute, z } from "@hono/zod-openapi";
+import { getStore } from "../verification-store.js";
+import { keyLineageId } from "../api-keys.js";
+import {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  toPublicEndpoint,
+  createWebhookEndpoint,
+  getWebhookEndpoint,
+  listWebhookEndpoints,
+  deleteWebhookEndpoint,
+  getWebhookDelivery,
+  listWebhookDeliveries,
+  replayWebhookDelivery
+} from "../webhooks.js";
+
+const app = new OpenAPIHono();
+
+const errorSchema = z.object({
+  success: z.boolean(),
+  error: z.string()
+});
+
+const endpointSchema = z.object({
+  id: z.string(),
+  url: z.string(),
+  events: z.array(z.enum(WEBHOOK_EVENTS)),
+  description: z.string().optional(),
+  createdAt: z.string()
+});
+
+const deliverySchema = z.object({
+  id: z.string(),
+  endpointId: z.string(),
+  event: z.object({
+    id: z.string(),
+    type: z.enum(WEBHOOK_EVENTS),
+    createdAt: z.string(),
+    tenantId: z.string(),
+    data: z.record(z.any())
+  }),
+  status: z.enum(DELIVERY_STATUSES).describe("dead deliveries ran out of attempts"),
+  attempts: z.number(),
+  responseStatus: z.number().optional(),
+  lastError: z.string().optional(),
+  lastAttemptAt: z.string().optional(),
+  nextAttemptAt: z.string().optional(),
+  deliveredAt: z.string().optional(),
+  replayedAt: z.string().optional(),
+  createdAt: z.string()
+});
+
+const endpointNotFound = (c) => c.json({
+  success: false,
+  error: "Webhook endpoint not found"
+}, 404);
+
+// Endpoints returned to clients carry neither the secret nor the owning key
+const publicEndpoint = (endpoint) => {
+  const { apiKeyId, tenantId, ...rest } = toPublicEndpoint(endpoint);
+  return rest;
+};
+
+const publicDelivery = ({ apiKeyId, ...delivery }) => delivery;
+
+// Register an endpoint
+const createEndpointRoute = createRoute({
+  method: "post",
+  path: "/",
+  security: [{ apiKey: [] }],
+  request: {
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            url: z.string().url().refine(url => url.startsWith("https://"), "Webhook URL must use https"),
+            events: z.array(z.enum(WEBHOOK_EVENTS)).min(1).optional().describe("Event types to receive; all when omitted"),
+            description: z.string().max(200).optional()
+          })
+        }
+      }
+    }
+  },
+  responses: {
+    201: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            secret: z.string().describe("Signing secret. It is only shown once."),
+            endpoint: endpointSchema
+          })
+        }
+      },
+      description: "Webhook endpoint registered"
+    }
+  }
+});
+
+app.openapi(createEndpointRoute, async (c) => {
+  const { url, events, description } = c.req.valid("json");
+  const apiKey = c.get("apiKey");
+  const endpoint = await createWebhookEndpoint(getStore(c.env), {
+    apiKeyId: keyLineageId(apiKey),
+    tenantId: apiKey.tenantId,
+    url,
+    events,
+    description
+  });
+
+  return c.json({
+    success: true,
+    secret: endpoint.secret,
+    endpoint: publicEndpoint(endpoint)
+  }, 201);
+});
+
+// List endpoints
+const listEndpointsRoute = createRoute({
+  method: "get",
+  path: "/",
+  security: [{ apiKey: [] }],
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            endpoints: z.array(endpointSchema)
+          })
+        }
+      },
+      description: "Webhook endpoints of the calling API key"
+    }
+  }
+});
+
+app.openapi(listEndpointsRoute, async (c) => {
+  const endpoints = await listWebhookEndpoints(getStore(c.env), keyLineageId(c.get("apiKey")));
+
+  return c.json({
+    success: true,
+    endpoints: endpoints.map(publicEndpoint)
+  });
+});
+
+// Remove an endpoint
+const deleteEndpointRoute = createRoute({
+  method: "post",
+  path: "/{id}/delete",
+  security: [{ apiKey: [] }],
+  request: {
+    params: z.object({
+      id: z.string()
+    })
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            endpoint: endpointSchema
+          })
+        }
+      },
+      description: "Webhook endpoint removed"
+    },
+    404: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "Webhook endpoint not found"
+    }
+  }
+});
+
+app.openapi(deleteEndpointRoute, async (c) => {
+  const store = getStore(c.env);
+  const endpoint = await getWebhookEndpoint(store, keyLineageId(c.get("apiKey")), c.req.param("id"));
+  if (!endpoint) return endpointNotFound(c);
+
+  await deleteWebhookEndpoint(store, endpoint);
+  return c.json({
+    success: true,
+    endpoint: publicEndpoint(endpoint)
+  });
+});
+
+// List deliveries; status=dead lists the dead letters
+const listDeliveriesRoute = createRoute({
+  method: "get",
+  path: "/deliveries",
+  security: [{ apiKey: [] }],
+  request: {
+    query: z.object({
+      status: z.enum(DELIVERY_STATUSES).optional(),
+      endpointId: z.string().optional()
+    })
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            deliveries: z.array(deliverySchema)
+          })
+        }
+      },
+      description: "Deliveries to the calling API key's endpoints, newest first"
+    }
+  }
+});
+
+app.openapi(listDeliveriesRoute, async (c) => {
+  const deliveries = await listWebhookDeliveries(getStore(c.env), keyLineageId(c.get("apiKey")), c.req.valid("query"));
+
+  return c.json({
+    success: true,
+    deliveries: deliveries.map(publicDelivery)
+  });
+});
+
+// Replay a delivery
+const replayDeliveryRoute = createRoute({
+  method: "post",
+  path: "/deliveries/{id}/replay",
+  security: [{ apiKey: [] }],
+  request: {
+    params: z.object({
+      id: z.string()
+    })
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            delivery: deliverySchema
+          })
+        }
+      },
+      description: "Delivery attempted again; failures go back on the retry schedule"
+    },
+    404: {
+      content: { "application/json": { schema: errorSchema } },
+      description: "Delivery or its endpoint not found"
+    }
+  }
+});
+
+app.openapi(replayDeliveryRoute, async (c) => {
+  const store = getStore(c.env);
+  const delivery = await getWebhookDelivery(store, keyLineageId(c.get("apiKey")), c.req.param("id"));
+  if (!delivery) {
+    return c.json({
+      success: false,
+      error: "Webhook delivery not found"
+    }, 404);
+  }
+
+  const replayed = await replayWebhookDelivery(store, c.env, delivery);
+  if (!replayed) return endpointNotFound(c);
+
+  return c.json({
+    success: true,
+    delivery: publicDelivery(replayed)
+  });
+});
+
+export default app;
@@ -0,0 +1,117 @@
+/**
+ * Sandbox (test mode) delivery with magic phone numbers.
+ *
+ * In test mode nothing is sent through AWS SNS. Only the fictional
+ * +1 NXX 555-01XX range is accepted, and the last two digits pick the outcome:
+ *
+ * | Number           | Outcome                                 |
+ * |------------------|-----------------------------------------|
+ * | +1 NXX 555-0100  | Delivered (00-89 all succeed)           |
+ * | +1 NXX 555-0190  | VoIP blocked                            |
+ * | +1 NXX 555-0191  | Provider throttled (retryable)          |
+ * | +1 NXX 555-0192  | Opted out                               |
+ *
+ * Delivered sandbox messages always carry the fixed code from `SANDBOX_CODE`
+ * (default "123456") unless the caller supplied a code.
+ *
+ * Test mode is on when `TEST_MODE` is "true" or the request used a test API key
+ * (`TEST_API_KEY` or a `vk_test_` key).
+ *
+ * @module sandbox
+ */
+
+import { randomHex } from "./crypto-utils.js";
+import { DEFAULT_EXPIRES_IN } from "./verification-sessions.js";
+
+export const DEFAULT_SANDBOX_CODE = "123456";
+
+const SANDBOX_NUMBER = /^\+1\d{3}55501(\d{2})$/;
+
+/**
+ * Scripted failures keyed by the last two digits of a sandbox number.
+ * Error strings mirror what `verifyPhone` returns for the real failure.
+ */
+export const SANDBOX_FAILURES = {
+  "90": {
+    error: "VoIP numbers are not allowed",
+    details: "This phone number appears to be a VoIP number, which is not supported for verification",
+    isVoip: true
+  },
+  "91": {
+    error: "SNS Request failed: Throttling: Rate exceeded",
+    details: "Sandbox number scripted to simulate provider throttling",
+    retryable: true
+  },
+  "92": {
+    error: "SNS Request failed: OptedOut: Phone number is opted out",
+    details: "Sandbox number scripted to simulate an opted-out recipient",
+    errorCode: "OptedOut"
+  }
+};
+
+/**
+ * Whether a request runs in test mode.
+ *
+ * @param {Object} [env] - Worker environment
+ * @param {Object} [apiKey] - Key record the request authenticated with
+ * @returns {boolean}
+ */
+export function isTestMode(env = {}, apiKey) {
+  return env.TEST_MODE === "true" || Boolean(apiKey?.testMode);
+}
+
+/**
+ * Whether a number is in the reserved sandbox range.
+ *
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {boolean}
+ */
+export function isSandboxNumber(phoneNumber) {
+  return SANDBOX_NUMBER.test(phoneNumber);
+}
+
+/**
+ * The fixed code sandbox numbers receive.
+ *
+ * @param {Object} [env] - Worker environment
+ * @returns {string}
+ */
+export function getSandboxCode(env = {}) {
+  return env.SANDBOX_CODE || DEFAULT_SANDBOX_CODE;
+}
+
+/**
+ * Simulate sending a message to a sandbox number. Resolves to the same shape
+ * as `verifyPhone` so callers can treat both paths alike.
+ *
+ * @param {Object} options
+ * @param {string} options.phoneNumber - E.164 sandbox phone number
+ * @param {string} options.code - Code that would have been sent
+ * @returns {Promise<Object>} verifyPhone-style result
+ */
+export async function sendSandboxMessage({ phoneNumber, code }) {
+  const [, suffix] = phoneNumber.match(SANDBOX_NUMBER) || [];
+
+  if (!suffix) {
+    return {
+      success: false,
+      error: "Test mode only accepts sandbox numbers",
+      details: "Use a number in the +1 NXX 555-01XX range, e.g. +12025550100"
+    };
+  }
+
+  const failure = SANDBOX_FAILURES[suffix];
+  if (failure) {
+    return { success: false, ...failure };
+  }
+
+  return {
+    success: true,
+    message: "Verification code sent successfully",
+    messageId: `sandbox-${randomHex(12)}`,
+    provider: "sandbox",
+    code,
+    phoneNumber,
+    expiresIn: DEFAULT_EXPIRES_IN
+  };
+}
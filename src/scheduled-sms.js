@@ -0,0 +1,499 @@
+/**
+ * Scheduled and delayed SMS for `/api/sms`.
+ *
+ * - `sendAt` with an offset ("2026-10-20T09:00:00Z") is an exact time.
+ *   Without one ("2026-10-20T09:00") it is the recipient's local time, in
+ *   `timezone` or the zone guessed from the phone number's country.
+ *   `delaySeconds` sends after a delay instead.
+ * - Scheduled messages are stored until they are sent, then kept for a week.
+ *   Country and number checks run when the message is scheduled; the
+ *   suppression list, fraud guard and provider routing run when it is sent.
+ * - Due messages are sent by `processScheduledMessages`, from a Durable
+ *   Object alarm set for the next message, to the second, when `SMS_SCHEDULER`
+ *   is bound, or else from the Worker's Cron Trigger (once a minute). Only one
+ *   of the two runs, and each send is claimed with a store increment (atomic
+ *   on the Durable Object store) so overlapping runs do not send it twice.
+ * - A send that every provider turned away, or that threw, is retried a
+ *   minute later, up to `MAX_SEND_ATTEMPTS` times. Promotional messages paused
+ *   by the spend guard wait an hour at a time without using up attempts.
+ * - A message left "sending" for `SENDING_TIMEOUT` (the run died mid-send) is
+ *   counted as a failed attempt and retried the same way.
+ *
+ * @module scheduled-sms
+ */
+
+import { z } from "@hono/zod-openapi";
+import verifyPhone, { getPhoneNumberCountry } from "./verify-phone.ts";
+import { randomHex } from "./crypto-utils.js";
+import { getStore } from "./verification-store.js";
+import { escapeTemplate } from "./message-templates.js";
+import { DEFAULT_TIMEZONE, isValidTimezone, timezoneForPhoneNumber, zonedTimeToUtc } from "./phone-timezones.js";
+import { sendSandboxMessage } from "./sandbox.js";
+import { ProviderConfigError, getProvider } from "./providers/index.js";
+import { FRAUD_ERRORS, checkFraud, recordFraudEvent, recordFraudSend, resolveFraudPolicy } from "./fraud-guard.js";
+import { recordMessage } from "./delivery-status.js";
+import { emitWebhookEvent } from "./webhooks.js";
+import { checkSpendGuard, recordSpend, resolveSpendGuard } from "./spend-guard.js";
+import { resolveSmsPricing } from "./sms-pricing.js";
+import {
+  addSuppression,
+  checkSuppression,
+  isOptOutError,
+  parseSuppressionRules,
+  resolveSuppressionRules,
+  trafficTypeOf
+} from "./suppression.js";
+
+export const SCHEDULED_STATUSES = ["scheduled", "sending", "sent", "failed", "canceled"];
+export const MAX_SCHEDULE_AHEAD = 30 * 24 * 60 * 60; // seconds
+export const MAX_SEND_ATTEMPTS = 3;
+
+export const SENDING_TIMEOUT = 5 * 60; // seconds
+
+const RETRY_DELAY = 60; // seconds
+const SPEND_PAUSE_DELAY = 60 * 60; // seconds
+const RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+const scheduledKey = (id) => `scheduled:${id}`;
+// One claim per stored revision of a message
+const claimKey = (message) => `scheduled-claim:${message.id}:${message.revision}`;
+
+const HAS_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Zod schema for a scheduled message as returned by the API.
+ */
+export const scheduledMessageSchema = z.object({
+  id: z.string(),
+  status: z.enum(SCHEDULED_STATUSES),
+  phoneNumber: z.string(),
+  message: z.string(),
+  senderId: z.string(),
+  smsType: z.string(),
+  sendAt: z.string().describe("UTC send time"),
+  timezone: z.string().optional().describe("Zone a local sendAt was read in"),
+  timezoneSource: z.enum(["request", "phone", "default"]).optional(),
+  attempts: z.number(),
+  messageId: z.string().optional(),
+  provider: z.string().optional(),
+  error: z.string().optional(),
+  createdAt: z.string(),
+  updatedAt: z.string(),
+  sentAt: z.string().optional(),
+  canceledAt: z.string().optional(),
+  claimedAt: z.string().optional().describe("When the current send started")
+});
+
+/**
+ * Raised for a send time that cannot be used.
+ */
+export class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ScheduleError";
+  }
+}
+
+/**
+ * Work out when a message should go out.
+ *
+ * @param {Object} options
+ * @param {string} [options.sendAt] - ISO time, with an offset or in local time
+ * @param {number} [options.delaySeconds] - Delay from now instead of `sendAt`
+ * @param {string} [options.timezone] - IANA zone for a local `sendAt`
+ * @param {string} options.phoneNumber - E.164 recipient, for the default zone
+ * @param {number} [options.now=Date.now()]
+ * @returns {{sendAt: string, timezone?: string, timezoneSource?: string}}
+ *   `timezoneSource` is 'request', 'phone' or 'default' for local times
+ * @throws {ScheduleError} If the time is invalid, past or too far ahead
+ */
+export function resolveSendTime({ sendAt, delaySeconds, timezone, phoneNumber, now = Date.now() }) {
+  if (sendAt !== undefined && delaySeconds !== undefined) {
+    throw new ScheduleError("Use either sendAt or delaySeconds, not both");
+  }
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    throw new ScheduleError(`Unknown timezone "${timezone}"`);
+  }
+
+  let time;
+  let zone = {};
+  if (delaySeconds !== undefined) {
+    time = now + delaySeconds * 1000;
+  } else if (HAS_OFFSET.test(sendAt)) {
+    time = Date.parse(sendAt);
+  } else {
+    const guessed = timezoneForPhoneNumber(phoneNumber);
+    zone = timezone
+      ? { timezone, timezoneSource: "request" }
+      : guessed
+        ? { timezone: guessed, timezoneSource: "phone" }
+        : { timezone: DEFAULT_TIMEZONE, timezoneSource: "default" };
+    time = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(sendAt) ? zonedTimeToUtc(sendAt, zone.timezone) : NaN;
+  }
+
+  if (Number.isNaN(time)) throw new ScheduleError("sendAt must be an ISO 8601 date and time");
+  if (time <= now) throw new ScheduleError("sendAt must be in the future");
+  if (time > now + MAX_SCHEDULE_AHEAD * 1000) {
+    throw new ScheduleError(`Messages can be scheduled at most ${MAX_SCHEDULE_AHEAD / 86400} days ahead`);
+  }
+
+  return { sendAt: new Date(time).toISOString(), ...zone };
+}
+
+async function save(store, message) {
+  message.updatedAt = new Date().toISOString();
+  message.revision = (message.revision || 0) + 1;
+  const ttl = Math.max(0, (Date.parse(message.sendAt) - Date.now()) / 1000) + RETENTION_SECONDS;
+  await store.put(scheduledKey(message.id), message, { ttl });
+}
+
+/**
+ * Strip internal fields before returning a scheduled message to API clients.
+ *
+ * @param {Object} message - Stored scheduled message
+ * @returns {Object}
+ */
+export function toPublicScheduledMessage(message) {
+  const { tenantId, apiKeyId, testMode, revision, ...rest } = message;
+  return rest;
+}
+
+/**
+ * Store a message to send later.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} options
+ * @param {string} options.tenantId - Tenant the message belongs to
+ * @param {string} options.apiKeyId - Key that scheduled it, for its webhooks
+ * @param {string} options.phoneNumber - E.164 recipient
+ * @param {string} options.message - Text, sent verbatim
+ * @param {string} options.senderId - Sender ID
+ * @param {string} options.smsType - 'Transactional' or 'Promotional'
+ * @param {string} options.sendAt - ISO send time, from `resolveSendTime`
+ * @param {string} [options.timezone] - Zone a local send time was given in
+ * @param {string} [options.timezoneSource] - Where the zone came from
+ * @param {boolean} [options.testMode=false] - Send to the sandbox instead of a provider
+ * @returns {Promise<Object>} The stored message
+ */
+export async function scheduleMessage(store, {
+  tenantId,
+  apiKeyId,
+  phoneNumber,
+  message,
+  senderId,
+  smsType,
+  sendAt,
+  timezone,
+  timezoneSource,
+  testMode = false
+}) {
+  const scheduled = {
+    id: `sch_${randomHex(16)}`,
+    tenantId,
+    apiKeyId,
+    testMode,
+    status: "scheduled",
+    phoneNumber,
+    message,
+    senderId,
+    smsType,
+    sendAt,
+    timezone,
+    timezoneSource,
+    attempts: 0,
+    createdAt: new Date().toISOString()
+  };
+  await save(store, scheduled);
+  return scheduled;
+}
+
+/**
+ * Load a scheduled message if it belongs to a tenant.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} tenantId - Tenant asking for the message
+ * @param {string} id - Scheduled message ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getScheduledMessage(store, tenantId, id) {
+  const message = await store.get(scheduledKey(id));
+  return message?.tenantId === tenantId ? message : null;
+}
+
+/**
+ * List a tenant's scheduled messages, soonest first.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} tenantId - Tenant the messages belong to
+ * @param {Object} [filter]
+ * @param {string} [filter.status] - Only this status
+ * @returns {Promise<Object[]>}
+ */
+export async function listScheduledMessages(store, tenantId, { status } = {}) {
+  const keys = await store.list(scheduledKey(""));
+  const messages = await Promise.all(keys.map(key => store.get(key)));
+  return messages
+    .filter(message => message?.tenantId === tenantId && (!status || message.status === status))
+    .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+}
+
+/**
+ * Cancel a message that has not been sent yet.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} message - Stored scheduled message
+ * @returns {Promise<boolean>} False if it was no longer scheduled
+ */
+export async function cancelScheduledMessage(store, message) {
+  if (message.status !== "scheduled") return false;
+  message.status = "canceled";
+  message.canceledAt = new Date().toISOString();
+  await save(store, message);
+  return true;
+}
+
+// Send one due message the way /api/sms would have
+async function deliver(store, env, message) {
+  const rules = resolveSuppressionRules(parseSuppressionRules(env?.SUPPRESSION_RULES), message.tenantId);
+  if (await checkSuppression(store, message.tenantId, message.phoneNumber, trafficTypeOf(message.smsType), rules)) {
+    return { success: false, error: "Recipient is on the suppression list" };
+  }
+
+  const result = message.testMode ? await sendSandboxMessage({ phoneNumber: message.phoneNumber }) : await send(store, env, message);
+  if (!result.success && isOptOutError(result.errorCode)) {
+    await addSuppression(store, message.tenantId, { phoneNumber: message.phoneNumber, reason: "opted_out", source: "provider" });
+  }
+  return result;
+}
+
+// Provider routing, spend and fraud guards, and the provider send itself
+async function send(store, env, message) {
+  let provider;
+  try {
+    provider = getProvider(env, { tenantId: message.tenantId, country: getPhoneNumberCountry(message.phoneNumber) });
+  } catch (error) {
+    if (!(error instanceof ProviderConfigError)) throw error;
+    return { success: false, error: error.message };
+  }
+
+  if (message.smsType === "Promotional") {
+    const spend = await checkSpendGuard(store, resolveSpendGuard(env?.SPEND_GUARD), { provider: provider.targets[0].target });
+    if (!spend.allowed) return { success: false, error: "Promotional SMS are paused near the monthly spend limit", paused: true };
+  }
+
+  const fraudPolicy = resolveFraudPolicy(env?.FRAUD_POLICY);
+  const check = await checkFraud(store, message.phoneNumber, fraudPolicy);
+  if (!check.allowed) {
+    await recordFraudEvent(store, {
+      tenantId: message.tenantId,
+      phoneNumber: message.phoneNumber,
+      route: "/api/sms (scheduled)",
+      reason: check.reason,
+      country: check.country,
+      numberType: check.numberType
+    });
+    return { success: false, error: FRAUD_ERRORS[check.reason] };
+  }
+
+  const result = await verifyPhone({
+    phoneNumber: message.phoneNumber,
+    code: "GENERAL", // Use a placeholder code for general SMS
+    provider,
+    blockVoip: false,
+    senderId: message.senderId,
+    messageTemplate: escapeTemplate(message.message),
+    smsType: message.smsType
+  });
+  if (result.success) {
+    await recordFraudSend(store, result.phoneNumber, fraudPolicy);
+    await recordSpend(store, result, resolveSmsPricing(env?.SMS_PRICING));
+  }
+  return result;
+}
+
+/**
+ * Send one scheduled message now and record the outcome.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} env - Worker environment
+ * @param {Object} message - Stored message with status "scheduled"
+ * @returns {Promise<Object>} The updated message
+ */
+export async function sendScheduledMessage(store, env, message) {
+  message.status = "sending";
+  message.attempts += 1;
+  message.claimedAt = new Date().toISOString();
+  await save(store, message);
+
+  let result;
+  try {
+    result = await deliver(store, env, message);
+  } catch (error) {
+    result = { success: false, error: error.message, retryable: true };
+  }
+  const emit = (type, data) => emitWebhookEvent(store, env, {
+    apiKeyId: message.apiKeyId,
+    tenantId: message.tenantId,
+    type,
+    data: { scheduledId: message.id, phoneNumber: message.phoneNumber, ...data }
+  });
+
+  if (result.success) {
+    Object.assign(message, { status: "sent", sentAt: new Date().toISOString(), messageId: result.messageId, provider: result.provider });
+    await save(store, message);
+    await recordMessage(store, {
+      messageId: result.messageId,
+      tenantId: message.tenantId,
+      apiKeyId: message.apiKeyId,
+      phoneNumber: message.phoneNumber,
+      provider: result.provider
+    });
+    await emit("message.sent", { messageId: result.messageId, provider: result.provider });
+    return message;
+  }
+
+  await retryOrFail(store, message, result, emit);
+  return message;
+}
+
+// Reschedule a failed send, or give up on it once attempts run out
+async function retryOrFail(store, message, result, emit) {
+  message.error = result.error;
+  if (result.paused) {
+    message.status = "scheduled";
+    message.attempts -= 1;
+    message.sendAt = new Date(Date.now() + SPEND_PAUSE_DELAY * 1000).toISOString();
+    await save(store, message);
+    return;
+  }
+  if (result.retryable && message.attempts < MAX_SEND_ATTEMPTS) {
+    message.status = "scheduled";
+    message.sendAt = new Date(Date.now() + RETRY_DELAY * 1000).toISOString();
+    await save(store, message);
+    return;
+  }
+
+  message.status = "failed";
+  await save(store, message);
+  await emit("message.failed", { reason: result.error });
+}
+
+// Whether this run is the first to act on the message as read; false when an
+// overlapping run already has
+async function claim(store, message) {
+  return await store.increment(claimKey(message), { ttl: SENDING_TIMEOUT * 2 }) === 1;
+}
+
+// Return a message whose send never finished to the queue, as a failed attempt
+async function recoverStaleMessage(store, env, message) {
+  await retryOrFail(store, message, { success: false, error: "Send did not finish", retryable: true }, (type, data) => emitWebhookEvent(store, env, {
+    apiKeyId: message.apiKeyId,
+    tenantId: message.tenantId,
+    type,
+    data: { scheduledId: message.id, phoneNumber: message.phoneNumber, ...data }
+  }));
+  return message;
+}
+
+/**
+ * Send every scheduled message that is due, and requeue sends that never
+ * finished. Run from the scheduler alarm, or the scheduled handler when
+ * `SMS_SCHEDULER` is not bound. A message that throws is logged and left for
+ * the stale-send recovery; the rest of the run carries on.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} env - Worker environment
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<{sent: number, failed: number, retrying: number, nextSendAt?: string}>}
+ *   `nextSendAt` is the earliest message still waiting
+ */
+export async function processScheduledMessages(store, env, now = Date.now()) {
+  const summary = { sent: 0, failed: 0, retrying: 0, nextSendAt: undefined };
+  const waiting = (sendAt) => {
+    if (!summary.nextSendAt || sendAt < summary.nextSendAt) summary.nextSendAt = sendAt;
+  };
+
+  for (const key of await store.list(scheduledKey(""))) {
+    const message = await store.get(key);
+    let outcome;
+    try {
+      if (message?.status === "sending") {
+        const staleAt = Date.parse(message.claimedAt || message.updatedAt) + SENDING_TIMEOUT * 1000;
+        if (staleAt > now) {
+          waiting(new Date(staleAt).toISOString());
+          continue;
+        }
+        if (!await claim(store, message)) continue;
+        outcome = await recoverStaleMessage(store, env, message);
+      } else {
+        if (message?.status !== "scheduled") continue;
+        if (Date.parse(message.sendAt) > now) {
+          waiting(message.sendAt);
+          continue;
+        }
+        if (!await claim(store, message)) continue;
+        outcome = await sendScheduledMessage(store, env, message);
+      }
+    } catch (error) {
+      console.error("Scheduled SMS error:", message.id, error);
+      continue;
+    }
+
+    const { status, sendAt } = outcome;
+    if (status === "sent") summary.sent += 1;
+    if (status === "failed") summary.failed += 1;
+    if (status === "scheduled") {
+      summary.retrying += 1;
+      waiting(sendAt);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Ask the `SMS_SCHEDULER` Durable Object, when bound, to wake up at a send
+ * time. Without it the Cron Trigger picks the message up.
+ *
+ * @param {Object} env - Worker environment
+ * @param {string} sendAt - ISO send time
+ */
+export async function wakeScheduler(env, sendAt) {
+  if (!env?.SMS_SCHEDULER) return;
+  const stub = env.SMS_SCHEDULER.get(env.SMS_SCHEDULER.idFromName("sms-scheduler"));
+  await stub.fetch("https://sms-scheduler/wake", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ sendAt })
+  });
+}
+
+/**
+ * Durable Object that sends scheduled messages from an alarm. Export it from
+ * the Worker entry point and bind it as `SMS_SCHEDULER` in wrangler.toml.
+ * Messages themselves live in the verification store.
+ */
+export class SmsSchedulerObject {
+  constructor(state, env) {
+    this.storage = state.storage;
+    this.env = env;
+  }
+
+  // Move the alarm earlier if the new time comes first
+  async arm(sendAt) {
+    const time = Math.max(Date.parse(sendAt), Date.now());
+    const current = await this.storage.getAlarm();
+    if (current === null || time < current) await this.storage.setAlarm(time);
+  }
+
+  async fetch(request) {
+    const { sendAt } = await request.json();
+    await this.arm(sendAt);
+    return Response.json({ ok: true });
+  }
+
+  async alarm() {
+    const { nextSendAt } = await processScheduledMessages(getStore(this.env), this.env);
+    if (nextSendAt) await this.arm(nextSendAt);
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * One-tap code autofill for web and Android.
+ *
+ * - WebOTP: browsers read the code from an origin-bound last line,
+ *   `@example.com #123456`, and only hand it to pages on that domain.
+ * - Android SMS Retriever: apps receive messages that contain their
+ *   11-character app hash, without asking for SMS permissions.
+ *
+ * Tenants register their domains and app hashes in `SMS_AUTOFILL`:
+ *
+ * ```json
+ * { "tenants": { "acme": { "domains": ["acme.com"], "appHashes": ["FA+9qCX9VSu"] } } }
+ * ```
+ *
+ * Every SMS verification text for a registered tenant then gets the
+ * autofill lines, using the first domain and app hash unless the request
+ * picks another registered one. Both readers want short messages, so a
+ * text with autofill lines must fit one segment.
+ *
+ * @module sms-autofill
+ */
+
+import { z } from "@hono/zod-openapi";
+import { escapeTemplate } from "./message-templates.js";
+
+const DOMAIN_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*$/;
+const APP_HASH_PATTERN = /^[A-Za-z0-9+/]{11}$/;
+
+const domainSchema = z.string().transform(domain => domain.toLowerCase())
+  .refine(domain => DOMAIN_PATTERN.test(domain) && domain.length <= 253, "Invalid domain");
+const appHashSchema = z.string().regex(APP_HASH_PATTERN, "App hashes are 11 characters of base64");
+
+/**
+ * Zod schema for `SMS_AUTOFILL`: domains and app hashes per tenant.
+ */
+export const smsAutofillSchema = z.object({
+  tenants: z.record(z.object({
+    domains: z.array(domainSchema).optional(),
+    appHashes: z.array(appHashSchema).optional()
+  })).optional()
+});
+
+/**
+ * Raised when a request asks for autofill the tenant has not registered.
+ */
+export class AutofillError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AutofillError";
+  }
+}
+
+/**
+ * Parse the autofill registry from configuration.
+ *
+ * @param {Object|string} [source] - Registry or JSON string (`SMS_AUTOFILL`)
+ * @returns {Object} Registry with lowercase domains
+ */
+export function parseSmsAutofill(source) {
+  if (!source) return {};
+  return smsAutofillSchema.parse(typeof source === "string" ? JSON.parse(source) : source);
+}
+
+/**
+ * Pick the domain and app hash for a send.
+ *
+ * @param {Object} registry - From `parseSmsAutofill`
+ * @param {string} tenantId - Sending tenant
+ * @param {Object} [options] - Request fields
+ * @param {boolean} [options.autofill] - false skips autofill; true requires a registration
+ * @param {string} [options.autofillDomain] - One of the tenant's domains (default: the first)
+ * @param {string} [options.appHash] - One of the tenant's app hashes (default: the first)
+ * @returns {{domain?: string, appHash?: string}|null} null when no autofill applies
+ * @throws {AutofillError} When the request asks for something the tenant has not registered
+ */
+export function resolveAutofill(registry, tenantId, { autofill, autofillDomain, appHash } = {}) {
+  if (autofill === false) return null;
+
+  const { domains = [], appHashes = [] } = registry.tenants?.[tenantId] || {};
+  if (!domains.length && !appHashes.length) {
+    if (autofill || autofillDomain || appHash) {
+      throw new AutofillError("No autofill domains or app hashes are registered for this tenant");
+    }
+    return null;
+  }
+
+  const domain = autofillDomain?.toLowerCase() ?? domains[0];
+  if (domain && !domains.includes(domain)) {
+    throw new AutofillError(`Domain "${autofillDomain}" is not registered for autofill`);
+  }
+  const hash = appHash ?? appHashes[0];
+  if (hash && !appHashes.includes(hash)) {
+    throw new AutofillError(`App hash "${appHash}" is not registered for autofill`);
+  }
+
+  return { domain, appHash: hash };
+}
+
+/**
+ * Add the autofill lines to a message template. The app hash goes on its
+ * own line and the WebOTP line last, as the WebOTP format requires.
+ *
+ * @param {string} template - Message template
+ * @param {Object} options
+ * @param {string} [options.domain] - WebOTP domain
+ * @param {string} [options.appHash] - Android app hash
+ * @param {string} options.code - Verification code, as the browser should fill it in
+ * @returns {string} Template with the lines appended, escaped so they render as they are
+ */
+export function appendAutofill(template, { domain, appHash, code }) {
+  const lines = [
+    appHash,
+    domain && `@${domain} #${String(code).replace(/\s+/g, "")}`
+  ].filter(Boolean);
+
+  return `${template.trimEnd()}\n\n${escapeTemplate(lines.join("\n"))}`;
+}
@@ -0,0 +1,268 @@
+/**
+ * Batch SMS sends for `/api/sms/batch`.
+ *
+ * - One message template goes to many recipients, each with its own
+ *   variables: "Hi {name}, order {order} has shipped".
+ * - Recipients are sent with bounded concurrency and spaced to at most
+ *   `messagesPerSecond`; provider throttling is still retried by the
+ *   failover layer. Every recipient gets a result with its message ID or an
+ *   error code, in request order.
+ * - Small batches are answered synchronously. Async batches return a job ID
+ *   straight away and run after the response; the job records progress as
+ *   it goes and keeps the results for a week.
+ * - Work after the response only gets about 30 seconds on Workers, so async
+ *   batches are capped at what `messagesPerSecond` sends in 20 seconds
+ *   (400 recipients at the default rate). A job still unfinished a few
+ *   minutes after it was queued was cut off, and reads as `failed`.
+ *
+ * Limits come from `SMS_BATCH`:
+ *
+ * ```json
+ * { "maxRecipients": 1000, "syncLimit": 100, "concurrency": 5, "messagesPerSecond": 20 }
+ * ```
+ *
+ * @module sms-batch
+ */
+
+import { z } from "@hono/zod-openapi";
+import { randomHex } from "./crypto-utils.js";
+
+export const DEFAULT_BATCH_POLICY = Object.freeze({
+  maxRecipients: 1000,
+  syncLimit: 100,
+  concurrency: 5,
+  messagesPerSecond: 20
+});
+
+/**
+ * Per-recipient error codes.
+ */
+export const BATCH_ERROR_CODES = [
+  "missing_variables",
+  "invalid_phone_number",
+  "country_not_allowed",
+  "fraud_blocked",
+  "recipient_suppressed",
+  "opted_out",
+  "spend_paused",
+  "provider_error",
+  "provider_unavailable",
+  "internal_error"
+];
+
+const RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+// Progress is written after this many results, and at the end
+const PROGRESS_INTERVAL = 25;
+
+// Time an async batch may take after its response
+const BACKGROUND_SECONDS = 20;
+
+// A job unfinished this long after it was queued will not finish
+const STALE_SECONDS = 5 * 60;
+
+const jobKey = (id) => `batch:${id}`;
+
+/**
+ * Zod schema for a partial batch policy from configuration (`SMS_BATCH`).
+ */
+export const batchPolicySchema = z.object({
+  maxRecipients: z.number().int().min(1).max(10000).optional(),
+  syncLimit: z.number().int().min(1).optional().describe("Largest batch answered synchronously"),
+  concurrency: z.number().int().min(1).max(50).optional(),
+  messagesPerSecond: z.number().positive().optional()
+});
+
+/**
+ * Merge a partial batch policy over the defaults.
+ *
+ * @param {Object|string} [source] - Partial policy or JSON string (`SMS_BATCH`)
+ * @returns {Object} Complete policy
+ */
+export function resolveBatchPolicy(source) {
+  if (!source) return { ...DEFAULT_BATCH_POLICY };
+  const parsed = batchPolicySchema.parse(typeof source === "string" ? JSON.parse(source) : source);
+  const policy = { ...DEFAULT_BATCH_POLICY };
+  for (const [key, value] of Object.entries(parsed)) {
+    if (value !== undefined) policy[key] = value;
+  }
+  return policy;
+}
+
+/**
+ * Largest batch that can be sent in the background at the policy's rate.
+ *
+ * @param {Object} policy - From `resolveBatchPolicy`
+ * @returns {number}
+ */
+export function maxAsyncRecipients(policy) {
+  return Math.min(policy.maxRecipients, Math.floor(BACKGROUND_SECONDS * policy.messagesPerSecond));
+}
+
+/**
+ * Limiter that spaces calls evenly at a rate.
+ *
+ * @param {number} perSecond - Calls allowed per second
+ * @returns {() => Promise<void>} Resolves when the next call may start
+ */
+export function createRateLimiter(perSecond) {
+  const interval = 1000 / perSecond;
+  let next = 0;
+  return async () => {
+    const now = Date.now();
+    const start = Math.max(now, next);
+    next = start + interval;
+    if (start > now) await new Promise(resolve => setTimeout(resolve, start - now));
+  };
+}
+
+/**
+ * Send to every recipient with bounded concurrency and a rate limit.
+ * A send that throws is reported as `internal_error` for its recipient.
+ *
+ * @param {Object[]} recipients - `{ phoneNumber, variables }` entries
+ * @param {(recipient: Object) => Promise<Object>} send - Sends one message;
+ *   resolves to `{ success, messageId?, provider?, errorCode?, error? }`
+ * @param {Object} options
+ * @param {number} options.concurrency - Sends in flight at once
+ * @param {number} options.messagesPerSecond - Rate limit
+ * @param {(result: Object) => Promise<void>} [options.onResult] - Called as each recipient finishes
+ * @returns {Promise<Object[]>} Results in recipient order
+ */
+export async function runBatch(recipients, send, { concurrency, messagesPerSecond, onResult }) {
+  const results = new Array(recipients.length);
+  const acquire = createRateLimiter(messagesPerSecond);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < recipients.length) {
+      const index = nextIndex++;
+      await acquire();
+
+      let result;
+      try {
+        result = await send(recipients[index]);
+      } catch (error) {
+        result = { success: false, errorCode: "internal_error", error: error.message };
+      }
+
+      results[index] = { index, phoneNumber: recipients[index].phoneNumber, ...result };
+      await onResult?.(results[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, recipients.length) }, worker));
+  return results;
+}
+
+/**
+ * Counts for a set of results.
+ *
+ * @param {Object[]} results - From `runBatch`
+ * @returns {{total: number, sent: number, failed: number}}
+ */
+export function summarizeBatch(results) {
+  const sent = results.filter(result => result.success).length;
+  return { total: results.length, sent, failed: results.length - sent };
+}
+
+async function save(store, job) {
+  job.updatedAt = new Date().toISOString();
+  await store.put(jobKey(job.id), job, { ttl: RETENTION_SECONDS });
+}
+
+/**
+ * Strip internal fields from a job before returning it to API clients.
+ *
+ * @param {Object} job - Stored job
+ * @returns {Object}
+ */
+export function toPublicBatchJob(job) {
+  const { tenantId, apiKeyId, ...rest } = job;
+  return rest;
+}
+
+/**
+ * Create and persist a queued batch job.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} options
+ * @param {string} options.tenantId - Tenant the job belongs to
+ * @param {string} options.apiKeyId - Key that started the job, for its webhooks
+ * @param {number} options.total - Number of recipients
+ * @returns {Promise<Object>} The stored job
+ */
+export async function createBatchJob(store, { tenantId, apiKeyId, total }) {
+  const job = {
+    id: `batch_${randomHex(16)}`,
+    tenantId,
+    apiKeyId,
+    status: "queued",
+    total,
+    processed: 0,
+    sent: 0,
+    failed: 0,
+    results: [],
+    createdAt: new Date().toISOString(),
+    startedAt: undefined,
+    completedAt: undefined
+  };
+  await save(store, job);
+  return job;
+}
+
+/**
+ * Load a job by ID. A job left queued or running past its time was cut off
+ * with the request that started it, and is marked `failed`.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} id - Job ID
+ * @param {number} [now=Date.now()]
+ * @returns {Promise<Object|null>}
+ */
+export async function getBatchJob(store, id, now = Date.now()) {
+  const job = await store.get(jobKey(id));
+  if (job && (job.status === "queued" || job.status === "running") && now - Date.parse(job.createdAt) > STALE_SECONDS * 1000) {
+    job.status = "failed";
+    job.error = "Job stopped before every recipient was sent";
+    job.completedAt = new Date(now).toISOString();
+    await save(store, job);
+  }
+  return job;
+}
+
+/**
+ * Run a queued job, saving progress as recipients finish. A job that fails
+ * as a whole is marked `failed` with the error; sent messages stay sent.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} job - Job from `createBatchJob`
+ * @param {Object[]} recipients - `{ phoneNumber, variables }` entries
+ * @param {(recipient: Object) => Promise<Object>} send - As for `runBatch`
+ * @param {Object} policy - From `resolveBatchPolicy`
+ * @returns {Promise<Object>} The finished job
+ */
+export async function runBatchJob(store, job, recipients, send, policy) {
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  await save(store, job);
+
+  try {
+    job.results = await runBatch(recipients, send, {
+      ...policy,
+      onResult: async (result) => {
+        job.processed += 1;
+        job[result.success ? "sent" : "failed"] += 1;
+        if (job.processed % PROGRESS_INTERVAL === 0) await save(store, job);
+      }
+    });
+    job.status = "completed";
+  } catch (error) {
+    job.status = "failed";
+    job.error = error.message;
+  }
+
+  job.completedAt = new Date().toISOString();
+  await save(store, job);
+  return job;
+}
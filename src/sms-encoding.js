@@ -0,0 +1,96 @@
+/**
+ * SMS encoding and segment analysis.
+ *
+ * - Text made only of GSM 03.38 characters goes out as GSM-7: 160 septets
+ *   in one segment, 153 per segment once it is split. Characters from the
+ *   extension table (`{ } [ ] ~ \ ^ | €` and form feed) take two septets and
+ *   are never split across segments.
+ * - Anything else forces UCS-2 for the whole message: 70 UTF-16 code units
+ *   in one segment, 67 per segment once split, with surrogate pairs kept
+ *   together.
+ *
+ * A single stray character such as a curly quote or an en dash is enough
+ * to switch a message to UCS-2 and more than halve its capacity.
+ *
+ * @module sms-encoding
+ */
+
+// GSM 03.38 basic character set (without the escape character)
+const GSM_BASIC = new Set(
+  "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?" +
+  "¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà"
+);
+
+// GSM 03.38 extension table, sent as escape + character
+const GSM_EXTENDED = new Set("\f^{}\\[~]|€");
+
+export const SEGMENT_LIMITS = Object.freeze({
+  "GSM-7": { single: 160, multi: 153 },
+  "UCS-2": { single: 70, multi: 67 }
+});
+
+/**
+ * Whether a character can be sent in GSM-7.
+ *
+ * @param {string} char - One character (code point)
+ * @returns {boolean}
+ */
+export function isGsmCharacter(char) {
+  return GSM_BASIC.has(char) || GSM_EXTENDED.has(char);
+}
+
+// Units each character takes: septets for GSM-7, UTF-16 code units for UCS-2
+const characterUnits = (char, encoding) => encoding === "GSM-7"
+  ? (GSM_EXTENDED.has(char) ? 2 : 1)
+  : char.length;
+
+/**
+ * Analyze how a message will be encoded and split.
+ *
+ * @param {string} text - Message text
+ * @returns {{encoding: string, characters: number, units: number, segments: number,
+ *   unitsPerSegment: number, remaining: number, nonGsmCharacters: string[]}}
+ *   `units` are septets for GSM-7 and code units for UCS-2; `remaining` is
+ *   what is left in the last segment
+ */
+export function analyzeSms(text) {
+  const chars = Array.from(text);
+  const nonGsmCharacters = [...new Set(chars.filter(char => !isGsmCharacter(char)))];
+  const encoding = nonGsmCharacters.length ? "UCS-2" : "GSM-7";
+  const limits = SEGMENT_LIMITS[encoding];
+  const units = chars.reduce((total, char) => total + characterUnits(char, encoding), 0);
+
+  if (units <= limits.single) {
+    return {
+      encoding,
+      characters: chars.length,
+      units,
+      segments: units ? 1 : 0,
+      unitsPerSegment: limits.single,
+      remaining: limits.single - units,
+      nonGsmCharacters
+    };
+  }
+
+  // Fill segments one character at a time so multi-unit characters are never split
+  let segments = 1;
+  let used = 0;
+  for (const char of chars) {
+    const size = characterUnits(char, encoding);
+    if (used + size > limits.multi) {
+      segments += 1;
+      used = 0;
+    }
+    used += size;
+  }
+
+  return {
+    encoding,
+    characters: chars.length,
+    units,
+    segments,
+    unitsPerSegment: limits.multi,
+    remaining: limits.multi - used,
+    nonGsmCharacters
+  };
+}
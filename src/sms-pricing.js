@@ -0,0 +1,123 @@
+/**
+ * SMS cost estimates.
+ *
+ * - Prices are per segment and come from `SMS_PRICING`: a price per
+ *   destination country (ISO 3166-1 alpha-2) and a `defaultPrice` for
+ *   countries not listed. Destinations with neither are left unpriced.
+ * - Each destination is parsed with libphonenumber (full metadata) for its
+ *   country and number type; the message is analyzed once for its encoding
+ *   and segments.
+ *
+ * Estimates never reach a provider, so they cost nothing to run.
+ *
+ * @module sms-pricing
+ */
+
+import { z } from "@hono/zod-openapi";
+import { parsePhoneNumber } from "libphonenumber-js/max";
+import { formatPhoneNumber } from "./verify-phone.ts";
+import { analyzeSms } from "./sms-encoding.js";
+
+export const DEFAULT_SMS_PRICING = Object.freeze({
+  currency: "USD",
+  defaultPrice: null,
+  countries: {}
+});
+
+const priceSchema = z.number().min(0);
+
+/**
+ * Zod schema for the pricing table from configuration (`SMS_PRICING`).
+ */
+export const smsPricingSchema = z.object({
+  currency: z.string().length(3).optional(),
+  defaultPrice: priceSchema.nullable().optional(),
+  countries: z.record(priceSchema).optional()
+});
+
+/**
+ * Merge the pricing table over the defaults.
+ *
+ * @param {Object|string} [source] - Table or JSON string (`SMS_PRICING`)
+ * @returns {Object} Complete pricing table
+ */
+export function resolveSmsPricing(source) {
+  if (!source) return { ...DEFAULT_SMS_PRICING };
+  const parsed = smsPricingSchema.parse(typeof source === "string" ? JSON.parse(source) : source);
+
+  return {
+    currency: parsed.currency?.toUpperCase() || DEFAULT_SMS_PRICING.currency,
+    defaultPrice: parsed.defaultPrice ?? DEFAULT_SMS_PRICING.defaultPrice,
+    countries: Object.fromEntries(Object.entries(parsed.countries || {})
+      .map(([country, price]) => [country.toUpperCase(), price]))
+  };
+}
+
+// Prices are summed from small per-segment amounts; keep them to a sensible precision
+const roundPrice = (price) => Math.round(price * 1e6) / 1e6;
+
+// Country and number type of a destination; invalid numbers have neither
+function describeDestination(phoneNumber) {
+  try {
+    const parsed = parsePhoneNumber(phoneNumber);
+    if (!parsed?.isValid()) return { valid: false };
+    return { valid: true, country: parsed.country, numberType: parsed.getType() };
+  } catch (error) {
+    return { valid: false };
+  }
+}
+
+/**
+ * Estimate the segments and price of sending a message to each number.
+ *
+ * @param {Object} options
+ * @param {string[]} options.phoneNumbers - Destinations
+ * @param {string} options.message - Message text, as it will be sent
+ * @param {Object} [options.pricing] - From `resolveSmsPricing`
+ * @returns {{analysis: Object, estimates: Object[], totals: Object}}
+ *   `price` is null for invalid or unpriced destinations; `totals.price`
+ *   only covers the priced ones
+ */
+export function estimateSms({ phoneNumbers, message, pricing = DEFAULT_SMS_PRICING }) {
+  const analysis = analyzeSms(message);
+
+  const estimates = phoneNumbers.map((input) => {
+    const phoneNumber = formatPhoneNumber(input);
+    const destination = describeDestination(phoneNumber);
+    const pricePerSegment = destination.valid
+      ? pricing.countries[destination.country] ?? pricing.defaultPrice
+      : null;
+
+    return {
+      phoneNumber,
+      ...destination,
+      encoding: analysis.encoding,
+      segments: analysis.segments,
+      pricePerSegment,
+      price: pricePerSegment === null ? null : roundPrice(pricePerSegment * analysis.segments)
+    };
+  });
+
+  const priced = estimates.filter(estimate => estimate.price !== null);
+  const byCountry = {};
+  for (const estimate of priced) {
+    const country = byCountry[estimate.country] ||= { messages: 0, segments: 0, price: 0 };
+    country.messages += 1;
+    country.segments += estimate.segments;
+    country.price = roundPrice(country.price + estimate.price);
+  }
+
+  return {
+    analysis,
+    estimates,
+    totals: {
+      messages: estimates.length,
+      segments: estimates.filter(estimate => estimate.valid).length * analysis.segments,
+      price: roundPrice(priced.reduce((total, estimate) => total + estimate.price, 0)),
+      currency: pricing.currency,
+      invalid: estimates.filter(estimate => !estimate.valid).length,
+      unpriced: estimates.filter(estimate => estimate.valid && estimate.price === null).length,
+      byCountry
+    }
+  };
+}
@@ -0,0 +1,209 @@
+/**
+ * Localized SMS verification templates.
+ *
+ * - A built-in catalog covers the major languages. `SMS_TEMPLATES` can
+ *   override or add locales globally and per tenant.
+ * - The locale is picked from, in order: an explicit `locale`, the
+ *   `Accept-Language` header, then the destination's country (parsed with
+ *   libphonenumber). English is the last resort.
+ * - Each candidate walks its fallback chain, dropping subtags from the end:
+ *   `pt-BR` → `pt`, `zh-Hant-TW` → `zh-Hant` → `zh`. At every step tenant
+ *   templates win over global ones, which win over the catalog.
+ *
+ * Templates use `{code}` as the placeholder for the code.
+ *
+ * @module sms-templates
+ */
+
+import { z } from "@hono/zod-openapi";
+import { parsePhoneNumber } from "libphonenumber-js";
+
+export const DEFAULT_SMS_LOCALE = "en";
+
+/**
+ * Built-in verification templates per locale.
+ */
+export const SMS_TEMPLATES = Object.freeze({
+  en: "Your verification code is: {code}.",
+  es: "Tu código de verificación es: {code}.",
+  pt: "O seu código de verificação é: {code}.",
+  "pt-BR": "Seu código de verificação é: {code}.",
+  fr: "Votre code de vérification est : {code}.",
+  de: "Ihr Bestätigungscode lautet: {code}.",
+  it: "Il tuo codice di verifica è: {code}.",
+  nl: "Je verificatiecode is: {code}.",
+  sv: "Din verifieringskod är: {code}.",
+  pl: "Twój kod weryfikacyjny to: {code}.",
+  ru: "Ваш код подтверждения: {code}.",
+  uk: "Ваш код підтвердження: {code}.",
+  tr: "Doğrulama kodunuz: {code}.",
+  ar: "رمز التحقق الخاص بك هو: {code}",
+  hi: "आपका सत्यापन कोड है: {code}",
+  id: "Kode verifikasi Anda adalah: {code}.",
+  vi: "Mã xác minh của bạn là: {code}.",
+  th: "รหัสยืนยันของคุณคือ: {code}",
+  ja: "認証コード: {code}",
+  ko: "인증번호: {code}",
+  zh: "您的验证码是：{code}。",
+  "zh-Hant": "您的驗證碼是：{code}。"
+});
+
+// Default locale per destination country. Countries not listed (including
+// India, where English is the norm for verification texts) get English.
+const COUNTRY_LOCALES = {
+  ES: "es-ES", MX: "es-MX", AR: "es-AR", CO: "es-CO", CL: "es-CL", PE: "es-PE", VE: "es-VE",
+  EC: "es-EC", UY: "es-UY", PY: "es-PY", BO: "es-BO", CR: "es-CR", PA: "es-PA", DO: "es-DO",
+  GT: "es-GT", HN: "es-HN", SV: "es-SV", NI: "es-NI",
+  BR: "pt-BR", PT: "pt-PT", AO: "pt-AO", MZ: "pt-MZ",
+  FR: "fr-FR", BE: "fr-BE", LU: "fr-LU", MC: "fr-MC", SN: "fr-SN", CI: "fr-CI",
+  DE: "de-DE", AT: "de-AT", CH: "de-CH", LI: "de-LI",
+  IT: "it-IT", SM: "it-SM",
+  NL: "nl-NL", SE: "sv-SE", PL: "pl-PL",
+  RU: "ru-RU", BY: "ru-BY", KZ: "ru-KZ", UA: "uk-UA", TR: "tr-TR",
+  SA: "ar-SA", AE: "ar-AE", EG: "ar-EG", IQ: "ar-IQ", JO: "ar-JO", KW: "ar-KW", QA: "ar-QA",
+  OM: "ar-OM", BH: "ar-BH", DZ: "ar-DZ", MA: "ar-MA", TN: "ar-TN",
+  ID: "id-ID", VN: "vi-VN", TH: "th-TH", JP: "ja-JP", KR: "ko-KR",
+  CN: "zh-CN", TW: "zh-Hant-TW", HK: "zh-Hant-HK", MO: "zh-Hant-MO"
+};
+
+const templateSchema = z.string().min(1).refine(template => template.includes("{code}"), "Template must contain {code}");
+
+const localeTemplatesSchema = z.record(templateSchema);
+
+/**
+ * Zod schema for `SMS_TEMPLATES`: templates per locale, globally and per tenant.
+ */
+export const smsTemplatesSchema = z.object({
+  templates: localeTemplatesSchema.optional(),
+  tenants: z.record(z.object({
+    templates: localeTemplatesSchema
+  })).optional()
+});
+
+/**
+ * Canonical form of a locale tag: `pt_br` → `pt-BR`, `zh-hant-tw` → `zh-Hant-TW`.
+ *
+ * @param {string} locale
+ * @returns {string}
+ */
+export function normalizeLocale(locale) {
+  const [language, ...subtags] = String(locale).trim().replace(/_/g, "-").split("-");
+  return [
+    language.toLowerCase(),
+    ...subtags.map(subtag => subtag.length === 4
+      ? subtag[0].toUpperCase() + subtag.slice(1).toLowerCase()
+      : subtag.toUpperCase())
+  ].join("-");
+}
+
+/**
+ * Fallback chain for a locale, most specific first.
+ *
+ * @param {string} locale - e.g. "pt-BR"
+ * @returns {string[]} e.g. ["pt-BR", "pt"]
+ */
+export function localeChain(locale) {
+  const parts = normalizeLocale(locale).split("-");
+  return parts.map((_, index) => parts.slice(0, parts.length - index).join("-"));
+}
+
+/**
+ * Locales from an `Accept-Language` header, by descending quality.
+ *
+ * @param {string} [header] - e.g. "pt-BR,pt;q=0.9,en;q=0.8"
+ * @returns {string[]}
+ */
+export function parseAcceptLanguage(header) {
+  if (!header) return [];
+
+  return header.split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map(param => param.trim()).find(param => param.startsWith("q="));
+      return { tag: tag.trim(), quality: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(({ tag, quality }) => tag && tag !== "*" && quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+/**
+ * Default locale for a destination's country.
+ *
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {string|undefined}
+ */
+export function getCountryLocale(phoneNumber) {
+  try {
+    return COUNTRY_LOCALES[parsePhoneNumber(phoneNumber)?.country];
+  } catch {
+    return undefined;
+  }
+}
+
+// Normalize the locale keys of a template map
+const normalizeTemplates = (templates = {}) =>
+  Object.fromEntries(Object.entries(templates).map(([locale, template]) => [normalizeLocale(locale), template]));
+
+/**
+ * Parse the template registry from configuration.
+ *
+ * @param {Object|string} [source] - Registry or JSON string (`SMS_TEMPLATES`)
+ * @returns {Object} Registry with normalized locale keys
+ */
+export function parseSmsTemplates(source) {
+  if (!source) return {};
+  const registry = smsTemplatesSchema.parse(typeof source === "string" ? JSON.parse(source) : source);
+
+  return {
+    templates: normalizeTemplates(registry.templates),
+    tenants: Object.fromEntries(Object.entries(registry.tenants || {})
+      .map(([tenantId, tenant]) => [tenantId, { templates: normalizeTemplates(tenant.templates) }]))
+  };
+}
+
+/**
+ * Find a template for the request's locale candidates in a list of
+ * locale → template maps, walking each candidate's fallback chain. Earlier
+ * maps win at each step.
+ *
+ * @param {Object[]} sources - Template maps with normalized locale keys
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Explicitly requested locale
+ * @param {string} [options.acceptLanguage] - `Accept-Language` header
+ * @param {string} [options.phoneNumber] - E.164 destination, for its country's locale
+ * @returns {{template: string, locale: string}|null}
+ */
+export function findLocalizedTemplate(sources, { locale, acceptLanguage, phoneNumber } = {}) {
+  const candidates = [
+    locale,
+    ...parseAcceptLanguage(acceptLanguage),
+    phoneNumber && getCountryLocale(phoneNumber)
+  ].filter(Boolean);
+
+  for (const candidate of candidates) {
+    for (const tag of localeChain(candidate)) {
+      const source = sources.find(templates => templates?.[tag]);
+      if (source) return { template: source[tag], locale: tag };
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick the verification template for a message.
+ *
+ * @param {Object} [registry] - From `parseSmsTemplates`
+ * @param {Object} [options]
+ * @param {string} [options.tenantId] - Tenant whose templates win
+ * @param {string} [options.locale] - Explicitly requested locale
+ * @param {string} [options.acceptLanguage] - `Accept-Language` header
+ * @param {string} [options.phoneNumber] - E.164 destination, for its country's locale
+ * @returns {{template: string, locale: string}} Template and the locale it was found under
+ */
+export function resolveSmsTemplate(registry = {}, { tenantId, locale, acceptLanguage, phoneNumber } = {}) {
+  const sources = [registry.tenants?.[tenantId]?.templates, registry.templates, SMS_TEMPLATES];
+
+  return findLocalizedTemplate(sources, { locale, acceptLanguage, phoneNumber })
+    || findLocalizedTemplate(sources, { locale: DEFAULT_SMS_LOCALE });
+}
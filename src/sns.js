@@ -1,132 +1,37 @@
+import { signAwsRequest } from './aws-sigv4.js';
+
 /**
  * AWS SNS HTTP API Client for Cloudflare Workers
  * @class SNSClient
  */
-class SNSClient {
+export class SNSClient {
   /**
    * Create a new SNS client instance
    * @param {Object} options - Configuration options
    * @param {string} options.accessKeyId - AWS access key ID
    * @param {string} options.secretAccessKey - AWS secret access key
    * @param {string} [options.region='us-east-1'] - AWS region
+   * @param {string} [options.endpoint] - Override the SNS endpoint (e.g. a local stand-in)
    */
   constructor(options = {}) {
     this.accessKeyId = options.accessKeyId;
     this.secretAccessKey = options.secretAccessKey;
     this.region = options.region || 'us-east-1';
-    this.endpoint = `https://sns.${this.region}.amazonaws.com`;
-  }
-
-  // Convert string to Uint8Array
-  stringToUint8Array(str) {
-    return new TextEncoder().encode(str);
-  }
-
-  // Convert Uint8Array to hex string
-  arrayBufferToHex(buffer) {
-    return Array.from(new Uint8Array(buffer))
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
+    this.endpoint = options.endpoint || `https://sns.${this.region}.amazonaws.com`;
   }
 
   // AWS Signature Version 4 signing using Web Crypto API
   async sign(method, url, headers, payload) {
-    const now = new Date();
-    const amzDate = now.toISOString().replace(/[:\-]|\.\d{3}/g, '');
-    const dateStamp = amzDate.substr(0, 8);
-
-    // Create canonical request
-    const canonicalUri = '/';
-    const canonicalQuerystring = url.split('?')[1] || '';
-    
-    // Add required headers
-    headers['host'] = `sns.${this.region}.amazonaws.com`;
-    headers['x-amz-date'] = amzDate;
-    
-    // Calculate payload hash
-    const payloadHash = await crypto.subtle.digest('SHA-256', this.stringToUint8Array(payload))
-      .then(buffer => this.arrayBufferToHex(buffer));
-    headers['x-amz-content-sha256'] = payloadHash;
-
-    // Create canonical headers
-    const sortedHeaders = Object.keys(headers).sort().map(key => 
-      `${key.toLowerCase()}:${headers[key]}`
-    ).join('\n');
-    
-    const signedHeaders = Object.keys(headers).sort().map(key => 
-      key.toLowerCase()
-    ).join(';');
-
-    const canonicalRequest = [
+    return signAwsRequest({
       method,
-      canonicalUri,
-      canonicalQuerystring,
-      sortedHeaders,
-      '',
-      signedHeaders,
-      payloadHash
-    ].join('\n');
-
-    // Create string to sign
-    const algorithm = 'AWS4-HMAC-SHA256';
-    const credentialScope = `${dateStamp}/${this.region}/sns/aws4_request`;
-    
-    const canonicalRequestHash = await crypto.subtle.digest('SHA-256', this.stringToUint8Array(canonicalRequest))
-      .then(buffer => this.arrayBufferToHex(buffer));
-    
-    const stringToSign = [
-      algorithm,
-      amzDate,
-      credentialScope,
-      canonicalRequestHash
-    ].join('\n');
-
-    // Calculate signature using Web Crypto API
-    const kDate = await crypto.subtle.importKey(
-      'raw',
-      this.stringToUint8Array(`AWS4${this.secretAccessKey}`),
-      { name: 'HMAC', hash: 'SHA-256' },
-      false,
-      ['sign']
-    ).then(key => crypto.subtle.sign('HMAC', key, this.stringToUint8Array(dateStamp)));
-
-    const kRegion = await crypto.subtle.importKey(
-      'raw',
-      kDate,
-      { name: 'HMAC', hash: 'SHA-256' },
-      false,
-      ['sign']
-    ).then(key => crypto.subtle.sign('HMAC', key, this.stringToUint8Array(this.region)));
-
-    const kService = await crypto.subtle.importKey(
-      'raw',
-      kRegion,
-      { name: 'HMAC', hash: 'SHA-256' },
-      false,
-      ['sign']
-    ).then(key => crypto.subtle.sign('HMAC', key, this.stringToUint8Array('sns')));
-
-    const kSigning = await crypto.subtle.importKey(
-      'raw',
-      kService,
-      { name: 'HMAC', hash: 'SHA-256' },
-      false,
-      ['sign']
-    ).then(key => crypto.subtle.sign('HMAC', key, this.stringToUint8Array('aws4_request')));
-
-    const signature = await crypto.subtle.importKey(
-      'raw',
-      kSigning,
-      { name: 'HMAC', hash: 'SHA-256' },
-      false,
-      ['sign']
-    ).then(key => crypto.subtle.sign('HMAC', key, this.stringToUint8Array(stringToSign)))
-    .then(buffer => this.arrayBufferToHex(buffer));
-
-    // Create authorization header
-    headers['authorization'] = `${algorithm} Credential=${this.accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
-
-    return headers;
+      url,
+      headers,
+      body: payload,
+      service: 'sns',
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey
+    });
   }
 
   // Make HTTP request to SNS
@@ -155,21 +60,157 @@ class SNSClient {
       const text = await response.text();
       
       if (!response.ok) {
-        throw new Error(`SNS API Error: ${response.status} - ${text}`);
+        // AWS error bodies carry a <Code>, e.g. Throttling or InternalError
+        const [, code] = text.match(/<Code>([^<]+)<\/Code>/) || [];
+        const [, message] = text.match(/<Message>([^<]+)<\/Message>/) || [];
+        throw Object.assign(
+          new Error(code && message ? `${code}: ${message}` : `SNS API Error: ${response.status} - ${text}`),
+          { code, status: response.status }
+        );
       }
 
       return this.parseXMLResponse(text);
     } catch (error) {
-      throw new Error(`SNS Request failed: ${error.message}`);
+      // Keep the code and status so callers can tell retryable failures apart
+      throw Object.assign(new Error(`SNS Request failed: ${error.message}`), {
+        code: error.code,
+        status: error.status,
+        retryable: error.name === 'TypeError' || undefined
+      });
     }
   }
 
+  /**
+   * Check whether a phone number has opted out of SMS from this account
+   * @param {string} phoneNumber - E.164 phone number
+   * @returns {Promise<boolean>}
+   */
+  async checkIfPhoneNumberIsOptedOut(phoneNumber) {
+    const { raw } = await this.makeRequest('CheckIfPhoneNumberIsOptedOut', { phoneNumber });
+    return /<isOptedOut>true<\/isOptedOut>/.test(raw);
+  }
+
+  /**
+   * List one page of the phone numbers that have opted out
+   * @param {string} [nextToken] - Token from the previous page
+   * @returns {Promise<{phoneNumbers: string[], nextToken?: string}>}
+   */
+  async listPhoneNumbersOptedOut(nextToken) {
+    const { raw } = await this.makeRequest('ListPhoneNumbersOptedOut', nextToken ? { nextToken } : {});
+    const list = raw.match(/<phoneNumbers>([\s\S]*?)<\/phoneNumbers>/)?.[1] || '';
+    return {
+      phoneNumbers: [...list.matchAll(/<member>([^<]+)<\/member>/g)].map(([, phoneNumber]) => phoneNumber),
+      nextToken: raw.match(/<nextToken>([^<]+)<\/nextToken>/)?.[1]
+    };
+  }
+
+  /**
+   * Opt a phone number back in. SNS allows this once every 30 days per number
+   * @param {string} phoneNumber - E.164 phone number
+   * @returns {Promise<void>}
+   */
+  async optInPhoneNumber(phoneNumber) {
+    await this.makeRequest('OptInPhoneNumber', { phoneNumber });
+  }
+
+  /**
+   * Read the account's SMS settings, e.g. MonthlySpendLimit or DefaultSMSType
+   * @param {string[]} [names] - Attribute names; all of them when empty
+   * @returns {Promise<Object<string, string>>} Attribute values by name
+   */
+  async getSMSAttributes(names = []) {
+    const params = Object.fromEntries(names.map((name, i) => [`attributes.member.${i + 1}`, name]));
+    const { raw } = await this.makeRequest('GetSMSAttributes', params);
+    return Object.fromEntries(
+      [...raw.matchAll(/<entry>\s*<key>([^<]+)<\/key>\s*(?:<value>([^<]*)<\/value>|<value\/>)\s*<\/entry>/g)]
+        .map(([, key, value = '']) => [key, value])
+    );
+  }
+
+  /**
+   * Change the account's SMS settings
+   * @param {Object<string, string>} attributes - Attribute values by name
+   * @returns {Promise<void>}
+   */
+  async setSMSAttributes(attributes) {
+    const params = {};
+    Object.entries(attributes).forEach(([key, value], i) => {
+      params[`attributes.entry.${i + 1}.key`] = key;
+      params[`attributes.entry.${i + 1}.value`] = String(value);
+    });
+    await this.makeRequest('SetSMSAttributes', params);
+  }
+
+  /**
+   * Whether the account is still in the SMS sandbox, where it can only text verified numbers
+   * @returns {Promise<boolean>}
+   */
+  async getSMSSandboxAccountStatus() {
+    const { raw } = await this.makeRequest('GetSMSSandboxAccountStatus');
+    return /<IsInSandbox>true<\/IsInSandbox>/.test(raw);
+  }
+
+  /**
+   * List one page of the sandbox's destination phone numbers
+   * @param {string} [nextToken] - Token from the previous page
+   * @returns {Promise<{phoneNumbers: Array<{phoneNumber: string, status: string}>, nextToken?: string}>}
+   *   `status` is "Pending" until the number is verified, then "Verified"
+   */
+  async listSMSSandboxPhoneNumbers(nextToken) {
+    const { raw } = await this.makeRequest('ListSMSSandboxPhoneNumbers', nextToken ? { NextToken: nextToken } : {});
+    const list = raw.match(/<PhoneNumbers>([\s\S]*?)<\/PhoneNumbers>/)?.[1] || '';
+    return {
+      phoneNumbers: [...list.matchAll(/<member>([\s\S]*?)<\/member>/g)].map(([, member]) => ({
+        phoneNumber: member.match(/<PhoneNumber>([^<]+)<\/PhoneNumber>/)?.[1],
+        status: member.match(/<Status>([^<]+)<\/Status>/)?.[1]
+      })),
+      nextToken: raw.match(/<NextToken>([^<]+)<\/NextToken>/)?.[1]
+    };
+  }
+
+  /**
+   * Add a destination number to the sandbox. SNS texts it a one-time password
+   * @param {string} phoneNumber - E.164 phone number
+   * @param {string} [languageCode='en-US'] - Language of the text, e.g. de-DE
+   * @returns {Promise<void>}
+   */
+  async createSMSSandboxPhoneNumber(phoneNumber, languageCode = 'en-US') {
+    await this.makeRequest('CreateSMSSandboxPhoneNumber', { PhoneNumber: phoneNumber, LanguageCode: languageCode });
+  }
+
+  /**
+   * Verify a sandbox destination number with the one-time password SNS sent it
+   * @param {string} phoneNumber - E.164 phone number
+   * @param {string} oneTimePassword - Password from the text
+   * @returns {Promise<void>}
+   */
+  async verifySMSSandboxPhoneNumber(phoneNumber, oneTimePassword) {
+    await this.makeRequest('VerifySMSSandboxPhoneNumber', { PhoneNumber: phoneNumber, OneTimePassword: oneTimePassword });
+  }
+
+  /**
+   * Remove a destination number from the sandbox
+   * @param {string} phoneNumber - E.164 phone number
+   * @returns {Promise<void>}
+   */
+  async deleteSMSSandboxPhoneNumber(phoneNumber) {
+    await this.makeRequest('DeleteSMSSandboxPhoneNumber', { PhoneNumber: phoneNumber });
+  }
+
   // Parse XML response (simplified for Cloudflare Workers)
   parseXMLResponse(xmlText) {
     // Simple XML parsing for common SNS responses
     // Note: DOMParser is not available in Cloudflare Workers, so we'll use regex parsing
     // This is a simplified parser for SNS responses
     
+    // Surface SNS error responses as "<Code>: <Message>"
+    const errorCodeMatch = xmlText.match(/<Code>([^<]+)<\/Code>/);
+    const errorMessageMatch = xmlText.match(/<Message>([^<]+)<\/Message>/);
+
+    if (errorCodeMatch && errorMessageMatch) {
+      throw Object.assign(new Error(`${errorCodeMatch[1]}: ${errorMessageMatch[1]}`), { code: errorCodeMatch[1] });
+    }
+
     // Handle common SNS responses using regex parsing
     const messageIdMatch = xmlText.match(/<MessageId>([^<]+)<\/MessageId>/);
     const topicArnMatch = xmlText.match(/<TopicArn>([^<]+)<\/TopicArn>/);
@@ -192,6 +233,18 @@ class SNSClient {
   }
 }
 
+/**
+ * Whether SNS refused a Publish because the account is in the SMS sandbox and
+ * the destination is not one of its verified phone numbers
+ * @param {string} [code] - SNS error code
+ * @param {string} [message] - Error message
+ * @returns {boolean}
+ */
+export function isSmsSandboxError(code, message = '') {
+  return ['AuthorizationError', 'InvalidParameter', 'InvalidParameterValue'].includes(code) &&
+    /sandbox|not verified/i.test(message);
+}
+
 // Global SNS client instance
 let defaultClient = null;
 
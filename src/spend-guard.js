@@ -0,0 +1,165 @@
+/**
+ * SMS spend guard.
+ *
+ * SNS stops sending every kind of SMS once the month's spend in a region
+ * reaches that region's `MonthlySpendLimit`. To keep verification codes and transactional
+ * messages going, promotional sends are paused first, once the month's spend
+ * reaches `pauseAt` (a share) of the limit:
+ *
+ * ```json
+ * { "pauseAt": 0.8, "monthlyLimit": 500 }
+ * ```
+ *
+ * - Spend is estimated from `SMS_PRICING` (in USD, like the SNS limit) for
+ *   every SMS sent through SNS, per region (from the provider target, e.g.
+ *   "sns:eu-west-1") and UTC calendar month, as SNS counts it.
+ *   Destinations without a price add nothing, so price every country you
+ *   send to.
+ * - `monthlyLimit` defaults to the SNS limit as last read or changed through
+ *   `/api/admin/sns/sms-attributes` for the region. Without either the
+ *   guard is off.
+ * - A send is checked against the region of the target it is routed to
+ *   first. Sends routed to other providers are never paused.
+ *
+ * The counter is not atomic; see the note in fraud-guard.
+ *
+ * @module spend-guard
+ */
+
+import { z } from "@hono/zod-openapi";
+import { getPhoneNumberCountry } from "./verify-phone.ts";
+import { DEFAULT_SMS_PRICING } from "./sms-pricing.js";
+
+const DAY = 24 * 60 * 60;
+const SPEND_TTL = 62 * DAY;
+const DEFAULT_REGION = "us-east-1";
+
+/**
+ * Error code returned with promotional sends the guard pauses.
+ */
+export const SPEND_PAUSED_ERROR_CODE = "spend_paused";
+
+export const DEFAULT_SPEND_GUARD = Object.freeze({
+  pauseAt: 0.9,
+  monthlyLimit: null
+});
+
+/**
+ * Zod schema for the guard settings from configuration (`SPEND_GUARD`).
+ */
+export const spendGuardSchema = z.object({
+  pauseAt: z.number().gt(0).max(1).optional(),
+  monthlyLimit: z.number().min(0).nullable().optional()
+});
+
+const spendKey = (region, month) => `spend:${region}:${month}`;
+const limitKey = (region) => `spend:sns-limit:${region}`;
+
+// "sns:eu-west-1" -> "eu-west-1"; a bare "sns" target sends from the default region
+const regionOf = (provider) => provider.split(":")[1] || DEFAULT_REGION;
+
+// "2026-10" for any time in October 2026 (UTC)
+const monthOf = (now) => new Date(now).toISOString().slice(0, 7);
+
+// Seconds until the next month starts, when SNS resets its spend
+const secondsToNextMonth = (now) => {
+  const date = new Date(now);
+  return Math.ceil((Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) - now) / 1000);
+};
+
+/**
+ * Merge the guard settings over the defaults.
+ *
+ * @param {Object|string} [source] - Settings or JSON string (`SPEND_GUARD`)
+ * @returns {Object} Complete settings
+ */
+export function resolveSpendGuard(source) {
+  if (!source) return { ...DEFAULT_SPEND_GUARD };
+  const parsed = spendGuardSchema.parse(typeof source === "string" ? JSON.parse(source) : source);
+  return { ...DEFAULT_SPEND_GUARD, ...parsed };
+}
+
+/**
+ * Remember the SNS `MonthlySpendLimit` for the guard.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} region - AWS region the limit applies to
+ * @param {string|number} limit - Limit in USD
+ */
+export async function saveSnsSpendLimit(store, region, limit) {
+  await store.put(limitKey(region), Number(limit));
+}
+
+/**
+ * Add the estimated price of a sent SMS to the month's spend in the region it
+ * was sent from. Other providers do not count towards the SNS limit.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} message - A successful `verifyPhone` result
+ * @param {string} message.phoneNumber - E.164 destination
+ * @param {number} message.segments - Segments the text was billed as
+ * @param {string} message.provider - Provider target, e.g. "sns:us-east-1"
+ * @param {Object} [pricing] - From `resolveSmsPricing`
+ * @param {number} [now=Date.now()]
+ */
+export async function recordSpend(store, { phoneNumber, segments, provider }, pricing = DEFAULT_SMS_PRICING, now = Date.now()) {
+  if (!/^sns(:|$)/.test(provider || "")) return;
+
+  const pricePerSegment = pricing.countries[getPhoneNumberCountry(phoneNumber)] ?? pricing.defaultPrice;
+  if (pricePerSegment === null || pricePerSegment === undefined || !segments) return;
+
+  const key = spendKey(regionOf(provider), monthOf(now));
+  const spend = await store.get(key) || { spent: 0, messages: 0 };
+  spend.spent = Math.round((spend.spent + pricePerSegment * segments) * 1e6) / 1e6;
+  spend.messages += 1;
+  await store.put(key, spend, { ttl: SPEND_TTL });
+}
+
+/**
+ * The month's estimated spend in a region against that region's limit.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} guard - From `resolveSpendGuard`
+ * @param {Object} [options]
+ * @param {string} [options.region='us-east-1'] - AWS region
+ * @param {number} [options.now=Date.now()]
+ * @returns {Promise<{region: string, month: string, spent: number, messages: number, monthlyLimit: number|null, pauseAt: number, paused: boolean}>}
+ */
+export async function getSpendStatus(store, guard, { region = DEFAULT_REGION, now = Date.now() } = {}) {
+  const month = monthOf(now);
+  const { spent, messages } = await store.get(spendKey(region, month)) || { spent: 0, messages: 0 };
+  const monthlyLimit = guard.monthlyLimit ?? await store.get(limitKey(region)) ?? null;
+
+  return {
+    region,
+    month,
+    spent,
+    messages,
+    monthlyLimit,
+    pauseAt: guard.pauseAt,
+    paused: monthlyLimit !== null && spent >= monthlyLimit * guard.pauseAt
+  };
+}
+
+/**
+ * Whether a promotional send from a region may go out now.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} guard - From `resolveSpendGuard`
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider target the message is routed to,
+ *   e.g. "sns:eu-west-1". Takes the place of `region`; other providers are always allowed.
+ * @param {string} [options.region='us-east-1'] - AWS region the message is sent from
+ * @param {number} [options.now=Date.now()]
+ * @returns {Promise<{allowed: boolean, retryAfter?: number}>} `retryAfter` is
+ *   the seconds until the month's spend resets
+ */
+export async function checkSpendGuard(store, guard, { provider, region, now = Date.now() } = {}) {
+  if (provider !== undefined) {
+    if (!/^sns(:|$)/.test(provider)) return { allowed: true };
+    region = regionOf(provider);
+  }
+
+  const { paused } = await getSpendStatus(store, guard, { region, now });
+  return paused ? { allowed: false, retryAfter: secondsToNextMonth(now) } : { allowed: true };
+}
@@ -0,0 +1,259 @@
+/**
+ * Per-tenant suppression lists: numbers that must not be sent to.
+ *
+ * - An entry's `scope` is "all" (the recipient opted out of everything, e.g.
+ *   by replying STOP) or "promotional" (marketing only).
+ * - Each kind of traffic is blocked by the scopes listed for it in
+ *   `SUPPRESSION_RULES`. By default verification codes and transactional
+ *   SMS are blocked by "all" entries, promotional SMS by both:
+ *
+ * ```json
+ * {
+ *   "verification": ["all"],
+ *   "transactional": ["all"],
+ *   "promotional": ["all", "promotional"],
+ *   "tenants": { "acme": { "verification": [] } }
+ * }
+ * ```
+ *
+ *   Here acme still sends codes the user asked for to numbers that replied
+ *   STOP to its other messages.
+ * - Provider errors that mean the recipient opted out add an "all" entry, so
+ *   later sends are refused before they reach the provider.
+ *
+ * @module suppression
+ */
+
+import { z } from "@hono/zod-openapi";
+import { formatPhoneNumber, isValidPhoneNumber } from "./verify-phone.ts";
+
+export const SUPPRESSION_SCOPES = ["all", "promotional"];
+export const TRAFFIC_TYPES = ["verification", "transactional", "promotional"];
+export const SUPPRESSED_ERROR_CODE = "recipient_suppressed";
+export const OPTED_OUT_ERROR_CODE = "opted_out";
+
+export const DEFAULT_SUPPRESSION_RULES = Object.freeze({
+  verification: ["all"],
+  transactional: ["all"],
+  promotional: ["all", "promotional"]
+});
+
+// Provider error codes for recipients that opted out: SNS, Twilio
+const OPT_OUT_ERROR_CODES = new Set(["OptedOut", "21610"]);
+
+const entryKey = (tenantId, phoneNumber) => `suppression:${tenantId}:${phoneNumber}`;
+
+const rulesSchema = z.object({
+  verification: z.array(z.enum(SUPPRESSION_SCOPES)).optional(),
+  transactional: z.array(z.enum(SUPPRESSION_SCOPES)).optional(),
+  promotional: z.array(z.enum(SUPPRESSION_SCOPES)).optional()
+});
+
+/**
+ * Zod schema for `SUPPRESSION_RULES`.
+ */
+export const suppressionRulesSchema = rulesSchema.extend({
+  tenants: z.record(rulesSchema).optional()
+});
+
+/**
+ * Zod schema for an entry as imported through the admin API.
+ */
+export const suppressionEntrySchema = z.object({
+  phoneNumber: z.string().min(1),
+  scope: z.enum(SUPPRESSION_SCOPES).optional().default("all"),
+  reason: z.string().max(200).optional().describe("e.g. stop_reply, complaint")
+});
+
+/**
+ * Parse the suppression rules from configuration.
+ *
+ * @param {Object|string} [source] - Rules or JSON string (`SUPPRESSION_RULES`)
+ * @returns {Object}
+ */
+export function parseSuppressionRules(source) {
+  if (!source) return {};
+  return suppressionRulesSchema.parse(typeof source === "string" ? JSON.parse(source) : source);
+}
+
+/**
+ * A tenant's rules, over the top-level ones and the defaults.
+ *
+ * @param {Object} registry - From `parseSuppressionRules`
+ * @param {string} tenantId - Tenant
+ * @returns {{verification: string[], transactional: string[], promotional: string[]}}
+ */
+export function resolveSuppressionRules(registry, tenantId) {
+  const { tenants, ...global } = registry;
+  const tenant = tenants?.[tenantId] || {};
+  return Object.fromEntries(TRAFFIC_TYPES.map(type => [
+    type,
+    tenant[type] ?? global[type] ?? DEFAULT_SUPPRESSION_RULES[type]
+  ]));
+}
+
+/**
+ * Kind of traffic a general SMS is.
+ *
+ * @param {string} [smsType='Transactional'] - 'Transactional' or 'Promotional'
+ * @returns {string}
+ */
+export function trafficTypeOf(smsType = "Transactional") {
+  return smsType === "Promotional" ? "promotional" : "transactional";
+}
+
+/**
+ * Whether a provider error means the recipient opted out.
+ *
+ * @param {string|number} [code] - Provider error code
+ * @returns {boolean}
+ */
+export function isOptOutError(code) {
+  return OPT_OUT_ERROR_CODES.has(String(code));
+}
+
+/**
+ * Look up a number on a tenant's list.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} tenantId - Tenant
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {Promise<Object|null>}
+ */
+export async function getSuppression(store, tenantId, phoneNumber) {
+  return store.get(entryKey(tenantId, phoneNumber));
+}
+
+/**
+ * The entry that blocks a send, if any.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} tenantId - Tenant
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {string} trafficType - 'verification', 'transactional' or 'promotional'
+ * @param {Object} rules - From `resolveSuppressionRules`
+ * @returns {Promise<Object|null>}
+ */
+export async function checkSuppression(store, tenantId, phoneNumber, trafficType, rules) {
+  if (!rules[trafficType].length) return null;
+  const entry = await getSuppression(store, tenantId, phoneNumber);
+  return entry && rules[trafficType].includes(entry.scope) ? entry : null;
+}
+
+/**
+ * Add or replace an entry. An "all" entry is never narrowed to "promotional"
+ * by a later import or opt-out.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} tenantId - Tenant
+ * @param {Object} entry
+ * @param {string} entry.phoneNumber - Phone number; formatted to E.164
+ * @param {string} [entry.scope='all'] - 'all' or 'promotional'
+ * @param {string} [entry.reason] - Why the number is suppressed
+ * @param {string} [entry.source='api'] - 'api', 'import', 'provider' or 'sns'
+ * @returns {Promise<Object>} The stored entry
+ * @throws {Error} If the phone number is not valid
+ */
+export async function addSuppression(store, tenantId, { phoneNumber, scope = "all", reason, source = "api" }) {
+  const formatted = formatPhoneNumber(phoneNumber);
+  if (!isValidPhoneNumber(formatted)) throw new Error("Invalid phone number");
+
+  const existing = await getSuppression(store, tenantId, formatted);
+  const entry = {
+    phoneNumber: formatted,
+    scope: existing?.scope === "all" ? "all" : scope,
+    reason: reason ?? existing?.reason,
+    source,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  await store.put(entryKey(tenantId, formatted), entry);
+  return entry;
+}
+
+/**
+ * Remove a number from a tenant's list.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} tenantId - Tenant
+ * @param {string} phoneNumber - Phone number; formatted to E.164
+ * @returns {Promise<boolean>} False if it was not on the list
+ */
+export async function removeSuppression(store, tenantId, phoneNumber) {
+  const key = entryKey(tenantId, formatPhoneNumber(phoneNumber));
+  if (!await store.get(key)) return false;
+  await store.delete(key);
+  return true;
+}
+
+/**
+ * A tenant's list, sorted by phone number.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} tenantId - Tenant
+ * @param {Object} [filter]
+ * @param {string} [filter.scope] - Only this scope
+ * @returns {Promise<Object[]>}
+ */
+export async function listSuppressions(store, tenantId, { scope } = {}) {
+  const keys = await store.list(entryKey(tenantId, ""));
+  const entries = await Promise.all(keys.map(key => store.get(key)));
+  return entries
+    .filter(entry => entry && (!scope || entry.scope === scope))
+    .sort((a, b) => a.phoneNumber.localeCompare(b.phoneNumber));
+}
+
+/**
+ * Import many entries. Invalid numbers are skipped and reported.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} tenantId - Tenant
+ * @param {Object[]} entries - `{ phoneNumber, scope?, reason? }`
+ * @param {string} [source='import'] - Recorded on each entry
+ * @returns {Promise<{imported: number, skipped: Array<{phoneNumber: string, error: string}>}>}
+ */
+export async function importSuppressions(store, tenantId, entries, source = "import") {
+  const summary = { imported: 0, skipped: [] };
+  for (const entry of entries) {
+    try {
+      await addSuppression(store, tenantId, { ...entry, source });
+      summary.imported += 1;
+    } catch (error) {
+      summary.skipped.push({ phoneNumber: entry.phoneNumber, error: error.message });
+    }
+  }
+  return summary;
+}
+
+/**
+ * Entries as CSV with a `phoneNumber,scope,reason,source,createdAt` header.
+ *
+ * @param {Object[]} entries - From `listSuppressions`
+ * @returns {string}
+ */
+export function suppressionsToCsv(entries) {
+  const field = (value = "") => /[",\n]/.test(value) ? `"${value.replace(/"/g, "\"\"")}"` : value;
+  const rows = entries.map(entry => [entry.phoneNumber, entry.scope, entry.reason, entry.source, entry.createdAt].map(field).join(","));
+  return ["phoneNumber,scope,reason,source,createdAt", ...rows].join("\n") + "\n";
+}
+
+/**
+ * Read entries from CSV: a phone number per line, optionally followed by
+ * scope and reason. A header line starting with "phone" is skipped.
+ *
+ * @param {string} csv
+ * @returns {Object[]} `{ phoneNumber, scope?, reason? }` entries
+ */
+export function parseSuppressionCsv(csv) {
+  return csv.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !/^phone/i.test(line))
+    .map(line => {
+      const [phoneNumber, scope, ...reason] = line.split(",").map(value => value.trim().replace(/^"|"$/g, ""));
+      return {
+        phoneNumber,
+        scope: SUPPRESSION_SCOPES.includes(scope) ? scope : "all",
+        reason: reason.join(",") || undefined
+      };
+    });
+}
@@ -0,0 +1,306 @@
+/**
+ * TOTP authenticator factors (RFC 6238) with one-time recovery codes.
+ *
+ * - Enrollment creates a random 160-bit secret and returns it as an
+ *   `otpauth://` URI for authenticator apps. The factor stays pending until
+ *   the first valid code confirms it; that is when recovery codes are
+ *   issued.
+ * - Codes are HMAC-SHA1, 6 digits, 30-second steps, accepted one step
+ *   either side of the current time for clock skew. A step that has been
+ *   used cannot be used again.
+ * - Recovery codes are stored as salted SHA-256 hashes and work once each.
+ * - `MAX_TOTP_ATTEMPTS` failures within `TOTP_LOCKOUT` seconds lock the
+ *   factor for `TOTP_LOCKOUT` seconds.
+ *
+ * Attempts, used steps and used recovery codes are claimed with
+ * `store.increment` rather than read from the factor, which a concurrent
+ * check may hold a stale copy of. With `DurableObjectStore` parallel
+ * requests can neither guess past the limit nor use a code twice.
+ *
+ * Factors belong to a tenant and are keyed by the caller's own user ID.
+ * HMAC runs on Web Crypto, as in the AWS request signing, so this works on
+ * Workers unchanged.
+ *
+ * @module totp
+ */
+
+import { base32Decode, base32Encode, randomHex, sha256Hex, timingSafeEqual } from "./crypto-utils.js";
+import { normalizeCode } from "./code-policy.js";
+
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD = 30; // seconds
+export const TOTP_ALGORITHM = "SHA1";
+export const TOTP_WINDOW = 1; // steps accepted either side of now
+export const RECOVERY_CODE_COUNT = 10;
+export const MAX_TOTP_ATTEMPTS = 5;
+export const TOTP_LOCKOUT = 5 * 60; // seconds
+
+const RECOVERY_ALPHABET = "abcdefghjkmnpqrstuvwxyz23456789";
+
+const factorKey = (tenantId, userId) => `totp:${tenantId}:${userId}`;
+
+// Claims belong to one enrollment; enrolling again starts afresh
+const enrollmentRef = (factor) => `${factor.tenantId}:${factor.userId}:${Date.parse(factor.createdAt)}`;
+const attemptsKey = (factor) => `totp-attempts:${enrollmentRef(factor)}`;
+const stepKey = (factor, counter) => `totp-step:${enrollmentRef(factor)}:${counter}`;
+const recoveryKey = (factor, hash) => `totp-recovery:${enrollmentRef(factor)}:${hash}`;
+
+// A step's code is accepted for this long, clock skew included
+const STEP_TTL = (2 * TOTP_WINDOW + 1) * TOTP_PERIOD;
+
+const hashRecoveryCode = (code, salt) => sha256Hex(`${salt}:${normalizeCode(code)}`);
+
+/**
+ * New random secret, base32 encoded.
+ *
+ * @returns {string}
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+}
+
+/**
+ * `otpauth://` URI for authenticator apps.
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.issuer - Service name shown in the app
+ * @param {string} options.accountName - Account shown in the app, e.g. an email address
+ * @returns {string}
+ */
+export function otpauthUri({ secret, issuer, accountName }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: TOTP_ALGORITHM,
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, "%20")}`;
+}
+
+/**
+ * Code for a time step (RFC 4226 HOTP with the step as the counter).
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step
+ * @returns {Promise<string>}
+ */
+export async function hotp(secret, counter) {
+  const key = await crypto.subtle.importKey("raw", base32Decode(secret), { name: "HMAC", hash: "SHA-1" }, false, ["sign"]);
+  const message = new DataView(new ArrayBuffer(8));
+  message.setUint32(0, Math.floor(counter / 2 ** 32));
+  message.setUint32(4, counter >>> 0);
+
+  const hash = new Uint8Array(await crypto.subtle.sign("HMAC", key, message.buffer));
+  const offset = hash[hash.length - 1] & 0x0f;
+  const binary = ((hash[offset] & 0x7f) << 24) | (hash[offset + 1] << 16) | (hash[offset + 2] << 8) | hash[offset + 3];
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * Time step for a moment.
+ *
+ * @param {number} [time=Date.now()] - Milliseconds since the epoch
+ * @returns {number}
+ */
+export function totpCounter(time = Date.now()) {
+  return Math.floor(time / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Check a code against the steps around a moment.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code from the authenticator app
+ * @param {Object} [options]
+ * @param {number} [options.time=Date.now()] - Milliseconds since the epoch
+ * @param {number} [options.window=1] - Steps accepted either side
+ * @param {number} [options.lastCounter=-1] - Last step used; it and earlier steps are refused
+ * @returns {Promise<{valid: boolean, counter?: number, replayed?: boolean}>}
+ */
+export async function verifyTotp(secret, code, { time = Date.now(), window = TOTP_WINDOW, lastCounter = -1 } = {}) {
+  const submitted = String(code).replace(/\s/g, "");
+  if (!/^\d+$/.test(submitted) || submitted.length !== TOTP_DIGITS) return { valid: false };
+
+  const current = totpCounter(time);
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (timingSafeEqual(await hotp(secret, counter), submitted)) {
+      return counter > lastCounter ? { valid: true, counter } : { valid: false, replayed: true };
+    }
+  }
+  return { valid: false };
+}
+
+/**
+ * New recovery codes, e.g. "k7m2p-9qx4t".
+ *
+ * @param {number} [count=10]
+ * @returns {string[]}
+ */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const chars = Array.from(crypto.getRandomValues(new Uint8Array(10)), byte => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length]);
+    return `${chars.slice(0, 5).join("")}-${chars.slice(5).join("")}`;
+  });
+}
+
+/**
+ * Strip secrets from a factor before returning it to API clients.
+ *
+ * @param {Object} factor - Stored factor
+ * @returns {Object}
+ */
+export function toPublicTotpFactor(factor) {
+  const { secret, salt, recoveryCodeHashes, lastCounter, ...rest } = factor;
+  return { ...rest, recoveryCodesRemaining: recoveryCodeHashes.length };
+}
+
+/**
+ * Load a user's factor.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} tenantId - Tenant
+ * @param {string} userId - The tenant's user ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getTotpFactor(store, tenantId, userId) {
+  return store.get(factorKey(tenantId, userId));
+}
+
+/**
+ * Start enrollment with a new secret, replacing any earlier factor.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} options
+ * @param {string} options.tenantId - Tenant
+ * @param {string} options.userId - The tenant's user ID
+ * @param {string} options.issuer - Service name shown in the app
+ * @param {string} [options.accountName] - Account shown in the app (default: the user ID)
+ * @returns {Promise<{factor: Object, secret: string, uri: string}>}
+ */
+export async function enrollTotp(store, { tenantId, userId, issuer, accountName = userId }) {
+  const secret = generateTotpSecret();
+  const now = new Date().toISOString();
+  const factor = {
+    tenantId,
+    userId,
+    issuer,
+    accountName,
+    status: "pending",
+    secret,
+    salt: randomHex(16),
+    recoveryCodeHashes: [],
+    lastCounter: -1,
+    lockedUntil: undefined,
+    createdAt: now,
+    updatedAt: now,
+    activatedAt: undefined
+  };
+
+  await store.put(factorKey(tenantId, userId), factor);
+  return { factor, secret, uri: otpauthUri({ secret, issuer, accountName }) };
+}
+
+async function replaceRecoveryCodes(factor) {
+  const codes = generateRecoveryCodes();
+  factor.recoveryCodeHashes = await Promise.all(codes.map(code => hashRecoveryCode(code, factor.salt)));
+  return codes;
+}
+
+// Refuse a claimed attempt, locking the factor once it was the last one allowed
+async function recordFailure(store, factor, reason, attempt) {
+  if (attempt >= MAX_TOTP_ATTEMPTS) {
+    factor.lockedUntil = new Date(Date.now() + TOTP_LOCKOUT * 1000).toISOString();
+    factor.updatedAt = new Date().toISOString();
+    await store.put(factorKey(factor.tenantId, factor.userId), factor);
+  }
+  return { verified: false, reason, factor };
+}
+
+// Accept a claimed attempt; failures start counting again from zero
+async function recordSuccess(store, factor) {
+  await store.delete(attemptsKey(factor));
+  factor.lockedUntil = undefined;
+  factor.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Check an authenticator code or a recovery code. The first valid
+ * authenticator code activates a pending factor and issues recovery codes.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} factor - Stored factor
+ * @param {Object} options
+ * @param {string} [options.code] - Authenticator code
+ * @param {string} [options.recoveryCode] - Recovery code, for active factors only
+ * @returns {Promise<{verified: boolean, reason?: string, retryAfter?: number, recoveryCodes?: string[], factor: Object}>}
+ *   `reason` is 'locked', 'invalid_code', 'replayed', 'invalid_recovery_code' or 'not_active'
+ */
+export async function checkTotp(store, factor, { code, recoveryCode }) {
+  const lockedFor = factor.lockedUntil ? Math.ceil((Date.parse(factor.lockedUntil) - Date.now()) / 1000) : 0;
+  if (lockedFor > 0) return { verified: false, reason: "locked", retryAfter: lockedFor, factor };
+  if (recoveryCode !== undefined && factor.status !== "active") return { verified: false, reason: "not_active", factor };
+
+  // Claim the attempt first. The count lapses TOTP_LOCKOUT seconds after the
+  // first attempt, so always before a lock set while it runs.
+  const attempt = await store.increment(attemptsKey(factor), { ttl: TOTP_LOCKOUT });
+  if (attempt > MAX_TOTP_ATTEMPTS) return { verified: false, reason: "locked", retryAfter: TOTP_LOCKOUT, factor };
+
+  if (recoveryCode !== undefined) {
+    const hash = await hashRecoveryCode(recoveryCode, factor.salt);
+    const index = factor.recoveryCodeHashes.findIndex(stored => timingSafeEqual(stored, hash));
+    if (index === -1 || await store.increment(recoveryKey(factor, hash)) > 1) {
+      return recordFailure(store, factor, "invalid_recovery_code", attempt);
+    }
+
+    factor.recoveryCodeHashes.splice(index, 1);
+    await recordSuccess(store, factor);
+    await store.put(factorKey(factor.tenantId, factor.userId), factor);
+    return { verified: true, factor };
+  }
+
+  const result = await verifyTotp(factor.secret, code, { lastCounter: factor.lastCounter });
+  if (!result.valid) return recordFailure(store, factor, result.replayed ? "replayed" : "invalid_code", attempt);
+  if (await store.increment(stepKey(factor, result.counter), { ttl: STEP_TTL }) > 1) {
+    return recordFailure(store, factor, "replayed", attempt);
+  }
+
+  factor.lastCounter = Math.max(factor.lastCounter, result.counter);
+  await recordSuccess(store, factor);
+
+  let recoveryCodes;
+  if (factor.status === "pending") {
+    factor.status = "active";
+    factor.activatedAt = factor.updatedAt;
+    recoveryCodes = await replaceRecoveryCodes(factor);
+  }
+
+  await store.put(factorKey(factor.tenantId, factor.userId), factor);
+  return { verified: true, recoveryCodes, factor };
+}
+
+/**
+ * Replace an active factor's recovery codes; the old ones stop working.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} factor - Stored factor
+ * @returns {Promise<string[]>} The new codes, shown only this once
+ */
+export async function regenerateRecoveryCodes(store, factor) {
+  const codes = await replaceRecoveryCodes(factor);
+  factor.updatedAt = new Date().toISOString();
+  await store.put(factorKey(factor.tenantId, factor.userId), factor);
+  return codes;
+}
+
+/**
+ * Remove a factor.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} factor - Stored factor
+ */
+export async function deleteTotpFactor(store, factor) {
+  await store.delete(factorKey(factor.tenantId, factor.userId));
+}
@@ -0,0 +1,213 @@
+/**
+ * Verification sessions backing `/api/send` and `/api/verify`.
+ *
+ * - A session records the phone number, a salted SHA-256 hash of the code,
+ *   the delivery channel, creation/expiry times, attempt count and status.
+ * - Codes are single-use: a session stops accepting codes once approved.
+ * - Wrong codes count against `maxAttempts`; the session fails when exhausted.
+ *   Each check takes an attempt from a store counter before the code is
+ *   compared, so concurrent checks cannot exceed the limit on stores that
+ *   increment atomically.
+ * - Sessions belong to a tenant; only the latest session for a phone number
+ *   within a tenant can be verified by phone number.
+ * - Codes are normalized before hashing, so separators and case do not matter.
+ *
+ * @module verification-sessions
+ */
+
+import { randomHex, sha256Hex, timingSafeEqual } from "./crypto-utils.js";
+import { normalizeCode } from "./code-policy.js";
+
+export const DEFAULT_EXPIRES_IN = 600; // 10 minutes in seconds
+export const DEFAULT_MAX_ATTEMPTS = 5;
+
+// How long finished sessions stay readable through GET /api/verifications/:id
+const RETENTION_SECONDS = 24 * 60 * 60;
+
+const sessionKey = (id) => `verification:${id}`;
+const phoneKey = (tenantId, phoneNumber) => `verification:phone:${tenantId}:${phoneNumber}`;
+const attemptsKey = (id) => `verification:attempts:${id}`;
+
+const hashCode = (code, salt) => sha256Hex(`${salt}:${normalizeCode(code)}`);
+
+// Status as seen by callers: pending sessions past their expiry read as expired
+function currentStatus(session) {
+  if (session.status === "pending" && Date.parse(session.expiresAt) <= Date.now()) {
+    return "expired";
+  }
+  return session.status;
+}
+
+// Seconds a session's records are kept: until expiry plus the retention window
+const retentionTtl = (session) => Math.max(1, (Date.parse(session.expiresAt) - Date.now()) / 1000) + RETENTION_SECONDS;
+
+async function save(store, session) {
+  await store.put(sessionKey(session.id), session, { ttl: retentionTtl(session) });
+}
+
+/**
+ * Strip secret fields from a session before returning it to API clients.
+ *
+ * @param {Object} session - Stored session
+ * @returns {Object} Session without the code hash and salt
+ */
+export function toPublicVerification(session) {
+  const { codeHash, salt, ...rest } = session;
+  return {
+    ...rest,
+    status: currentStatus(session),
+    attemptsRemaining: Math.max(0, session.maxAttempts - session.attempts)
+  };
+}
+
+/**
+ * Create and persist a new verification session. Any pending session for the
+ * same phone number is canceled so only one code is live at a time.
+ *
+ * @param {Object} store - Storage adapter from `getStore`
+ * @param {Object} options
+ * @param {string} options.tenantId - Tenant the session belongs to
+ * @param {string} options.phoneNumber - E.164 phone number the code was sent to
+ * @param {string} options.code - The code that was sent
+ * @param {string} [options.channel='sms'] - Delivery channel
+ * @param {string} [options.mode='code'] - 'code', or 'link' when the code is a magic-link token
+ * @param {number} [options.expiresIn=600] - Lifetime in seconds
+ * @param {number} [options.maxAttempts=5] - Wrong guesses allowed before the session fails
+ * @param {string} [options.messageId] - Provider message ID
+ * @returns {Promise<Object>} The stored session
+ */
+export async function createVerification(store, {
+  tenantId,
+  phoneNumber,
+  code,
+  channel = "sms",
+  mode = "code",
+  expiresIn = DEFAULT_EXPIRES_IN,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  messageId
+}) {
+  const previousId = await store.get(phoneKey(tenantId, phoneNumber));
+  if (previousId) {
+    const previous = await store.get(sessionKey(previousId));
+    if (previous && currentStatus(previous) === "pending") {
+      previous.status = "canceled";
+      previous.updatedAt = new Date().toISOString();
+      await save(store, previous);
+    }
+  }
+
+  const now = Date.now();
+  const salt = randomHex(16);
+  const session = {
+    id: `ver_${randomHex(16)}`,
+    tenantId,
+    phoneNumber,
+    channel,
+    mode,
+    status: "pending",
+    codeHash: await hashCode(code, salt),
+    salt,
+    attempts: 0,
+    maxAttempts,
+    messageId,
+    createdAt: new Date(now).toISOString(),
+    updatedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + expiresIn * 1000).toISOString()
+  };
+
+  await save(store, session);
+  await store.put(phoneKey(tenantId, phoneNumber), session.id, { ttl: expiresIn + RETENTION_SECONDS });
+  return session;
+}
+
+/**
+ * Load a session by ID.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} id - Verification ID
+ * @returns {Promise<Object|null>} The stored session or null
+ */
+export async function getVerification(store, id) {
+  return store.get(sessionKey(id));
+}
+
+/**
+ * Load the latest session for a phone number within a tenant.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} tenantId - Tenant ID
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {Promise<Object|null>} The stored session or null
+ */
+export async function findVerificationByPhone(store, tenantId, phoneNumber) {
+  const id = await store.get(phoneKey(tenantId, phoneNumber));
+  return id ? getVerification(store, id) : null;
+}
+
+/**
+ * Check a code against a session.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} session - Session from `getVerification`/`findVerificationByPhone`
+ * @param {string} code - Code submitted by the user
+ * @returns {Promise<{verified: boolean, reason?: string, session: Object}>}
+ *   `reason` is one of 'expired', 'canceled', 'approved' (already used),
+ *   'max_attempts' or 'invalid_code' when not verified
+ */
+export async function checkVerification(store, session, code) {
+  const status = currentStatus(session);
+
+  if (status === "expired") {
+    if (session.status !== "expired") {
+      session.status = "expired";
+      session.updatedAt = new Date().toISOString();
+      await save(store, session);
+    }
+    return { verified: false, reason: "expired", session };
+  }
+  if (status === "approved") return { verified: false, reason: "approved", session };
+  if (status === "canceled") return { verified: false, reason: "canceled", session };
+  if (status === "failed") return { verified: false, reason: "max_attempts", session };
+
+  // Claim the attempt first: the session read by a concurrent check may be stale
+  const attempt = await store.increment(attemptsKey(session.id), { ttl: retentionTtl(session) });
+  session.updatedAt = new Date().toISOString();
+  if (attempt > session.maxAttempts) {
+    session.attempts = session.maxAttempts;
+    session.status = "failed";
+    await save(store, session);
+    return { verified: false, reason: "max_attempts", session };
+  }
+
+  if (timingSafeEqual(await hashCode(code, session.salt), session.codeHash)) {
+    session.status = "approved";
+    session.verifiedAt = session.updatedAt;
+    await save(store, session);
+    return { verified: true, session };
+  }
+
+  session.attempts = Math.max(session.attempts + 1, attempt);
+  if (session.attempts >= session.maxAttempts) {
+    session.status = "failed";
+    await save(store, session);
+    return { verified: false, reason: "max_attempts", session };
+  }
+
+  await save(store, session);
+  return { verified: false, reason: "invalid_code", session };
+}
+
+/**
+ * Cancel a pending session.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} session - Stored session
+ * @returns {Promise<boolean>} False if the session was no longer pending
+ */
+export async function cancelVerification(store, session) {
+  if (currentStatus(session) !== "pending") return false;
+  session.status = "canceled";
+  session.updatedAt = new Date().toISOString();
+  await save(store, session);
+  return true;
+}
@@ -0,0 +1,234 @@
+/**
+ * Key-value storage adapters for verification state.
+ *
+ * Every adapter exposes the same async interface:
+ * - `get(key)` returns the stored JSON value or `null`
+ * - `put(key, value, { ttl })` stores a JSON value, optionally expiring after `ttl` seconds
+ * - `delete(key)` removes a value
+ * - `list(prefix)` returns the keys starting with `prefix`
+ * - `increment(key, { ttl })` adds one to a numeric counter and returns the new
+ *   count; the TTL applies when the counter is created
+ *
+ * Backends:
+ * - `KVStore` for a Workers KV namespace binding (`VERIFY_KV`)
+ * - `DurableObjectStore` for a Durable Object namespace binding (`VERIFY_DO`),
+ *   which increments atomically, so attempt limits hold under concurrent checks
+ * - `MemoryStore` for tests and local development (per isolate, not shared)
+ *
+ * @module verification-store
+ */
+
+/**
+ * In-memory store. State lives only as long as the isolate.
+ */
+export class MemoryStore {
+  constructor() {
+    this.items = new Map();
+  }
+
+  async get(key) {
+    const item = this.items.get(key);
+    if (!item) return null;
+    if (item.expiresAt && item.expiresAt <= Date.now()) {
+      this.items.delete(key);
+      return null;
+    }
+    return structuredClone(item.value);
+  }
+
+  async put(key, value, { ttl } = {}) {
+    this.items.set(key, {
+      value: structuredClone(value),
+      expiresAt: ttl ? Date.now() + ttl * 1000 : null
+    });
+  }
+
+  async delete(key) {
+    this.items.delete(key);
+  }
+
+  async list(prefix) {
+    const now = Date.now();
+    return [...this.items.entries()]
+      .filter(([key, item]) => key.startsWith(prefix) && (!item.expiresAt || item.expiresAt > now))
+      .map(([key]) => key);
+  }
+
+  async increment(key, { ttl } = {}) {
+    const item = this.items.get(key);
+    if (!item || (item.expiresAt && item.expiresAt <= Date.now())) {
+      this.items.set(key, { value: 1, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+      return 1;
+    }
+    item.value += 1;
+    return item.value;
+  }
+}
+
+/**
+ * Workers KV backed store. KV is eventually consistent and has no atomic
+ * writes, so concurrent increments can be lost and attempt limits are
+ * approximate; use `DurableObjectStore` when that matters.
+ */
+export class KVStore {
+  /**
+   * @param {KVNamespace} namespace - Workers KV namespace binding
+   */
+  constructor(namespace) {
+    this.namespace = namespace;
+  }
+
+  async get(key) {
+    return this.namespace.get(key, { type: "json" });
+  }
+
+  async put(key, value, { ttl } = {}) {
+    // KV rejects expirationTtl values below 60 seconds
+    const options = ttl ? { expirationTtl: Math.max(60, Math.ceil(ttl)) } : {};
+    await this.namespace.put(key, JSON.stringify(value), options);
+  }
+
+  async delete(key) {
+    await this.namespace.delete(key);
+  }
+
+  async list(prefix) {
+    const keys = [];
+    let cursor;
+    do {
+      const page = await this.namespace.list({ prefix, cursor });
+      keys.push(...page.keys.map(key => key.name));
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return keys;
+  }
+
+  async increment(key, { ttl } = {}) {
+    const count = (await this.get(key) || 0) + 1;
+    await this.put(key, count, { ttl });
+    return count;
+  }
+}
+
+/**
+ * Durable Object backed store. Talks to a single named `VerificationStoreObject`
+ * instance over its fetch interface.
+ */
+export class DurableObjectStore {
+  /**
+   * @param {DurableObjectNamespace} namespace - Durable Object namespace binding
+   * @param {string} [name='verification-store'] - Name of the object instance
+   */
+  constructor(namespace, name = "verification-store") {
+    this.stub = namespace.get(namespace.idFromName(name));
+  }
+
+  async call(op, body) {
+    const response = await this.stub.fetch(`https://verification-store/${op}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      throw new Error(`Verification store error: ${response.status} - ${await response.text()}`);
+    }
+    return response.json();
+  }
+
+  async get(key) {
+    const { value } = await this.call("get", { key });
+    return value ?? null;
+  }
+
+  async put(key, value, { ttl } = {}) {
+    await this.call("put", { key, value, ttl });
+  }
+
+  async delete(key) {
+    await this.call("delete", { key });
+  }
+
+  async list(prefix) {
+    const { keys } = await this.call("list", { prefix });
+    return keys;
+  }
+
+  async increment(key, { ttl } = {}) {
+    const { value } = await this.call("increment", { key, ttl });
+    return value;
+  }
+}
+
+/**
+ * Durable Object class backing `DurableObjectStore`. Export it from the Worker
+ * entry point and bind it as `VERIFY_DO` in wrangler.toml.
+ */
+export class VerificationStoreObject {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const op = new URL(request.url).pathname.slice(1);
+    const { key, value, ttl, prefix } = await request.json();
+
+    if (op === "get") {
+      const item = await this.storage.get(key);
+      if (item?.expiresAt && item.expiresAt <= Date.now()) {
+        await this.storage.delete(key);
+        return Response.json({ value: null });
+      }
+      return Response.json({ value: item?.value ?? null });
+    }
+
+    if (op === "put") {
+      await this.storage.put(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+      return Response.json({ ok: true });
+    }
+
+    if (op === "delete") {
+      await this.storage.delete(key);
+      return Response.json({ ok: true });
+    }
+
+    if (op === "list") {
+      const now = Date.now();
+      const items = await this.storage.list({ prefix });
+      const keys = [...items.entries()]
+        .filter(([, item]) => !item.expiresAt || item.expiresAt > now)
+        .map(([name]) => name);
+      return Response.json({ keys });
+    }
+
+    // A Durable Object handles one request's storage calls without interleaving
+    // another's, so the read and write below cannot be split by a concurrent increment
+    if (op === "increment") {
+      const item = await this.storage.get(key);
+      const live = item && (!item.expiresAt || item.expiresAt > Date.now());
+      const next = live
+        ? { ...item, value: item.value + 1 }
+        : { value: 1, expiresAt: ttl ? Date.now() + ttl * 1000 : null };
+      await this.storage.put(key, next);
+      return Response.json({ value: next.value });
+    }
+
+    return new Response("Unknown operation", { status: 400 });
+  }
+}
+
+// Shared fallback store used when no binding is configured
+const memoryStore = new MemoryStore();
+
+/**
+ * Pick the storage backend from the Worker environment.
+ * `VERIFY_STORE` may hold a ready-made adapter instance (used by tests).
+ *
+ * @param {Object} [env] - Worker environment bindings
+ * @returns {MemoryStore|KVStore|DurableObjectStore} Storage adapter
+ */
+export function getStore(env = {}) {
+  if (env.VERIFY_STORE) return env.VERIFY_STORE;
+  if (env.VERIFY_DO) return new DurableObjectStore(env.VERIFY_DO);
+  if (env.VERIFY_KV) return new KVStore(env.VERIFY_KV);
+  return memoryStore;
+}
@@ -0,0 +1,214 @@
+/**
+ * Stateless signed verification tokens.
+ *
+ * An alternative to server-side sessions for deployments without a KV or
+ * Durable Object binding. `/api/send` hands back an opaque token and
+ * `/api/verify` checks `{ token, code }` without touching storage.
+ *
+ * - Token format: `v1.<payload>.<signature>`, both parts base64url encoded.
+ * - The payload carries the tenant ID, phone number, an HMAC of the code
+ *   salted with a random nonce, the expiry time and the ID of the signing key.
+ * - Signing secrets come from `VERIFY_TOKEN_SECRETS` (comma-separated). The
+ *   first secret signs new tokens; the rest are still accepted so secrets can
+ *   be rotated without invalidating tokens in flight.
+ * - A per-isolate nonce cache blocks replay of used tokens and caps wrong
+ *   guesses per token for the token lifetime.
+ *
+ * @module verification-token
+ */
+
+import {
+  randomHex,
+  sha256Hex,
+  hmacSha256,
+  toHex,
+  timingSafeEqual,
+  base64UrlEncode,
+  base64UrlDecode
+} from "./crypto-utils.js";
+import { DEFAULT_EXPIRES_IN, DEFAULT_MAX_ATTEMPTS } from "./verification-sessions.js";
+import { normalizeCode } from "./code-policy.js";
+
+const TOKEN_VERSION = "v1";
+
+/**
+ * Parse the signing secrets from the environment.
+ *
+ * @param {Object} [env] - Worker environment
+ * @returns {string[]} Secrets, newest first
+ */
+export function getTokenSecrets(env = {}) {
+  return (env.VERIFY_TOKEN_SECRETS || "")
+    .split(",")
+    .map(secret => secret.trim())
+    .filter(Boolean);
+}
+
+// Short, non-reversible identifier for a secret so verification can pick the right key
+const keyId = async (secret) => (await sha256Hex(secret)).slice(0, 8);
+
+const hashCode = async (secret, nonce, code) => toHex(await hmacSha256(secret, `${nonce}:${normalizeCode(code)}`));
+
+/**
+ * Bounded in-memory record of token nonces seen during their lifetime.
+ */
+export class NonceCache {
+  /**
+   * @param {number} [maxEntries=10000] - Oldest entries are evicted beyond this
+   */
+  constructor(maxEntries = 10000) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(nonce) {
+    const entry = this.entries.get(nonce);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(nonce);
+      return null;
+    }
+    return entry || null;
+  }
+
+  set(nonce, entry) {
+    this.entries.delete(nonce);
+    this.entries.set(nonce, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+const defaultNonceCache = new NonceCache();
+
+/**
+ * Create a signed verification token.
+ *
+ * @param {Object} options
+ * @param {string} [options.tenantId] - Tenant the token is issued for
+ * @param {string} options.phoneNumber - E.164 phone number the code was sent to
+ * @param {string} options.code - The code that was sent
+ * @param {string[]} options.secrets - Signing secrets; the first one signs
+ * @param {string} [options.channel='sms'] - Delivery channel
+ * @param {number} [options.expiresIn=600] - Lifetime in seconds
+ * @returns {Promise<string>} Opaque token
+ */
+export async function createVerificationToken({
+  tenantId,
+  phoneNumber,
+  code,
+  secrets,
+  channel = "sms",
+  expiresIn = DEFAULT_EXPIRES_IN
+}) {
+  if (!secrets?.length) {
+    throw new Error("No token signing secrets configured");
+  }
+
+  const [secret] = secrets;
+  const nonce = randomHex(16);
+  const payload = base64UrlEncode(JSON.stringify({
+    kid: await keyId(secret),
+    tid: tenantId,
+    phone: phoneNumber,
+    ch: channel,
+    hash: await hashCode(secret, nonce, code),
+    exp: Math.floor(Date.now() / 1000) + expiresIn,
+    nonce
+  }));
+  const signature = base64UrlEncode(await hmacSha256(secret, `${TOKEN_VERSION}.${payload}`));
+
+  return `${TOKEN_VERSION}.${payload}.${signature}`;
+}
+
+// The claims and signing secret of a well-formed, correctly signed token
+async function openToken(token, secrets) {
+  const [version, payload, signature] = String(token).split(".");
+  if (version !== TOKEN_VERSION || !payload || !signature) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(base64UrlDecode(payload));
+  } catch {
+    return null;
+  }
+
+  let secret;
+  for (const candidate of secrets || []) {
+    if (await keyId(candidate) === claims.kid) {
+      secret = candidate;
+      break;
+    }
+  }
+  if (!secret) return null;
+
+  const expected = base64UrlEncode(await hmacSha256(secret, `${TOKEN_VERSION}.${payload}`));
+  return timingSafeEqual(expected, signature) ? { claims, secret } : null;
+}
+
+/**
+ * Read who a token was issued to without checking a code, so callers can
+ * apply their own per-number checks before an attempt is counted.
+ *
+ * @param {Object} options
+ * @param {string} options.token - Token from `createVerificationToken`
+ * @param {string[]} options.secrets - Accepted signing secrets
+ * @returns {Promise<{tenantId: string, phoneNumber: string}|null>} `null`
+ *   when the token is malformed or not signed with an accepted secret
+ */
+export async function readVerificationToken({ token, secrets }) {
+  const opened = await openToken(token, secrets);
+  return opened && { tenantId: opened.claims.tid, phoneNumber: opened.claims.phone };
+}
+
+/**
+ * Validate a token and the code submitted with it.
+ *
+ * @param {Object} options
+ * @param {string} options.token - Token from `createVerificationToken`
+ * @param {string} options.code - Code submitted by the user
+ * @param {string[]} options.secrets - Accepted signing secrets
+ * @param {NonceCache} [options.nonceCache] - Replay cache, defaults to the per-isolate cache
+ * @param {number} [options.maxAttempts=5] - Wrong guesses allowed per token
+ * @returns {Promise<{verified: boolean, reason?: string, tenantId?: string, phoneNumber?: string, channel?: string, attemptsRemaining?: number}>}
+ *   `reason` is one of 'invalid_token', 'expired', 'approved' (already used),
+ *   'max_attempts' or 'invalid_code' when not verified
+ */
+export async function checkVerificationToken({
+  token,
+  code,
+  secrets,
+  nonceCache = defaultNonceCache,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS
+}) {
+  const opened = await openToken(token, secrets);
+  if (!opened) return { verified: false, reason: "invalid_token" };
+  const { claims, secret } = opened;
+
+  const { tid: tenantId, phone: phoneNumber } = claims;
+  if (claims.exp * 1000 <= Date.now()) {
+    return { verified: false, reason: "expired", tenantId, phoneNumber };
+  }
+
+  const entry = nonceCache.get(claims.nonce) || { attempts: 0, used: false, expiresAt: claims.exp * 1000 };
+  if (entry.used) return { verified: false, reason: "approved", tenantId, phoneNumber };
+  if (entry.attempts >= maxAttempts) {
+    return { verified: false, reason: "max_attempts", tenantId, phoneNumber, attemptsRemaining: 0 };
+  }
+
+  if (timingSafeEqual(await hashCode(secret, claims.nonce, code), claims.hash)) {
+    nonceCache.set(claims.nonce, { ...entry, used: true });
+    return { verified: true, tenantId, phoneNumber, channel: claims.ch };
+  }
+
+  entry.attempts += 1;
+  nonceCache.set(claims.nonce, entry);
+  const attemptsRemaining = maxAttempts - entry.attempts;
+  return {
+    verified: false,
+    reason: attemptsRemaining > 0 ? "invalid_code" : "max_attempts",
+    tenantId,
+    phoneNumber,
+    attemptsRemaining
+  };
+}
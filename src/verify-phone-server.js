@@ -1,9 +1,31 @@
 /**
- * SMS API Server using Hono and AWS SNS.
+ * SMS API Server using Hono and AWS SNS or another SMS provider.
  *
  * - Provides endpoints for sending and verifying SMS codes.
- * - Supports general SMS messaging with custom text.
- * - Supports API key authentication.
+ * - Reads codes out in a text-to-speech voice call when `channel` is "voice".
+ * - Emails codes through SES, SMTP or an HTTP mail API when `channel` is "email".
+ * - Sends WhatsApp authentication templates when `channel` is "whatsapp", falling back to SMS.
+ * - Persists verification sessions with expiry, attempt limits and single-use codes.
+ * - Optionally issues stateless signed tokens instead of stored sessions.
+ * - Localizes verification texts from the request locale, Accept-Language or the phone's country.
+ * - Renders named per-tenant templates with variables and checks their GSM-7/UCS-2 segments.
+ * - Adds WebOTP and Android SMS Retriever lines for one-tap autofill on registered tenants.
+ * - Sends magic links that verify on a confirmation page at `/v/:token` instead of a code.
+ * - Enrolls TOTP authenticator apps with QR codes and checks their codes and one-time recovery codes.
+ * - Supports general SMS messaging with custom text, and cost estimates that never reach a provider.
+ * - Sends batches with per-recipient variables and results, synchronously or as background jobs.
+ * - Schedules SMS for a later time or the recipient's local time, sent by Cron Trigger or Durable Object alarm.
+ * - Tracks delivery status per message ID from SNS and Twilio callbacks.
+ * - Posts signed webhook events for sends, verifications, deliveries and VoIP blocks.
+ * - Routes messages to SNS, End User Messaging, Twilio or Vonage per tenant or country,
+ *   with retries, circuit breakers and failover between providers and regions.
+ * - Supports multi-tenant API keys with scopes and per-key defaults.
+ * - Throttles verification sends per destination phone number.
+ * - Guards against SMS pumping with country, number type, velocity and conversion checks.
+ * - Keeps per-tenant suppression lists, fed by provider opt-outs, with separate rules for OTP and promotional traffic.
+ * - Pauses promotional SMS as the estimated monthly spend nears the SNS spend limit.
+ * - Manages the SNS account's SMS settings, opt-outs and SMS sandbox numbers for admin keys.
+ * - Test mode sends to magic sandbox numbers without calling AWS SNS.
  * - Optionally blocks VoIP numbers using a phone lookup API.
  * - Designed for Cloudflare Workers, but testable locally.
  *
@@ -17,7 +39,75 @@ import { secureHeaders } from "hono/secure-headers";
 import { rateLimiter } from "hono-rate-limiter";
 import { swaggerUI } from "@hono/swagger-ui";
 import { OpenAPIHono, createRoute, z } from "@hono/zod-openapi";
-import verifyPhone from "./verify-phone.ts";
+import verifyPhone, { formatPhoneNumber, getPhoneNumberCountry, isValidPhoneNumber } from "./verify-phone.ts";
+import { getStore } from "./verification-store.js";
+import {
+  createVerification,
+  getVerification,
+  findVerificationByPhone,
+  checkVerification,
+  cancelVerification,
+  toPublicVerification
+} from "./verification-sessions.js";
+import { getTokenSecrets, createVerificationToken, checkVerificationToken, readVerificationToken } from "./verification-token.js";
+import { codePolicySchema, resolveCodePolicy, generateCode } from "./code-policy.js";
+import { isTestMode, getSandboxCode, sendSandboxMessage } from "./sandbox.js";
+import { sendVoiceCode } from "./voice-otp.js";
+import { sendEmailCode, resolveEmailTemplate } from "./email-otp.js";
+import { getMailTransport } from "./mail/index.js";
+import { authenticateKey } from "./api-keys.js";
+import apiKeyRoutes from "./routes/api-keys.js";
+import {
+  THROTTLE_ERRORS,
+  resolvePhoneLimits,
+  checkSendAllowed,
+  checkVerifyAllowed,
+  recordSend,
+  recordVerifyResult
+} from "./phone-throttle.js";
+import {
+  FRAUD_ERROR_CODE,
+  FRAUD_ERRORS,
+  resolveFraudPolicy,
+  checkFraud,
+  recordFraudEvent,
+  recordFraudSend,
+  recordFraudConversion
+} from "./fraud-guard.js";
+import fraudRoutes from "./routes/fraud.js";
+import {
+  OPTED_OUT_ERROR_CODE,
+  SUPPRESSED_ERROR_CODE,
+  addSuppression,
+  checkSuppression,
+  isOptOutError,
+  parseSuppressionRules,
+  resolveSuppressionRules,
+  trafficTypeOf
+} from "./suppression.js";
+import suppressionRoutes from "./routes/suppressions.js";
+import { SPEND_PAUSED_ERROR_CODE, checkSpendGuard, recordSpend, resolveSpendGuard } from "./spend-guard.js";
+import { resolveSmsPricing } from "./sms-pricing.js";
+import snsAdminRoutes from "./routes/sns-admin.js";
+import messageRoutes from "./routes/messages.js";
+import deliveryWebhookRoutes from "./routes/delivery-webhooks.js";
+import { recordMessage } from "./delivery-status.js";
+import webhookRoutes from "./routes/webhooks.js";
+import { emitWebhookEvent, runAfterResponse } from "./webhooks.js";
+import { ProviderConfigError, getProvider, getVoiceProvider, getWhatsAppProvider } from "./providers/index.js";
+import { parseWhatsAppTemplates, resolveWhatsAppTemplate } from "./whatsapp-templates.js";
+import { parseSmsTemplates, resolveSmsTemplate } from "./sms-templates.js";
+import templateRoutes from "./routes/templates.js";
+import totpRoutes from "./routes/totp.js";
+import smsRoutes from "./routes/sms.js";
+import { AutofillError, appendAutofill, parseSmsAutofill, resolveAutofill } from "./sms-autofill.js";
+import magicLinkRoutes from "./routes/magic-links.js";
+import { createLinkToken, magicLinkUrl, parseMagicLinks, resolveMagicLinkSettings, saveMagicLink } from "./magic-links.js";
+import { checkMessage, escapeTemplate, getMessageTemplate, localizeMessageTemplate, renderTemplate, templatePlaceholders, templateVariables } from "./message-templates.js";
+import { ScheduleError, resolveSendTime, scheduleMessage, scheduledMessageSchema, toPublicScheduledMessage, wakeScheduler } from "./scheduled-sms.js";
+import { BATCH_ERROR_CODES, createBatchJob, maxAsyncRecipients, resolveBatchPolicy, runBatch, runBatchJob, summarizeBatch, toPublicBatchJob } from "./sms-batch.js";
+import { circuitBreakers } from "./providers/failover.js";
+import { isSmsSandboxError } from "./sns.js";
 
 // Create the main app
 const app = new OpenAPIHono();
@@ -47,12 +137,14 @@ app.use("*", async (c, next) => {
   return limiter(c, next);
 });
 
-// API Key authentication middleware
+// Read the API key from X-API-Key or a Bearer token
+const getRequestApiKey = (c) => c.req.header("X-API-Key") || c.req.header("Authorization")?.replace("Bearer ", "");
+
+// API Key authentication middleware. Exposes the key record as c.get("apiKey").
 const authenticateApiKey = async (c, next) => {
-  const apiKey = c.req.header("X-API-Key") || c.req.header("Authorization")?.replace("Bearer ", "");
-  const expectedApiKey = c.env?.API_KEY;
+  const apiKey = await authenticateKey(getStore(c.env), c.env, getRequestApiKey(c));
   
-  if (!apiKey || apiKey !== expectedApiKey) {
+  if (!apiKey) {
     return c.json({
       success: false,
       error: "Unauthorized",
@@ -60,9 +152,349 @@ const authenticateApiKey = async (c, next) => {
     }, 401);
   }
   
+  c.set("apiKey", apiKey);
+  await next();
+};
+
+// Scope check for routes that need more than a valid key; any one of the scopes is enough
+const requireScope = (...scopes) => async (c, next) => {
+  if (!scopes.some(scope => c.get("apiKey").scopes.includes(scope))) {
+    return c.json({
+      success: false,
+      error: "Forbidden",
+      message: `API key is missing the ${scopes.map(scope => `"${scope}"`).join(" or ")} scope`
+    }, 403);
+  }
+
   await next();
 };
 
+// Reject destinations outside the key's allowed countries
+const checkAllowedCountry = (c, phoneNumber) => {
+  const { allowedCountries } = c.get("apiKey").config;
+  if (!allowedCountries?.length) return null;
+
+  const country = getPhoneNumberCountry(formatPhoneNumber(phoneNumber));
+  if (country && allowedCountries.includes(country)) return null;
+
+  return c.json({
+    success: false,
+    error: "Destination country not allowed",
+    details: `This API key only sends to: ${allowedCountries.join(", ")}`
+  }, 403);
+};
+
+// 429 response for a number throttled by phone-throttle
+const phoneThrottled = (c, { reason, retryAfter }) => {
+  c.header("Retry-After", String(retryAfter));
+  return c.json({
+    success: false,
+    error: THROTTLE_ERRORS[reason],
+    retryAfter
+  }, 429);
+};
+
+// Pick the SMS or voice provider, or the mail transport, for a destination.
+// WhatsApp sends also get the SMS provider for their fallback.
+// Missing provider configuration is a 500.
+const selectProvider = (c, phoneNumber, channel = "sms") => {
+  try {
+    const tenantId = c.get("apiKey").tenantId;
+    if (channel === "email") {
+      return { provider: getMailTransport(c.env) };
+    }
+    if (channel === "voice") {
+      return { provider: getVoiceProvider(c.env, { tenantId }) };
+    }
+    const country = getPhoneNumberCountry(formatPhoneNumber(phoneNumber));
+    const provider = getProvider(c.env, { tenantId, country });
+    if (channel === "whatsapp") {
+      return { provider, whatsappProvider: getWhatsAppProvider(c.env, { tenantId }) };
+    }
+    return { provider };
+  } catch (error) {
+    if (!(error instanceof ProviderConfigError)) throw error;
+    return {
+      error: c.json({
+        success: false,
+        error: error.message,
+        details: error.details
+      }, 500)
+    };
+  }
+};
+
+// Pick the SMS template and its variables. An explicit messageTemplate wins, then a
+// named template (from the request or the key), then the key's messageTemplate, then
+// the tenant's or built-in template for the recipient's locale. Only named templates
+// can reject a message; the others just warn. Unknown template names are a 404.
+// Magic links use the request's or MAGIC_LINKS template, with {link} for the URL.
+const selectSmsTemplate = async (c, store, { template: templateName, messageTemplate, locale, phoneNumber }, link) => {
+  const apiKey = c.get("apiKey");
+  const { config } = apiKey;
+  const localeOptions = { locale, acceptLanguage: c.req.header("Accept-Language"), phoneNumber: formatPhoneNumber(phoneNumber) };
+  const variables = (named = {}) => templateVariables({
+    appName: named.appName ?? config.appName ?? c.env?.APP_NAME,
+    domain: named.domain ?? config.domain ?? c.env?.APP_DOMAIN
+  });
+
+  if (link) {
+    return { template: messageTemplate || link.messageTemplate, variables: { ...variables(), link: link.url }, unicode: false, validation: "warn" };
+  }
+
+  if (messageTemplate) {
+    return { template: messageTemplate, variables: variables(), unicode: false, validation: "warn" };
+  }
+
+  const name = templateName || config.templateName;
+  if (name) {
+    const named = await getMessageTemplate(store, apiKey.tenantId, name);
+    if (!named) {
+      return {
+        error: c.json({
+          success: false,
+          error: "Template not found",
+          details: `No template named "${name}" for this tenant`
+        }, 404)
+      };
+    }
+    const localized = localizeMessageTemplate(named, localeOptions);
+    return { ...localized, variables: variables(named), unicode: named.unicode, validation: named.validation };
+  }
+
+  if (config.messageTemplate) {
+    return { template: config.messageTemplate, variables: variables(), unicode: false, validation: "warn" };
+  }
+
+  // Catalog texts in non-Latin scripts are meant to go out as UCS-2
+  const localized = resolveSmsTemplate(parseSmsTemplates(c.env?.SMS_TEMPLATES), { tenantId: apiKey.tenantId, ...localeOptions });
+  return { ...localized, variables: variables(), unicode: true, validation: "warn" };
+};
+
+// Send one free-text SMS: country, suppression and fraud checks, provider choice, the
+// delivery record and the message.sent event. A refused destination comes back as an
+// error response with its batch error code instead of a result.
+const sendGeneralSms = async (c, store, { phoneNumber, message, senderId, smsType, testMode, fraudPolicy }) => {
+  const apiKey = c.get("apiKey");
+
+  const countryError = checkAllowedCountry(c, phoneNumber);
+  if (countryError) return { errorCode: "country_not_allowed", response: countryError };
+
+  const suppressed = await checkSuppressionList(c, store, formatPhoneNumber(phoneNumber), trafficTypeOf(smsType));
+  if (suppressed) return { errorCode: SUPPRESSED_ERROR_CODE, response: suppressed };
+
+  // Pick the SMS provider (test mode never reaches a provider)
+  const { provider, error: providerError } = testMode ? {} : selectProvider(c, phoneNumber);
+  if (providerError) return { errorCode: "provider_error", response: providerError };
+
+  if (!testMode && smsType === "Promotional") {
+    const spendPaused = await checkSpendLimit(c, store, provider);
+    if (spendPaused) return { errorCode: SPEND_PAUSED_ERROR_CODE, response: spendPaused };
+  }
+
+  if (!testMode) {
+    const fraudError = await checkFraudGuard(c, store, formatPhoneNumber(phoneNumber), fraudPolicy);
+    if (fraudError) return { errorCode: "fraud_blocked", response: fraudError };
+  }
+
+  const result = testMode
+    ? await sendSandboxMessage({ phoneNumber: formatPhoneNumber(phoneNumber) })
+    : await verifyPhone({
+      phoneNumber,
+      code: "GENERAL", // Use a placeholder code for general SMS
+      provider,
+      blockVoip: false,
+      senderId: senderId || apiKey.config.senderId || c.env?.SMS_SENDER_ID || "Verify",
+      // Free text is sent verbatim, placeholders and all
+      messageTemplate: escapeTemplate(message),
+      smsType
+    });
+  await suppressOptedOut(c, store, formatPhoneNumber(phoneNumber), result);
+
+  if (result.success) {
+    if (!testMode) {
+      await recordFraudSend(store, result.phoneNumber, fraudPolicy);
+      await recordSpend(store, result, resolveSmsPricing(c.env?.SMS_PRICING));
+    }
+
+    await recordMessage(store, {
+      messageId: result.messageId,
+      tenantId: apiKey.tenantId,
+      apiKeyId: apiKey.id,
+      phoneNumber: result.phoneNumber,
+      provider: result.provider
+    });
+
+    await emitEvent(c, "message.sent", {
+      messageId: result.messageId,
+      phoneNumber: result.phoneNumber,
+      provider: result.provider
+    });
+  }
+
+  return { result };
+};
+
+// Store a free-text SMS to send later. The destination is checked now; the fraud
+// guard and provider routing run when it is sent.
+const scheduleGeneralSms = async (c, { phoneNumber, message, senderId, smsType, sendAt, delaySeconds, timezone, testMode }) => {
+  const apiKey = c.get("apiKey");
+
+  const countryError = checkAllowedCountry(c, phoneNumber);
+  if (countryError) return countryError;
+
+  const formattedPhone = formatPhoneNumber(phoneNumber);
+  if (!isValidPhoneNumber(formattedPhone)) {
+    return c.json({
+      success: false,
+      error: "Invalid phone number format. Please use E.164 format (e.g., +1234567890)"
+    }, 400);
+  }
+
+  let time;
+  try {
+    time = resolveSendTime({ sendAt, delaySeconds, timezone, phoneNumber: formattedPhone });
+  } catch (error) {
+    if (!(error instanceof ScheduleError)) throw error;
+    return c.json({
+      success: false,
+      error: error.message
+    }, 400);
+  }
+
+  const scheduled = await scheduleMessage(getStore(c.env), {
+    tenantId: apiKey.tenantId,
+    apiKeyId: apiKey.id,
+    phoneNumber: formattedPhone,
+    message,
+    senderId: senderId || apiKey.config.senderId || c.env?.SMS_SENDER_ID || "Verify",
+    smsType: smsType || "Transactional",
+    ...time,
+    testMode
+  });
+  await wakeScheduler(c.env, scheduled.sendAt);
+
+  return c.json({
+    success: true,
+    message: "SMS scheduled",
+    scheduled: toPublicScheduledMessage(scheduled)
+  }, 202);
+};
+
+// Post a webhook event to the calling key's endpoints without holding up the response
+const emitEvent = (c, type, data) => {
+  const apiKey = c.get("apiKey");
+  return runAfterResponse(c, emitWebhookEvent(getStore(c.env), c.env, {
+    apiKeyId: apiKey.id,
+    tenantId: apiKey.tenantId,
+    type,
+    data
+  }));
+};
+
+// Run the fraud guard; blocked requests are recorded for review and get a 403
+const checkFraudGuard = async (c, store, phoneNumber, policy) => {
+  const check = await checkFraud(store, phoneNumber, policy);
+  if (check.allowed) return null;
+
+  await recordFraudEvent(store, {
+    tenantId: c.get("apiKey").tenantId,
+    phoneNumber,
+    route: c.req.path,
+    reason: check.reason,
+    country: check.country,
+    numberType: check.numberType
+  });
+
+  return c.json({
+    success: false,
+    error: FRAUD_ERRORS[check.reason],
+    errorCode: FRAUD_ERROR_CODE,
+    reason: check.reason
+  }, 403);
+};
+
+// Refuse recipients on the tenant's suppression list for this kind of traffic with a 403
+const checkSuppressionList = async (c, store, phoneNumber, trafficType) => {
+  const { tenantId } = c.get("apiKey");
+  const rules = resolveSuppressionRules(parseSuppressionRules(c.env?.SUPPRESSION_RULES), tenantId);
+  const entry = await checkSuppression(store, tenantId, phoneNumber, trafficType, rules);
+  if (!entry) return null;
+
+  return c.json({
+    success: false,
+    error: "Recipient is on the suppression list",
+    errorCode: SUPPRESSED_ERROR_CODE,
+    details: entry.scope === "all" ? "The recipient opted out of all messages" : "The recipient opted out of promotional messages"
+  }, 403);
+};
+
+// Hold promotional SMS back with a 429 while the month's spend is close to the SNS limit
+// of the region the provider sends from first
+const checkSpendLimit = async (c, store, provider) => {
+  const check = await checkSpendGuard(store, resolveSpendGuard(c.env?.SPEND_GUARD), { provider: provider.targets[0].target });
+  if (check.allowed) return null;
+
+  c.header("Retry-After", String(check.retryAfter));
+  return c.json({
+    success: false,
+    error: "Promotional SMS are paused near the monthly spend limit",
+    errorCode: SPEND_PAUSED_ERROR_CODE,
+    retryAfter: check.retryAfter
+  }, 429);
+};
+
+const SNS_SANDBOX_ERROR_CODE = "sns_sandbox_unverified";
+
+// New AWS accounts can only text the numbers verified in their SNS SMS sandbox.
+// Say so, instead of passing on the bare SNS error.
+const snsSandboxRefused = (c, result) => {
+  if (!isSmsSandboxError(result.errorCode, result.error)) return null;
+
+  return c.json({
+    success: false,
+    error: "Destination is not verified in the SNS SMS sandbox",
+    errorCode: SNS_SANDBOX_ERROR_CODE,
+    details: "This AWS account is in the SNS SMS sandbox and can only text verified numbers. Add the number with POST /api/admin/sns/sandbox/phone-numbers, or request production access in the SNS console."
+  }, 400);
+};
+
+// Put recipients the provider reported as opted out on the tenant's suppression list,
+// so later sends stop here instead of at the provider
+const suppressOptedOut = async (c, store, phoneNumber, result) => {
+  if (result.success || !isOptOutError(result.errorCode)) return;
+  await addSuppression(store, c.get("apiKey").tenantId, { phoneNumber, reason: "opted_out", source: "provider" });
+};
+
+const fraudBlockedSchema = z.object({
+  success: z.boolean(),
+  error: z.string(),
+  errorCode: z.enum([FRAUD_ERROR_CODE, SUPPRESSED_ERROR_CODE]).optional(),
+  reason: z.string().optional(),
+  details: z.string().optional()
+});
+
+const providerUnavailableSchema = z.object({
+  success: z.boolean(),
+  error: z.string(),
+  details: z.string().optional()
+});
+
+// Apply authentication and scopes to all API routes
+app.use("/api/*", authenticateApiKey);
+app.use("/api/send", requireScope("send"));
+app.use("/api/verify", requireScope("verify"));
+app.use("/api/verifications/*", requireScope("verify"));
+// The estimate only looks numbers up and never sends, so lookup keys may use it too
+const smsScope = requireScope("sms");
+const smsLookupScope = requireScope("sms", "lookup");
+app.use("/api/sms/*", (c, next) => (c.req.path === "/api/sms/estimate" ? smsLookupScope : smsScope)(c, next));
+app.use("/api/messages/*", requireScope("send", "sms"));
+app.use("/api/webhooks/*", requireScope("send", "verify", "sms"));
+app.use("/api/templates/*", requireScope("send"));
+app.use("/api/totp/*", requireScope("verify"));
+app.use("/api/admin/*", requireScope("admin"));
+
 // Health check endpoint
 app.get("/", (c) => {
   return c.json({
@@ -73,6 +505,7 @@ app.get("/", (c) => {
       health: "/health",
       send: "/api/send",
       verify: "/api/verify",
+      verifications: "/api/verifications/:id",
       docs: "/docs"
     }
   });
@@ -84,20 +517,11 @@ app.get("/health", (c) => {
     success: true,
     status: "healthy",
     timestamp: new Date().toISOString(),
-    uptime: "N/A" // process.uptime() not available in Cloudflare Workers
+    uptime: "N/A", // process.uptime() not available in Cloudflare Workers
+    providers: circuitBreakers.snapshot()
   });
 });
 
-// Generate verification code
-function generateCode(length = 6) {
-  const chars = "0123456789";
-  let result = "";
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
 // Send SMS verification code
 const sendRoute = createRoute({
   method: "post",
@@ -110,10 +534,20 @@ const sendRoute = createRoute({
           schema: z.object({
             phoneNumber: z.string().min(1, "Phone number is required"),
             code: z.string().optional(),
+            codePolicy: codePolicySchema.optional(),
             blockVoip: z.boolean().optional().default(false),
             senderId: z.string().optional().default("Verify"),
-            messageTemplate: z.string().optional(),
-            smsType: z.enum(["Transactional", "Promotional"]).optional().default("Transactional")
+            messageTemplate: z.string().optional().describe("SMS text with {code}, {app_name}, {expires_minutes} and {domain} placeholders"),
+            template: z.string().optional().describe("Name of a saved template; defaults to the key's templateName"),
+            autofill: z.boolean().optional().describe("Add WebOTP and SMS Retriever lines; on by default for tenants with SMS_AUTOFILL registrations"),
+            autofillDomain: z.string().optional().describe("Registered WebOTP domain; defaults to the tenant's first"),
+            appHash: z.string().optional().describe("Registered Android app hash; defaults to the tenant's first"),
+            smsType: z.enum(["Transactional", "Promotional"]).optional().default("Transactional"),
+            stateless: z.boolean().optional(),
+            mode: z.enum(["code", "link"]).optional().default("code").describe("Text a code, or a magic link that verifies when opened and confirmed (SMS with stored sessions only)"),
+            channel: z.enum(["sms", "voice", "email", "whatsapp"]).optional().default("sms").describe("Deliver the code by SMS, a text-to-speech call, email or WhatsApp"),
+            locale: z.string().optional().describe("Language for SMS texts, voice calls and WhatsApp templates, e.g. es-ES; SMS texts otherwise follow Accept-Language, then the phone's country"),
+            email: z.string().email().optional().describe("Recipient for the email channel; the code still verifies the phone number")
           })
         }
       }
@@ -127,8 +561,25 @@ const sendRoute = createRoute({
             success: z.boolean(),
             message: z.string().optional(),
             messageId: z.string().optional(),
+            provider: z.string().optional().describe("Provider target that delivered the message, e.g. sns:us-east-1"),
+            channel: z.string().optional().describe("Channel that delivered the code"),
+            mode: z.enum(["code", "link"]).optional(),
+            link: z.string().optional().describe("Magic link, only returned in test mode"),
+            locale: z.string().optional().describe("Locale of the built-in, tenant or named SMS template used"),
+            encoding: z.enum(["GSM-7", "UCS-2"]).optional().describe("Encoding of the SMS text"),
+            segments: z.number().optional().describe("Segments the SMS text is billed as"),
+            warnings: z.array(z.string()).optional().describe("Encoding issues found in the SMS text"),
+            autofill: z.object({
+              domain: z.string().optional(),
+              appHash: z.string().optional()
+            }).optional().describe("WebOTP domain and app hash added to the SMS text"),
+            fallback: z.string().optional().describe("Why a WhatsApp code was sent by SMS instead, e.g. not_on_whatsapp"),
             code: z.string().optional(),
+            verificationId: z.string().optional(),
+            token: z.string().optional(),
+            status: z.string().optional(),
             phoneNumber: z.string().optional(),
+            email: z.string().optional(),
             expiresIn: z.number().optional(),
             error: z.string().optional(),
             details: z.string().optional(),
@@ -144,6 +595,8 @@ const sendRoute = createRoute({
           schema: z.object({
             success: z.boolean(),
             error: z.string(),
+            errorCode: z.enum([OPTED_OUT_ERROR_CODE, SNS_SANDBOX_ERROR_CODE]).optional()
+              .describe("opted_out: the recipient opted out with the provider and is now on the suppression list; sns_sandbox_unverified: the account is in the SNS SMS sandbox and the number is not verified"),
             details: z.string().optional()
           })
         }
@@ -161,6 +614,53 @@ const sendRoute = createRoute({
         }
       },
       description: "Unauthorized"
+    },
+    403: {
+      content: { "application/json": { schema: fraudBlockedSchema } },
+      description: "Destination not allowed for this API key, suppressed, or blocked by the fraud guard"
+    },
+    404: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            error: z.string(),
+            details: z.string().optional()
+          })
+        }
+      },
+      description: "Named template not found"
+    },
+    422: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            error: z.string(),
+            issues: z.array(z.object({
+              code: z.string(),
+              message: z.string()
+            }))
+          })
+        }
+      },
+      description: "The rendered SMS text has encoding issues its template rejects, or does not fit one segment with autofill lines"
+    },
+    429: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            error: z.string(),
+            retryAfter: z.number()
+          })
+        }
+      },
+      description: "Too many codes sent to this phone number; see the Retry-After header"
+    },
+    503: {
+      content: { "application/json": { schema: providerUnavailableSchema } },
+      description: "Every SMS provider was throttled or unavailable"
     }
   }
 });
@@ -168,54 +668,298 @@ const sendRoute = createRoute({
 app.openapi(sendRoute, async (c) => {
   try {
     const body = await c.req.json();
-    const { phoneNumber, code, blockVoip, senderId, messageTemplate, smsType } = body;
+    const { phoneNumber, code, blockVoip, senderId, smsType, locale, email } = body;
+    const channel = body.channel || "sms";
+    const mode = body.mode || "code";
+    const apiKey = c.get("apiKey");
+    const keyConfig = apiKey.config;
+    const testMode = isTestMode(c.env, apiKey);
+
+    if (channel === "email" && !email) {
+      return c.json({
+        success: false,
+        error: "Email address is required for the email channel"
+      }, 400);
+    }
 
-    // Generate code if not provided
-    const verificationCode = code || generateCode();
+    const countryError = checkAllowedCountry(c, phoneNumber);
+    if (countryError) return countryError;
 
-    // Get AWS credentials from environment
-    const awsCredentials = {
-      accessKeyId: c.env?.AWS_ACCESS_KEY_ID,
-      secretAccessKey: c.env?.AWS_SECRET_ACCESS_KEY,
-      awsRegion: c.env?.AWS_REGION || "us-east-1"
-    };
+    // Emails do not go to the phone number, so its opt-out does not apply
+    const store = getStore(c.env);
+    if (channel !== "email") {
+      const suppressed = await checkSuppressionList(c, store, formatPhoneNumber(phoneNumber), "verification");
+      if (suppressed) return suppressed;
+    }
+
+    // Fraud guard and per-number throttling (sandbox traffic is exempt).
+    // Emails cost nothing per destination country, so only throttling applies to them.
+    const fraudPolicy = resolveFraudPolicy(c.env?.FRAUD_POLICY);
+    const phoneLimits = resolvePhoneLimits(c.env?.PHONE_THROTTLE);
+    if (!testMode) {
+      if (channel !== "email") {
+        const fraudError = await checkFraudGuard(c, store, formatPhoneNumber(phoneNumber), fraudPolicy);
+        if (fraudError) return fraudError;
+      }
+
+      const throttle = await checkSendAllowed(store, formatPhoneNumber(phoneNumber), phoneLimits);
+      if (!throttle.allowed) return phoneThrottled(c, throttle);
+    }
 
-    // Validate AWS credentials
-    if (!awsCredentials.accessKeyId || !awsCredentials.secretAccessKey) {
+    // Generate code if not provided, layering the request policy over the key and CODE_POLICY defaults.
+    // Sandbox numbers always get the fixed sandbox code. Magic links carry a random token as their code.
+    const verificationCode = mode === "link" ? createLinkToken() : code || (testMode
+      ? getSandboxCode(c.env)
+      : generateCode(resolveCodePolicy(c.env?.CODE_POLICY, keyConfig.codePolicy, body.codePolicy)));
+
+    // Stateless mode returns a signed token instead of storing a session
+    const stateless = body.stateless ?? c.env?.VERIFICATION_STRATEGY === "token";
+    const tokenSecrets = getTokenSecrets(c.env);
+
+    if (stateless && !tokenSecrets.length) {
       return c.json({
         success: false,
-        error: "AWS credentials not configured",
-        details: "Please set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY environment variables"
+        error: "Token signing secrets not configured",
+        details: "Please set the VERIFY_TOKEN_SECRETS environment variable"
       }, 500);
     }
 
-    // Send verification SMS
-    const result = await verifyPhone({
-      phoneNumber,
-      code: verificationCode,
-      ...awsCredentials,
-      blockVoip,
-      senderId: senderId || c.env?.SMS_SENDER_ID || "Verify",
-      messageTemplate,
-      smsType
-    });
+    // Magic links are confirmed against a stored session, and only go out by SMS
+    if (mode === "link" && (channel !== "sms" || stateless)) {
+      return c.json({
+        success: false,
+        error: "Link mode needs the sms channel and stored sessions"
+      }, 400);
+    }
+    const linkSettings = mode === "link" ? resolveMagicLinkSettings(parseMagicLinks(c.env?.MAGIC_LINKS), apiKey.tenantId) : null;
+    const link = linkSettings && {
+      url: magicLinkUrl(linkSettings.baseUrl || new URL(c.req.url).origin, verificationCode),
+      messageTemplate: linkSettings.messageTemplate
+    };
+
+    // Pick the SMS or voice provider or mail transport (test mode never reaches a provider)
+    const { provider, whatsappProvider, error: providerError } = testMode ? {} : selectProvider(c, phoneNumber, channel);
+    if (providerError) return providerError;
+
+    // Send the verification SMS or email, or place the call
+    let result;
+    let templateLocale;
+    let templateWarnings;
+    let autofill;
+    if (testMode) {
+      result = await sendSandboxMessage({ phoneNumber: formatPhoneNumber(phoneNumber), code: verificationCode });
+    } else if (channel === "voice") {
+      result = await sendVoiceCode({ phoneNumber, code: verificationCode, provider, locale });
+    } else if (channel === "email") {
+      result = await sendEmailCode({
+        email,
+        phoneNumber,
+        code: verificationCode,
+        transport: provider,
+        from: c.env.MAIL_FROM,
+        template: resolveEmailTemplate(c.env?.EMAIL_TEMPLATE)
+      });
+    } else {
+      try {
+        autofill = link ? null : resolveAutofill(parseSmsAutofill(c.env?.SMS_AUTOFILL), apiKey.tenantId, body);
+      } catch (error) {
+        if (!(error instanceof AutofillError)) throw error;
+        return c.json({
+          success: false,
+          error: error.message
+        }, 400);
+      }
+
+      const selected = await selectSmsTemplate(c, store, body, link);
+      if (selected.error) return selected.error;
+      const template = autofill ? appendAutofill(selected.template, { ...autofill, code: verificationCode }) : selected.template;
+
+      // Check the rendered text before it costs anything. Autofill texts must fit one segment.
+      const { issues } = checkMessage(
+        renderTemplate(template, { ...selected.variables, code: verificationCode }),
+        { unicode: selected.unicode }
+      );
+      const blocking = issues.filter(issue => selected.validation === "reject" || (autofill && issue.code === "multiple_segments"));
+      if (blocking.length) {
+        return c.json({
+          success: false,
+          error: selected.validation === "reject" ? "Message has encoding issues" : "Message with autofill lines does not fit one segment",
+          issues: blocking.map(({ code, message }) => ({ code, message }))
+        }, 422);
+      }
+      templateLocale = selected.locale;
+      templateWarnings = issues.map(issue => issue.message);
+
+      result = await verifyPhone({
+        phoneNumber,
+        code: verificationCode,
+        provider,
+        blockVoip: blockVoip ?? keyConfig.blockVoip ?? false,
+        senderId: senderId || keyConfig.senderId || c.env?.SMS_SENDER_ID || "Verify",
+        messageTemplate: template,
+        variables: selected.variables,
+        smsType,
+        channel,
+        whatsapp: whatsappProvider && {
+          provider: whatsappProvider,
+          template: resolveWhatsAppTemplate(parseWhatsAppTemplates(c.env?.WHATSAPP_TEMPLATES), { tenantId: apiKey.tenantId, locale })
+        }
+      });
+    }
+
+    // Codes are only echoed back in test mode
+    const echoedCode = testMode ? result.code : undefined;
+    // WhatsApp sends may have fallen back to SMS
+    const sentChannel = result.channel || channel;
+    // Only reported when an SMS text was sent
+    const smsLocale = sentChannel === "sms" ? templateLocale : undefined;
+    const smsWarnings = sentChannel === "sms" && templateWarnings?.length ? templateWarnings : undefined;
+    const smsAutofill = sentChannel === "sms" && autofill ? autofill : undefined;
 
     if (result.success) {
+      if (!testMode) {
+        await recordSend(store, result.phoneNumber);
+        if (channel !== "email") {
+          await recordFraudSend(store, result.phoneNumber, fraudPolicy, { verification: true });
+        }
+        if (sentChannel === "sms") {
+          await recordSpend(store, result, resolveSmsPricing(c.env?.SMS_PRICING));
+        }
+      }
+
+      if (stateless) {
+        const token = await createVerificationToken({
+          tenantId: apiKey.tenantId,
+          phoneNumber: result.phoneNumber,
+          code: verificationCode,
+          secrets: tokenSecrets,
+          channel: sentChannel,
+          expiresIn: result.expiresIn
+        });
+
+        await recordMessage(store, {
+          messageId: result.messageId,
+          tenantId: apiKey.tenantId,
+          apiKeyId: apiKey.id,
+          phoneNumber: result.phoneNumber,
+          provider: result.provider,
+          channel: sentChannel
+        });
+
+        await emitEvent(c, "verification.sent", {
+          phoneNumber: result.phoneNumber,
+          channel: sentChannel,
+          fallback: result.fallback,
+          messageId: result.messageId,
+          provider: result.provider,
+          expiresIn: result.expiresIn
+        });
+
+        return c.json({
+          success: true,
+          message: result.message,
+          messageId: result.messageId,
+          provider: result.provider,
+          channel: sentChannel,
+          locale: smsLocale,
+          encoding: result.encoding,
+          segments: result.segments,
+          warnings: smsWarnings,
+          autofill: smsAutofill,
+          fallback: result.fallback,
+          code: echoedCode,
+          token,
+          status: "pending",
+          phoneNumber: result.phoneNumber,
+          email: result.email,
+          expiresIn: result.expiresIn
+        });
+      }
+
+      // Persist the session so /api/verify can check the code later
+      const session = await createVerification(store, {
+        tenantId: apiKey.tenantId,
+        phoneNumber: result.phoneNumber,
+        code: verificationCode,
+        channel: sentChannel,
+        mode,
+        expiresIn: result.expiresIn,
+        messageId: result.messageId
+      });
+
+      if (link) {
+        await saveMagicLink(store, {
+          token: verificationCode,
+          verificationId: session.id,
+          apiKeyId: apiKey.id,
+          expiresIn: result.expiresIn,
+          testMode
+        });
+      }
+
+      // Track delivery callbacks for the message
+      await recordMessage(store, {
+        messageId: result.messageId,
+        tenantId: apiKey.tenantId,
+        apiKeyId: apiKey.id,
+        phoneNumber: result.phoneNumber,
+        provider: result.provider,
+        channel: sentChannel,
+        verificationId: session.id
+      });
+
+      await emitEvent(c, "verification.sent", {
+        verificationId: session.id,
+        phoneNumber: result.phoneNumber,
+        channel: sentChannel,
+        fallback: result.fallback,
+        messageId: result.messageId,
+        provider: result.provider,
+        expiresIn: result.expiresIn
+      });
+
       return c.json({
         success: true,
         message: result.message,
         messageId: result.messageId,
-        code: result.code,
+        provider: result.provider,
+        channel: sentChannel,
+        mode,
+        link: testMode ? link?.url : undefined,
+        locale: smsLocale,
+        encoding: result.encoding,
+        segments: result.segments,
+        warnings: smsWarnings,
+        autofill: smsAutofill,
+        fallback: result.fallback,
+        code: echoedCode,
+        verificationId: session.id,
+        status: session.status,
         phoneNumber: result.phoneNumber,
+        email: result.email,
         expiresIn: result.expiresIn
       });
     } else {
+      if (result.isVoip) {
+        await emitEvent(c, "voip.blocked", {
+          phoneNumber: formatPhoneNumber(phoneNumber),
+          channel
+        });
+      }
+      if (channel !== "email") {
+        await suppressOptedOut(c, store, formatPhoneNumber(phoneNumber), result);
+      }
+
+      const sandboxError = snsSandboxRefused(c, result);
+      if (sandboxError) return sandboxError;
+
       return c.json({
         success: false,
         error: result.error,
+        errorCode: isOptOutError(result.errorCode) ? OPTED_OUT_ERROR_CODE : undefined,
         details: result.details,
         isVoip: result.isVoip
-      }, 400);
+      }, result.retryable ? 503 : 400);
     }
 
   } catch (error) {
@@ -227,7 +971,54 @@ app.openapi(sendRoute, async (c) => {
   }
 });
 
-// Verify SMS code (mock endpoint for demonstration)
+// Error responses for codes that could not be verified, keyed by checkVerification reason
+const verifyFailures = {
+  invalid_token: { status: 400, error: "Invalid verification token" },
+  invalid_code: { status: 400, error: "Invalid verification code" },
+  expired: { status: 400, error: "Verification code has expired" },
+  approved: { status: 400, error: "Verification code has already been used" },
+  canceled: { status: 400, error: "Verification was canceled" },
+  max_attempts: { status: 429, error: "Too many failed attempts" }
+};
+
+// Webhook events for codes that could not be verified; reused codes, canceled sessions and bad tokens send none
+const verifyFailureEvents = {
+  invalid_code: "verification.failed",
+  max_attempts: "verification.failed",
+  expired: "verification.expired"
+};
+
+// Load a session only if it belongs to the caller's tenant
+const getTenantVerification = async (store, tenantId, id) => {
+  const session = await getVerification(store, id);
+  return session?.tenantId === tenantId ? session : null;
+};
+
+// Session status reported for a token that failed checkVerificationToken
+const tokenStatuses = {
+  invalid_code: "pending",
+  expired: "expired",
+  approved: "approved",
+  max_attempts: "failed"
+};
+
+const verificationSchema = z.object({
+  id: z.string(),
+  phoneNumber: z.string(),
+  channel: z.string(),
+  mode: z.enum(["code", "link"]).optional(),
+  status: z.enum(["pending", "approved", "canceled", "expired", "failed"]),
+  attempts: z.number(),
+  maxAttempts: z.number(),
+  attemptsRemaining: z.number(),
+  messageId: z.string().optional(),
+  createdAt: z.string(),
+  updatedAt: z.string(),
+  expiresAt: z.string(),
+  verifiedAt: z.string().optional()
+});
+
+// Verify SMS code against the stored verification session
 const verifyRoute = createRoute({
   method: "post",
   path: "/api/verify",
@@ -237,8 +1028,12 @@ const verifyRoute = createRoute({
       content: {
         "application/json": {
           schema: z.object({
-            phoneNumber: z.string().min(1, "Phone number is required"),
+            verificationId: z.string().optional(),
+            token: z.string().optional(),
+            phoneNumber: z.string().optional(),
             code: z.string().min(1, "Verification code is required")
+          }).refine(body => body.verificationId || body.token || body.phoneNumber, {
+            message: "One of verificationId, token or phoneNumber is required"
           })
         }
       }
@@ -252,6 +1047,8 @@ const verifyRoute = createRoute({
             success: z.boolean(),
             message: z.string().optional(),
             verified: z.boolean().optional(),
+            verificationId: z.string().optional(),
+            status: z.string().optional(),
             error: z.string().optional()
           })
         }
@@ -259,6 +1056,20 @@ const verifyRoute = createRoute({
       description: "Code verified successfully"
     },
     400: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            verified: z.boolean().optional(),
+            error: z.string(),
+            status: z.string().optional(),
+            attemptsRemaining: z.number().optional()
+          })
+        }
+      },
+      description: "Invalid, expired or already used code"
+    },
+    404: {
       content: {
         "application/json": {
           schema: z.object({
@@ -267,7 +1078,21 @@ const verifyRoute = createRoute({
           })
         }
       },
-      description: "Bad request"
+      description: "No verification session found"
+    },
+    429: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            verified: z.boolean().optional(),
+            error: z.string(),
+            status: z.string().optional(),
+            retryAfter: z.number().optional()
+          })
+        }
+      },
+      description: "Too many failed attempts, or the phone number is locked after repeated failures"
     }
   }
 });
@@ -275,18 +1100,130 @@ const verifyRoute = createRoute({
 app.openapi(verifyRoute, async (c) => {
   try {
     const body = await c.req.json();
-    const { phoneNumber, code } = body;
+    const { verificationId, token, phoneNumber, code } = body;
+    const apiKey = c.get("apiKey");
+    const { tenantId } = apiKey;
+    const store = getStore(c.env);
+    const phoneLimits = resolvePhoneLimits(c.env?.PHONE_THROTTLE);
+
+    // Successful SMS and voice verifications feed the fraud guard's conversion tracking
+    const recordConversion = async (verifiedPhone, channel) => {
+      if (isTestMode(c.env, apiKey) || channel === "email") return;
+      await recordFraudConversion(store, verifiedPhone, resolveFraudPolicy(c.env?.FRAUD_POLICY));
+    };
+
+    if (token) {
+      const secrets = getTokenSecrets(c.env);
+
+      // A token only verifies the tenant and number it was issued for. Check
+      // that before the code, so other callers cannot use up its attempts.
+      const issued = await readVerificationToken({ token, secrets });
+      const wrongPhone = phoneNumber && issued && formatPhoneNumber(phoneNumber) !== issued.phoneNumber;
+      let result = { verified: false, reason: "invalid_token" };
+      if (issued && issued.tenantId === tenantId && !wrongPhone) {
+        // A locked number stays locked whichever token is presented for it
+        const lock = await checkVerifyAllowed(store, issued.phoneNumber);
+        if (!lock.allowed) return phoneThrottled(c, lock);
+
+        result = await checkVerificationToken({ token, code, secrets });
+      }
+
+      if (result.verified || result.reason === "invalid_code" || result.reason === "max_attempts") {
+        await recordVerifyResult(store, result.phoneNumber, result.verified, phoneLimits);
+      }
+
+      if (result.verified) {
+        await recordConversion(result.phoneNumber, result.channel);
+        await emitEvent(c, "verification.approved", {
+          phoneNumber: result.phoneNumber,
+          channel: result.channel
+        });
+        return c.json({
+          success: true,
+          message: "Code verified successfully",
+          verified: true,
+          status: "approved"
+        });
+      }
+
+      // Tokens keep no state, so every failed check raises its event
+      if (verifyFailureEvents[result.reason]) {
+        await emitEvent(c, verifyFailureEvents[result.reason], {
+          phoneNumber: result.phoneNumber,
+          channel: result.channel,
+          reason: result.reason,
+          attemptsRemaining: result.attemptsRemaining
+        });
+      }
+
+      const failure = verifyFailures[result.reason];
+      return c.json({
+        success: false,
+        verified: false,
+        error: failure.error,
+        status: tokenStatuses[result.reason],
+        attemptsRemaining: result.attemptsRemaining
+      }, failure.status);
+    }
+
+    const session = verificationId
+      ? await getTenantVerification(store, tenantId, verificationId)
+      : await findVerificationByPhone(store, tenantId, formatPhoneNumber(phoneNumber));
+
+    if (!session) {
+      return c.json({
+        success: false,
+        error: "Verification not found"
+      }, 404);
+    }
+
+    const lock = await checkVerifyAllowed(store, session.phoneNumber);
+    if (!lock.allowed) return phoneThrottled(c, lock);
+
+    const previousStatus = session.status;
+    const result = await checkVerification(store, session, code);
+    const verification = toPublicVerification(result.session);
+
+    if (result.verified || result.reason === "invalid_code" || result.reason === "max_attempts") {
+      await recordVerifyResult(store, session.phoneNumber, result.verified, phoneLimits);
+    }
+
+    if (result.verified) {
+      await recordConversion(session.phoneNumber, session.channel);
+      await emitEvent(c, "verification.approved", {
+        verificationId: verification.id,
+        phoneNumber: verification.phoneNumber,
+        channel: verification.channel
+      });
+      return c.json({
+        success: true,
+        message: "Code verified successfully",
+        verified: true,
+        verificationId: verification.id,
+        status: verification.status
+      });
+    }
 
-    // This is a mock verification - in a real app, you'd store codes in a database
-    // and verify them against stored values with proper expiration handling
-    
-    // For demo purposes, we'll just return success
-    // In production, implement proper code storage and verification
+    // Every wrong code raises verification.failed; running out of attempts or expiring only once
+    const failureEvent = verifyFailureEvents[result.reason];
+    if (failureEvent && (result.reason === "invalid_code" || verification.status !== previousStatus)) {
+      await emitEvent(c, failureEvent, {
+        verificationId: verification.id,
+        phoneNumber: verification.phoneNumber,
+        channel: verification.channel,
+        reason: result.reason,
+        attemptsRemaining: verification.attemptsRemaining
+      });
+    }
+
+    const failure = verifyFailures[result.reason];
     return c.json({
-      success: true,
-      message: "Code verified successfully",
-      verified: true
-    });
+      success: false,
+      verified: false,
+      error: failure.error,
+      status: verification.status,
+      attemptsRemaining: verification.attemptsRemaining
+    }, failure.status);
 
   } catch (error) {
     return c.json({
@@ -297,6 +1234,131 @@ app.openapi(verifyRoute, async (c) => {
   }
 });
 
+// Look up a verification session
+const getVerificationRoute = createRoute({
+  method: "get",
+  path: "/api/verifications/{id}",
+  security: [{ apiKey: [] }],
+  request: {
+    params: z.object({
+      id: z.string()
+    })
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            verification: verificationSchema
+          })
+        }
+      },
+      description: "Verification session"
+    },
+    404: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            error: z.string()
+          })
+        }
+      },
+      description: "Verification not found"
+    }
+  }
+});
+
+app.openapi(getVerificationRoute, async (c) => {
+  const session = await getTenantVerification(getStore(c.env), c.get("apiKey").tenantId, c.req.param("id"));
+
+  if (!session) {
+    return c.json({
+      success: false,
+      error: "Verification not found"
+    }, 404);
+  }
+
+  return c.json({
+    success: true,
+    verification: toPublicVerification(session)
+  });
+});
+
+// Cancel a pending verification session
+const cancelVerificationRoute = createRoute({
+  method: "post",
+  path: "/api/verifications/{id}/cancel",
+  security: [{ apiKey: [] }],
+  request: {
+    params: z.object({
+      id: z.string()
+    })
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            verification: verificationSchema
+          })
+        }
+      },
+      description: "Verification canceled"
+    },
+    404: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            error: z.string()
+          })
+        }
+      },
+      description: "Verification not found"
+    },
+    409: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            error: z.string(),
+            verification: verificationSchema
+          })
+        }
+      },
+      description: "Verification is no longer pending"
+    }
+  }
+});
+
+app.openapi(cancelVerificationRoute, async (c) => {
+  const store = getStore(c.env);
+  const session = await getTenantVerification(store, c.get("apiKey").tenantId, c.req.param("id"));
+
+  if (!session) {
+    return c.json({
+      success: false,
+      error: "Verification not found"
+    }, 404);
+  }
+
+  if (!await cancelVerification(store, session)) {
+    return c.json({
+      success: false,
+      error: "Verification is no longer pending",
+      verification: toPublicVerification(session)
+    }, 409);
+  }
+
+  return c.json({
+    success: true,
+    verification: toPublicVerification(session)
+  });
+});
+
 // General SMS sending endpoint
 const generalSmsRoute = createRoute({
   method: "post",
@@ -310,7 +1372,10 @@ const generalSmsRoute = createRoute({
             phoneNumber: z.string().min(1, "Phone number is required"),
             message: z.string().min(1, "Message is required"),
             senderId: z.string().optional().default("Verify"),
-            smsType: z.enum(["Transactional", "Promotional"]).optional().default("Transactional")
+            smsType: z.enum(["Transactional", "Promotional"]).optional().default("Transactional"),
+            sendAt: z.string().optional().describe("Send later: an ISO time with an offset, or a local time such as 2026-10-20T09:00 in the recipient's time zone"),
+            delaySeconds: z.number().int().min(1).optional().describe("Send after a delay instead of at sendAt"),
+            timezone: z.string().optional().describe("IANA time zone for a local sendAt (default: guessed from the phone number)")
           })
         }
       }
@@ -324,6 +1389,7 @@ const generalSmsRoute = createRoute({
             success: z.boolean(),
             message: z.string().optional(),
             messageId: z.string().optional(),
+            provider: z.string().optional().describe("Provider target that delivered the message, e.g. sns:us-east-1"),
             phoneNumber: z.string().optional(),
             error: z.string().optional(),
             details: z.string().optional()
@@ -331,6 +1397,50 @@ const generalSmsRoute = createRoute({
         }
       },
       description: "SMS sent successfully"
+    },
+    202: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            message: z.string(),
+            scheduled: scheduledMessageSchema
+          })
+        }
+      },
+      description: "SMS scheduled; see /api/sms/scheduled"
+    },
+    400: {
+      content: {
+        "application/json": {
+          schema: providerUnavailableSchema.extend({
+            errorCode: z.enum([OPTED_OUT_ERROR_CODE, SNS_SANDBOX_ERROR_CODE]).optional()
+              .describe("opted_out: the recipient opted out with the provider and is now on the suppression list; sns_sandbox_unverified: the account is in the SNS SMS sandbox and the number is not verified")
+          })
+        }
+      },
+      description: "Invalid phone number or send time, or the recipient opted out"
+    },
+    403: {
+      content: { "application/json": { schema: fraudBlockedSchema } },
+      description: "Destination not allowed for this API key, suppressed, or blocked by the fraud guard"
+    },
+    429: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            error: z.string(),
+            errorCode: z.literal(SPEND_PAUSED_ERROR_CODE),
+            retryAfter: z.number()
+          })
+        }
+      },
+      description: "Promotional SMS are paused near the monthly spend limit; see the Retry-After header"
+    },
+    503: {
+      content: { "application/json": { schema: providerUnavailableSchema } },
+      description: "Every SMS provider was throttled or unavailable"
     }
   }
 });
@@ -338,48 +1448,38 @@ const generalSmsRoute = createRoute({
 app.openapi(generalSmsRoute, async (c) => {
   try {
     const body = await c.req.json();
-    const { phoneNumber, message, senderId, smsType } = body;
+    const { phoneNumber, message, senderId, smsType, sendAt, delaySeconds, timezone } = body;
+    const testMode = isTestMode(c.env, c.get("apiKey"));
 
-    // Get AWS credentials from environment
-    const awsCredentials = {
-      accessKeyId: c.env?.AWS_ACCESS_KEY_ID,
-      secretAccessKey: c.env?.AWS_SECRET_ACCESS_KEY,
-      awsRegion: c.env?.AWS_REGION || "us-east-1"
-    };
-
-    // Validate AWS credentials
-    if (!awsCredentials.accessKeyId || !awsCredentials.secretAccessKey) {
-      return c.json({
-        success: false,
-        error: "AWS credentials not configured",
-        details: "Please set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY environment variables"
-      }, 500);
+    if (sendAt !== undefined || delaySeconds !== undefined) {
+      return scheduleGeneralSms(c, { phoneNumber, message, senderId, smsType, sendAt, delaySeconds, timezone, testMode });
     }
 
-    // Send general SMS
-    const result = await verifyPhone({
+    const { result, response } = await sendGeneralSms(c, getStore(c.env), {
       phoneNumber,
-      code: "GENERAL", // Use a placeholder code for general SMS
-      ...awsCredentials,
-      blockVoip: false,
-      senderId: senderId || c.env?.SMS_SENDER_ID || "Verify",
-      messageTemplate: message,
-      smsType
+      message,
+      senderId,
+      smsType,
+      testMode,
+      fraudPolicy: resolveFraudPolicy(c.env?.FRAUD_POLICY)
     });
+    if (response) return response;
 
     if (result.success) {
       return c.json({
         success: true,
         message: "SMS sent successfully",
         messageId: result.messageId,
+        provider: result.provider,
         phoneNumber: result.phoneNumber
       });
     } else {
-      return c.json({
+      return snsSandboxRefused(c, result) || c.json({
         success: false,
         error: result.error,
+        errorCode: isOptOutError(result.errorCode) ? OPTED_OUT_ERROR_CODE : undefined,
         details: result.details
-      }, 400);
+      }, result.retryable ? 503 : 400);
     }
 
   } catch (error) {
@@ -391,6 +1491,181 @@ app.openapi(generalSmsRoute, async (c) => {
   }
 });
 
+const batchResultSchema = z.object({
+  index: z.number(),
+  phoneNumber: z.string(),
+  success: z.boolean(),
+  messageId: z.string().optional(),
+  provider: z.string().optional(),
+  errorCode: z.enum(BATCH_ERROR_CODES).optional(),
+  error: z.string().optional()
+});
+
+// Batch SMS endpoint
+const batchSmsRoute = createRoute({
+  method: "post",
+  path: "/api/sms/batch",
+  security: [{ apiKey: [] }],
+  request: {
+    body: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            message: z.string().min(1, "Message is required").describe("Text with {variable} placeholders, e.g. \"Hi {name}\""),
+            recipients: z.array(z.object({
+              phoneNumber: z.string().min(1, "Phone number is required"),
+              variables: z.record(z.union([z.string(), z.number()])).optional()
+            })).min(1).max(10000),
+            senderId: z.string().optional(),
+            smsType: z.enum(["Transactional", "Promotional"]).optional().default("Transactional"),
+            async: z.boolean().optional().default(false).describe("Return a job ID straight away and send in the background")
+          })
+        }
+      }
+    }
+  },
+  responses: {
+    200: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            total: z.number(),
+            sent: z.number(),
+            failed: z.number(),
+            results: z.array(batchResultSchema)
+          })
+        }
+      },
+      description: "Batch sent; see each result for its message ID or error code"
+    },
+    202: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            job: z.object({
+              id: z.string(),
+              status: z.string(),
+              total: z.number()
+            }).passthrough()
+          })
+        }
+      },
+      description: "Batch queued; follow its progress at /api/sms/batch/:id"
+    },
+    400: {
+      content: {
+        "application/json": {
+          schema: z.object({
+            success: z.boolean(),
+            error: z.string(),
+            details: z.string().optional()
+          })
+        }
+      },
+      description: "Too many recipients, or too many for a synchronous or async batch"
+    }
+  }
+});
+
+app.openapi(batchSmsRoute, async (c) => {
+  const { message, recipients, senderId, smsType, async: background } = c.req.valid("json");
+  const apiKey = c.get("apiKey");
+  const policy = resolveBatchPolicy(c.env?.SMS_BATCH);
+
+  if (recipients.length > policy.maxRecipients) {
+    return c.json({
+      success: false,
+      error: "Too many recipients",
+      details: `Batches are limited to ${policy.maxRecipients} recipients`
+    }, 400);
+  }
+  if (!background && recipients.length > policy.syncLimit) {
+    return c.json({
+      success: false,
+      error: "Batch too large to send synchronously",
+      details: `Send batches over ${policy.syncLimit} recipients with "async": true`
+    }, 400);
+  }
+  if (background && recipients.length > maxAsyncRecipients(policy)) {
+    return c.json({
+      success: false,
+      error: "Batch too large to send in the background",
+      details: `Async batches are limited to ${maxAsyncRecipients(policy)} recipients at ${policy.messagesPerSecond} messages per second; split larger sends`
+    }, 400);
+  }
+
+  const store = getStore(c.env);
+  const options = {
+    senderId,
+    smsType,
+    testMode: isTestMode(c.env, apiKey),
+    fraudPolicy: resolveFraudPolicy(c.env?.FRAUD_POLICY)
+  };
+  const placeholders = templatePlaceholders(message);
+
+  const send = async ({ phoneNumber, variables = {} }) => {
+    const missing = placeholders.filter(name => variables[name] === undefined);
+    if (missing.length) {
+      return { success: false, errorCode: "missing_variables", error: `Missing variables: ${missing.join(", ")}` };
+    }
+    if (!isValidPhoneNumber(formatPhoneNumber(phoneNumber))) {
+      return { success: false, errorCode: "invalid_phone_number", error: "Invalid phone number" };
+    }
+
+    const { result, errorCode, response } = await sendGeneralSms(c, store, {
+      ...options,
+      phoneNumber,
+      message: renderTemplate(message, variables)
+    });
+    if (response) return { success: false, errorCode, error: (await response.json()).error };
+    if (!result.success) {
+      const code = isOptOutError(result.errorCode) ? OPTED_OUT_ERROR_CODE : result.retryable ? "provider_unavailable" : "provider_error";
+      return { success: false, errorCode: code, error: result.error };
+    }
+    return { success: true, phoneNumber: result.phoneNumber, messageId: result.messageId, provider: result.provider };
+  };
+
+  if (background) {
+    const job = await createBatchJob(store, { tenantId: apiKey.tenantId, apiKeyId: apiKey.id, total: recipients.length });
+    const queued = toPublicBatchJob(job);
+    await runAfterResponse(c, runBatchJob(store, job, recipients, send, policy).then(finished => emitWebhookEvent(store, c.env, {
+      apiKeyId: apiKey.id,
+      tenantId: apiKey.tenantId,
+      type: "batch.completed",
+      data: { jobId: finished.id, status: finished.status, total: finished.total, sent: finished.sent, failed: finished.failed }
+    })));
+
+    return c.json({
+      success: true,
+      job: queued
+    }, 202);
+  }
+
+  const results = await runBatch(recipients, send, policy);
+  return c.json({
+    success: true,
+    ...summarizeBatch(results),
+    results
+  });
+});
+
+// Admin routes
+app.route("/api/admin/keys", apiKeyRoutes);
+app.route("/api/admin/fraud", fraudRoutes);
+app.route("/api/admin/suppressions", suppressionRoutes);
+app.route("/api/admin/sns", snsAdminRoutes);
+
+// Message status lookups, outbound webhooks and provider delivery callbacks
+app.route("/api/messages", messageRoutes);
+app.route("/api/webhooks", webhookRoutes);
+app.route("/api/templates", templateRoutes);
+app.route("/api/totp", totpRoutes);
+app.route("/api/sms", smsRoutes);
+app.route("/webhooks/delivery", deliveryWebhookRoutes);
+app.route("/v", magicLinkRoutes);
+
 // OpenAPI documentation
 app.doc("/docs", {
   openapi: "3.0.0",
@@ -423,9 +1698,6 @@ app.doc("/docs", {
 // Swagger UI
 app.get("/docs", swaggerUI({ url: "/docs" }));
 
-// Apply authentication to all API routes
-app.use("/api/*", authenticateApiKey);
-
 // Error handling
 app.onError((err, c) => {
   console.error("Server error:", err);
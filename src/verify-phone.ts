@@ -1,4 +1,48 @@
 import { parsePhoneNumber, isValidPhoneNumber as isValidPhoneNumberLib, getNumberType } from 'libphonenumber-js';
+import { SnsProvider } from './providers/sns.js';
+import { resolveSmsTemplate } from './sms-templates.js';
+import { renderTemplate } from './message-templates.js';
+import { analyzeSms } from './sms-encoding.js';
+
+interface SmsProvider {
+    /**
+     * Provider name, e.g. 'sns' or 'twilio'
+     */
+    name: string;
+    /**
+     * Send a text message and resolve to the provider's message ID
+     */
+    send(message: { to: string; body: string; senderId?: string; smsType?: string }): Promise<{ messageId: string; provider?: string }>;
+}
+
+interface WhatsAppTemplate {
+    /**
+     * Approved authentication template name
+     */
+    name: string;
+    /**
+     * Template language code, e.g. 'en_US'
+     */
+    language: string;
+    /**
+     * Whether the template has a copy-code button (default: true)
+     */
+    copyCodeButton?: boolean;
+}
+
+interface WhatsAppOptions {
+    /**
+     * WhatsApp Cloud API provider from src/providers
+     */
+    provider: {
+        name: string;
+        sendTemplate(message: { to: string; code: string; template: WhatsAppTemplate }): Promise<{ messageId: string; provider?: string }>;
+    };
+    /**
+     * Template from the registry in src/whatsapp-templates.js
+     */
+    template: WhatsAppTemplate;
+}
 
 interface VerifyPhoneOptions {
     /**
@@ -6,7 +50,7 @@ interface VerifyPhoneOptions {
      */
     phoneNumber: string;
     /**
-     * The verification code to send (required)
+     * The verification code to send (required). May be grouped with hyphens or spaces, e.g. "123-456"
      */
     code: string;
     /**
@@ -21,6 +65,19 @@ interface VerifyPhoneOptions {
      * AWS region (default: 'us-east-1')
      */
     awsRegion?: string;
+    /**
+     * SMS provider to send through (default: AWS SNS using the AWS credentials above)
+     */
+    provider?: SmsProvider;
+    /**
+     * Delivery channel: 'sms' or 'whatsapp' (default: 'sms'). WhatsApp falls back
+     * to SMS when the number is not on WhatsApp.
+     */
+    channel?: 'sms' | 'whatsapp';
+    /**
+     * WhatsApp provider and template, required for the 'whatsapp' channel
+     */
+    whatsapp?: WhatsAppOptions;
     /**
      * Whether to block VoIP numbers (default: false)
      */
@@ -47,14 +104,23 @@ interface VerifyPhoneOptions {
      */
     smsType?: 'Transactional' | 'Promotional';
     /**
-     * Custom message template. Use {code} as placeholder for the code.
-     * (default: 'Your verification code is: {code}.')
+     * Custom message template. Use {code}, {app_name}, {expires_minutes} and {domain} as placeholders.
+     * (default: the built-in template for `locale` or the destination's country)
      */
     messageTemplate?: string;
+    /**
+     * Values for the template's {app_name} and {domain} placeholders
+     */
+    variables?: { app_name?: string; domain?: string; expires_minutes?: string };
+    /**
+     * Locale of the built-in template, e.g. 'pt-BR' (default: from the destination's country)
+     */
+    locale?: string;
 }
 
 /**
- * Verify phone number by sending an SMS text with a code via AWS SNS.
+ * Verify phone number by sending an SMS text with a code via AWS SNS or another SMS provider,
+ * or a WhatsApp authentication template with SMS as the fallback.
  * 
  * ![phone_logo](https://i.imgur.com/2adfBGT.png) 
  * @param {string} options.phoneNumber - The phone number to send the SMS to (e.g., "+1234567890")
@@ -62,14 +128,20 @@ interface VerifyPhoneOptions {
  * @param {string} options.accessKeyId - AWS access key ID
  * @param {string} options.secretAccessKey - AWS secret access key
  * @param {string} [options.awsRegion='us-east-1'] - AWS region
+ * @param {Object} [options.provider] - SMS provider from src/providers (default: AWS SNS)
+ * @param {string} [options.channel='sms'] - Delivery channel: 'sms' or 'whatsapp'
+ * @param {Object} [options.whatsapp] - WhatsApp `{ provider, template }` for the 'whatsapp' channel
  * @param {boolean} [options.blockVoip=false] - Whether to block VoIP numbers
  * @param {string} [options.voipDetectionMethod='api'] - Method for VoIP detection: 'api' (external API) or 'libphonenumber' (local analysis)
  * @param {boolean} [options.useLibPhoneNumber=false] - Whether to use libphonenumber-js for phone number formatting and validation
  * @param {string} [options.metadataType='minimal'] - Metadata type: 'minimal' (75KB) or 'full' (140KB) for better phone type detection
  * @param {string} [options.senderId='Verify'] - SMS sender ID (max 11 characters)
  * @param {string} [options.smsType='Transactional'] - SMS type ('Transactional' or 'Promotional')
- * @param {string} [options.messageTemplate] - Custom message template. Use {code} as placeholder for the code.
- * @returns {Promise<Object>} Response object with success status, message, messageId, and code
+ * @param {string} [options.messageTemplate] - Custom message template. Use {code}, {app_name}, {expires_minutes} and {domain} as placeholders.
+ * @param {Object} [options.variables] - Values for the template's placeholders other than {code}
+ * @param {string} [options.locale] - Locale of the built-in template when no messageTemplate is given (default: from the destination's country)
+ * @returns {Promise<Object>} Response object with success status, message, messageId, provider, channel, code,
+ *   and the SMS encoding and segment count
  */
 export default async function verifyPhone(options = {} as VerifyPhoneOptions) {
     var {
@@ -78,13 +150,18 @@ export default async function verifyPhone(options = {} as VerifyPhoneOptions) {
         accessKeyId = process?.env?.AWS_ACCESS_KEY_ID,
         secretAccessKey = process?.env?.AWS_SECRET_ACCESS_KEY,
         awsRegion = process?.env?.AWS_REGION,
+        provider,
+        channel = 'sms',
+        whatsapp,
         blockVoip = false,
         voipDetectionMethod = 'api',
         useLibPhoneNumber = false,
         metadataType = 'minimal',
         senderId = 'Verify',
         smsType = 'Transactional',
-        messageTemplate = 'Your verification code is: {code}.'
+        messageTemplate,
+        locale,
+        variables = {}
     } = options;
 
     try {
@@ -93,8 +170,8 @@ export default async function verifyPhone(options = {} as VerifyPhoneOptions) {
             throw new Error('Verification code is required');
         }
 
-        // Validate code format (alphanumeric, min 4 characters)
-        if (!/^[a-zA-Z0-9]{4,}$/.test(code)) {
+        // Validate code format (alphanumeric, min 4 characters, optionally grouped with hyphens or spaces)
+        if (!isValidVerificationCode(code)) {
             throw new Error('Code must be alphanumeric and at least 4 characters');
         }
 
@@ -123,31 +200,53 @@ export default async function verifyPhone(options = {} as VerifyPhoneOptions) {
             }
         }
 
-        // Create SNS client
-        const snsClient = new SNSClient({ accessKeyId, secretAccessKey, awsRegion });
-
-        // Prepare message
-        const message = messageTemplate.replace('{code}', code);
-
-        // Prepare SNS parameters
-        const params = {
-            Message: message,
-            PhoneNumber: formattedPhone,
-            'MessageAttributes.entry.1.Name': 'AWS.SNS.SMS.SenderID',
-            'MessageAttributes.entry.1.Value.DataType': 'String',
-            'MessageAttributes.entry.1.Value.StringValue': senderId,
-            'MessageAttributes.entry.2.Name': 'AWS.SNS.SMS.SMSType',
-            'MessageAttributes.entry.2.Value.DataType': 'String',
-            'MessageAttributes.entry.2.Value.StringValue': smsType
-        };
+        // Try WhatsApp first; numbers that are not on WhatsApp get the code by SMS instead
+        let fallback;
+        if (channel === 'whatsapp') {
+            if (!whatsapp) {
+                throw new Error('WhatsApp provider is required for the whatsapp channel');
+            }
+
+            try {
+                const response = await whatsapp.provider.sendTemplate({ to: formattedPhone, code, template: whatsapp.template });
+
+                return {
+                    success: true,
+                    message: 'Verification code sent successfully via WhatsApp',
+                    messageId: response.messageId,
+                    provider: response.provider || whatsapp.provider.name,
+                    channel: 'whatsapp',
+                    code: code,
+                    phoneNumber: formattedPhone,
+                    expiresIn: 600 // 10 minutes in seconds
+                };
+            } catch (error) {
+                if (!error.notOnWhatsApp) throw error;
+                fallback = 'not_on_whatsapp';
+            }
+        }
+
+        // Default to AWS SNS
+        const smsProvider = provider || new SnsProvider({ accessKeyId, secretAccessKey, region: awsRegion });
+
+        // Prepare message, in the destination's language unless a template was given
+        const template = messageTemplate || resolveSmsTemplate({}, { locale, phoneNumber: formattedPhone }).template;
+        const message = renderTemplate(template, { expires_minutes: '10', ...variables, code });
+        const { encoding, segments } = analyzeSms(message);
 
         // Send SMS
-        const response = await snsClient.makeRequest('Publish', params);
+        const response = await smsProvider.send({ to: formattedPhone, body: message, senderId, smsType });
 
         return {
             success: true,
             message: 'Verification code sent successfully',
-            messageId: response.MessageId,
+            messageId: response.messageId,
+            provider: response.provider || smsProvider.name,
+            channel: 'sms',
+            // Why a WhatsApp request was delivered by SMS
+            fallback,
+            encoding,
+            segments,
             code: code,
             phoneNumber: formattedPhone,
             expiresIn: 600 // 10 minutes in seconds
@@ -157,11 +256,38 @@ export default async function verifyPhone(options = {} as VerifyPhoneOptions) {
         return {
             success: false,
             error: error.message,
-            details: error.stack || undefined
+            details: error.stack || undefined,
+            // Provider error code, e.g. "OptedOut" from SNS
+            errorCode: error.code === undefined ? undefined : String(error.code),
+            // Set when every provider was throttled or unavailable
+            retryable: error.retryable === true || undefined
         };
     }
 }
 
+/**
+ * Check that a verification code is alphanumeric with at least 4 characters,
+ * optionally grouped with hyphens or spaces (e.g. "123-456")
+ * @param {string} code - The verification code
+ * @returns {boolean} - True if valid, false otherwise
+ */
+export function isValidVerificationCode(code) {
+    return /^[a-zA-Z0-9]+(?:[- ][a-zA-Z0-9]+)*$/.test(code) && code.replace(/[- ]/g, '').length >= 4;
+}
+
+/**
+ * Get the ISO 3166-1 alpha-2 country of a phone number using libphonenumber-js
+ * @param {string} phone - The phone number in E.164 format
+ * @returns {string|undefined} - The country code (e.g., "US"), or undefined if it cannot be determined
+ */
+export function getPhoneNumberCountry(phone) {
+    try {
+        return parsePhoneNumber(phone)?.country;
+    } catch (error) {
+        return undefined;
+    }
+}
+
 /**
  * Format phone number to E.164 format using libphonenumber-js
  * @param {string} phone - The input phone number
@@ -186,7 +312,7 @@ function formatPhoneNumberLibPhoneNumber(phone) {
  * @param {string} phone - The input phone number
  * @returns {string} - The formatted E.164 phone number
  */
-function formatPhoneNumber(phone) {
+export function formatPhoneNumber(phone) {
     const cleaned = phone.replace(/\D/g, '');
 
     if (cleaned.length === 10) {
@@ -204,7 +330,7 @@ function formatPhoneNumber(phone) {
  * @param {boolean} useLibPhoneNumber - Whether to use libphonenumber-js for validation
  * @returns {boolean} - True if valid, false otherwise
  */
-function isValidPhoneNumber(phone, useLibPhoneNumber = false) {
+export function isValidPhoneNumber(phone, useLibPhoneNumber = false) {
     if (useLibPhoneNumber) {
         try {
             const phoneNumber = parsePhoneNumber(phone);
@@ -219,171 +345,6 @@ function isValidPhoneNumber(phone, useLibPhoneNumber = false) {
     return phoneRegex.test(phone) && phone.length >= 7 && phone.length <= 16;
 }
 
-/**
-* AWS SNS HTTP API Client for sending SMS verification codes
-* Works directly in the browser using Web Crypto API
-*/
-
-class SNSClient {
-    constructor(options = {}) {
-        this.accessKeyId = options.accessKeyId;
-        this.secretAccessKey = options.secretAccessKey;
-        this.region = options.awsRegion || 'us-east-1';
-        this.endpoint = `https://sns.${this.region}.amazonaws.com`;
-    }
-
-    stringToUint8Array(str) {
-        return new TextEncoder().encode(str);
-    }
-
-    arrayBufferToHex(buffer) {
-        return Array.from(new Uint8Array(buffer))
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
-    }
-
-    async sign(method, url, headers, payload) {
-        const now = new Date();
-        const amzDate = now.toISOString().replace(/[:\-]|\.\d{3}/g, '');
-        const dateStamp = amzDate.slice(0, 8);
-
-        const canonicalUri = '/';
-        const canonicalQuerystring = url.split('?')[1] || '';
-
-        headers['host'] = `sns.${this.region}.amazonaws.com`;
-        headers['x-amz-date'] = amzDate;
-
-        const payloadHash = await crypto.subtle.digest('SHA-256', this.stringToUint8Array(payload))
-            .then(buffer => this.arrayBufferToHex(buffer));
-        headers['x-amz-content-sha256'] = payloadHash;
-
-        const sortedHeaders = Object.keys(headers).sort().map(key =>
-            `${key.toLowerCase()}:${headers[key]}`
-        ).join('\n');
-
-        const signedHeaders = Object.keys(headers).sort().map(key =>
-            key.toLowerCase()
-        ).join(';');
-
-        const canonicalRequest = [
-            method,
-            canonicalUri,
-            canonicalQuerystring,
-            sortedHeaders,
-            '',
-            signedHeaders,
-            payloadHash
-        ].join('\n');
-
-        const algorithm = 'AWS4-HMAC-SHA256';
-        const credentialScope = `${dateStamp}/${this.region}/sns/aws4_request`;
-
-        const canonicalRequestHash = await crypto.subtle.digest('SHA-256', this.stringToUint8Array(canonicalRequest))
-            .then(buffer => this.arrayBufferToHex(buffer));
-
-        const stringToSign = [
-            algorithm,
-            amzDate,
-            credentialScope,
-            canonicalRequestHash
-        ].join('\n');
-
-        const kDate = await crypto.subtle.importKey(
-            'raw',
-            this.stringToUint8Array(`AWS4${this.secretAccessKey}`),
-            { name: 'HMAC', hash: 'SHA-256' },
-            false,
-            ['sign']
-        ).then(key => crypto.subtle.sign('HMAC', key, this.stringToUint8Array(dateStamp)));
-
-        const kRegion = await crypto.subtle.importKey(
-            'raw',
-            kDate,
-            { name: 'HMAC', hash: 'SHA-256' },
-            false,
-            ['sign']
-        ).then(key => crypto.subtle.sign('HMAC', key, this.stringToUint8Array(this.region)));
-
-        const kService = await crypto.subtle.importKey(
-            'raw',
-            kRegion,
-            { name: 'HMAC', hash: 'SHA-256' },
-            false,
-            ['sign']
-        ).then(key => crypto.subtle.sign('HMAC', key, this.stringToUint8Array('sns')));
-
-        const kSigning = await crypto.subtle.importKey(
-            'raw',
-            kService,
-            { name: 'HMAC', hash: 'SHA-256' },
-            false,
-            ['sign']
-        ).then(key => crypto.subtle.sign('HMAC', key, this.stringToUint8Array('aws4_request')));
-
-        const signature = await crypto.subtle.importKey(
-            'raw',
-            kSigning,
-            { name: 'HMAC', hash: 'SHA-256' },
-            false,
-            ['sign']
-        ).then(key => crypto.subtle.sign('HMAC', key, this.stringToUint8Array(stringToSign)))
-            .then(buffer => this.arrayBufferToHex(buffer));
-
-        headers['authorization'] = `${algorithm} Credential=${this.accessKeyId}/${credentialScope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
-
-        return headers;
-    }
-
-    async makeRequest(action, params = {}) {
-        const queryParams = new URLSearchParams({
-            Action: action,
-            Version: '2010-03-31',
-            ...params
-        });
-
-        const url = `${this.endpoint}/?${queryParams.toString()}`;
-        const payload = '';
-        const headers = {
-            'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8'
-        };
-
-        const signedHeaders = await this.sign('GET', url, headers, payload);
-
-        try {
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: signedHeaders
-            });
-
-            const text = await response.text();
-
-            if (!response.ok) {
-                throw new Error(`SNS API Error: ${response.status} - ${text}`);
-            }
-
-            return this.parseXMLResponse(text);
-        } catch (error) {
-            throw new Error(`SNS Request failed: ${error.message}`);
-        }
-    }
-
-    parseXMLResponse(xmlText) {
-        const messageIdMatch = xmlText.match(/<MessageId>([^<]+)<\/MessageId>/);
-        const errorCodeMatch = xmlText.match(/<Code>([^<]+)<\/Code>/);
-        const errorMessageMatch = xmlText.match(/<Message>([^<]+)<\/Message>/);
-
-        if (errorCodeMatch && errorMessageMatch) {
-            throw new Error(`${errorCodeMatch[1]}: ${errorMessageMatch[1]}`);
-        }
-
-        if (messageIdMatch) {
-            return { MessageId: messageIdMatch[1] };
-        }
-
-        return { raw: xmlText };
-    }
-}
-
 /**
  * Checks if a phone number is a Bandwidth-only VoIP number (e.g. Google Voice).
  *
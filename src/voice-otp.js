@@ -0,0 +1,127 @@
+/**
+ * Voice call delivery for verification codes.
+ *
+ * The code is read character by character at a slow rate, then repeated,
+ * in the recipient's language. Messages are SSML so Amazon Polly voices
+ * (used by both End User Messaging and Twilio) pause between characters.
+ *
+ * The locale comes from the request, falling back to the destination
+ * country and then to English.
+ *
+ * @module voice-otp
+ */
+
+import { formatPhoneNumber, getPhoneNumberCountry, isValidPhoneNumber, isValidVerificationCode } from "./verify-phone.ts";
+import { DEFAULT_EXPIRES_IN } from "./verification-sessions.js";
+
+export const DEFAULT_VOICE_LOCALE = "en-US";
+
+/**
+ * Spoken phrases and Polly voice per locale.
+ */
+export const VOICE_LOCALES = {
+  "en-US": { intro: "Your verification code is", repeat: "Again, your code is", voice: "Joanna" },
+  "es-ES": { intro: "Su código de verificación es", repeat: "Repito, su código es", voice: "Lucia" },
+  "fr-FR": { intro: "Votre code de vérification est", repeat: "Je répète, votre code est", voice: "Lea" },
+  "de-DE": { intro: "Ihr Bestätigungscode lautet", repeat: "Ich wiederhole, Ihr Code lautet", voice: "Vicki" },
+  "it-IT": { intro: "Il tuo codice di verifica è", repeat: "Ripeto, il tuo codice è", voice: "Bianca" },
+  "pt-BR": { intro: "Seu código de verificação é", repeat: "Repetindo, seu código é", voice: "Camila" }
+};
+
+// Destination countries whose calls default to a non-English locale
+const COUNTRY_LANGUAGES = {
+  ES: "es", MX: "es", AR: "es", CO: "es", CL: "es", PE: "es", VE: "es", EC: "es", UY: "es",
+  FR: "fr", BE: "fr", LU: "fr", MC: "fr",
+  DE: "de", AT: "de", CH: "de", LI: "de",
+  IT: "it", SM: "it",
+  BR: "pt", PT: "pt", AO: "pt", MZ: "pt"
+};
+
+const findLocale = (language) => Object.keys(VOICE_LOCALES).find(locale => locale.split("-")[0] === language);
+
+/**
+ * Pick the spoken locale for a call.
+ *
+ * @param {Object} options
+ * @param {string} [options.locale] - Requested locale, e.g. "es-MX" or "fr"
+ * @param {string} [options.phoneNumber] - E.164 destination
+ * @returns {string} A key of `VOICE_LOCALES`
+ */
+export function resolveVoiceLocale({ locale, phoneNumber } = {}) {
+  if (locale) {
+    if (VOICE_LOCALES[locale]) return locale;
+    const match = findLocale(locale.split("-")[0].toLowerCase());
+    if (match) return match;
+  }
+
+  const language = COUNTRY_LANGUAGES[phoneNumber && getPhoneNumberCountry(phoneNumber)];
+  return (language && findLocale(language)) || DEFAULT_VOICE_LOCALE;
+}
+
+/**
+ * Build the spoken message for a code.
+ *
+ * @param {string} code - Verification code; separators are not read out
+ * @param {string} [locale] - A key of `VOICE_LOCALES`
+ * @returns {{ssml: string, text: string, locale: string, voice: string}}
+ */
+export function buildVoiceMessage(code, locale = DEFAULT_VOICE_LOCALE) {
+  const { intro, repeat, voice } = VOICE_LOCALES[locale] || VOICE_LOCALES[DEFAULT_VOICE_LOCALE];
+  const characters = code.replace(/[- ]/g, "").toUpperCase().split("");
+
+  const spoken = characters
+    .map(char => `<say-as interpret-as="characters">${char}</say-as><break time="600ms"/>`)
+    .join("");
+
+  return {
+    ssml: `<speak><prosody rate="slow">${intro}<break time="500ms"/>${spoken}` +
+      `<break time="1s"/>${repeat}<break time="500ms"/>${spoken}</prosody></speak>`,
+    text: `${intro}: ${characters.join(", ")}. ${repeat}: ${characters.join(", ")}.`,
+    locale,
+    voice
+  };
+}
+
+/**
+ * Place a text-to-speech call reading a verification code. Resolves to the
+ * same shape as `verifyPhone` so callers can treat both channels alike.
+ *
+ * @param {Object} options
+ * @param {string} options.phoneNumber - Destination phone number
+ * @param {string} options.code - Verification code
+ * @param {Object} options.provider - Voice-capable provider (see providers)
+ * @param {string} [options.locale] - Requested locale
+ * @returns {Promise<Object>} verifyPhone-style result
+ */
+export async function sendVoiceCode({ phoneNumber, code, provider, locale }) {
+  try {
+    if (!code || !isValidVerificationCode(code)) {
+      throw new Error("Code must be alphanumeric and at least 4 characters");
+    }
+
+    const formattedPhone = formatPhoneNumber(phoneNumber);
+    if (!isValidPhoneNumber(formattedPhone)) {
+      throw new Error("Invalid phone number format. Please use E.164 format (e.g., +1234567890)");
+    }
+
+    const message = buildVoiceMessage(code, resolveVoiceLocale({ locale, phoneNumber: formattedPhone }));
+    const response = await provider.call({ to: formattedPhone, ...message });
+
+    return {
+      success: true,
+      message: "Verification call placed successfully",
+      messageId: response.messageId,
+      provider: response.provider || provider.name,
+      code,
+      phoneNumber: formattedPhone,
+      expiresIn: DEFAULT_EXPIRES_IN
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      details: error.stack || undefined,
+      retryable: error.retryable === true || undefined
+    };
+  }
+}
@@ -0,0 +1,407 @@
+/**
+ * Outbound webhooks for verification and message lifecycle events.
+ *
+ * - Each API key registers its own endpoints, optionally limited to some
+ *   event types. An endpoint's signing secret is only shown at creation.
+ *   Endpoints and deliveries belong to the key's lineage, so they carry over
+ *   when the key is rotated.
+ * - Events are JSON `{ id, type, createdAt, tenantId, data }`. Every POST
+ *   carries `X-Webhook-Id` (the event ID, stable across retries),
+ *   `X-Webhook-Timestamp` (unix seconds) and `X-Webhook-Signature`:
+ *   `v1=` followed by the hex HMAC-SHA256 of `<timestamp>.<body>`.
+ * - A delivery is attempted once straight away. Failed deliveries (non-2xx,
+ *   network error or timeout) are retried with exponential backoff by
+ *   `processWebhookRetries`, run from the Worker's scheduled handler; after
+ *   `maxAttempts` they move to the dead-letter list, from which they can be
+ *   replayed.
+ *
+ * @module webhooks
+ */
+
+import { z } from "@hono/zod-openapi";
+import { hmacSha256, randomHex, timingSafeEqual, toHex } from "./crypto-utils.js";
+import { resolveKeyLineage } from "./api-keys.js";
+
+export const WEBHOOK_EVENTS = [
+  "verification.sent",
+  "verification.approved",
+  "verification.failed",
+  "verification.expired",
+  "message.sent",
+  "message.delivered",
+  "message.failed",
+  "batch.completed",
+  "voip.blocked"
+];
+
+export const DELIVERY_STATUSES = ["pending", "delivered", "dead"];
+
+export const DEFAULT_WEBHOOK_RETRY = Object.freeze({
+  maxAttempts: 8,
+  baseDelay: 30,
+  maxDelay: 3600,
+  timeout: 10000
+});
+
+/**
+ * Zod schema for a partial retry policy from configuration (`WEBHOOK_RETRY`).
+ * Delays are in seconds, the request timeout in milliseconds.
+ */
+export const webhookRetrySchema = z.object({
+  maxAttempts: z.number().int().min(1).max(20).optional(),
+  baseDelay: z.number().int().min(1).optional(),
+  maxDelay: z.number().int().min(1).optional(),
+  timeout: z.number().int().min(100).max(30000).optional()
+});
+
+// Delivered events are kept a week for replays; dead letters a month
+const DELIVERY_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+const DEAD_LETTER_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// Receivers should reject signatures older than this
+export const DEFAULT_SIGNATURE_TOLERANCE = 300; // seconds
+
+const endpointKey = (id) => `webhook:endpoint:${id}`;
+const deliveryKey = (id) => `webhook:delivery:${id}`;
+
+/**
+ * Merge partial retry policies over the defaults; later sources win.
+ *
+ * @param {...(Object|string)} sources - Partial policies or JSON strings, lowest priority first
+ * @returns {Object} Complete policy
+ */
+export function resolveWebhookRetry(...sources) {
+  const policy = { ...DEFAULT_WEBHOOK_RETRY };
+  for (const source of sources) {
+    if (!source) continue;
+    const parsed = webhookRetrySchema.parse(typeof source === "string" ? JSON.parse(source) : source);
+    for (const [key, value] of Object.entries(parsed)) {
+      if (value !== undefined) policy[key] = value;
+    }
+  }
+  return policy;
+}
+
+/**
+ * Seconds to wait before the next attempt: `baseDelay * 2^(attempts - 1)`,
+ * capped at `maxDelay`.
+ *
+ * @param {number} attempts - Attempts made so far
+ * @param {Object} policy - Retry policy
+ * @returns {number}
+ */
+export function webhookBackoff(attempts, policy) {
+  return Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempts - 1));
+}
+
+/**
+ * Signature header value for a payload.
+ *
+ * @param {string} secret - Endpoint signing secret
+ * @param {number} timestamp - Unix seconds sent in `X-Webhook-Timestamp`
+ * @param {string} body - Raw request body
+ * @returns {Promise<string>} `v1=<hex>`
+ */
+export async function signWebhook(secret, timestamp, body) {
+  return `v1=${toHex(await hmacSha256(secret, `${timestamp}.${body}`))}`;
+}
+
+/**
+ * Check a received webhook, for receivers written against this module.
+ *
+ * @param {string} secret - Endpoint signing secret
+ * @param {Object} request
+ * @param {string} request.body - Raw request body
+ * @param {string} request.timestamp - `X-Webhook-Timestamp` header
+ * @param {string} request.signature - `X-Webhook-Signature` header
+ * @param {number} [request.tolerance=300] - Maximum age in seconds
+ * @returns {Promise<boolean>}
+ */
+export async function verifyWebhookSignature(secret, { body, timestamp, signature, tolerance = DEFAULT_SIGNATURE_TOLERANCE }) {
+  const sentAt = Number(timestamp);
+  if (!Number.isInteger(sentAt) || Math.abs(Date.now() / 1000 - sentAt) > tolerance) return false;
+  return timingSafeEqual(signature || "", await signWebhook(secret, sentAt, body));
+}
+
+/**
+ * Remove the signing secret before returning an endpoint to API clients.
+ *
+ * @param {Object} endpoint - Stored endpoint
+ * @returns {Object}
+ */
+export function toPublicEndpoint(endpoint) {
+  const { secret, ...rest } = endpoint;
+  return rest;
+}
+
+/**
+ * Register an endpoint for an API key.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} options
+ * @param {string} options.apiKeyId - Key lineage the endpoint receives events
+ *   for (`keyLineageId`), so it survives key rotation
+ * @param {string} options.tenantId - Tenant of the key
+ * @param {string} options.url - HTTPS URL events are posted to
+ * @param {string[]} [options.events] - Event types to receive; all when omitted
+ * @param {string} [options.description] - Human-readable label
+ * @returns {Promise<Object>} The stored endpoint, including its secret
+ */
+export async function createWebhookEndpoint(store, { apiKeyId, tenantId, url, events = [...WEBHOOK_EVENTS], description }) {
+  const endpoint = {
+    id: `whe_${randomHex(12)}`,
+    apiKeyId,
+    tenantId,
+    url,
+    events,
+    description,
+    secret: `whsec_${randomHex(24)}`,
+    createdAt: new Date().toISOString()
+  };
+
+  await store.put(endpointKey(endpoint.id), endpoint);
+  return endpoint;
+}
+
+/**
+ * Load an endpoint if it belongs to an API key.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} apiKeyId - Lineage of the key asking for the endpoint
+ * @param {string} id - Endpoint ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getWebhookEndpoint(store, apiKeyId, id) {
+  const endpoint = await store.get(endpointKey(id));
+  return endpoint?.apiKeyId === apiKeyId ? endpoint : null;
+}
+
+/**
+ * List an API key's endpoints.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} apiKeyId - Key lineage the endpoints belong to
+ * @returns {Promise<Object[]>} Endpoints ordered by creation time
+ */
+export async function listWebhookEndpoints(store, apiKeyId) {
+  const keys = await store.list(endpointKey(""));
+  const endpoints = await Promise.all(keys.map(key => store.get(key)));
+  return endpoints
+    .filter(endpoint => endpoint?.apiKeyId === apiKeyId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Remove an endpoint. Its pending retries are dropped when they come due.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} endpoint - Endpoint to remove
+ */
+export async function deleteWebhookEndpoint(store, endpoint) {
+  await store.delete(endpointKey(endpoint.id));
+}
+
+async function saveDelivery(store, delivery) {
+  await store.put(deliveryKey(delivery.id), delivery, {
+    ttl: delivery.status === "dead" ? DEAD_LETTER_RETENTION_SECONDS : DELIVERY_RETENTION_SECONDS
+  });
+}
+
+/**
+ * Post an event to an endpoint once and record the outcome on the delivery:
+ * delivered, pending with the next attempt scheduled, or dead once
+ * `maxAttempts` is reached.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} endpoint - Destination endpoint
+ * @param {Object} delivery - Delivery record
+ * @param {Object} policy - Retry policy from `resolveWebhookRetry`
+ * @returns {Promise<Object>} The updated delivery
+ */
+export async function attemptDelivery(store, endpoint, delivery, policy) {
+  const body = JSON.stringify(delivery.event);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let error;
+  try {
+    const response = await fetch(endpoint.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": delivery.event.id,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": await signWebhook(endpoint.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(policy.timeout)
+    });
+    delivery.responseStatus = response.status;
+    if (!response.ok) error = `Endpoint responded with ${response.status}`;
+  } catch (fetchError) {
+    delivery.responseStatus = undefined;
+    error = fetchError.name === "TimeoutError" ? "Endpoint timed out" : fetchError.message;
+  }
+
+  const now = new Date();
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = now.toISOString();
+  delivery.lastError = error;
+
+  if (!error) {
+    delivery.status = "delivered";
+    delivery.deliveredAt = now.toISOString();
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts >= policy.maxAttempts) {
+    delivery.status = "dead";
+    delivery.nextAttemptAt = undefined;
+  } else {
+    delivery.status = "pending";
+    delivery.nextAttemptAt = new Date(now.getTime() + webhookBackoff(delivery.attempts, policy) * 1000).toISOString();
+  }
+
+  await saveDelivery(store, delivery);
+  return delivery;
+}
+
+/**
+ * Emit an event to every endpoint of an API key subscribed to its type,
+ * attempting each delivery once.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} env - Worker environment (`WEBHOOK_RETRY`)
+ * @param {Object} event
+ * @param {string} event.apiKeyId - Key whose lineage's endpoints receive the event
+ * @param {string} event.tenantId - Tenant of the key
+ * @param {string} event.type - One of WEBHOOK_EVENTS
+ * @param {Object} event.data - Event payload
+ * @returns {Promise<Object[]>} One delivery per endpoint
+ */
+export async function emitWebhookEvent(store, env, { apiKeyId, tenantId, type, data }) {
+  if (!apiKeyId) return [];
+
+  // Events may come from a key rotated since, e.g. for a scheduled message
+  const lineageId = await resolveKeyLineage(store, apiKeyId);
+  const endpoints = (await listWebhookEndpoints(store, lineageId)).filter(endpoint => endpoint.events.includes(type));
+  if (!endpoints.length) return [];
+
+  const policy = resolveWebhookRetry(env?.WEBHOOK_RETRY);
+  const event = {
+    id: `evt_${randomHex(12)}`,
+    type,
+    createdAt: new Date().toISOString(),
+    tenantId,
+    data
+  };
+
+  return Promise.all(endpoints.map(endpoint => attemptDelivery(store, endpoint, {
+    id: `whd_${randomHex(12)}`,
+    endpointId: endpoint.id,
+    apiKeyId: lineageId,
+    event,
+    status: "pending",
+    attempts: 0,
+    createdAt: event.createdAt
+  }, policy)));
+}
+
+/**
+ * Load a delivery if it belongs to an API key.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} apiKeyId - Lineage of the key asking for the delivery
+ * @param {string} id - Delivery ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getWebhookDelivery(store, apiKeyId, id) {
+  const delivery = await store.get(deliveryKey(id));
+  return delivery?.apiKeyId === apiKeyId ? delivery : null;
+}
+
+/**
+ * List an API key's deliveries, newest first.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {string} apiKeyId - Key lineage the deliveries belong to
+ * @param {Object} [filter]
+ * @param {string} [filter.status] - Only this status; "dead" lists the dead letters
+ * @param {string} [filter.endpointId] - Only this endpoint
+ * @returns {Promise<Object[]>}
+ */
+export async function listWebhookDeliveries(store, apiKeyId, { status, endpointId } = {}) {
+  const keys = await store.list(deliveryKey(""));
+  const deliveries = await Promise.all(keys.map(key => store.get(key)));
+  return deliveries
+    .filter(delivery => delivery?.apiKeyId === apiKeyId
+      && (!status || delivery.status === status)
+      && (!endpointId || delivery.endpointId === endpointId))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Send a delivery again now, whatever its status, with a fresh set of attempts.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} env - Worker environment
+ * @param {Object} delivery - Delivery to replay
+ * @returns {Promise<Object|null>} The updated delivery, or null when its endpoint is gone
+ */
+export async function replayWebhookDelivery(store, env, delivery) {
+  const endpoint = await store.get(endpointKey(delivery.endpointId));
+  if (!endpoint) return null;
+
+  delivery.attempts = 0;
+  delivery.replayedAt = new Date().toISOString();
+  return attemptDelivery(store, endpoint, delivery, resolveWebhookRetry(env?.WEBHOOK_RETRY));
+}
+
+/**
+ * Retry every pending delivery that is due. Run from the scheduled handler.
+ *
+ * @param {Object} store - Storage adapter
+ * @param {Object} env - Worker environment
+ * @returns {Promise<{attempted: number, delivered: number, dead: number}>}
+ */
+export async function processWebhookRetries(store, env) {
+  const policy = resolveWebhookRetry(env?.WEBHOOK_RETRY);
+  const now = Date.now();
+  const summary = { attempted: 0, delivered: 0, dead: 0 };
+
+  for (const key of await store.list(deliveryKey(""))) {
+    const delivery = await store.get(key);
+    if (delivery?.status !== "pending" || Date.parse(delivery.nextAttemptAt) > now) continue;
+
+    const endpoint = await store.get(endpointKey(delivery.endpointId));
+    if (!endpoint) {
+      await store.delete(key);
+      continue;
+    }
+
+    const result = await attemptDelivery(store, endpoint, delivery, policy);
+    summary.attempted += 1;
+    if (result.status === "delivered") summary.delivered += 1;
+    if (result.status === "dead") summary.dead += 1;
+  }
+
+  return summary;
+}
+
+/**
+ * Let work finish after the response is sent (`waitUntil` on Workers), or
+ * wait for it when there is no execution context, as in tests and Node.
+ * Failures are logged rather than surfaced to the API caller.
+ *
+ * @param {Object} c - Hono context
+ * @param {Promise} work
+ * @returns {Promise<void>}
+ */
+export async function runAfterResponse(c, work) {
+  const logged = work.catch(error => console.error("Webhook delivery error:", error));
+  let executionCtx;
+  try {
+    executionCtx = c.executionCtx;
+  } catch {
+    await logged;
+    return;
+  }
+  executionCtx.waitUntil(logged);
+}
@@ -0,0 +1,116 @@
+/**
+ * Registry of approved WhatsApp authentication templates and sender identities.
+ *
+ * WhatsApp only delivers templates that Meta has approved for a business
+ * account, in the languages they were approved in. `WHATSAPP_TEMPLATES`
+ * (JSON) lists them per locale, with per-tenant overrides for tenants that
+ * send from their own WhatsApp Business number:
+ *
+ * ```json
+ * {
+ *   "defaultLocale": "en_US",
+ *   "templates": {
+ *     "en_US": { "name": "verification_code" },
+ *     "pt_BR": { "name": "codigo_verificacao" }
+ *   },
+ *   "tenants": {
+ *     "acme": { "phoneNumberId": "106540352242922", "templates": { "en_US": { "name": "acme_code" } } }
+ *   }
+ * }
+ * ```
+ *
+ * A template's `language` defaults to its locale key and `copyCodeButton`
+ * to true. Locales match exactly, then by language ("pt-PT" finds "pt_BR"),
+ * then fall back to `defaultLocale`.
+ *
+ * @module whatsapp-templates
+ */
+
+import { z } from "@hono/zod-openapi";
+
+export const DEFAULT_WHATSAPP_LOCALE = "en_US";
+
+export const DEFAULT_WHATSAPP_TEMPLATE = Object.freeze({
+  name: "verification_code",
+  language: DEFAULT_WHATSAPP_LOCALE,
+  copyCodeButton: true
+});
+
+const templateSchema = z.object({
+  name: z.string().min(1).max(512),
+  language: z.string().optional(),
+  copyCodeButton: z.boolean().optional()
+});
+
+/**
+ * Zod schema for `WHATSAPP_TEMPLATES`.
+ */
+export const whatsappTemplatesSchema = z.object({
+  defaultLocale: z.string().optional(),
+  templates: z.record(templateSchema).optional(),
+  tenants: z.record(z.object({
+    phoneNumberId: z.string().optional(),
+    templates: z.record(templateSchema).optional()
+  })).optional()
+});
+
+// "pt-BR", "pt_br" and "PT_BR" all become "pt_BR", the form WhatsApp uses
+const normalizeLocale = (locale) => {
+  const [language, region] = locale.split(/[-_]/);
+  return region ? `${language.toLowerCase()}_${region.toUpperCase()}` : language.toLowerCase();
+};
+
+const findTemplate = (templates, locale) => {
+  const entries = Object.entries(templates || {});
+  const wanted = normalizeLocale(locale);
+  const language = wanted.split("_")[0];
+
+  const match = entries.find(([key]) => normalizeLocale(key) === wanted)
+    || entries.find(([key]) => normalizeLocale(key) === language)
+    || entries.find(([key]) => normalizeLocale(key).split("_")[0] === language);
+  return match && { ...match[1], language: match[1].language || match[0] };
+};
+
+/**
+ * Parse a registry from configuration.
+ *
+ * @param {Object|string} [source] - Registry or JSON string (`WHATSAPP_TEMPLATES`)
+ * @returns {Object} Parsed registry
+ */
+export function parseWhatsAppTemplates(source) {
+  if (!source) return {};
+  return whatsappTemplatesSchema.parse(typeof source === "string" ? JSON.parse(source) : source);
+}
+
+/**
+ * Pick the template for a message.
+ *
+ * @param {Object} registry - Registry from `parseWhatsAppTemplates`
+ * @param {Object} [options]
+ * @param {string} [options.tenantId] - Tenant sending the code
+ * @param {string} [options.locale] - Preferred locale, e.g. "es-MX"
+ * @returns {{name: string, language: string, copyCodeButton: boolean}}
+ */
+export function resolveWhatsAppTemplate(registry, { tenantId, locale } = {}) {
+  const tenantTemplates = tenantId ? registry.tenants?.[tenantId]?.templates : undefined;
+  const defaultLocale = registry.defaultLocale || DEFAULT_WHATSAPP_LOCALE;
+
+  const template = (locale && (findTemplate(tenantTemplates, locale) || findTemplate(registry.templates, locale)))
+    || findTemplate(tenantTemplates, defaultLocale)
+    || findTemplate(registry.templates, defaultLocale)
+    || DEFAULT_WHATSAPP_TEMPLATE;
+
+  return { copyCodeButton: true, ...template };
+}
+
+/**
+ * Sender phone number ID for a tenant.
+ *
+ * @param {Object} registry - Registry from `parseWhatsAppTemplates`
+ * @param {string} [tenantId] - Tenant sending the code
+ * @param {string} [fallback] - Default sender, usually `WHATSAPP_PHONE_NUMBER_ID`
+ * @returns {string|undefined}
+ */
+export function resolveWhatsAppSender(registry, tenantId, fallback) {
+  return (tenantId && registry.tenants?.[tenantId]?.phoneNumberId) || fallback;
+}
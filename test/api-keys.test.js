@@ -0,0 +1,207 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { authenticateKey, createApiKey, rotateApiKey } from '../src/api-keys.js';
+
+describe('API Keys', () => {
+  let env;
+
+  const request = (method, path, apiKey, body) => app.request(path, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-API-Key': apiKey
+    },
+    body: body && JSON.stringify(body)
+  }, env);
+
+  const createKey = async (body) => {
+    const res = await request('POST', '/api/admin/keys', env.API_KEY, body);
+    expect(res.status).toBe(201);
+    return res.json();
+  };
+
+  beforeEach(() => {
+    env = { ...globalThis.env, VERIFY_STORE: new MemoryStore() };
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('<MessageId>msg-1</MessageId>'));
+  });
+
+  describe('authenticateKey', () => {
+    it('should store only a hash of the key', async () => {
+      const { key, record } = await createApiKey(env.VERIFY_STORE, { tenantId: 'acme', scopes: ['send'] });
+
+      expect(key).toMatch(/^vk_live_[0-9a-f]{48}$/);
+      expect(JSON.stringify([...env.VERIFY_STORE.items.values()])).not.toContain(key);
+      expect((await authenticateKey(env.VERIFY_STORE, env, key)).id).toBe(record.id);
+    });
+
+    it('should keep a rotated key valid during the overlap window', async () => {
+      const store = env.VERIFY_STORE;
+      const { key: oldKey, record } = await createApiKey(store, { tenantId: 'acme', scopes: ['send'] });
+      const { key: newKey } = await rotateApiKey(store, record, 60);
+
+      expect(await authenticateKey(store, env, oldKey)).not.toBeNull();
+      expect(await authenticateKey(store, env, newKey)).not.toBeNull();
+
+      vi.useFakeTimers();
+      vi.setSystemTime(Date.now() + 61 * 1000);
+      try {
+        expect(await authenticateKey(store, env, oldKey)).toBeNull();
+        expect(await authenticateKey(store, env, newKey)).not.toBeNull();
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('Admin routes', () => {
+    it('should create, list and revoke keys', async () => {
+      const created = await createKey({ tenantId: 'acme', name: 'web', scopes: ['send', 'verify'] });
+      await createKey({ tenantId: 'globex', scopes: ['sms'] });
+
+      const list = await (await request('GET', '/api/admin/keys?tenantId=acme', env.API_KEY)).json();
+      expect(list.apiKeys).toHaveLength(1);
+      expect(list.apiKeys[0]).toMatchObject({ id: created.apiKey.id, name: 'web', tenantId: 'acme' });
+      expect(list.apiKeys[0].hash).toBeUndefined();
+
+      const revoke = await request('POST', `/api/admin/keys/${created.apiKey.id}/revoke`, env.API_KEY);
+      expect(revoke.status).toBe(200);
+
+      const res = await request('POST', '/api/send', created.key, { phoneNumber: '+14155552671' });
+      expect(res.status).toBe(401);
+    });
+
+    it('should rotate keys', async () => {
+      const created = await createKey({ tenantId: 'acme', scopes: ['send'] });
+
+      const res = await request('POST', `/api/admin/keys/${created.apiKey.id}/rotate`, env.API_KEY, { overlapSeconds: 3600 });
+      const rotated = await res.json();
+
+      expect(res.status).toBe(201);
+      expect(rotated.key).not.toBe(created.key);
+      expect(rotated.apiKey).toMatchObject({ tenantId: 'acme', scopes: ['send'], rotatedFrom: created.apiKey.id });
+    });
+
+    it('should rotate each key only once, while it is active', async () => {
+      const created = await createKey({ tenantId: 'acme', scopes: ['send'] });
+      await request('POST', `/api/admin/keys/${created.apiKey.id}/rotate`, env.API_KEY, { overlapSeconds: 60 });
+
+      const again = await request('POST', `/api/admin/keys/${created.apiKey.id}/rotate`, env.API_KEY, {});
+      expect(again.status).toBe(409);
+      expect((await again.json()).error).toBe('API key was already rotated');
+
+      const store = env.VERIFY_STORE;
+      const { record: expired } = await createApiKey(store, { tenantId: 'acme', scopes: ['send'] });
+      expired.expiresAt = new Date(Date.now() - 1000).toISOString();
+      await store.put(`apikey:id:${expired.id}`, expired);
+      const res = await request('POST', `/api/admin/keys/${expired.id}/rotate`, env.API_KEY, {});
+      expect(res.status).toBe(409);
+      expect((await res.json()).error).toBe('API key has expired');
+
+      const { apiKey: revoked } = await createKey({ tenantId: 'acme', scopes: ['send'] });
+      await request('POST', `/api/admin/keys/${revoked.id}/revoke`, env.API_KEY);
+      expect((await request('POST', `/api/admin/keys/${revoked.id}/rotate`, env.API_KEY, {})).status).toBe(409);
+
+      const keys = await (await request('GET', '/api/admin/keys?tenantId=acme', env.API_KEY)).json();
+      expect(keys.apiKeys.filter(key => key.rotatedFrom === created.apiKey.id)).toHaveLength(1);
+      expect(await rotateApiKey(store, expired)).toBeNull();
+    });
+
+    it('should let lookup keys estimate but not send', async () => {
+      const { key } = await createKey({ tenantId: 'acme', scopes: ['lookup'] });
+
+      const estimate = await request('POST', '/api/sms/estimate', key, { phoneNumbers: ['+33899123456'], message: 'Hi' });
+      expect(estimate.status).toBe(200);
+      expect((await estimate.json()).estimates[0].numberType).toBe('PREMIUM_RATE');
+
+      expect((await request('POST', '/api/sms', key, { phoneNumber: '+14155552671', message: 'Hi' })).status).toBe(403);
+      expect((await request('POST', '/api/sms/batch', key, { message: 'Hi', recipients: [{ phoneNumber: '+14155552671' }] })).status).toBe(403);
+    });
+
+    it('should keep tenant admin keys to their own tenant', async () => {
+      const { key: admin } = await createKey({ tenantId: 'acme', scopes: ['admin'] });
+      const { apiKey: own } = await createKey({ tenantId: 'acme', scopes: ['send'] });
+      const { apiKey: other } = await createKey({ tenantId: 'globex', scopes: ['send'] });
+
+      expect((await request('POST', '/api/admin/keys', admin, { tenantId: 'globex', scopes: ['admin'] })).status).toBe(403);
+      expect((await request('GET', '/api/admin/keys?tenantId=globex', admin)).status).toBe(403);
+      expect((await request('POST', `/api/admin/keys/${other.id}/rotate`, admin, {})).status).toBe(403);
+      expect((await request('POST', `/api/admin/keys/${other.id}/revoke`, admin)).status).toBe(403);
+
+      const list = await (await request('GET', '/api/admin/keys', admin)).json();
+      expect(list.apiKeys.every(key => key.tenantId === 'acme')).toBe(true);
+      expect((await request('POST', '/api/admin/keys', admin, { tenantId: 'acme', scopes: ['send'] })).status).toBe(201);
+      expect((await request('POST', `/api/admin/keys/${own.id}/rotate`, admin, {})).status).toBe(201);
+      expect((await request('POST', `/api/admin/keys/${own.id}/revoke`, admin)).status).toBe(200);
+
+      const all = await (await request('GET', '/api/admin/keys', env.API_KEY)).json();
+      expect(all.apiKeys.some(key => key.tenantId === 'globex' && key.id === other.id && !key.revokedAt)).toBe(true);
+    });
+
+    it('should require the admin scope', async () => {
+      const created = await createKey({ tenantId: 'acme', scopes: ['send', 'verify', 'sms', 'lookup'] });
+
+      const res = await request('GET', '/api/admin/keys', created.key);
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('Scopes and tenants', () => {
+    it('should reject routes outside the key scopes', async () => {
+      const { key } = await createKey({ tenantId: 'acme', scopes: ['verify'] });
+
+      const res = await request('POST', '/api/send', key, { phoneNumber: '+14155552671' });
+      expect(res.status).toBe(403);
+    });
+
+    it('should keep verifications inside their tenant', async () => {
+      const acme = await createKey({ tenantId: 'acme', scopes: ['send', 'verify'] });
+      const globex = await createKey({ tenantId: 'globex', scopes: ['send', 'verify'] });
+
+      const sent = await (await request('POST', '/api/send', acme.key, { phoneNumber: '+14155552671', code: '482913' })).json();
+      expect(sent.success).toBe(true);
+
+      const lookup = await request('GET', `/api/verifications/${sent.verificationId}`, globex.key);
+      expect(lookup.status).toBe(404);
+
+      const wrongTenant = await request('POST', '/api/verify', globex.key, { phoneNumber: '+14155552671', code: '482913' });
+      expect(wrongTenant.status).toBe(404);
+
+      const rightTenant = await request('POST', '/api/verify', acme.key, { phoneNumber: '+14155552671', code: '482913' });
+      expect(rightTenant.status).toBe(200);
+    });
+
+    it('should apply per-key defaults', async () => {
+      const { key } = await createKey({
+        tenantId: 'acme',
+        scopes: ['send'],
+        config: { senderId: 'Acme', messageTemplate: 'Acme code {code}', codePolicy: { length: 8 } }
+      });
+
+      await request('POST', '/api/send', key, { phoneNumber: '+14155552671' });
+      const params = new URL(globalThis.fetch.mock.calls[0][0]).searchParams;
+
+      expect(params.get('MessageAttributes.entry.1.Value.StringValue')).toBe('Acme');
+      expect(params.get('Message')).toMatch(/^Acme code \d{8}$/);
+    });
+
+    it('should enforce allowed countries', async () => {
+      const { key } = await createKey({ tenantId: 'acme', scopes: ['send', 'sms'], config: { allowedCountries: ['GB'] } });
+
+      const blocked = await request('POST', '/api/sms', key, { phoneNumber: '+14155552671', message: 'Hi' });
+      expect(blocked.status).toBe(403);
+
+      const allowed = await request('POST', '/api/sms', key, { phoneNumber: '+447400123456', message: 'Hi' });
+      expect(allowed.status).toBe(200);
+    });
+
+    it('should run vk_test_ keys in test mode', async () => {
+      const { key } = await createKey({ tenantId: 'acme', scopes: ['send'], testMode: true });
+      expect(key).toMatch(/^vk_test_/);
+
+      const data = await (await request('POST', '/api/send', key, { phoneNumber: '+12025550100' })).json();
+      expect(data.code).toBe('123456');
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
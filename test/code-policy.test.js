@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_CODE_POLICY,
+  resolveCodePolicy,
+  codeAlphabet,
+  formatCode,
+  generateCode,
+  normalizeCode
+} from '../src/code-policy.js';
+
+describe('Code Policies', () => {
+  describe('generateCode', () => {
+    it('should default to six digits', () => {
+      expect(generateCode()).toMatch(/^\d{6}$/);
+    });
+
+    it('should honour length and charset', () => {
+      const code = generateCode({ length: 10, charset: 'alphanumeric' });
+      expect(code).toMatch(/^[0-9A-Z]{10}$/);
+    });
+
+    it('should exclude ambiguous characters', () => {
+      const policy = { length: 12, charset: 'alphanumeric', excludeAmbiguous: true };
+      for (let i = 0; i < 200; i++) {
+        expect(generateCode(policy)).not.toMatch(/[0O1IL]/);
+      }
+    });
+
+    it('should group codes', () => {
+      expect(generateCode({ length: 6, groupSize: 3 })).toMatch(/^\d{3}-\d{3}$/);
+      expect(generateCode({ length: 8, groupSize: 4, separator: ' ' })).toMatch(/^\d{4} \d{4}$/);
+    });
+
+    it('should draw every digit roughly uniformly', () => {
+      const counts = new Array(10).fill(0);
+      for (let i = 0; i < 2000; i++) {
+        for (const digit of generateCode({ length: 10 })) counts[digit]++;
+      }
+      // 20000 draws, 2000 expected per digit
+      counts.forEach(count => {
+        expect(count).toBeGreaterThan(1700);
+        expect(count).toBeLessThan(2300);
+      });
+    });
+  });
+
+  describe('resolveCodePolicy', () => {
+    it('should layer sources over the defaults', () => {
+      const policy = resolveCodePolicy('{"length":8}', { charset: 'alphanumeric' }, undefined);
+      expect(policy).toEqual({ ...DEFAULT_CODE_POLICY, length: 8, charset: 'alphanumeric' });
+    });
+
+    it('should reject out-of-range policies', () => {
+      expect(() => resolveCodePolicy({ length: 3 })).toThrow();
+    });
+  });
+
+  describe('helpers', () => {
+    it('should only strip ambiguous characters from alphanumeric alphabets', () => {
+      expect(codeAlphabet({ charset: 'numeric', excludeAmbiguous: true })).toBe('0123456789');
+      expect(codeAlphabet({ charset: 'alphanumeric', excludeAmbiguous: true })).toHaveLength(31);
+    });
+
+    it('should leave short codes ungrouped', () => {
+      expect(formatCode('1234', { groupSize: 4, separator: '-' })).toBe('1234');
+    });
+
+    it('should normalize separators, whitespace and case', () => {
+      expect(normalizeCode(' ab3-k9 z ')).toBe('AB3K9Z');
+    });
+  });
+});
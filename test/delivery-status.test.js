@@ -0,0 +1,230 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createHmac } from 'node:crypto';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { circuitBreakers } from '../src/providers/failover.js';
+import {
+  getMessage,
+  parseSnsDeliveryEvent,
+  parseTwilioStatusCallback,
+  recordMessage,
+  recordStatusEvent
+} from '../src/delivery-status.js';
+import { twilioSignature } from '../src/routes/delivery-webhooks.js';
+
+const snsDeliveryLog = (messageId, status, overrides = {}) => ({
+  notification: { messageId, timestamp: '2024-05-01 10:00:02.500' },
+  delivery: {
+    phoneCarrier: 'T-Mobile',
+    mnc: 260,
+    mcc: 310,
+    destination: '+14155552671',
+    priceInUSD: 0.00645,
+    smsType: 'Transactional',
+    providerResponse: status === 'SUCCESS' ? 'Message has been accepted by phone' : 'Phone carrier has blocked this message',
+    dwellTimeMs: 599,
+    ...overrides
+  },
+  status
+});
+
+describe('Delivery Status', () => {
+  describe('parsers', () => {
+    it('should parse SNS delivery status logs', () => {
+      expect(parseSnsDeliveryEvent(JSON.stringify(snsDeliveryLog('sns-1', 'SUCCESS')))).toEqual({
+        messageId: 'sns-1',
+        status: 'delivered',
+        timestamp: '2024-05-01T10:00:03.099Z',
+        carrier: 'T-Mobile',
+        reason: undefined,
+        price: 0.00645,
+        priceUnit: 'USD',
+        source: 'sns'
+      });
+
+      expect(parseSnsDeliveryEvent(snsDeliveryLog('sns-1', 'FAILURE'))).toMatchObject({
+        status: 'failed',
+        reason: 'Phone carrier has blocked this message'
+      });
+    });
+
+    it('should parse End User Messaging SMS events', () => {
+      expect(parseSnsDeliveryEvent({
+        eventType: 'TEXT_CARRIER_UNREACHABLE',
+        eventTimestamp: 1714557602500,
+        messageId: 'eum-1',
+        messageStatus: 'CARRIER_UNREACHABLE',
+        messageStatusDescription: 'Carrier is unreachable',
+        carrierName: 'Vodafone',
+        totalMessagePrice: 0.0581
+      })).toMatchObject({
+        messageId: 'eum-1',
+        status: 'failed',
+        timestamp: '2024-05-01T10:00:02.500Z',
+        carrier: 'Vodafone',
+        errorCode: 'CARRIER_UNREACHABLE',
+        reason: 'Carrier is unreachable',
+        price: 0.0581
+      });
+
+      expect(parseSnsDeliveryEvent({ Records: [] })).toBeNull();
+    });
+
+    it('should parse Twilio status callbacks', () => {
+      expect(parseTwilioStatusCallback({
+        MessageSid: 'SM123',
+        MessageStatus: 'undelivered',
+        ErrorCode: '30005'
+      })).toMatchObject({ messageId: 'SM123', status: 'undelivered', errorCode: '30005', source: 'twilio' });
+
+      expect(parseTwilioStatusCallback({ MessageSid: 'SM123', MessageStatus: 'receiving' })).toBeNull();
+    });
+  });
+
+  describe('history', () => {
+    it('should keep events in timestamp order whatever order they arrive in', async () => {
+      const store = new MemoryStore();
+      await recordMessage(store, { messageId: 'm1', tenantId: 'acme', phoneNumber: '+14155552671', provider: 'twilio' });
+
+      const later = new Date(Date.now() + 2000).toISOString();
+      const earlier = new Date(Date.now() + 1000).toISOString();
+      await recordStatusEvent(store, { messageId: 'm1', status: 'delivered', timestamp: later, source: 'twilio' });
+      await recordStatusEvent(store, { messageId: 'm1', status: 'sent', timestamp: earlier, source: 'twilio' });
+      await recordStatusEvent(store, { messageId: 'm1', status: 'sent', timestamp: earlier, source: 'twilio' });
+
+      const record = await getMessage(store, 'acme', 'm1');
+      expect(record.status).toBe('delivered');
+      expect(record.history.map(event => event.status)).toEqual(['queued', 'sent', 'delivered']);
+
+      // A late "sent" callback does not undo the delivery
+      await recordStatusEvent(store, { messageId: 'm1', status: 'sent', timestamp: new Date(Date.now() + 3000).toISOString(), source: 'twilio' });
+      expect((await getMessage(store, 'acme', 'm1')).status).toBe('delivered');
+    });
+
+    it('should keep callbacks that arrive before the message is recorded', async () => {
+      const store = new MemoryStore();
+      await recordStatusEvent(store, { messageId: 'm2', status: 'sent', timestamp: new Date(Date.now() + 1000).toISOString(), source: 'sns' });
+      await recordMessage(store, { messageId: 'm2', tenantId: 'acme', phoneNumber: '+14155552671' });
+
+      const record = await getMessage(store, 'acme', 'm2');
+      expect(record.history.map(event => event.status)).toEqual(['queued', 'sent']);
+      expect(record.status).toBe('sent');
+    });
+
+    it('should only show messages to the tenant that sent them', async () => {
+      const store = new MemoryStore();
+      await recordMessage(store, { messageId: 'm3', tenantId: 'acme', phoneNumber: '+14155552671' });
+
+      expect(await getMessage(store, 'globex', 'm3')).toBeNull();
+      expect(await getMessage(store, 'acme', 'missing')).toBeNull();
+    });
+  });
+
+  describe('API', () => {
+    let env;
+
+    beforeEach(() => {
+      circuitBreakers.reset();
+      env = {
+        API_KEY: 'test-api-key',
+        AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+        AWS_SECRET_ACCESS_KEY: 'secret',
+        TWILIO_AUTH_TOKEN: 'twilio-token',
+        DELIVERY_WEBHOOK_SECRET: 'hook-secret',
+        VERIFY_STORE: new MemoryStore()
+      };
+    });
+
+    const sendSms = async () => {
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(
+        '<PublishResponse><PublishResult><MessageId>sns-msg-1</MessageId></PublishResult></PublishResponse>',
+        { status: 200 }
+      ));
+      const res = await app.request('/api/sms', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+        body: JSON.stringify({ phoneNumber: '+14155552671', message: 'Hello' })
+      }, env);
+      return (await res.json()).messageId;
+    };
+
+    const getStatus = (messageId) => app.request(`/api/messages/${messageId}`, {
+      headers: { 'X-API-Key': 'test-api-key' }
+    }, env);
+
+    const postSns = (body, token = 'hook-secret') => app.request(`/webhooks/delivery/sns?token=${token}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain; charset=UTF-8', 'x-amz-sns-message-type': body.Type },
+      body: JSON.stringify(body)
+    }, env);
+
+    it('should track an SMS from send to delivery through SNS', async () => {
+      const messageId = await sendSms();
+
+      const queued = await getStatus(messageId);
+      expect(queued.status).toBe(200);
+      expect((await queued.json()).message).toMatchObject({ messageId, status: 'queued', provider: 'sns:us-east-1', channel: 'sms' });
+
+      const res = await postSns({
+        Type: 'Notification',
+        MessageId: 'notification-1',
+        TopicArn: 'arn:aws:sns:us-east-1:123456789012:sms-delivery',
+        Message: JSON.stringify(snsDeliveryLog(messageId, 'SUCCESS', {}))
+      });
+      expect(res.status).toBe(200);
+
+      // The log's 2024 timestamp sorts first, but delivered still wins over queued
+      const { message } = await (await getStatus(messageId)).json();
+      expect(message).toMatchObject({ status: 'delivered', carrier: 'T-Mobile', price: 0.00645, priceUnit: 'USD' });
+      expect(message.history.map(event => event.source).sort()).toEqual(['api', 'sns']);
+    });
+
+    it('should reject SNS callbacks without the webhook token', async () => {
+      const res = await postSns({ Type: 'Notification', Message: '{}' }, 'wrong');
+      expect(res.status).toBe(401);
+    });
+
+    it('should confirm SNS subscriptions only with SNS', async () => {
+      const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('<ConfirmSubscriptionResponse/>'));
+
+      const confirmed = await postSns({
+        Type: 'SubscriptionConfirmation',
+        SubscribeURL: 'https://sns.us-east-1.amazonaws.com/?Action=ConfirmSubscription&Token=abc'
+      });
+      expect(confirmed.status).toBe(200);
+      expect(fetchSpy).toHaveBeenCalledWith('https://sns.us-east-1.amazonaws.com/?Action=ConfirmSubscription&Token=abc');
+
+      const rejected = await postSns({ Type: 'SubscriptionConfirmation', SubscribeURL: 'https://attacker.test/' });
+      expect(rejected.status).toBe(400);
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should record signed Twilio status callbacks', async () => {
+      const messageId = await sendSms();
+      const url = 'http://localhost/webhooks/delivery/twilio';
+      const params = { MessageSid: messageId, MessageStatus: 'failed', ErrorCode: '30007', AccountSid: 'AC123' };
+
+      const expected = createHmac('sha1', 'twilio-token')
+        .update(url + Object.keys(params).sort().map(key => key + params[key]).join(''))
+        .digest('base64');
+      expect(await twilioSignature('twilio-token', url, params)).toBe(expected);
+
+      const post = (signature) => app.request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature },
+        body: new URLSearchParams(params).toString()
+      }, env);
+
+      expect((await post('forged')).status).toBe(401);
+      expect((await post(expected)).status).toBe(200);
+
+      const { message } = await (await getStatus(messageId)).json();
+      expect(message).toMatchObject({ status: 'failed', errorCode: '30007' });
+    });
+
+    it('should return 404 for unknown messages', async () => {
+      const res = await getStatus('missing');
+      expect(res.status).toBe(404);
+    });
+  });
+});
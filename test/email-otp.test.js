@@ -0,0 +1,246 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer, connect } from 'node:net';
+import { Duplex } from 'node:stream';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { buildEmailMessage, resolveEmailTemplate, sendEmailCode } from '../src/email-otp.js';
+import { buildMimeMessage } from '../src/mail/mime.js';
+import { SmtpTransport, SesTransport, HttpMailTransport, getMailTransport } from '../src/mail/index.js';
+import { ProviderConfigError } from '../src/providers/index.js';
+import { circuitBreakers } from '../src/providers/failover.js';
+
+// Local SMTP sink that accepts every message and records the conversation
+let sink;
+let sinkPort;
+let mailbox;
+
+const startSink = () => createServer(socket => {
+  const session = { commands: [], data: '' };
+  let buffer = '';
+  let inData = false;
+
+  socket.write('220 sink.test ESMTP\r\n');
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    for (;;) {
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        session.data = buffer.slice(0, end + 2);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        mailbox.push(session);
+        socket.write('250 2.0.0 Ok: queued\r\n');
+        continue;
+      }
+
+      const end = buffer.indexOf('\r\n');
+      if (end === -1) return;
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      session.commands.push(line);
+
+      if (line.startsWith('EHLO')) socket.write('250-sink.test\r\n250 AUTH PLAIN\r\n');
+      else if (line.startsWith('AUTH PLAIN')) socket.write('235 2.7.0 Authentication successful\r\n');
+      else if (line.startsWith('RCPT TO:<full@')) socket.write('452 4.2.2 Mailbox full\r\n');
+      else if (line === 'DATA') {
+        inData = true;
+        socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+      } else if (line === 'QUIT') {
+        socket.end('221 2.0.0 Bye\r\n');
+        return;
+      } else socket.write('250 Ok\r\n');
+    }
+  });
+});
+
+// Node stand-in for cloudflare:sockets connect()
+const connectNode = ({ hostname, port }) => {
+  const socket = connect(port, hostname);
+  const { readable, writable } = Duplex.toWeb(socket);
+  return { readable, writable, close: async () => socket.destroy() };
+};
+
+const decodeParts = (raw) => [...raw.matchAll(/Content-Transfer-Encoding: base64\r\n\r\n([A-Za-z0-9+/=\r\n]+?)\r\n--/g)]
+  .map(([, body]) => Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8'));
+
+beforeAll(async () => {
+  sink = startSink();
+  await new Promise(resolve => sink.listen(0, '127.0.0.1', resolve));
+  sinkPort = sink.address().port;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => sink.close(resolve));
+});
+
+beforeEach(() => {
+  mailbox = [];
+  circuitBreakers.reset();
+});
+
+describe('Email OTP', () => {
+  describe('templates', () => {
+    it('should fill the code and expiry into every part', () => {
+      const message = buildEmailMessage('482913', { expiresIn: 600 });
+
+      expect(message.subject).toBe('Your verification code is 482913');
+      expect(message.text).toContain('It expires in 10 minutes');
+      expect(message.html).toContain('>482913</p>');
+    });
+
+    it('should apply overrides and escape values in HTML only', () => {
+      const template = resolveEmailTemplate('{"subject":"Code: {code}","html":"<b>{code}</b> {unknown}"}');
+      const message = buildEmailMessage('A<B1', { template });
+
+      expect(message.subject).toBe('Code: A<B1');
+      expect(message.html).toBe('<b>A&lt;B1</b> {unknown}');
+      expect(message.text).toContain('A<B1');
+    });
+
+    it('should build a multipart message with encoded non-ASCII headers', () => {
+      const { raw, messageId } = buildMimeMessage({
+        from: 'Acme <no-reply@acme.test>',
+        to: 'user@example.com',
+        subject: 'Código 1234',
+        text: 'Olá 1234',
+        html: '<p>Olá 1234</p>'
+      });
+
+      expect(messageId).toMatch(/@acme\.test$/);
+      expect(raw).toContain(`Subject: =?UTF-8?B?${Buffer.from('Código 1234').toString('base64')}?=`);
+      expect(raw).toContain('Content-Type: multipart/alternative');
+      expect(decodeParts(raw)).toEqual(['Olá 1234', '<p>Olá 1234</p>']);
+    });
+  });
+
+  describe('transports', () => {
+    it('should deliver through SMTP to a local sink', async () => {
+      const transport = new SmtpTransport({
+        host: '127.0.0.1',
+        port: sinkPort,
+        secure: 'off',
+        username: 'user',
+        password: 'pass',
+        connect: connectNode
+      });
+      const result = await transport.send({ from: 'Acme <no-reply@acme.test>', to: 'user@example.com', ...buildEmailMessage('482913') });
+
+      expect(mailbox).toHaveLength(1);
+      expect(mailbox[0].commands).toEqual([
+        'EHLO localhost',
+        `AUTH PLAIN ${Buffer.from('\0user\0pass').toString('base64')}`,
+        'MAIL FROM:<no-reply@acme.test>',
+        'RCPT TO:<user@example.com>',
+        'DATA',
+        'QUIT'
+      ]);
+      expect(mailbox[0].data).toContain(`Message-ID: <${result.messageId}>`);
+      expect(decodeParts(mailbox[0].data)[0]).toContain('482913');
+    });
+
+    it('should report transient SMTP rejections as retryable', async () => {
+      const transport = new SmtpTransport({ host: '127.0.0.1', port: sinkPort, secure: 'off', connect: connectNode });
+
+      await expect(transport.send({ from: 'no-reply@acme.test', to: 'full@example.com', ...buildEmailMessage('482913') }))
+        .rejects.toMatchObject({ code: '452', retryable: true });
+    });
+
+    it('should send through SES with a SigV4 signature', async () => {
+      const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(JSON.stringify({ MessageId: 'ses-1' }), { status: 200 }));
+      const transport = new SesTransport({ accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'secret', region: 'eu-west-1' });
+
+      const result = await transport.send({ from: 'no-reply@acme.test', to: 'user@example.com', subject: 'S', text: 'T', html: 'H' });
+
+      expect(result.messageId).toBe('ses-1');
+      const [url, init] = fetchSpy.mock.calls[0];
+      expect(url).toBe('https://email.eu-west-1.amazonaws.com/v2/email/outbound-emails');
+      expect(init.headers.authorization).toContain('/eu-west-1/ses/aws4_request');
+      expect(JSON.parse(init.body)).toMatchObject({
+        FromEmailAddress: 'no-reply@acme.test',
+        Destination: { ToAddresses: ['user@example.com'] },
+        Content: { Simple: { Subject: { Data: 'S' }, Body: { Text: { Data: 'T' }, Html: { Data: 'H' } } } }
+      });
+    });
+
+    it('should post to a generic mail API', async () => {
+      const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(JSON.stringify({ id: 'mail-1' }), { status: 200 }));
+      const transport = new HttpMailTransport({ url: 'http://mail.test/send', apiKey: 'k' });
+
+      expect((await transport.send({ from: 'a@acme.test', to: 'b@example.com', subject: 'S', text: 'T', html: 'H' })).messageId).toBe('mail-1');
+      expect(fetchSpy.mock.calls[0][1].headers.Authorization).toBe('Bearer k');
+    });
+
+    it('should require a sender and a configured transport', () => {
+      expect(() => getMailTransport({ MAIL_TRANSPORT: 'http', MAIL_API_URL: 'http://mail.test' })).toThrow('Email sender not configured');
+      expect(() => getMailTransport({ MAIL_FROM: 'a@acme.test', MAIL_TRANSPORT: 'smtp' })).toThrow(ProviderConfigError);
+      expect(getMailTransport({ MAIL_FROM: 'a@acme.test', MAIL_TRANSPORT: 'http', MAIL_API_URL: 'http://mail.test' }).name).toBe('http');
+    });
+
+    it('should reject invalid recipients before sending', async () => {
+      const transport = { name: 'test', send: vi.fn() };
+      const result = await sendEmailCode({ email: 'not-an-email', phoneNumber: '+14155552671', code: '482913', transport, from: 'a@acme.test' });
+
+      expect(result).toMatchObject({ success: false, error: 'Invalid email address' });
+      expect(transport.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('API', () => {
+    const config = () => ({
+      API_KEY: 'test-api-key',
+      VERIFY_STORE: new MemoryStore(),
+      MAIL_FROM: 'Acme <no-reply@acme.test>',
+      MAIL_TRANSPORT: 'http',
+      MAIL_API_URL: 'http://mail.test/send'
+    });
+
+    const request = (path, body, env) => app.request(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+      body: JSON.stringify(body)
+    }, env);
+
+    it('should email the code and verify it through /api/verify', async () => {
+      const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(JSON.stringify({ id: 'mail-1' }), { status: 200 }));
+      const env = config();
+
+      const sent = await request('/api/send', { phoneNumber: '+14155552671', code: '482913', channel: 'email', email: 'user@example.com' }, env);
+      expect(sent.status).toBe(200);
+      expect(await sent.json()).toMatchObject({
+        success: true,
+        message: 'Verification email sent successfully',
+        messageId: 'mail-1',
+        provider: 'http',
+        email: 'user@example.com',
+        phoneNumber: '+14155552671',
+        status: 'pending'
+      });
+
+      const mail = JSON.parse(fetchSpy.mock.calls[0][1].body);
+      expect(mail).toMatchObject({ from: 'Acme <no-reply@acme.test>', to: 'user@example.com' });
+      expect(mail.html).toContain('482913');
+
+      const wrong = await request('/api/verify', { phoneNumber: '+14155552671', code: '000000' }, env);
+      expect((await wrong.json()).attemptsRemaining).toBe(4);
+
+      const verified = await request('/api/verify', { phoneNumber: '+14155552671', code: '482913' }, env);
+      expect(verified.status).toBe(200);
+      expect((await verified.json()).success).toBe(true);
+    });
+
+    it('should require an email address for the email channel', async () => {
+      const res = await request('/api/send', { phoneNumber: '+14155552671', channel: 'email' }, config());
+
+      expect(res.status).toBe(400);
+      expect((await res.json()).error).toBe('Email address is required for the email channel');
+    });
+
+    it('should report a missing sender address', async () => {
+      const res = await request('/api/send', { phoneNumber: '+14155552671', channel: 'email', email: 'user@example.com' }, { ...config(), MAIL_FROM: undefined });
+
+      expect(res.status).toBe(500);
+      expect((await res.json()).error).toBe('Email sender not configured');
+    });
+  });
+});
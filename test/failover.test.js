@@ -0,0 +1,233 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { getProvider } from '../src/providers/index.js';
+import {
+  CircuitBreakerRegistry,
+  FailoverProvider,
+  backoffDelay,
+  circuitBreakers,
+  isRetryableError,
+  resolveRetryPolicy
+} from '../src/providers/failover.js';
+
+// Provider double that fails with the queued errors, then succeeds
+const fakeProvider = (name, errors = [], region) => ({
+  name,
+  region,
+  calls: 0,
+  async send() {
+    this.calls += 1;
+    const error = errors.shift();
+    if (error) throw error;
+    return { messageId: `${name}-msg` };
+  }
+});
+
+const throttled = () => Object.assign(new Error('Throttling: Rate exceeded'), { code: 'Throttling', status: 400 });
+const optedOut = () => Object.assign(new Error('OptedOut: Phone number is opted out'), { code: 'OptedOut', status: 400 });
+
+describe('Provider Failover', () => {
+  const policy = resolveRetryPolicy({ maxAttempts: 2, baseDelay: 0, breakerThreshold: 3, breakerCooldown: 30 });
+  let breakers;
+  const sleep = vi.fn(async () => {});
+
+  beforeEach(() => {
+    breakers = new CircuitBreakerRegistry();
+  });
+
+  describe('isRetryableError', () => {
+    it('should retry throttling, server errors and network failures only', () => {
+      expect(isRetryableError(throttled())).toBe(true);
+      expect(isRetryableError({ status: 503 })).toBe(true);
+      expect(isRetryableError(new TypeError('fetch failed'))).toBe(true);
+      expect(isRetryableError(optedOut())).toBe(false);
+      expect(isRetryableError({ status: 401 })).toBe(false);
+    });
+  });
+
+  describe('backoffDelay', () => {
+    it('should grow exponentially up to the cap with full jitter', () => {
+      const retry = resolveRetryPolicy({ baseDelay: 100, maxDelay: 500 });
+
+      expect(backoffDelay(1, retry, () => 0.999)).toBe(99);
+      expect(backoffDelay(3, retry, () => 0.999)).toBe(399);
+      expect(backoffDelay(6, retry, () => 0.999)).toBe(499);
+      expect(backoffDelay(6, retry, () => 0)).toBe(0);
+    });
+  });
+
+  describe('FailoverProvider', () => {
+    it('should retry a throttled provider and report it', async () => {
+      const sns = fakeProvider('sns', [throttled()], 'us-east-1');
+      const provider = new FailoverProvider([{ target: 'sns:us-east-1', provider: sns }], { policy, breakers, sleep });
+
+      const result = await provider.send({ to: '+14155552671', body: 'hi' });
+      expect(result).toEqual({ messageId: 'sns-msg', provider: 'sns:us-east-1' });
+      expect(sns.calls).toBe(2);
+      expect(sleep).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail over to the next target when retries run out', async () => {
+      const primary = fakeProvider('sns', [throttled(), throttled()], 'us-east-1');
+      const secondary = fakeProvider('sns', [], 'us-west-2');
+      const provider = new FailoverProvider([
+        { target: 'sns:us-east-1', provider: primary },
+        { target: 'sns:us-west-2', provider: secondary }
+      ], { policy, breakers, sleep });
+
+      expect((await provider.send({})).provider).toBe('sns:us-west-2');
+    });
+
+    it('should not retry or fail over permanent errors', async () => {
+      const primary = fakeProvider('sns', [optedOut()]);
+      const secondary = fakeProvider('twilio');
+      const provider = new FailoverProvider([
+        { target: 'sns', provider: primary },
+        { target: 'twilio', provider: secondary }
+      ], { policy, breakers, sleep });
+
+      await expect(provider.send({})).rejects.toThrow('OptedOut');
+      expect(primary.calls).toBe(1);
+      expect(secondary.calls).toBe(0);
+    });
+
+    it('should open the breaker and skip the target until the cooldown passes', async () => {
+      vi.useFakeTimers();
+      try {
+        const primary = fakeProvider('sns', [throttled(), throttled(), throttled()]);
+        const secondary = fakeProvider('twilio');
+        const provider = new FailoverProvider([
+          { target: 'sns', provider: primary },
+          { target: 'twilio', provider: secondary }
+        ], { policy, breakers, sleep });
+
+        await provider.send({});
+        await provider.send({});
+        expect(breakers.snapshot().find(breaker => breaker.target === 'sns').state).toBe('open');
+
+        await provider.send({});
+        expect(primary.calls).toBe(3);
+
+        vi.advanceTimersByTime(30 * 1000);
+        expect((await provider.send({})).provider).toBe('sns');
+        expect(breakers.snapshot().find(breaker => breaker.target === 'sns').state).toBe('closed');
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should let a single trial through a half-open breaker', async () => {
+      vi.useFakeTimers();
+      try {
+        const primary = fakeProvider('sns', [throttled(), throttled(), throttled()]);
+        const secondary = fakeProvider('twilio');
+        const provider = new FailoverProvider([
+          { target: 'sns', provider: primary },
+          { target: 'twilio', provider: secondary }
+        ], { policy, breakers, sleep });
+        await provider.send({});
+        await provider.send({});
+
+        vi.advanceTimersByTime(30 * 1000);
+        let settle;
+        primary.send = vi.fn(() => new Promise(resolve => { settle = resolve; }));
+        const trial = provider.send({});
+        const others = await Promise.all([provider.send({}), provider.send({})]);
+
+        expect(primary.send).toHaveBeenCalledTimes(1);
+        expect(others.map(result => result.provider)).toEqual(['twilio', 'twilio']);
+
+        settle({ messageId: 'sns-msg' });
+        expect((await trial).provider).toBe('sns');
+        expect(breakers.canRequest('sns', policy)).toBe(true);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should close the breaker when the trial gets a non-retryable answer', async () => {
+      vi.useFakeTimers();
+      try {
+        breakers.recordFailure('sns', resolveRetryPolicy({ breakerThreshold: 1 }));
+        vi.advanceTimersByTime(30 * 1000);
+        const provider = new FailoverProvider([{ target: 'sns', provider: fakeProvider('sns', [optedOut()]) }], { policy, breakers, sleep });
+
+        await expect(provider.send({})).rejects.toMatchObject({ code: 'OptedOut' });
+        expect(breakers.canRequest('sns', policy)).toBe(true);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should flag the final error as retryable when every target is down', async () => {
+      const provider = new FailoverProvider([
+        { target: 'sns', provider: fakeProvider('sns', [throttled(), throttled()]) }
+      ], { policy, breakers, sleep });
+
+      await expect(provider.send({})).rejects.toMatchObject({ retryable: true, code: 'Throttling' });
+    });
+  });
+
+  describe('configuration', () => {
+    it('should build failover targets from SMS_ROUTING', () => {
+      const provider = getProvider({
+        AWS_ACCESS_KEY_ID: 'key',
+        AWS_SECRET_ACCESS_KEY: 'secret',
+        AWS_REGION: 'us-east-1',
+        SMS_ROUTING: JSON.stringify({ failover: ['sns:us-west-2', 'sns:us-east-1'] })
+      });
+
+      expect(provider.targets.map(target => target.target)).toEqual(['sns:us-east-1', 'sns:us-west-2']);
+    });
+  });
+
+  describe('API', () => {
+    const env = () => ({
+      ...globalThis.env,
+      VERIFY_STORE: new MemoryStore(),
+      SMS_RETRY: '{"maxAttempts":2,"baseDelay":0}',
+      SMS_ROUTING: JSON.stringify({ failover: ['sns:us-west-2'] })
+    });
+
+    const send = (config) => app.request('/api/send', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': config.API_KEY },
+      body: JSON.stringify({ phoneNumber: '+14155552671' })
+    }, config);
+
+    beforeEach(() => {
+      circuitBreakers.reset();
+    });
+
+    it('should report the region that delivered after a failover', async () => {
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => (url.startsWith('https://sns.us-east-1.')
+        ? new Response('<ErrorResponse><Error><Code>Throttling</Code><Message>Rate exceeded</Message></Error></ErrorResponse>', { status: 400 })
+        : new Response('<MessageId>msg-west</MessageId>')));
+
+      const res = await send(env());
+      const data = await res.json();
+
+      expect(res.status).toBe(200);
+      expect(data).toMatchObject({ messageId: 'msg-west', provider: 'sns:us-west-2' });
+      expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should answer 503 when every provider is throttled and expose breaker state', async () => {
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response(
+        '<ErrorResponse><Error><Code>Throttling</Code><Message>Rate exceeded</Message></Error></ErrorResponse>',
+        { status: 400 }
+      ));
+
+      const res = await send(env());
+      expect(res.status).toBe(503);
+      expect((await res.json()).error).toBe('SNS Request failed: Throttling: Rate exceeded');
+
+      const health = await (await app.request('/health')).json();
+      expect(health.providers).toEqual(expect.arrayContaining([
+        expect.objectContaining({ target: 'sns:us-east-1', state: 'closed', failures: 2 }),
+        expect.objectContaining({ target: 'sns:us-west-2', failures: 2 })
+      ]));
+    });
+  });
+});
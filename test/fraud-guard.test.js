@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import {
+  resolveFraudPolicy,
+  checkFraud,
+  recordFraudSend,
+  recordFraudConversion,
+  listAnomalies
+} from '../src/fraud-guard.js';
+
+describe('Fraud Guard', () => {
+  const usNumber = '+14155552671';
+  const ukPremium = '+449098790000';
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+  });
+
+  describe('checkFraud', () => {
+    it('should allow ordinary destinations', async () => {
+      const result = await checkFraud(store, usNumber);
+      expect(result.allowed).toBe(true);
+      expect(result.country).toBe('US');
+    });
+
+    it('should apply country allow and deny lists', async () => {
+      const allowOnlyGB = resolveFraudPolicy({ allowedCountries: ['GB'] });
+      expect((await checkFraud(store, usNumber, allowOnlyGB)).reason).toBe('country_not_allowed');
+
+      const denyUS = resolveFraudPolicy({ deniedCountries: ['US'] });
+      expect((await checkFraud(store, usNumber, denyUS)).reason).toBe('country_denied');
+    });
+
+    it('should block premium-rate numbers', async () => {
+      const result = await checkFraud(store, ukPremium);
+      expect(result).toMatchObject({ allowed: false, reason: 'number_type', numberType: 'PREMIUM_RATE' });
+    });
+
+    it('should type numbers the default metadata cannot', async () => {
+      expect((await checkFraud(store, '+33899123456')).numberType).toBe('PREMIUM_RATE');
+      expect((await checkFraud(store, '+33810123456')).numberType).toBe('SHARED_COST');
+    });
+
+    it('should enforce per-country velocity', async () => {
+      const policy = resolveFraudPolicy({ maxPerCountry: 100, countryLimits: { US: 2 } });
+
+      await recordFraudSend(store, usNumber, policy);
+      expect((await checkFraud(store, usNumber, policy)).allowed).toBe(true);
+
+      await recordFraudSend(store, '+14155552672', policy);
+      expect((await checkFraud(store, usNumber, policy)).reason).toBe('velocity');
+    });
+  });
+
+  describe('conversion anomalies', () => {
+    const policy = resolveFraudPolicy({ minSamples: 4, minConversionRate: 0.5 });
+
+    it('should flag a country whose conversion collapses', async () => {
+      for (let i = 0; i < 4; i++) {
+        await recordFraudSend(store, usNumber, policy, { verification: true });
+      }
+
+      const anomalies = await listAnomalies(store);
+      expect(anomalies.map(anomaly => anomaly.scope).sort()).toEqual(['country', 'prefix']);
+      expect(anomalies.find(anomaly => anomaly.scope === 'country')).toMatchObject({ value: 'US', sent: 4, verified: 0 });
+    });
+
+    it('should not flag healthy conversion', async () => {
+      for (let i = 0; i < 4; i++) {
+        await recordFraudSend(store, usNumber, policy, { verification: true });
+        await recordFraudConversion(store, usNumber, policy);
+      }
+
+      expect(await listAnomalies(store)).toEqual([]);
+    });
+
+    it('should only block flagged destinations when configured to', async () => {
+      for (let i = 0; i < 4; i++) {
+        await recordFraudSend(store, usNumber, policy, { verification: true });
+      }
+
+      expect((await checkFraud(store, usNumber, policy)).allowed).toBe(true);
+
+      const blocking = resolveFraudPolicy({ ...policy, blockAnomalies: true });
+      expect((await checkFraud(store, usNumber, blocking)).reason).toBe('anomaly');
+    });
+  });
+
+  describe('API', () => {
+    let env;
+
+    const request = (path, init = {}) => app.request(path, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': env.API_KEY }
+    }, env);
+
+    beforeEach(() => {
+      env = { ...globalThis.env, VERIFY_STORE: store, FRAUD_POLICY: '{"deniedCountries":["GB"]}' };
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('<MessageId>msg-1</MessageId>'));
+    });
+
+    it('should block sends with a distinct error code and record them', async () => {
+      const res = await request('/api/send', {
+        method: 'POST',
+        body: JSON.stringify({ phoneNumber: '+447400123456' })
+      });
+
+      expect(res.status).toBe(403);
+      expect(await res.json()).toMatchObject({ errorCode: 'fraud_blocked', reason: 'country_denied' });
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+
+      const events = await (await request('/api/admin/fraud/events')).json();
+      expect(events.events).toHaveLength(1);
+      expect(events.events[0]).toMatchObject({ route: '/api/send', reason: 'country_denied', country: 'GB' });
+    });
+
+    it('should guard general SMS too', async () => {
+      const res = await request('/api/sms', {
+        method: 'POST',
+        body: JSON.stringify({ phoneNumber: ukPremium, message: 'Hello' })
+      });
+
+      expect(res.status).toBe(403);
+      expect((await res.json()).reason).toBe('country_denied');
+    });
+
+    it('should clear anomaly flags', async () => {
+      const policy = resolveFraudPolicy({ minSamples: 1 });
+      await recordFraudSend(store, usNumber, policy, { verification: true });
+
+      const cleared = await request('/api/admin/fraud/anomalies/clear', {
+        method: 'POST',
+        body: JSON.stringify({ scope: 'country', value: 'US' })
+      });
+      expect(cleared.status).toBe(200);
+
+      const { anomalies } = await (await request('/api/admin/fraud/anomalies')).json();
+      expect(anomalies.map(anomaly => anomaly.scope)).toEqual(['prefix']);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { circuitBreakers } from '../src/providers/failover.js';
+import { findMagicLink, parseMagicLinks, resolveMagicLinkSettings } from '../src/magic-links.js';
+
+describe('Magic Links', () => {
+  describe('resolveMagicLinkSettings', () => {
+    it('should layer tenant settings over the top-level ones', () => {
+      const registry = parseMagicLinks(JSON.stringify({
+        baseUrl: 'https://verify.example.com',
+        failureUrl: 'https://example.com/failed',
+        tenants: { acme: { successUrl: 'https://acme.com/ok', messageTemplate: 'Acme: {link}' } }
+      }));
+
+      expect(resolveMagicLinkSettings(registry, 'acme')).toEqual({
+        baseUrl: 'https://verify.example.com',
+        successUrl: 'https://acme.com/ok',
+        failureUrl: 'https://example.com/failed',
+        messageTemplate: 'Acme: {link}'
+      });
+      expect(resolveMagicLinkSettings(registry, 'globex').messageTemplate).toBe('Tap to verify your phone number: {link}');
+      expect(() => parseMagicLinks({ messageTemplate: 'No link here' })).toThrow();
+    });
+  });
+
+  describe('API', () => {
+    let env;
+
+    beforeEach(() => {
+      circuitBreakers.reset();
+      env = {
+        API_KEY: 'test-api-key',
+        AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+        AWS_SECRET_ACCESS_KEY: 'secret',
+        MAGIC_LINKS: JSON.stringify({
+          baseUrl: 'https://verify.example.com',
+          failureUrl: 'https://example.com/failed',
+          tenants: { default: { successUrl: 'https://acme.com/verified', failureUrl: 'https://acme.com/failed' } }
+        }),
+        VERIFY_STORE: new MemoryStore()
+      };
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(
+        '<PublishResponse><PublishResult><MessageId>sns-msg-1</MessageId></PublishResult></PublishResponse>',
+        { status: 200 }
+      ));
+    });
+
+    const sendLink = async (body = {}) => {
+      const res = await app.request('/api/send', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+        body: JSON.stringify({ phoneNumber: '+14155552671', mode: 'link', ...body })
+      }, env);
+      const message = new URL(globalThis.fetch.mock.calls[0][0]).searchParams.get('Message');
+      return { res, message, path: new URL(message.match(/https?:\S+/)[0]).pathname };
+    };
+
+    const openLink = (path, method = 'GET') => app.request(path, { method }, env);
+
+    it('should text a link and verify only after the confirmation POST', async () => {
+      const { res, message, path } = await sendLink();
+      expect(res.status).toBe(200);
+      const sent = await res.json();
+      expect(sent).toMatchObject({ mode: 'link', status: 'pending' });
+      expect(sent.link).toBeUndefined();
+      expect(message).toMatch(/^Tap to verify your phone number: https:\/\/verify\.example\.com\/v\/[0-9a-f]{32}$/);
+
+      // Link previews only ever see the confirmation page
+      for (let i = 0; i < 2; i++) {
+        const page = await openLink(path);
+        expect(page.status).toBe(200);
+        expect(page.headers.get('Cache-Control')).toBe('no-store');
+        expect(await page.text()).toContain('<form method="post">');
+      }
+
+      const confirmed = await openLink(path, 'POST');
+      expect(confirmed.status).toBe(303);
+      expect(confirmed.headers.get('Location')).toBe(`https://acme.com/verified?verificationId=${sent.verificationId}&status=approved`);
+
+      const again = await openLink(path, 'POST');
+      expect(again.headers.get('Location')).toContain('https://acme.com/failed?');
+      expect(again.headers.get('Location')).toContain('reason=approved');
+    });
+
+    it('should send the browser to the failure URL for unknown and expired links', async () => {
+      let res = await openLink(`/v/${'0'.repeat(32)}`);
+      expect(res.status).toBe(302);
+      // Unknown links have no tenant, so only the top-level failure URL applies
+      expect(res.headers.get('Location')).toBe('https://example.com/failed?reason=not_found');
+
+      const { path } = await sendLink();
+      vi.useFakeTimers();
+      vi.setSystemTime(Date.now() + 601 * 1000);
+      try {
+        res = await openLink(path, 'POST');
+      } finally {
+        vi.useRealTimers();
+      }
+      expect(res.headers.get('Location')).toContain('status=expired&reason=expired');
+    });
+
+    it('should show the result on a page without redirect URLs', async () => {
+      delete env.MAGIC_LINKS;
+      const { path } = await sendLink();
+      expect(path).toMatch(/^\/v\/[0-9a-f]{32}$/);
+
+      const res = await openLink(path, 'POST');
+      expect(res.status).toBe(200);
+      expect(await res.text()).toContain('Your phone number is verified');
+    });
+
+    it('should only store a hash of the token', async () => {
+      const { path } = await sendLink();
+      const token = path.slice(3);
+      expect(JSON.stringify([...env.VERIFY_STORE.items.entries()])).not.toContain(token);
+      expect(await findMagicLink(env.VERIFY_STORE, token)).toMatchObject({ apiKeyId: expect.any(String) });
+    });
+
+    it('should refuse link mode on other channels', async () => {
+      const res = await app.request('/api/send', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+        body: JSON.stringify({ phoneNumber: '+14155552671', mode: 'link', channel: 'voice' })
+      }, env);
+      expect(res.status).toBe(400);
+    });
+  });
+});
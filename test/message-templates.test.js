@@ -0,0 +1,173 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { circuitBreakers } from '../src/providers/failover.js';
+import { analyzeSms } from '../src/sms-encoding.js';
+import {
+  TemplateError,
+  checkMessage,
+  escapeTemplate,
+  renderTemplate,
+  saveMessageTemplate,
+  validateTemplate
+} from '../src/message-templates.js';
+
+describe('Message Templates', () => {
+  describe('analyzeSms', () => {
+    it('should fit 160 GSM-7 characters in one segment and split at 153', () => {
+      expect(analyzeSms('a'.repeat(160))).toMatchObject({ encoding: 'GSM-7', segments: 1, remaining: 0 });
+      expect(analyzeSms('a'.repeat(161))).toMatchObject({ encoding: 'GSM-7', segments: 2, unitsPerSegment: 153 });
+      expect(analyzeSms('')).toMatchObject({ segments: 0 });
+    });
+
+    it('should count extension characters twice without splitting them', () => {
+      expect(analyzeSms('€'.repeat(80))).toMatchObject({ encoding: 'GSM-7', units: 160, segments: 1 });
+      // 152 septets then an escape sequence that must move whole to the next segment
+      expect(analyzeSms(`${'a'.repeat(152)}€${'a'.repeat(10)}`)).toMatchObject({ units: 164, segments: 2, remaining: 141 });
+    });
+
+    it('should switch to UCS-2 for any character outside GSM-7', () => {
+      const analysis = analyzeSms(`Your code is 123456 – thanks${'!'.repeat(50)}`);
+      expect(analysis).toMatchObject({ encoding: 'UCS-2', segments: 2, unitsPerSegment: 67, nonGsmCharacters: ['–'] });
+      expect(analyzeSms('😀'.repeat(35))).toMatchObject({ encoding: 'UCS-2', characters: 35, units: 70, segments: 1 });
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('should replace every occurrence and unescape doubled braces', () => {
+      expect(renderTemplate('{code} / {code} {{code}} {unknown}', { code: '123456' })).toBe('123456 / 123456 {code} {unknown}');
+      expect(renderTemplate(escapeTemplate('{"a": "{code}"}'), { code: '1' })).toBe('{"a": "{code}"}');
+    });
+
+    it('should not re-scan or keep control characters in values', () => {
+      expect(renderTemplate('{app_name}: {code}', { app_name: 'Evil {code}\n\rSupport', code: '123456' }))
+        .toBe('Evil {code} Support: 123456');
+    });
+
+    it('should require {code} and known variables', () => {
+      expect(validateTemplate('{app_name}: {code}')).toEqual([]);
+      expect(validateTemplate('Hello {name}')).toEqual([
+        'Unknown variable {name}; use {code}, {app_name}, {expires_minutes}, {domain}',
+        'Template must contain {code}'
+      ]);
+    });
+
+    it('should flag non-GSM characters unless the template is unicode', () => {
+      expect(checkMessage('Code: 123456 ✓').issues.map(issue => issue.code)).toEqual(['non_gsm_characters']);
+      expect(checkMessage('Code: 123456 ✓', { unicode: true }).issues).toEqual([]);
+    });
+  });
+
+  describe('saveMessageTemplate', () => {
+    const sample = { code: '123456', app_name: '', expires_minutes: '10', domain: '' };
+
+    it('should reject templates with encoding issues in any locale', async () => {
+      const store = new MemoryStore();
+      const input = { body: 'Code {code}', locales: { fr: 'Votre code : {code} — merci' }, unicode: false, validation: 'reject' };
+
+      const error = await saveMessageTemplate(store, 'acme', 'login', input, sample).catch(err => err);
+      expect(error).toBeInstanceOf(TemplateError);
+      expect(error.issues).toEqual([expect.objectContaining({ code: 'non_gsm_characters', message: expect.stringMatching(/^fr: /) })]);
+      expect(store.items.size).toBe(0);
+    });
+
+    it('should save templates with warnings when validation is "warn"', async () => {
+      const store = new MemoryStore();
+      const input = { body: `{code} ${'x'.repeat(200)}`, unicode: false, validation: 'warn' };
+
+      const { template, analysis, warnings } = await saveMessageTemplate(store, 'acme', 'long', input, sample);
+      expect(template).toMatchObject({ name: 'long', tenantId: 'acme', validation: 'warn' });
+      expect(analysis.segments).toBe(2);
+      expect(warnings).toEqual([expect.stringContaining('splits into 2 segments')]);
+    });
+  });
+
+  describe('API', () => {
+    let env;
+
+    beforeEach(() => {
+      circuitBreakers.reset();
+      env = {
+        API_KEY: 'test-api-key',
+        AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+        AWS_SECRET_ACCESS_KEY: 'secret',
+        APP_NAME: 'Acme',
+        VERIFY_STORE: new MemoryStore()
+      };
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(
+        '<PublishResponse><PublishResult><MessageId>sns-msg-1</MessageId></PublishResult></PublishResponse>',
+        { status: 200 }
+      ));
+    });
+
+    const request = (method, path, body) => app.request(path, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+      body: body && JSON.stringify(body)
+    }, env);
+
+    const sentMessage = () => new URL(globalThis.fetch.mock.calls[0][0]).searchParams.get('Message');
+
+    it('should save, list, preview and delete templates', async () => {
+      let res = await request('POST', '/api/templates/login', {
+        body: '{app_name}: your code is {code}. Valid for {expires_minutes} minutes.',
+        locales: { es: '{app_name}: tu código es {code}.' },
+        unicode: true
+      });
+      expect(res.status).toBe(200);
+      const saved = await res.json();
+      expect(saved.template).toMatchObject({ name: 'login', validation: 'reject' });
+      expect(saved.template.tenantId).toBeUndefined();
+      expect(saved.analysis).toMatchObject({ encoding: 'GSM-7', segments: 1 });
+
+      res = await request('GET', '/api/templates');
+      expect((await res.json()).templates.map(template => template.name)).toEqual(['login']);
+
+      res = await request('POST', '/api/templates/login/preview', { code: '482913', locale: 'es-MX' });
+      expect(await res.json()).toMatchObject({
+        text: 'Acme: tu código es 482913.',
+        locale: 'es',
+        analysis: { encoding: 'UCS-2', segments: 1 },
+        warnings: []
+      });
+
+      res = await request('POST', '/api/templates/login/delete');
+      expect(res.status).toBe(200);
+      expect((await request('GET', '/api/templates/login')).status).toBe(404);
+    });
+
+    it('should refuse invalid templates with 422', async () => {
+      const res = await request('POST', '/api/templates/login', { body: 'Your code is {otp}' });
+      expect(res.status).toBe(422);
+      expect((await res.json()).issues.map(issue => issue.code)).toEqual(['invalid_template', 'invalid_template']);
+    });
+
+    it('should send with a named template and report its encoding', async () => {
+      await request('POST', '/api/templates/login', { body: '{app_name} code: {code} ({expires_minutes} min)' });
+
+      const res = await request('POST', '/api/send', { phoneNumber: '+14155552671', code: '482913', template: 'login' });
+      expect(res.status).toBe(200);
+      expect(await res.json()).toMatchObject({ encoding: 'GSM-7', segments: 1 });
+      expect(sentMessage()).toBe('Acme code: 482913 (10 min)');
+    });
+
+    it('should refuse sends that break a reject template and warn for the rest', async () => {
+      await request('POST', '/api/templates/short', { body: `{app_name} {code} ${'x'.repeat(140)}` });
+      env.APP_NAME = 'A much longer application name';
+
+      let res = await request('POST', '/api/send', { phoneNumber: '+14155552671', code: '482913', template: 'short' });
+      expect(res.status).toBe(422);
+      expect((await res.json()).issues[0].code).toBe('multiple_segments');
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+
+      res = await request('POST', '/api/send', { phoneNumber: '+14155552671', code: '482913', messageTemplate: 'Your code: {code} ✓' });
+      expect(res.status).toBe(200);
+      expect(await res.json()).toMatchObject({ encoding: 'UCS-2', warnings: [expect.stringContaining('✓')] });
+    });
+
+    it('should return 404 for unknown template names', async () => {
+      const res = await request('POST', '/api/send', { phoneNumber: '+14155552671', template: 'missing' });
+      expect(res.status).toBe(404);
+    });
+  });
+});
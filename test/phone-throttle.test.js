@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import {
+  resolvePhoneLimits,
+  checkSendAllowed,
+  recordSend,
+  recordVerifyResult,
+  checkVerifyAllowed
+} from '../src/phone-throttle.js';
+
+describe('Per-Phone Throttling', () => {
+  const phone = '+14155552671';
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('checkSendAllowed', () => {
+    it('should enforce the resend interval', async () => {
+      await recordSend(store, phone);
+
+      const result = await checkSendAllowed(store, phone);
+      expect(result).toEqual({ allowed: false, reason: 'resend_interval', retryAfter: 30 });
+
+      vi.advanceTimersByTime(30 * 1000);
+      expect((await checkSendAllowed(store, phone)).allowed).toBe(true);
+    });
+
+    it('should cap sends per hour and per day', async () => {
+      const limits = resolvePhoneLimits({ resendInterval: 0, maxPerHour: 2, maxPerDay: 3 });
+
+      await recordSend(store, phone);
+      vi.advanceTimersByTime(10 * 60 * 1000);
+      await recordSend(store, phone);
+
+      const hourly = await checkSendAllowed(store, phone, limits);
+      expect(hourly).toEqual({ allowed: false, reason: 'hourly_limit', retryAfter: 50 * 60 });
+
+      vi.advanceTimersByTime(2 * 60 * 60 * 1000);
+      await recordSend(store, phone);
+
+      const daily = await checkSendAllowed(store, phone, limits);
+      expect(daily.reason).toBe('daily_limit');
+    });
+
+    it('should keep numbers independent', async () => {
+      await recordSend(store, phone);
+      expect((await checkSendAllowed(store, '+14155552672')).allowed).toBe(true);
+    });
+  });
+
+  describe('recordVerifyResult', () => {
+    it('should back off exponentially after repeated failures', async () => {
+      const limits = resolvePhoneLimits({ failureThreshold: 2, backoffBase: 60 });
+
+      await recordVerifyResult(store, phone, false, limits);
+      await recordVerifyResult(store, phone, false, limits);
+      expect((await checkVerifyAllowed(store, phone)).allowed).toBe(true);
+
+      await recordVerifyResult(store, phone, false, limits);
+      expect(await checkVerifyAllowed(store, phone)).toEqual({ allowed: false, reason: 'locked', retryAfter: 60 });
+
+      await recordVerifyResult(store, phone, false, limits);
+      expect((await checkSendAllowed(store, phone, limits)).retryAfter).toBe(120);
+    });
+
+    it('should reset failures after a success', async () => {
+      const limits = resolvePhoneLimits({ failureThreshold: 0 });
+
+      await recordVerifyResult(store, phone, false, limits);
+      expect((await checkVerifyAllowed(store, phone)).allowed).toBe(false);
+
+      await recordVerifyResult(store, phone, true, limits);
+      expect((await checkVerifyAllowed(store, phone)).allowed).toBe(true);
+    });
+  });
+
+  describe('API', () => {
+    it('should answer 429 with Retry-After for rapid resends', async () => {
+      vi.useRealTimers();
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('<MessageId>msg-1</MessageId>'));
+      const env = { ...globalThis.env, VERIFY_STORE: store };
+      const send = () => app.request('/api/send', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': env.API_KEY },
+        body: JSON.stringify({ phoneNumber: phone })
+      }, env);
+
+      expect((await send()).status).toBe(200);
+
+      const res = await send();
+      expect(res.status).toBe(429);
+      expect(Number(res.headers.get('Retry-After'))).toBeGreaterThan(0);
+      expect((await res.json()).error).toBe('Please wait before requesting another code');
+      expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer } from 'node:http';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { signAwsRequest } from '../src/aws-sigv4.js';
+import {
+  ProviderConfigError,
+  createProvider,
+  getProvider,
+  resolveProviderName
+} from '../src/providers/index.js';
+
+// Local HTTP stand-in that records requests and answers like each provider's API
+let server;
+let baseUrl;
+let requests;
+
+const respond = (req, body) => {
+  const url = new URL(req.url, baseUrl);
+  if (url.pathname === '/' && url.searchParams.get('Action') === 'Publish') {
+    return [200, 'text/xml', '<PublishResponse><PublishResult><MessageId>sns-1</MessageId></PublishResult></PublishResponse>'];
+  }
+  if (req.headers['x-amz-target'] === 'PinpointSMSVoiceV2.SendTextMessage') {
+    return [200, 'application/json', JSON.stringify({ MessageId: 'eum-1' })];
+  }
+  if (url.pathname.endsWith('/Messages.json')) {
+    return [201, 'application/json', JSON.stringify({ sid: 'SM123', status: 'queued' })];
+  }
+  if (url.pathname.endsWith('/Messages/SM123.json')) {
+    return [200, 'application/json', JSON.stringify({ sid: 'SM123', status: 'delivered', error_code: null })];
+  }
+  if (url.pathname === '/sms/json') {
+    const failed = new URLSearchParams(body).get('to') === '15005550009';
+    return [200, 'application/json', JSON.stringify({
+      'message-count': '1',
+      messages: [failed
+        ? { status: '6', 'error-text': 'Unroutable message - rejected' }
+        : { status: '0', 'message-id': 'vonage-1' }]
+    })];
+  }
+  return [404, 'application/json', '{}'];
+};
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const [status, type, payload] = respond(req, body);
+      res.writeHead(status, { 'Content-Type': type });
+      res.end(payload);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+describe('SMS Providers', () => {
+  const env = () => ({
+    AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+    AWS_SECRET_ACCESS_KEY: 'secret',
+    AWS_REGION: 'eu-west-1',
+    SNS_ENDPOINT: baseUrl,
+    SMS_VOICE_ENDPOINT: baseUrl,
+    SMS_VOICE_ORIGINATION_IDENTITY: 'pool-123',
+    TWILIO_ACCOUNT_SID: 'AC123',
+    TWILIO_AUTH_TOKEN: 'token',
+    TWILIO_FROM: '+15005550006',
+    TWILIO_BASE_URL: baseUrl,
+    VONAGE_API_KEY: 'key',
+    VONAGE_API_SECRET: 'secret',
+    VONAGE_BASE_URL: baseUrl
+  });
+
+  describe('signAwsRequest', () => {
+    it('should match the AWS Signature Version 4 test vector', async () => {
+      const headers = await signAwsRequest({
+        method: 'GET',
+        url: 'https://iam.amazonaws.com/?Action=ListUsers&Version=2010-05-08',
+        headers: { 'content-type': 'application/x-www-form-urlencoded; charset=utf-8' },
+        service: 'iam',
+        region: 'us-east-1',
+        accessKeyId: 'AKIDEXAMPLE',
+        secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+        date: new Date('2015-08-30T12:36:00Z')
+      });
+
+      expect(headers.authorization).toBe(
+        'AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/iam/aws4_request, ' +
+        'SignedHeaders=content-type;host;x-amz-date, ' +
+        'Signature=5d672d79c15b13162d9279b0855cfba6789a8edb4c82c400e06b5924a6f2b5d7'
+      );
+    });
+  });
+
+  describe('implementations', () => {
+    it('should publish through SNS', async () => {
+      const provider = createProvider('sns', env());
+      const result = await provider.send({ to: '+14155552671', body: 'Code 123456', senderId: 'Acme', smsType: 'Transactional' });
+
+      expect(result.messageId).toBe('sns-1');
+      const params = new URL(requests[0].url, baseUrl).searchParams;
+      expect(params.get('PhoneNumber')).toBe('+14155552671');
+      expect(params.get('MessageAttributes.entry.1.Value.StringValue')).toBe('Acme');
+      expect(requests[0].headers.authorization).toContain('/eu-west-1/sns/aws4_request');
+    });
+
+    it('should send through End User Messaging SendTextMessage', async () => {
+      const provider = createProvider('end-user-messaging', env());
+      const result = await provider.send({ to: '+14155552671', body: 'Code 123456', smsType: 'Transactional' });
+
+      expect(result.messageId).toBe('eum-1');
+      expect(JSON.parse(requests[0].body)).toEqual({
+        DestinationPhoneNumber: '+14155552671',
+        MessageBody: 'Code 123456',
+        MessageType: 'TRANSACTIONAL',
+        OriginationIdentity: 'pool-123'
+      });
+      expect(requests[0].headers.authorization).toContain('/eu-west-1/sms-voice/aws4_request');
+    });
+
+    it('should send and look up status through Twilio', async () => {
+      const provider = createProvider('twilio', env());
+      const result = await provider.send({ to: '+14155552671', body: 'Code 123456' });
+
+      expect(result.messageId).toBe('SM123');
+      expect(requests[0].url).toBe('/2010-04-01/Accounts/AC123/Messages.json');
+      expect(Object.fromEntries(new URLSearchParams(requests[0].body))).toEqual({
+        To: '+14155552671',
+        Body: 'Code 123456',
+        From: '+15005550006'
+      });
+      expect(requests[0].headers.authorization).toBe(`Basic ${btoa('AC123:token')}`);
+
+      expect(await provider.status('SM123')).toEqual({ messageId: 'SM123', status: 'delivered', errorCode: undefined });
+    });
+
+    it('should send through Vonage and surface rejections', async () => {
+      const provider = createProvider('vonage', env());
+      const result = await provider.send({ to: '+14155552671', body: 'Code 123456', senderId: 'Acme' });
+
+      expect(result.messageId).toBe('vonage-1');
+      const params = new URLSearchParams(requests[0].body);
+      expect(params.get('to')).toBe('14155552671');
+      expect(params.get('from')).toBe('Acme');
+
+      await expect(provider.send({ to: '+15005550009', body: 'Code 123456' }))
+        .rejects.toThrow('Vonage request failed: 6: Unroutable message - rejected');
+    });
+
+    it('should report capabilities', () => {
+      expect(createProvider('twilio', env()).capabilities.statusLookup).toBe(true);
+      expect(createProvider('sns', env()).capabilities.senderId).toBe(true);
+    });
+  });
+
+  describe('routing', () => {
+    const routing = JSON.stringify({
+      countries: { GB: 'vonage' },
+      tenants: { acme: { provider: 'twilio', countries: { DE: 'end-user-messaging' } } }
+    });
+
+    it('should prefer tenant, then country, then the default provider', () => {
+      const config = { SMS_ROUTING: routing };
+
+      expect(resolveProviderName(config, { tenantId: 'acme', country: 'DE' })).toBe('end-user-messaging');
+      expect(resolveProviderName(config, { tenantId: 'acme', country: 'GB' })).toBe('twilio');
+      expect(resolveProviderName(config, { tenantId: 'other', country: 'GB' })).toBe('vonage');
+      expect(resolveProviderName(config, { tenantId: 'other', country: 'US' })).toBe('sns');
+      expect(resolveProviderName({ ...config, SMS_PROVIDER: 'twilio' }, { country: 'US' })).toBe('twilio');
+    });
+
+    it('should reject providers that are not configured', () => {
+      expect(() => getProvider({ SMS_PROVIDER: 'twilio' })).toThrow(ProviderConfigError);
+      expect(() => createProvider('carrier-pigeon', {})).toThrow('Unknown SMS provider "carrier-pigeon"');
+    });
+
+    it('should deliver API sends through the routed provider', async () => {
+      const res = await app.request('/api/send', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+        body: JSON.stringify({ phoneNumber: '+447400123456' })
+      }, { ...env(), API_KEY: 'test-api-key', VERIFY_STORE: new MemoryStore(), SMS_ROUTING: routing });
+
+      expect(res.status).toBe(200);
+      expect((await res.json()).messageId).toBe('vonage-1');
+      expect(requests.map(request => request.url)).toEqual(['/sms/json']);
+    });
+  });
+});
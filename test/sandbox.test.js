@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { isTestMode, isSandboxNumber } from '../src/sandbox.js';
+
+describe('Sandbox Test Mode', () => {
+  let env;
+
+  const post = (path, body, apiKey = env.TEST_API_KEY) => app.request(path, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-API-Key': apiKey
+    },
+    body: JSON.stringify(body)
+  }, env);
+
+  beforeEach(() => {
+    env = { ...globalThis.env, TEST_API_KEY: 'test-mode-key', VERIFY_STORE: new MemoryStore() };
+    vi.spyOn(globalThis, 'fetch');
+  });
+
+  it('should detect test mode from env or a test API key', () => {
+    expect(isTestMode({ TEST_MODE: 'true' })).toBe(true);
+    expect(isTestMode({}, { testMode: true })).toBe(true);
+    expect(isTestMode({}, { testMode: false })).toBe(false);
+    expect(isTestMode({})).toBe(false);
+  });
+
+  it('should only treat the 555-01XX range as sandbox numbers', () => {
+    expect(isSandboxNumber('+12025550100')).toBe(true);
+    expect(isSandboxNumber('+12025550199')).toBe(true);
+    expect(isSandboxNumber('+12025550200')).toBe(false);
+    expect(isSandboxNumber('+442025550100')).toBe(false);
+  });
+
+  it('should run the full send/verify flow without calling SNS', async () => {
+    const sent = await post('/api/send', { phoneNumber: '+12025550100' });
+    const data = await sent.json();
+
+    expect(sent.status).toBe(200);
+    expect(data.code).toBe('123456');
+    expect(data.messageId).toMatch(/^sandbox-/);
+
+    const verified = await post('/api/verify', { verificationId: data.verificationId, code: '123456' });
+    expect(verified.status).toBe(200);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should use SANDBOX_CODE when configured', async () => {
+    env.SANDBOX_CODE = '424242';
+
+    const data = await (await post('/api/send', { phoneNumber: '(202) 555-0142' })).json();
+    expect(data.code).toBe('424242');
+  });
+
+  it.each([
+    ['+12025550190', 400, 'VoIP numbers are not allowed'],
+    ['+12025550191', 503, 'SNS Request failed: Throttling: Rate exceeded'],
+    ['+12025550192', 400, 'SNS Request failed: OptedOut: Phone number is opted out']
+  ])('should script a failure for %s', async (phoneNumber, status, error) => {
+    const res = await post('/api/send', { phoneNumber });
+    expect(res.status).toBe(status);
+    expect((await res.json()).error).toBe(error);
+  });
+
+  it('should refuse real numbers in test mode', async () => {
+    const res = await post('/api/sms', { phoneNumber: '+14155552671', message: 'Hello' });
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toBe('Test mode only accepts sandbox numbers');
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should not echo the code for production keys', async () => {
+    globalThis.fetch.mockResolvedValue(new Response('<MessageId>msg-1</MessageId>'));
+
+    const data = await (await post('/api/send', { phoneNumber: '+14155552671' }, env.API_KEY)).json();
+    expect(data.success).toBe(true);
+    expect(data.code).toBeUndefined();
+  });
+});
@@ -0,0 +1,211 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { circuitBreakers } from '../src/providers/failover.js';
+import { zonedTimeToUtc } from '../src/phone-timezones.js';
+import { SENDING_TIMEOUT, processScheduledMessages, resolveSendTime } from '../src/scheduled-sms.js';
+import worker from '../src/index.js';
+
+describe('Scheduled SMS', () => {
+  describe('zonedTimeToUtc', () => {
+    it('should apply the zone offset, daylight saving included', () => {
+      expect(new Date(zonedTimeToUtc('2026-01-15T09:00', 'America/New_York')).toISOString()).toBe('2026-01-15T14:00:00.000Z');
+      expect(new Date(zonedTimeToUtc('2026-07-15T09:00', 'America/New_York')).toISOString()).toBe('2026-07-15T13:00:00.000Z');
+      expect(new Date(zonedTimeToUtc('2026-07-15T09:00:30', 'Asia/Kolkata')).toISOString()).toBe('2026-07-15T03:30:30.000Z');
+    });
+
+    it('should move times skipped by a clock change forward', () => {
+      // 02:30 does not exist on these days; 03:30 summer time does
+      expect(new Date(zonedTimeToUtc('2026-03-08T02:30', 'America/New_York')).toISOString()).toBe('2026-03-08T07:30:00.000Z');
+      expect(new Date(zonedTimeToUtc('2026-03-29T02:30', 'Europe/Berlin')).toISOString()).toBe('2026-03-29T01:30:00.000Z');
+    });
+  });
+
+  describe('resolveSendTime', () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+
+    it('should read local times in the zone of the phone number', () => {
+      expect(resolveSendTime({ sendAt: '2026-10-20T09:00', phoneNumber: '+4915112345678', now })).toEqual({
+        sendAt: '2026-10-20T07:00:00.000Z',
+        timezone: 'Europe/Berlin',
+        timezoneSource: 'phone'
+      });
+      expect(resolveSendTime({ sendAt: '2026-10-20T09:00', timezone: 'America/Chicago', phoneNumber: '+14155552671', now })).toEqual({
+        sendAt: '2026-10-20T14:00:00.000Z',
+        timezone: 'America/Chicago',
+        timezoneSource: 'request'
+      });
+    });
+
+    it('should take exact times and delays as they are', () => {
+      expect(resolveSendTime({ sendAt: '2026-10-20T09:00:00+02:00', phoneNumber: '+14155552671', now })).toEqual({ sendAt: '2026-10-20T07:00:00.000Z' });
+      expect(resolveSendTime({ delaySeconds: 90, phoneNumber: '+14155552671', now })).toEqual({ sendAt: '2026-10-19T12:01:30.000Z' });
+    });
+
+    it('should reject unusable times', () => {
+      const phoneNumber = '+14155552671';
+      expect(() => resolveSendTime({ sendAt: '2026-10-19T11:00:00Z', phoneNumber, now })).toThrow('sendAt must be in the future');
+      expect(() => resolveSendTime({ sendAt: 'tomorrow', phoneNumber, now })).toThrow('ISO 8601');
+      expect(() => resolveSendTime({ sendAt: '2026-12-30T09:00', phoneNumber, now })).toThrow('at most 30 days ahead');
+      expect(() => resolveSendTime({ sendAt: '2026-10-20T09:00', delaySeconds: 60, phoneNumber, now })).toThrow('not both');
+      expect(() => resolveSendTime({ sendAt: '2026-10-20T09:00', timezone: 'Mars/Olympus', phoneNumber, now })).toThrow('Unknown timezone');
+    });
+  });
+
+  describe('API', () => {
+    let env;
+
+    beforeEach(() => {
+      circuitBreakers.reset();
+      env = {
+        API_KEY: 'test-api-key',
+        AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+        AWS_SECRET_ACCESS_KEY: 'secret',
+        SMS_RETRY: JSON.stringify({ maxAttempts: 1 }),
+        VERIFY_STORE: new MemoryStore()
+      };
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(
+        '<PublishResponse><PublishResult><MessageId>sns-msg-1</MessageId></PublishResult></PublishResponse>',
+        { status: 200 }
+      ));
+    });
+
+    const request = (method, path, body) => app.request(path, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+      body: body && JSON.stringify(body)
+    }, env);
+
+    const schedule = async (body = {}) => {
+      const res = await request('POST', '/api/sms', { phoneNumber: '+14155552671', message: 'Reminder {1}', delaySeconds: 60, ...body });
+      return { res, data: await res.json() };
+    };
+
+    const inTwoMinutes = () => Date.now() + 2 * 60 * 1000;
+
+    it('should schedule instead of sending', async () => {
+      const { res, data } = await schedule({ sendAt: '2030-01-01T09:00', timezone: 'Europe/Paris', delaySeconds: undefined });
+
+      expect(res.status).toBe(400);
+      expect(data.error).toMatch(/at most 30 days ahead/);
+
+      const scheduled = await schedule();
+      expect(scheduled.res.status).toBe(202);
+      expect(scheduled.data.scheduled).toMatchObject({ status: 'scheduled', phoneNumber: '+14155552671', senderId: 'Verify', attempts: 0 });
+      expect(scheduled.data.scheduled.tenantId).toBeUndefined();
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should send due messages from the scheduled handler', async () => {
+      const { data } = await schedule();
+
+      expect(await processScheduledMessages(env.VERIFY_STORE, env)).toEqual({ sent: 0, failed: 0, retrying: 0, nextSendAt: data.scheduled.sendAt });
+
+      const summary = await processScheduledMessages(env.VERIFY_STORE, env, inTwoMinutes());
+      expect(summary).toEqual({ sent: 1, failed: 0, retrying: 0, nextSendAt: undefined });
+      expect(new URL(globalThis.fetch.mock.calls[0][0]).searchParams.get('Message')).toBe('Reminder {1}');
+
+      const res = await request('GET', `/api/sms/scheduled/${data.scheduled.id}`);
+      expect((await res.json()).scheduled).toMatchObject({ status: 'sent', messageId: 'sns-msg-1', attempts: 1 });
+
+      const message = await request('GET', '/api/messages/sns-msg-1');
+      expect(message.status).toBe(200);
+    });
+
+    it('should list and cancel scheduled messages', async () => {
+      const later = await schedule({ delaySeconds: 600 });
+      const sooner = await schedule({ delaySeconds: 60 });
+
+      const list = await (await request('GET', '/api/sms/scheduled?status=scheduled')).json();
+      expect(list.scheduled.map(message => message.id)).toEqual([sooner.data.scheduled.id, later.data.scheduled.id]);
+
+      const canceled = await request('POST', `/api/sms/scheduled/${sooner.data.scheduled.id}/cancel`);
+      expect((await canceled.json()).scheduled.status).toBe('canceled');
+      expect((await request('POST', `/api/sms/scheduled/${sooner.data.scheduled.id}/cancel`)).status).toBe(409);
+
+      await processScheduledMessages(env.VERIFY_STORE, env, inTwoMinutes());
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should retry messages every provider turned away', async () => {
+      globalThis.fetch.mockResolvedValue(new Response(
+        '<ErrorResponse><Error><Code>Throttling</Code><Message>Rate exceeded</Message></Error></ErrorResponse>',
+        { status: 400 }
+      ));
+      const { data } = await schedule();
+
+      const summary = await processScheduledMessages(env.VERIFY_STORE, env, inTwoMinutes());
+      expect(summary).toMatchObject({ sent: 0, failed: 0, retrying: 1 });
+
+      const res = await request('GET', `/api/sms/scheduled/${data.scheduled.id}`);
+      expect((await res.json()).scheduled).toMatchObject({ status: 'scheduled', attempts: 1 });
+    });
+
+    it('should retry sends that throw without stopping the run', async () => {
+      env.FRAUD_POLICY = '{';
+      const first = await schedule();
+      const second = await schedule();
+
+      const summary = await processScheduledMessages(env.VERIFY_STORE, env, inTwoMinutes());
+      expect(summary).toMatchObject({ sent: 0, failed: 0, retrying: 2 });
+
+      for (const { data } of [first, second]) {
+        const res = await request('GET', `/api/sms/scheduled/${data.scheduled.id}`);
+        expect((await res.json()).scheduled).toMatchObject({ status: 'scheduled', attempts: 1, error: expect.stringMatching(/JSON/) });
+      }
+    });
+
+    it('should requeue messages left sending', async () => {
+      const { data } = await schedule();
+      const key = `scheduled:${data.scheduled.id}`;
+      const stuck = { ...await env.VERIFY_STORE.get(key), status: 'sending', attempts: 1, claimedAt: new Date().toISOString() };
+      await env.VERIFY_STORE.put(key, stuck);
+
+      const waiting = await processScheduledMessages(env.VERIFY_STORE, env, inTwoMinutes());
+      expect(waiting).toMatchObject({ retrying: 0, nextSendAt: new Date(Date.parse(stuck.claimedAt) + SENDING_TIMEOUT * 1000).toISOString() });
+
+      const later = Date.now() + (SENDING_TIMEOUT + 60) * 1000;
+      expect(await processScheduledMessages(env.VERIFY_STORE, env, later)).toMatchObject({ retrying: 1 });
+      expect(await env.VERIFY_STORE.get(key)).toMatchObject({ status: 'scheduled', attempts: 1, error: 'Send did not finish' });
+
+      expect(await processScheduledMessages(env.VERIFY_STORE, env, later + 2 * 60 * 1000)).toMatchObject({ sent: 1 });
+    });
+
+    it('should send each message once when runs overlap', async () => {
+      await schedule();
+
+      const runs = await Promise.all([
+        processScheduledMessages(env.VERIFY_STORE, env, inTwoMinutes()),
+        processScheduledMessages(env.VERIFY_STORE, env, inTwoMinutes())
+      ]);
+      expect(runs.map(run => run.sent).sort()).toEqual([0, 1]);
+      expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave scheduled SMS to the scheduler object when it is bound', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      try {
+        await schedule();
+        vi.setSystemTime(inTwoMinutes());
+
+        const waits = [];
+        const ctx = { waitUntil: (promise) => waits.push(promise) };
+        await worker.scheduled({}, { ...env, SMS_SCHEDULER: {} }, ctx);
+        await Promise.all(waits);
+        expect(globalThis.fetch).not.toHaveBeenCalled();
+
+        await worker.scheduled({}, env, ctx);
+        await Promise.all(waits);
+        expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should check the number when scheduling', async () => {
+      const { res, data } = await schedule({ phoneNumber: '+1555' });
+      expect(res.status).toBe(400);
+      expect(data.error).toMatch(/Invalid phone number/);
+    });
+  });
+});
@@ -60,12 +60,12 @@ describe('SMS Verification API Server', () => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'X-API-Key': 'sms_1234567890abcdef1234567890abcdef'
+          'X-API-Key': globalThis.env.API_KEY
         },
         body: JSON.stringify({
           phoneNumber: '+1234567890'
         })
-      });
+      }, { API_KEY: globalThis.env.API_KEY });
       
       // Should not be 401 (unauthorized) - might be 500 due to missing AWS credentials
       expect(res.status).not.toBe(401);
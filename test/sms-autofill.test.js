@@ -0,0 +1,90 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { circuitBreakers } from '../src/providers/failover.js';
+import { renderTemplate } from '../src/message-templates.js';
+import { AutofillError, appendAutofill, parseSmsAutofill, resolveAutofill } from '../src/sms-autofill.js';
+
+describe('SMS Autofill', () => {
+  const registry = parseSmsAutofill(JSON.stringify({
+    tenants: { default: { domains: ['Acme.com', 'staging.acme.com'], appHashes: ['FA+9qCX9VSu'] } }
+  }));
+
+  describe('resolveAutofill', () => {
+    it('should use the first registered domain and app hash', () => {
+      expect(resolveAutofill(registry, 'default')).toEqual({ domain: 'acme.com', appHash: 'FA+9qCX9VSu' });
+      expect(resolveAutofill(registry, 'default', { autofillDomain: 'STAGING.acme.com' }).domain).toBe('staging.acme.com');
+      expect(resolveAutofill(registry, 'default', { autofill: false })).toBeNull();
+      expect(resolveAutofill(registry, 'globex')).toBeNull();
+    });
+
+    it('should refuse values the tenant has not registered', () => {
+      expect(() => resolveAutofill(registry, 'default', { autofillDomain: 'evil.com' })).toThrow(AutofillError);
+      expect(() => resolveAutofill(registry, 'default', { appHash: 'AAAAAAAAAAA' })).toThrow(AutofillError);
+      expect(() => resolveAutofill(registry, 'globex', { autofill: true })).toThrow(AutofillError);
+    });
+
+    it('should validate registered domains and app hashes', () => {
+      expect(() => parseSmsAutofill({ tenants: { acme: { appHashes: ['too-short'] } } })).toThrow();
+      expect(() => parseSmsAutofill({ tenants: { acme: { domains: ['https://acme.com'] } } })).toThrow();
+    });
+  });
+
+  describe('appendAutofill', () => {
+    it('should end with the WebOTP line after the app hash', () => {
+      const template = appendAutofill('Your code is {code}.\n', { domain: 'acme.com', appHash: 'FA+9qCX9VSu', code: '1234 5678' });
+      expect(renderTemplate(template, { code: '1234 5678' })).toBe('Your code is 1234 5678.\n\nFA+9qCX9VSu\n@acme.com #12345678');
+      expect(appendAutofill('{code}', { appHash: 'FA+9qCX9VSu', code: '1' })).toBe('{code}\n\nFA+9qCX9VSu');
+    });
+  });
+
+  describe('API', () => {
+    let env;
+
+    beforeEach(() => {
+      circuitBreakers.reset();
+      env = {
+        API_KEY: 'test-api-key',
+        AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+        AWS_SECRET_ACCESS_KEY: 'secret',
+        SMS_AUTOFILL: JSON.stringify({ tenants: { default: { domains: ['acme.com'], appHashes: ['FA+9qCX9VSu'] } } }),
+        VERIFY_STORE: new MemoryStore()
+      };
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(
+        '<PublishResponse><PublishResult><MessageId>sns-msg-1</MessageId></PublishResult></PublishResponse>',
+        { status: 200 }
+      ));
+    });
+
+    const send = (body) => app.request('/api/send', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+      body: JSON.stringify({ phoneNumber: '+14155552671', code: '482913', ...body })
+    }, env);
+
+    const sentMessage = () => new URL(globalThis.fetch.mock.calls[0][0]).searchParams.get('Message');
+
+    it('should add the autofill lines for registered tenants', async () => {
+      const res = await send({});
+      expect(res.status).toBe(200);
+      expect((await res.json()).autofill).toEqual({ domain: 'acme.com', appHash: 'FA+9qCX9VSu' });
+      expect(sentMessage()).toBe('Your verification code is: 482913.\n\nFA+9qCX9VSu\n@acme.com #482913');
+    });
+
+    it('should leave the lines out on request', async () => {
+      const res = await send({ autofill: false });
+      expect((await res.json()).autofill).toBeUndefined();
+      expect(sentMessage()).toBe('Your verification code is: 482913.');
+    });
+
+    it('should refuse unregistered domains and texts longer than one segment', async () => {
+      let res = await send({ autofillDomain: 'evil.com' });
+      expect(res.status).toBe(400);
+
+      res = await send({ messageTemplate: `{code} ${'x'.repeat(130)}` });
+      expect(res.status).toBe(422);
+      expect((await res.json()).issues[0].code).toBe('multiple_segments');
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { circuitBreakers } from '../src/providers/failover.js';
+import { createApiKey } from '../src/api-keys.js';
+import { createBatchJob, getBatchJob, maxAsyncRecipients, resolveBatchPolicy, runBatch } from '../src/sms-batch.js';
+
+describe('Batch SMS', () => {
+  describe('runBatch', () => {
+    it('should bound concurrency and keep results in order', async () => {
+      let inFlight = 0;
+      let peak = 0;
+      const send = async ({ phoneNumber }) => {
+        inFlight += 1;
+        peak = Math.max(peak, inFlight);
+        await new Promise(resolve => setTimeout(resolve, phoneNumber.endsWith('1') ? 20 : 1));
+        inFlight -= 1;
+        if (phoneNumber.endsWith('3')) throw new Error('boom');
+        return { success: true, messageId: `msg-${phoneNumber}` };
+      };
+
+      const recipients = ['+1001', '+1002', '+1003', '+1004', '+1005'].map(phoneNumber => ({ phoneNumber }));
+      const results = await runBatch(recipients, send, { concurrency: 2, messagesPerSecond: 1000 });
+
+      expect(peak).toBe(2);
+      expect(results.map(result => result.phoneNumber)).toEqual(recipients.map(recipient => recipient.phoneNumber));
+      expect(results[0]).toEqual({ index: 0, phoneNumber: '+1001', success: true, messageId: 'msg-+1001' });
+      expect(results[2]).toEqual({ index: 2, phoneNumber: '+1003', success: false, errorCode: 'internal_error', error: 'boom' });
+    });
+
+    it('should space sends to the rate limit', async () => {
+      const started = [];
+      const recipients = Array.from({ length: 4 }, (_, i) => ({ phoneNumber: `+100${i}` }));
+      await runBatch(recipients, async () => {
+        started.push(Date.now());
+        return { success: true };
+      }, { concurrency: 4, messagesPerSecond: 50 });
+
+      expect(started[3] - started[0]).toBeGreaterThanOrEqual(55);
+    });
+  });
+
+  describe('resolveBatchPolicy', () => {
+    it('should merge configuration over the defaults', () => {
+      expect(resolveBatchPolicy('{"concurrency":2}')).toEqual({ maxRecipients: 1000, syncLimit: 100, concurrency: 2, messagesPerSecond: 20 });
+      expect(() => resolveBatchPolicy({ concurrency: 0 })).toThrow();
+    });
+
+    it('should cap async batches at what the rate sends in the background', () => {
+      expect(maxAsyncRecipients(resolveBatchPolicy())).toBe(400);
+      expect(maxAsyncRecipients(resolveBatchPolicy({ messagesPerSecond: 1000 }))).toBe(1000);
+    });
+  });
+
+  describe('API', () => {
+    let env;
+
+    beforeEach(() => {
+      circuitBreakers.reset();
+      env = {
+        API_KEY: 'test-api-key',
+        AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+        AWS_SECRET_ACCESS_KEY: 'secret',
+        SMS_BATCH: JSON.stringify({ syncLimit: 3, messagesPerSecond: 1000 }),
+        VERIFY_STORE: new MemoryStore()
+      };
+      let count = 0;
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response(
+        `<PublishResponse><PublishResult><MessageId>sns-msg-${++count}</MessageId></PublishResult></PublishResponse>`,
+        { status: 200 }
+      ));
+    });
+
+    const sendBatch = (body) => app.request('/api/sms/batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+      body: JSON.stringify({ message: 'Hi {name}, order {order} has shipped', ...body })
+    }, env);
+
+    it('should send with per-recipient variables and results', async () => {
+      const res = await sendBatch({
+        recipients: [
+          { phoneNumber: '+14155552671', variables: { name: 'Ana', order: 'A-1001' } },
+          { phoneNumber: '+14155552672', variables: { name: 'Ben' } },
+          { phoneNumber: '+1555', variables: { name: 'Cy', order: 3 } }
+        ]
+      });
+      const data = await res.json();
+
+      expect(res.status).toBe(200);
+      expect(data).toMatchObject({ success: true, total: 3, sent: 1, failed: 2 });
+      expect(data.results[0]).toMatchObject({ index: 0, success: true, messageId: 'sns-msg-1', phoneNumber: '+14155552671' });
+      expect(data.results[1]).toMatchObject({ success: false, errorCode: 'missing_variables', error: 'Missing variables: order' });
+      expect(data.results[2]).toMatchObject({ success: false, errorCode: 'invalid_phone_number' });
+
+      expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+      const message = new URL(globalThis.fetch.mock.calls[0][0]).searchParams.get('Message');
+      expect(message).toBe('Hi Ana, order A-1001 has shipped');
+    });
+
+    it('should report refused destinations with their error code', async () => {
+      const { key } = await createApiKey(env.VERIFY_STORE, { tenantId: 'acme', scopes: ['sms'], config: { allowedCountries: ['US'] } });
+
+      const res = await app.request('/api/sms/batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': key },
+        body: JSON.stringify({
+          message: 'Hello',
+          recipients: [{ phoneNumber: '+447400123456' }]
+        })
+      }, env);
+      const data = await res.json();
+
+      expect(data.results[0]).toMatchObject({ success: false, errorCode: 'country_not_allowed', error: 'Destination country not allowed' });
+    });
+
+    it('should require async mode above the sync limit', async () => {
+      const recipients = Array.from({ length: 4 }, (_, i) => ({ phoneNumber: `+1415555267${i}`, variables: { name: 'A', order: i } }));
+
+      const res = await sendBatch({ recipients });
+      expect(res.status).toBe(400);
+      expect((await res.json()).error).toBe('Batch too large to send synchronously');
+    });
+
+    it('should run async batches as jobs with progress', async () => {
+      const recipients = Array.from({ length: 4 }, (_, i) => ({ phoneNumber: `+1415555267${i}`, variables: { name: 'A', order: i } }));
+
+      const res = await sendBatch({ recipients, async: true });
+      const { job } = await res.json();
+      expect(res.status).toBe(202);
+      expect(job).toMatchObject({ status: 'queued', total: 4, processed: 0 });
+
+      const progress = await app.request(`/api/sms/batch/${job.id}`, { headers: { 'X-API-Key': 'test-api-key' } }, env);
+      const data = await progress.json();
+      expect(data.job).toMatchObject({ status: 'completed', total: 4, processed: 4, sent: 4, failed: 0 });
+      expect(data.job.results.map(result => result.messageId)).toHaveLength(4);
+      expect(data.job.tenantId).toBeUndefined();
+    });
+
+    it('should refuse async batches too large to finish in the background', async () => {
+      env.SMS_BATCH = JSON.stringify({ syncLimit: 3, messagesPerSecond: 0.25 });
+      const recipients = Array.from({ length: 6 }, (_, i) => ({ phoneNumber: `+1415555267${i}`, variables: { name: 'A', order: i } }));
+
+      const res = await sendBatch({ recipients, async: true });
+      expect(res.status).toBe(400);
+      expect(await res.json()).toMatchObject({ error: 'Batch too large to send in the background', details: expect.stringContaining('limited to 5 recipients') });
+    });
+
+    it('should fail jobs left running past their time', async () => {
+      const store = env.VERIFY_STORE;
+      const job = await createBatchJob(store, { tenantId: 'default', apiKeyId: 'env:API_KEY', total: 2 });
+      job.status = 'running';
+      await store.put(`batch:${job.id}`, job);
+
+      expect((await getBatchJob(store, job.id)).status).toBe('running');
+      const later = Date.now() + 10 * 60 * 1000;
+      expect(await getBatchJob(store, job.id, later)).toMatchObject({ status: 'failed', error: 'Job stopped before every recipient was sent' });
+
+      const res = await app.request(`/api/sms/batch/${job.id}`, { headers: { 'X-API-Key': 'test-api-key' } }, env);
+      expect((await res.json()).job.status).toBe('failed');
+    });
+
+    it('should not show other tenants their jobs', async () => {
+      const res = await sendBatch({ recipients: [{ phoneNumber: '+14155552671', variables: { name: 'A', order: 1 } }], async: true });
+      const { job } = await res.json();
+
+      const { key } = await createApiKey(env.VERIFY_STORE, { tenantId: 'globex', scopes: ['sms'] });
+      const other = await app.request(`/api/sms/batch/${job.id}`, { headers: { 'X-API-Key': key } }, env);
+      expect(other.status).toBe(404);
+    });
+  });
+});
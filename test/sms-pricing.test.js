@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { estimateSms, resolveSmsPricing } from '../src/sms-pricing.js';
+
+describe('SMS Pricing', () => {
+  const pricing = resolveSmsPricing('{"currency":"eur","defaultPrice":0.05,"countries":{"us":0.0079,"GB":0.0463}}');
+
+  describe('resolveSmsPricing', () => {
+    it('should normalize country and currency codes', () => {
+      expect(pricing).toEqual({ currency: 'EUR', defaultPrice: 0.05, countries: { US: 0.0079, GB: 0.0463 } });
+      expect(resolveSmsPricing(undefined)).toEqual({ currency: 'USD', defaultPrice: null, countries: {} });
+    });
+
+    it('should reject negative prices', () => {
+      expect(() => resolveSmsPricing({ countries: { US: -1 } })).toThrow();
+    });
+  });
+
+  describe('estimateSms', () => {
+    it('should price each destination by country and segments', () => {
+      const { estimates, totals } = estimateSms({
+        phoneNumbers: ['+14155552671', '+447400123456', '+5511987654321', '+1555'],
+        message: 'x'.repeat(200),
+        pricing
+      });
+
+      expect(estimates.map(({ country, segments, price }) => ({ country, segments, price }))).toEqual([
+        { country: 'US', segments: 2, price: 0.0158 },
+        { country: 'GB', segments: 2, price: 0.0926 },
+        { country: 'BR', segments: 2, price: 0.1 },
+        { country: undefined, segments: 2, price: null }
+      ]);
+      expect(estimates[1].numberType).toBe('MOBILE');
+      expect(estimates[3].valid).toBe(false);
+      expect(totals).toMatchObject({ messages: 4, segments: 6, price: 0.2084, currency: 'EUR', invalid: 1, unpriced: 0 });
+      expect(totals.byCountry.GB).toEqual({ messages: 1, segments: 2, price: 0.0926 });
+    });
+
+    it('should leave countries without a price unpriced', () => {
+      const { estimates, totals } = estimateSms({
+        phoneNumbers: ['+14155552671', '+5511987654321'],
+        message: 'Olá – oferta',
+        pricing: resolveSmsPricing({ countries: { US: 0.0079 } })
+      });
+
+      expect(estimates[0]).toMatchObject({ encoding: 'UCS-2', segments: 1, price: 0.0079 });
+      expect(estimates[1].price).toBeNull();
+      expect(totals).toMatchObject({ price: 0.0079, unpriced: 1 });
+    });
+
+    it('should report premium-rate and shared-cost destinations', () => {
+      const { estimates } = estimateSms({ phoneNumbers: ['+33899123456', '+33810123456'], message: 'Hi', pricing });
+
+      expect(estimates.map(({ country, numberType }) => ({ country, numberType }))).toEqual([
+        { country: 'FR', numberType: 'PREMIUM_RATE' },
+        { country: 'FR', numberType: 'SHARED_COST' }
+      ]);
+    });
+  });
+
+  describe('API', () => {
+    let env;
+
+    beforeEach(() => {
+      env = {
+        API_KEY: 'test-api-key',
+        SMS_PRICING: JSON.stringify({ countries: { US: 0.0079 } }),
+        VERIFY_STORE: new MemoryStore()
+      };
+      vi.spyOn(globalThis, 'fetch');
+    });
+
+    it('should estimate without calling a provider', async () => {
+      const res = await app.request('/api/sms/estimate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+        body: JSON.stringify({ phoneNumbers: ['+14155552671'], message: 'Sale starts tomorrow ✨' })
+      }, env);
+
+      expect(res.status).toBe(200);
+      expect(await res.json()).toMatchObject({
+        encoding: 'UCS-2',
+        segments: 1,
+        nonGsmCharacters: ['✨'],
+        totals: { messages: 1, price: 0.0079, currency: 'USD' }
+      });
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { circuitBreakers } from '../src/providers/failover.js';
+import {
+  getCountryLocale,
+  localeChain,
+  normalizeLocale,
+  parseAcceptLanguage,
+  parseSmsTemplates,
+  resolveSmsTemplate
+} from '../src/sms-templates.js';
+
+describe('SMS Templates', () => {
+  describe('locales', () => {
+    it('should normalize locales and build fallback chains', () => {
+      expect(normalizeLocale('pt_br')).toBe('pt-BR');
+      expect(normalizeLocale('ZH-hant-tw')).toBe('zh-Hant-TW');
+      expect(localeChain('pt-BR')).toEqual(['pt-BR', 'pt']);
+      expect(localeChain('zh-Hant-TW')).toEqual(['zh-Hant-TW', 'zh-Hant', 'zh']);
+    });
+
+    it('should order Accept-Language by quality', () => {
+      expect(parseAcceptLanguage('fr;q=0.5, de-CH, en;q=0.8, *;q=0.1, es;q=0')).toEqual(['de-CH', 'en', 'fr']);
+      expect(parseAcceptLanguage(undefined)).toEqual([]);
+    });
+
+    it('should map destination countries to locales', () => {
+      expect(getCountryLocale('+5511987654321')).toBe('pt-BR');
+      expect(getCountryLocale('+886912345678')).toBe('zh-Hant-TW');
+      expect(getCountryLocale('+14155552671')).toBeUndefined();
+      expect(getCountryLocale('not a number')).toBeUndefined();
+    });
+  });
+
+  describe('resolveSmsTemplate', () => {
+    it('should fall back from the phone country through the language to English', () => {
+      expect(resolveSmsTemplate({}, { phoneNumber: '+5511987654321' })).toEqual({
+        template: 'Seu código de verificação é: {code}.',
+        locale: 'pt-BR'
+      });
+      expect(resolveSmsTemplate({}, { phoneNumber: '+351912345678' }).locale).toBe('pt');
+      expect(resolveSmsTemplate({}, { phoneNumber: '+886912345678' }).locale).toBe('zh-Hant');
+      expect(resolveSmsTemplate({}, { phoneNumber: '+14155552671' })).toEqual({
+        template: 'Your verification code is: {code}.',
+        locale: 'en'
+      });
+    });
+
+    it('should prefer an explicit locale, then Accept-Language, then the phone country', () => {
+      const phoneNumber = '+5511987654321';
+      expect(resolveSmsTemplate({}, { locale: 'de-AT', acceptLanguage: 'fr', phoneNumber }).locale).toBe('de');
+      expect(resolveSmsTemplate({}, { acceptLanguage: 'xx, fr-CA;q=0.9', phoneNumber }).locale).toBe('fr');
+      expect(resolveSmsTemplate({}, { locale: 'xx', phoneNumber }).locale).toBe('pt-BR');
+    });
+
+    it('should apply tenant and global overrides at each step of the chain', () => {
+      const registry = parseSmsTemplates(JSON.stringify({
+        templates: { pt: 'Código: {code}' },
+        tenants: { acme: { templates: { 'pt-br': 'Acme: {code}' } } }
+      }));
+
+      expect(resolveSmsTemplate(registry, { tenantId: 'acme', locale: 'pt-BR' }).template).toBe('Acme: {code}');
+      // The built-in pt-BR template is more specific than the global pt override
+      expect(resolveSmsTemplate(registry, { tenantId: 'globex', locale: 'pt-BR' }).template).toBe('Seu código de verificação é: {code}.');
+      expect(resolveSmsTemplate(registry, { tenantId: 'globex', locale: 'pt-PT' }).template).toBe('Código: {code}');
+    });
+
+    it('should reject templates without a code placeholder', () => {
+      expect(() => parseSmsTemplates('{"templates":{"en":"Hello"}}')).toThrow();
+    });
+  });
+
+  describe('API', () => {
+    let env;
+
+    beforeEach(() => {
+      circuitBreakers.reset();
+      env = {
+        API_KEY: 'test-api-key',
+        AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+        AWS_SECRET_ACCESS_KEY: 'secret',
+        SMS_TEMPLATES: JSON.stringify({ tenants: { default: { templates: { es: 'Código de Acme: {code}' } } } }),
+        VERIFY_STORE: new MemoryStore()
+      };
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(
+        '<PublishResponse><PublishResult><MessageId>sns-msg-1</MessageId></PublishResult></PublishResponse>',
+        { status: 200 }
+      ));
+    });
+
+    const send = (body, headers = {}) => app.request('/api/send', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key', ...headers },
+      body: JSON.stringify({ code: '482913', ...body })
+    }, env);
+
+    const sentMessage = () => new URL(globalThis.fetch.mock.calls[0][0]).searchParams.get('Message');
+
+    it('should send in the language of the destination country', async () => {
+      const res = await send({ phoneNumber: '+5511987654321' });
+      expect(res.status).toBe(200);
+      expect((await res.json()).locale).toBe('pt-BR');
+      expect(sentMessage()).toBe('Seu código de verificação é: 482913.');
+    });
+
+    it('should follow Accept-Language and tenant overrides', async () => {
+      const res = await send({ phoneNumber: '+14155552671' }, { 'Accept-Language': 'es-MX,en;q=0.5' });
+      expect((await res.json()).locale).toBe('es');
+      expect(sentMessage()).toBe('Código de Acme: 482913');
+    });
+
+    it('should keep explicit templates as they are', async () => {
+      const res = await send({ phoneNumber: '+5511987654321', messageTemplate: 'Code {code}' });
+      expect((await res.json()).locale).toBeUndefined();
+      expect(sentMessage()).toBe('Code 482913');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { circuitBreakers } from '../src/providers/failover.js';
+import { isSmsSandboxError } from '../src/sns.js';
+
+const snsError = (code, message, status = 400) => new Response(
+  `<ErrorResponse><Error><Type>Sender</Type><Code>${code}</Code><Message>${message}</Message></Error></ErrorResponse>`,
+  { status }
+);
+
+describe('SNS SMS Sandbox', () => {
+  let env;
+  let sandbox;
+
+  beforeEach(() => {
+    circuitBreakers.reset();
+    sandbox = new Map([['+14155552671', 'Verified']]);
+    env = {
+      API_KEY: 'test-api-key',
+      AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+      AWS_SECRET_ACCESS_KEY: 'secret',
+      SMS_RETRY: JSON.stringify({ maxAttempts: 1 }),
+      VERIFY_STORE: new MemoryStore()
+    };
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+      const params = new URL(url).searchParams;
+      const phoneNumber = params.get('PhoneNumber');
+      switch (params.get('Action')) {
+        case 'GetSMSSandboxAccountStatus':
+          return new Response('<GetSMSSandboxAccountStatusResponse><GetSMSSandboxAccountStatusResult><IsInSandbox>true</IsInSandbox></GetSMSSandboxAccountStatusResult></GetSMSSandboxAccountStatusResponse>');
+        case 'ListSMSSandboxPhoneNumbers':
+          return new Response(`<ListSMSSandboxPhoneNumbersResponse><ListSMSSandboxPhoneNumbersResult><PhoneNumbers>${
+            [...sandbox].map(([number, status]) => `<member><PhoneNumber>${number}</PhoneNumber><Status>${status}</Status></member>`).join('')
+          }</PhoneNumbers></ListSMSSandboxPhoneNumbersResult></ListSMSSandboxPhoneNumbersResponse>`);
+        case 'CreateSMSSandboxPhoneNumber':
+          sandbox.set(phoneNumber, 'Pending');
+          return new Response('<CreateSMSSandboxPhoneNumberResponse><CreateSMSSandboxPhoneNumberResult/></CreateSMSSandboxPhoneNumberResponse>');
+        case 'VerifySMSSandboxPhoneNumber':
+          if (params.get('OneTimePassword') !== '424242') return snsError('VerificationException', 'Invalid one-time password');
+          sandbox.set(phoneNumber, 'Verified');
+          return new Response('<VerifySMSSandboxPhoneNumberResponse><VerifySMSSandboxPhoneNumberResult/></VerifySMSSandboxPhoneNumberResponse>');
+        case 'DeleteSMSSandboxPhoneNumber':
+          if (!sandbox.delete(phoneNumber)) return snsError('ResourceNotFound', 'Phone number not found', 404);
+          return new Response('<DeleteSMSSandboxPhoneNumberResponse><DeleteSMSSandboxPhoneNumberResult/></DeleteSMSSandboxPhoneNumberResponse>');
+        case 'Publish':
+          if (sandbox.get(phoneNumber) !== 'Verified') {
+            return snsError('AuthorizationError', 'No permission to send SMS to this phone number while the account is in the SMS sandbox', 403);
+          }
+          return new Response('<PublishResponse><PublishResult><MessageId>sns-msg-1</MessageId></PublishResult></PublishResponse>');
+      }
+    });
+  });
+
+  const request = (method, path, body) => app.request(path, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+    body: body && JSON.stringify(body)
+  }, env);
+
+  it('should recognize sandbox refusals', () => {
+    expect(isSmsSandboxError('AuthorizationError', 'SNS Request failed: AuthorizationError: Account is in the SMS sandbox')).toBe(true);
+    expect(isSmsSandboxError('AuthorizationError', 'User is not authorized to perform: SNS:Publish')).toBe(false);
+    expect(isSmsSandboxError('Throttling', 'Rate exceeded')).toBe(false);
+  });
+
+  it('should explain sends to numbers outside the sandbox', async () => {
+    const res = await request('POST', '/api/send', { phoneNumber: '+14155552672' });
+    const data = await res.json();
+
+    expect(res.status).toBe(400);
+    expect(data).toMatchObject({ errorCode: 'sns_sandbox_unverified', error: 'Destination is not verified in the SNS SMS sandbox' });
+    expect(data.details).toMatch(/\/api\/admin\/sns\/sandbox\/phone-numbers/);
+
+    const sms = await request('POST', '/api/sms', { phoneNumber: '+14155552672', message: 'Hello' });
+    expect((await sms.json()).errorCode).toBe('sns_sandbox_unverified');
+
+    expect((await request('POST', '/api/send', { phoneNumber: '+14155552671' })).status).toBe(200);
+  });
+
+  it('should add, verify and remove sandbox numbers', async () => {
+    expect(await (await request('GET', '/api/admin/sns/sandbox')).json()).toEqual({ success: true, region: 'us-east-1', inSandbox: true });
+
+    const added = await request('POST', '/api/admin/sns/sandbox/phone-numbers', { phoneNumber: '+1 415 555 2672', languageCode: 'de-DE' });
+    expect(await added.json()).toEqual({ success: true, phoneNumber: '+14155552672' });
+    const create = new URL(globalThis.fetch.mock.calls[1][0]).searchParams;
+    expect(create.get('LanguageCode')).toBe('de-DE');
+
+    const wrong = await request('POST', '/api/admin/sns/sandbox/phone-numbers/verify', { phoneNumber: '+14155552672', oneTimePassword: '000000' });
+    expect(wrong.status).toBe(400);
+
+    await request('POST', '/api/admin/sns/sandbox/phone-numbers/verify', { phoneNumber: '+14155552672', oneTimePassword: '424242' });
+    const list = await (await request('GET', '/api/admin/sns/sandbox/phone-numbers')).json();
+    expect(list.phoneNumbers).toEqual([
+      { phoneNumber: '+14155552671', status: 'Verified' },
+      { phoneNumber: '+14155552672', status: 'Verified' }
+    ]);
+    expect((await request('POST', '/api/sms', { phoneNumber: '+14155552672', message: 'Hello' })).status).toBe(200);
+
+    expect((await request('POST', '/api/admin/sns/sandbox/phone-numbers/delete', { phoneNumber: '+14155552672' })).status).toBe(200);
+    expect((await request('POST', '/api/admin/sns/sandbox/phone-numbers/delete', { phoneNumber: '+14155552672' })).status).toBe(404);
+  });
+
+  it('should reject unknown languages and invalid numbers', async () => {
+    expect((await request('POST', '/api/admin/sns/sandbox/phone-numbers', { phoneNumber: '+14155552672', languageCode: 'xx-XX' })).status).toBe(400);
+    expect((await request('POST', '/api/admin/sns/sandbox/phone-numbers', { phoneNumber: '+1555' })).status).toBe(400);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+});
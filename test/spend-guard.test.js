@@ -0,0 +1,179 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { circuitBreakers } from '../src/providers/failover.js';
+import { processScheduledMessages } from '../src/scheduled-sms.js';
+import { resolveSmsPricing } from '../src/sms-pricing.js';
+import { checkSpendGuard, getSpendStatus, recordSpend, resolveSpendGuard, saveSnsSpendLimit } from '../src/spend-guard.js';
+
+describe('Spend Guard', () => {
+  describe('spend tracking', () => {
+    const pricing = resolveSmsPricing({ countries: { US: 0.01, GB: 0.04 } });
+    const now = Date.parse('2026-10-19T12:00:00Z');
+
+    it('should add up priced SNS sends per region and month', async () => {
+      const store = new MemoryStore();
+      await recordSpend(store, { phoneNumber: '+14155552671', segments: 2, provider: 'sns:us-east-1' }, pricing, now);
+      await recordSpend(store, { phoneNumber: '+447400123456', segments: 1, provider: 'sns' }, pricing, now);
+      await recordSpend(store, { phoneNumber: '+4915112345678', segments: 1, provider: 'sns' }, pricing, now);
+      await recordSpend(store, { phoneNumber: '+14155552671', segments: 1, provider: 'twilio' }, pricing, now);
+      await recordSpend(store, { phoneNumber: '+447400123456', segments: 3, provider: 'sns:eu-west-1' }, pricing, now);
+
+      expect(await getSpendStatus(store, resolveSpendGuard(), { now })).toEqual({
+        region: 'us-east-1',
+        month: '2026-10',
+        spent: 0.06,
+        messages: 2,
+        monthlyLimit: null,
+        pauseAt: 0.9,
+        paused: false
+      });
+      expect(await getSpendStatus(store, resolveSpendGuard(), { region: 'eu-west-1', now })).toMatchObject({ spent: 0.12, messages: 1 });
+      expect((await getSpendStatus(store, resolveSpendGuard(), { now: Date.parse('2026-11-01T00:00:00Z') })).spent).toBe(0);
+    });
+
+    it('should pause at the share of the limit until the month ends', async () => {
+      const store = new MemoryStore();
+      const guard = resolveSpendGuard('{"pauseAt":0.5,"monthlyLimit":0.1}');
+      await recordSpend(store, { phoneNumber: '+447400123456', segments: 1, provider: 'sns' }, pricing, now);
+
+      expect(await checkSpendGuard(store, guard, { now })).toEqual({ allowed: true });
+      await recordSpend(store, { phoneNumber: '+14155552671', segments: 1, provider: 'sns' }, pricing, now);
+      expect(await checkSpendGuard(store, guard, { now })).toEqual({ allowed: false, retryAfter: 12 * 24 * 60 * 60 + 12 * 60 * 60 });
+      expect(() => resolveSpendGuard({ pauseAt: 1.5 })).toThrow();
+    });
+
+    it('should hold each region to its own limit', async () => {
+      const store = new MemoryStore();
+      const guard = resolveSpendGuard();
+      await saveSnsSpendLimit(store, 'us-east-1', 0.1);
+      await saveSnsSpendLimit(store, 'eu-west-1', 1);
+      await recordSpend(store, { phoneNumber: '+447400123456', segments: 3, provider: 'sns:eu-west-1' }, pricing, now);
+
+      expect(await checkSpendGuard(store, guard, { region: 'us-east-1', now })).toEqual({ allowed: true });
+      expect((await checkSpendGuard(store, guard, { region: 'eu-west-1', now })).allowed).toBe(true);
+
+      await recordSpend(store, { phoneNumber: '+447400123456', segments: 3, provider: 'sns:us-east-1' }, pricing, now);
+      expect((await checkSpendGuard(store, guard, { region: 'us-east-1', now })).allowed).toBe(false);
+      expect((await checkSpendGuard(store, guard, { region: 'eu-west-1', now })).allowed).toBe(true);
+    });
+  });
+
+  describe('API', () => {
+    let env;
+    let attributes;
+
+    beforeEach(() => {
+      circuitBreakers.reset();
+      attributes = { MonthlySpendLimit: '1', DefaultSMSType: 'Promotional' };
+      env = {
+        API_KEY: 'test-api-key',
+        AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+        AWS_SECRET_ACCESS_KEY: 'secret',
+        SMS_RETRY: JSON.stringify({ maxAttempts: 1 }),
+        SMS_PRICING: JSON.stringify({ defaultPrice: 0.5 }),
+        VERIFY_STORE: new MemoryStore()
+      };
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+        const params = new URL(url).searchParams;
+        switch (params.get('Action')) {
+          case 'GetSMSAttributes':
+            return new Response(`<GetSMSAttributesResponse><GetSMSAttributesResult><attributes>${
+              Object.entries(attributes).map(([key, value]) => `<entry><key>${key}</key><value>${value}</value></entry>`).join('')
+            }</attributes></GetSMSAttributesResult></GetSMSAttributesResponse>`);
+          case 'SetSMSAttributes':
+            for (let i = 1; params.has(`attributes.entry.${i}.key`); i++) {
+              attributes[params.get(`attributes.entry.${i}.key`)] = params.get(`attributes.entry.${i}.value`);
+            }
+            return new Response('<SetSMSAttributesResponse><SetSMSAttributesResult/></SetSMSAttributesResponse>');
+          default:
+            return new Response('<PublishResponse><PublishResult><MessageId>sns-msg-1</MessageId></PublishResult></PublishResponse>');
+        }
+      });
+    });
+
+    const request = (method, path, body) => app.request(path, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+      body: body && JSON.stringify(body)
+    }, env);
+
+    const publishes = () => globalThis.fetch.mock.calls.filter(([url]) => new URL(url).searchParams.get('Action') === 'Publish');
+
+    it('should read and change SMS attributes', async () => {
+      const read = await (await request('GET', '/api/admin/sns/sms-attributes')).json();
+      expect(read).toEqual({ success: true, region: 'us-east-1', attributes: { monthlySpendLimit: 1, defaultSmsType: 'Promotional' } });
+
+      const changed = await request('POST', '/api/admin/sns/sms-attributes?region=eu-west-1', { monthlySpendLimit: 500, defaultSenderId: 'MyApp' });
+      expect(await changed.json()).toMatchObject({ region: 'eu-west-1', attributes: { monthlySpendLimit: 500, defaultSenderId: 'MyApp' } });
+      expect(new URL(globalThis.fetch.mock.calls[1][0]).host).toBe('sns.eu-west-1.amazonaws.com');
+
+      expect((await request('POST', '/api/admin/sns/sms-attributes', {})).status).toBe(400);
+      expect((await request('POST', '/api/admin/sns/sms-attributes', { defaultSenderId: 'Not a sender ID' })).status).toBe(400);
+    });
+
+    it('should pause promotional SMS near the SNS limit', async () => {
+      // Remembers the $1 limit; each message is priced at $0.50
+      await request('GET', '/api/admin/sns/sms-attributes');
+
+      const sms = (smsType) => request('POST', '/api/sms', { phoneNumber: '+14155552671', message: 'Hello', smsType });
+      expect((await sms('Promotional')).status).toBe(200);
+      expect((await sms('Transactional')).status).toBe(200);
+
+      const paused = await sms('Promotional');
+      expect(paused.status).toBe(429);
+      expect(paused.headers.get('Retry-After')).toMatch(/^\d+$/);
+      expect((await paused.json()).errorCode).toBe('spend_paused');
+
+      expect((await sms('Transactional')).status).toBe(200);
+      expect((await request('POST', '/api/send', { phoneNumber: '+14155552671' })).status).toBe(200);
+      expect(publishes()).toHaveLength(4);
+
+      const status = await (await request('GET', '/api/admin/sns/spend')).json();
+      expect(status).toMatchObject({ region: 'us-east-1', spent: 2, messages: 4, monthlyLimit: 1, paused: true });
+      const other = await (await request('GET', '/api/admin/sns/spend?region=eu-west-1')).json();
+      expect(other).toMatchObject({ region: 'eu-west-1', spent: 0, monthlyLimit: null, paused: false });
+    });
+
+    it('should check the region and provider each send is routed to', async () => {
+      env.SPEND_GUARD = JSON.stringify({ monthlyLimit: 1 });
+      env.SMS_ROUTING = JSON.stringify({ countries: { GB: 'twilio' } });
+      Object.assign(env, { TWILIO_ACCOUNT_SID: 'AC123', TWILIO_AUTH_TOKEN: 'token', TWILIO_FROM: '+15005550006' });
+      const sns = globalThis.fetch.getMockImplementation();
+      globalThis.fetch.mockImplementation(async (url, init) => (
+        new URL(url).host === 'api.twilio.com' ? Response.json({ sid: 'SM123' }) : sns(url, init)
+      ));
+      await recordSpend(env.VERIFY_STORE, { phoneNumber: '+14155552671', segments: 2, provider: 'sns:us-east-1' }, resolveSmsPricing(env.SMS_PRICING));
+
+      const sms = (phoneNumber) => request('POST', '/api/sms', { phoneNumber, message: 'Sale!', smsType: 'Promotional' });
+      expect((await sms('+14155552671')).status).toBe(429);
+      expect(await (await sms('+447400123456')).json()).toMatchObject({ success: true, provider: 'twilio' });
+
+      const { scheduled } = await (await request('POST', '/api/sms', {
+        phoneNumber: '+447400123456', message: 'Sale!', smsType: 'Promotional', delaySeconds: 60
+      })).json();
+      expect(await processScheduledMessages(env.VERIFY_STORE, env, Date.now() + 2 * 60 * 1000)).toMatchObject({ sent: 1 });
+      expect((await (await request('GET', `/api/sms/scheduled/${scheduled.id}`)).json()).scheduled.status).toBe('sent');
+
+      env.AWS_REGION = 'eu-west-1';
+      expect(await (await sms('+14155552671')).json()).toMatchObject({ success: true, provider: 'sns:eu-west-1' });
+      expect(publishes()).toHaveLength(1);
+    });
+
+    it('should hold scheduled promotional messages while paused', async () => {
+      env.SPEND_GUARD = JSON.stringify({ monthlyLimit: 0 });
+      const { scheduled } = await (await request('POST', '/api/sms', {
+        phoneNumber: '+14155552671', message: 'Sale!', smsType: 'Promotional', delaySeconds: 60
+      })).json();
+
+      const summary = await processScheduledMessages(env.VERIFY_STORE, env, Date.now() + 2 * 60 * 1000);
+      expect(summary).toMatchObject({ sent: 0, failed: 0, retrying: 1 });
+
+      const res = await request('GET', `/api/sms/scheduled/${scheduled.id}`);
+      const held = (await res.json()).scheduled;
+      expect(held).toMatchObject({ status: 'scheduled', attempts: 0 });
+      expect(Date.parse(held.sendAt) - Date.now()).toBeGreaterThan(59 * 60 * 1000);
+      expect(publishes()).toHaveLength(0);
+    });
+  });
+});
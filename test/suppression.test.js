@@ -0,0 +1,215 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { circuitBreakers } from '../src/providers/failover.js';
+import { createApiKey } from '../src/api-keys.js';
+import { processScheduledMessages } from '../src/scheduled-sms.js';
+import {
+  addSuppression,
+  getSuppression,
+  parseSuppressionCsv,
+  parseSuppressionRules,
+  resolveSuppressionRules,
+  suppressionsToCsv
+} from '../src/suppression.js';
+
+describe('Suppression Lists', () => {
+  describe('resolveSuppressionRules', () => {
+    it('should layer tenant rules over the global ones and the defaults', () => {
+      const registry = parseSuppressionRules('{"transactional":[],"tenants":{"acme":{"verification":[]}}}');
+
+      expect(resolveSuppressionRules(registry, 'acme')).toEqual({ verification: [], transactional: [], promotional: ['all', 'promotional'] });
+      expect(resolveSuppressionRules(registry, 'globex')).toEqual({ verification: ['all'], transactional: [], promotional: ['all', 'promotional'] });
+      expect(() => parseSuppressionRules({ promotional: ['marketing'] })).toThrow();
+    });
+  });
+
+  describe('CSV', () => {
+    it('should read back what it exports', () => {
+      const csv = suppressionsToCsv([
+        { phoneNumber: '+14155552671', scope: 'all', reason: 'stop, by text', source: 'import', createdAt: '2026-10-19T12:00:00.000Z' }
+      ]);
+
+      expect(csv).toBe('phoneNumber,scope,reason,source,createdAt\n+14155552671,all,"stop, by text",import,2026-10-19T12:00:00.000Z\n');
+      expect(parseSuppressionCsv('phone\n+14155552671\n+14155552672,promotional,complaint\n')).toEqual([
+        { phoneNumber: '+14155552671', scope: 'all', reason: undefined },
+        { phoneNumber: '+14155552672', scope: 'promotional', reason: 'complaint' }
+      ]);
+    });
+  });
+
+  describe('API', () => {
+    let env;
+
+    beforeEach(() => {
+      circuitBreakers.reset();
+      env = {
+        API_KEY: 'test-api-key',
+        TEST_API_KEY: 'test-mode-key',
+        AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+        AWS_SECRET_ACCESS_KEY: 'secret',
+        SMS_RETRY: JSON.stringify({ maxAttempts: 1 }),
+        VERIFY_STORE: new MemoryStore()
+      };
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response(
+        '<PublishResponse><PublishResult><MessageId>sns-msg-1</MessageId></PublishResult></PublishResponse>',
+        { status: 200 }
+      ));
+    });
+
+    const request = (method, path, body, apiKey = 'test-api-key') => app.request(path, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+      body: body && JSON.stringify(body)
+    }, env);
+
+    it('should apply the rules for each kind of traffic', async () => {
+      await addSuppression(env.VERIFY_STORE, 'default', { phoneNumber: '+14155552671', scope: 'promotional' });
+
+      const promotional = await request('POST', '/api/sms', { phoneNumber: '+14155552671', message: 'Sale!', smsType: 'Promotional' });
+      expect(promotional.status).toBe(403);
+      expect(await promotional.json()).toMatchObject({ errorCode: 'recipient_suppressed', details: 'The recipient opted out of promotional messages' });
+
+      const transactional = await request('POST', '/api/sms', { phoneNumber: '+14155552671', message: 'Your order shipped' });
+      expect(transactional.status).toBe(200);
+
+      await addSuppression(env.VERIFY_STORE, 'default', { phoneNumber: '+14155552671', scope: 'all' });
+      const code = await request('POST', '/api/send', { phoneNumber: '+14155552671' });
+      expect(code.status).toBe(403);
+      expect((await code.json()).errorCode).toBe('recipient_suppressed');
+
+      env.SUPPRESSION_RULES = JSON.stringify({ tenants: { default: { verification: [] } } });
+      expect((await request('POST', '/api/send', { phoneNumber: '+14155552671' })).status).toBe(200);
+      expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep lists per tenant', async () => {
+      const { key } = await createApiKey(env.VERIFY_STORE, { tenantId: 'acme', scopes: ['sms'] });
+      await addSuppression(env.VERIFY_STORE, 'default', { phoneNumber: '+14155552671' });
+
+      expect((await request('POST', '/api/sms', { phoneNumber: '+14155552671', message: 'Hi' }, key)).status).toBe(200);
+    });
+
+    it('should suppress recipients the provider reports as opted out', async () => {
+      const first = await request('POST', '/api/send', { phoneNumber: '+12025550192' }, 'test-mode-key');
+      expect(first.status).toBe(400);
+      expect((await first.json()).errorCode).toBe('opted_out');
+      expect(await getSuppression(env.VERIFY_STORE, 'default', '+12025550192')).toMatchObject({ scope: 'all', reason: 'opted_out', source: 'provider' });
+
+      const second = await request('POST', '/api/sms', { phoneNumber: '+12025550192', message: 'Hi' }, 'test-mode-key');
+      expect(second.status).toBe(403);
+    });
+
+    it('should report suppressed batch recipients', async () => {
+      await addSuppression(env.VERIFY_STORE, 'default', { phoneNumber: '+14155552672' });
+
+      const res = await request('POST', '/api/sms/batch', {
+        message: 'Hello',
+        recipients: [{ phoneNumber: '+14155552671' }, { phoneNumber: '+14155552672' }]
+      });
+      const data = await res.json();
+
+      expect(data).toMatchObject({ sent: 1, failed: 1 });
+      expect(data.results[1]).toMatchObject({ success: false, errorCode: 'recipient_suppressed' });
+    });
+
+    it('should check scheduled messages when they are sent', async () => {
+      const { scheduled } = await (await request('POST', '/api/sms', { phoneNumber: '+14155552671', message: 'Reminder', delaySeconds: 60 })).json();
+      await addSuppression(env.VERIFY_STORE, 'default', { phoneNumber: '+14155552671' });
+
+      const summary = await processScheduledMessages(env.VERIFY_STORE, env, Date.now() + 2 * 60 * 1000);
+      expect(summary).toMatchObject({ sent: 0, failed: 1 });
+
+      const res = await request('GET', `/api/sms/scheduled/${scheduled.id}`);
+      expect((await res.json()).scheduled).toMatchObject({ status: 'failed', error: 'Recipient is on the suppression list' });
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should import, export and remove entries', async () => {
+      const imported = await request('POST', '/api/admin/suppressions/acme/import', {
+        entries: [{ phoneNumber: '+14155552671', scope: 'promotional', reason: 'complaint' }],
+        csv: '+14155552672\n+1555\n'
+      });
+      expect(await imported.json()).toEqual({
+        success: true,
+        imported: 2,
+        skipped: [{ phoneNumber: '+1555', error: 'Invalid phone number' }]
+      });
+
+      const list = await (await request('GET', '/api/admin/suppressions/acme?scope=promotional')).json();
+      expect(list.suppressions).toEqual([expect.objectContaining({ phoneNumber: '+14155552671', scope: 'promotional', source: 'import' })]);
+
+      const csv = await request('GET', '/api/admin/suppressions/acme?format=csv');
+      expect(csv.headers.get('Content-Type')).toMatch(/^text\/csv/);
+      expect((await csv.text()).split('\n').slice(1, 3).map(line => line.split(',')[0])).toEqual(['+14155552671', '+14155552672']);
+
+      const removed = await request('POST', '/api/admin/suppressions/acme/remove', { phoneNumbers: ['+14155552672', '+14155552673'] });
+      expect(await removed.json()).toEqual({ success: true, removed: ['+14155552672'], notFound: ['+14155552673'] });
+    });
+
+    it('should require the admin scope', async () => {
+      const { key } = await createApiKey(env.VERIFY_STORE, { tenantId: 'acme', scopes: ['sms'] });
+      expect((await request('GET', '/api/admin/suppressions/acme', undefined, key)).status).toBe(403);
+    });
+  });
+
+  describe('SNS opt-outs', () => {
+    let env;
+
+    beforeEach(() => {
+      env = {
+        API_KEY: 'test-api-key',
+        AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+        AWS_SECRET_ACCESS_KEY: 'secret',
+        VERIFY_STORE: new MemoryStore()
+      };
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
+        const params = new URL(url).searchParams;
+        switch (params.get('Action')) {
+          case 'ListPhoneNumbersOptedOut':
+            return new Response(params.get('nextToken')
+              ? '<ListPhoneNumbersOptedOutResponse><ListPhoneNumbersOptedOutResult><phoneNumbers><member>+14155552673</member></phoneNumbers></ListPhoneNumbersOptedOutResult></ListPhoneNumbersOptedOutResponse>'
+              : '<ListPhoneNumbersOptedOutResponse><ListPhoneNumbersOptedOutResult><phoneNumbers><member>+14155552671</member><member>+14155552672</member></phoneNumbers><nextToken>page-2</nextToken></ListPhoneNumbersOptedOutResult></ListPhoneNumbersOptedOutResponse>');
+          case 'CheckIfPhoneNumberIsOptedOut':
+            return new Response(`<CheckIfPhoneNumberIsOptedOutResponse><CheckIfPhoneNumberIsOptedOutResult><isOptedOut>${params.get('phoneNumber') === '+14155552671'}</isOptedOut></CheckIfPhoneNumberIsOptedOutResult></CheckIfPhoneNumberIsOptedOutResponse>`);
+          case 'OptInPhoneNumber':
+            return new Response('<Error><Code>Throttling</Code><Message>Number was opted in within 30 days</Message></Error>', { status: 400 });
+        }
+      });
+    });
+
+    const request = (method, path, body) => app.request(path, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+      body: body && JSON.stringify(body)
+    }, env);
+
+    it('should page through the opt-out list', async () => {
+      const first = await (await request('GET', '/api/admin/sns/opt-outs')).json();
+      expect(first).toEqual({ success: true, phoneNumbers: ['+14155552671', '+14155552672'], nextToken: 'page-2' });
+
+      const second = await (await request('GET', '/api/admin/sns/opt-outs?nextToken=page-2')).json();
+      expect(second).toEqual({ success: true, phoneNumbers: ['+14155552673'] });
+    });
+
+    it('should check and opt in single numbers', async () => {
+      expect(await (await request('GET', '/api/admin/sns/opt-outs/+14155552671')).json()).toEqual({ success: true, phoneNumber: '+14155552671', optedOut: true });
+      expect((await (await request('GET', '/api/admin/sns/opt-outs/+14155552672')).json()).optedOut).toBe(false);
+
+      const optIn = await request('POST', '/api/admin/sns/opt-in', { phoneNumber: '+14155552671' });
+      expect(optIn.status).toBe(502);
+      expect((await optIn.json()).details).toMatch(/opted in within 30 days/);
+    });
+
+    it('should copy the opt-out list into a tenant list', async () => {
+      const res = await request('POST', '/api/admin/sns/opt-outs/sync', { tenantId: 'acme' });
+      expect(await res.json()).toEqual({ success: true, imported: 3, skipped: [], complete: true });
+      expect(await getSuppression(env.VERIFY_STORE, 'acme', '+14155552673')).toMatchObject({ scope: 'all', source: 'sns' });
+    });
+
+    it('should need AWS credentials', async () => {
+      delete env.AWS_ACCESS_KEY_ID;
+      expect((await request('GET', '/api/admin/sns/opt-outs')).status).toBe(500);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { base32Decode, base32Encode } from '../src/crypto-utils.js';
+import { encodeQrCode } from '../src/qr-code.js';
+import { hotp, otpauthUri, totpCounter, verifyTotp } from '../src/totp.js';
+
+// RFC 6238 appendix B secret, "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+  describe('helpers', () => {
+    it('should round-trip base32', () => {
+      const bytes = new TextEncoder().encode('12345678901234567890');
+      expect(base32Encode(bytes)).toBe(RFC_SECRET);
+      expect(base32Decode(RFC_SECRET.toLowerCase())).toEqual(bytes);
+      expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+
+    it('should match the RFC 6238 SHA-1 test vectors', async () => {
+      expect(await hotp(RFC_SECRET, totpCounter(59 * 1000))).toBe('287082');
+      expect(await hotp(RFC_SECRET, totpCounter(1111111109 * 1000))).toBe('081804');
+      expect(await hotp(RFC_SECRET, totpCounter(1234567890 * 1000))).toBe('005924');
+      expect(await hotp(RFC_SECRET, totpCounter(20000000000 * 1000))).toBe('353130');
+    });
+
+    it('should accept one step of clock skew and refuse replays', async () => {
+      const time = 1111111109 * 1000;
+      const previous = await hotp(RFC_SECRET, totpCounter(time) - 1);
+      const tooOld = await hotp(RFC_SECRET, totpCounter(time) - 2);
+
+      const result = await verifyTotp(RFC_SECRET, previous, { time });
+      expect(result).toEqual({ valid: true, counter: totpCounter(time) - 1 });
+      expect(await verifyTotp(RFC_SECRET, tooOld, { time })).toEqual({ valid: false });
+      expect(await verifyTotp(RFC_SECRET, previous, { time, lastCounter: result.counter })).toEqual({ valid: false, replayed: true });
+    });
+
+    it('should build otpauth URIs', () => {
+      expect(otpauthUri({ secret: RFC_SECRET, issuer: 'Acme Inc', accountName: 'jane@example.com' })).toBe(
+        `otpauth://totp/Acme%20Inc:jane%40example.com?secret=${RFC_SECRET}&issuer=Acme%20Inc&algorithm=SHA1&digits=6&period=30`
+      );
+    });
+
+    it('should size QR codes by version', () => {
+      expect(encodeQrCode('hello')).toHaveLength(21);
+      expect(encodeQrCode(otpauthUri({ secret: RFC_SECRET, issuer: 'Acme', accountName: 'jane@example.com' }))).toHaveLength(49);
+    });
+  });
+
+  describe('API', () => {
+    let env;
+
+    beforeEach(() => {
+      env = {
+        API_KEY: 'test-api-key',
+        APP_NAME: 'Acme',
+        VERIFY_STORE: new MemoryStore()
+      };
+    });
+
+    const post = (path, body) => app.request(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+      body: JSON.stringify(body)
+    }, env);
+
+    const currentCode = (secret, offset = 0) => hotp(secret, totpCounter() + offset);
+
+    const enrollAndConfirm = async () => {
+      const { secret } = await (await post('/api/totp/enroll', { userId: 'user_1' })).json();
+      const data = await (await post('/api/totp/verify', { userId: 'user_1', code: await currentCode(secret) })).json();
+      return { secret, recoveryCodes: data.recoveryCodes };
+    };
+
+    it('should enroll with an otpauth URI and QR code', async () => {
+      const res = await post('/api/totp/enroll', { userId: 'user_1', accountName: 'jane@example.com' });
+      const data = await res.json();
+
+      expect(res.status).toBe(201);
+      expect(data.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(data.uri).toBe(`otpauth://totp/Acme:jane%40example.com?secret=${data.secret}&issuer=Acme&algorithm=SHA1&digits=6&period=30`);
+      expect(data.qrCode).toMatch(/^<svg [^>]*viewBox="0 0 \d+ \d+"/);
+      expect(data.factor).toMatchObject({ userId: 'user_1', status: 'pending', recoveryCodesRemaining: 0 });
+      expect(data.factor.secret).toBeUndefined();
+    });
+
+    it('should activate on the first code and issue recovery codes once', async () => {
+      const { secret } = await (await post('/api/totp/enroll', { userId: 'user_1' })).json();
+
+      const res = await post('/api/totp/verify', { userId: 'user_1', code: await currentCode(secret, -1) });
+      const data = await res.json();
+      expect(res.status).toBe(200);
+      expect(data.factor.status).toBe('active');
+      expect(data.recoveryCodes).toHaveLength(10);
+      expect(data.recoveryCodes[0]).toMatch(/^[a-z2-9]{5}-[a-z2-9]{5}$/);
+
+      const next = await (await post('/api/totp/verify', { userId: 'user_1', code: await currentCode(secret) })).json();
+      expect(next.verified).toBe(true);
+      expect(next.recoveryCodes).toBeUndefined();
+    });
+
+    it('should refuse a code that was already used', async () => {
+      const { secret } = await enrollAndConfirm();
+
+      const res = await post('/api/totp/verify', { userId: 'user_1', code: await currentCode(secret) });
+      expect(res.status).toBe(400);
+      expect((await res.json()).error).toBe('Code already used');
+    });
+
+    it('should accept each recovery code once and store only hashes', async () => {
+      const { recoveryCodes } = await enrollAndConfirm();
+
+      const stored = JSON.stringify(await env.VERIFY_STORE.get('totp:default:user_1'));
+      expect(recoveryCodes.some(code => stored.includes(code.replace('-', '')) || stored.includes(code))).toBe(false);
+
+      const first = await post('/api/totp/verify', { userId: 'user_1', recoveryCode: recoveryCodes[3].toUpperCase() });
+      expect(first.status).toBe(200);
+      expect((await first.json()).factor.recoveryCodesRemaining).toBe(9);
+
+      const again = await post('/api/totp/verify', { userId: 'user_1', recoveryCode: recoveryCodes[3] });
+      expect(again.status).toBe(400);
+      expect((await again.json()).error).toBe('Invalid recovery code');
+    });
+
+    it('should replace recovery codes', async () => {
+      const { recoveryCodes } = await enrollAndConfirm();
+
+      const res = await post('/api/totp/recovery-codes', { userId: 'user_1' });
+      const data = await res.json();
+      expect(res.status).toBe(200);
+      expect(data.recoveryCodes).toHaveLength(10);
+
+      const old = await post('/api/totp/verify', { userId: 'user_1', recoveryCode: recoveryCodes[0] });
+      expect(old.status).toBe(400);
+    });
+
+    it('should not replace an active authenticator without replace', async () => {
+      await enrollAndConfirm();
+
+      expect((await post('/api/totp/enroll', { userId: 'user_1' })).status).toBe(409);
+      expect((await post('/api/totp/enroll', { userId: 'user_1', replace: true })).status).toBe(201);
+    });
+
+    it('should lock after repeated failures', async () => {
+      await enrollAndConfirm();
+
+      for (let i = 0; i < 5; i++) {
+        expect((await post('/api/totp/verify', { userId: 'user_1', code: '000000' })).status).toBe(400);
+      }
+
+      const res = await post('/api/totp/verify', { userId: 'user_1', code: '000000' });
+      expect(res.status).toBe(429);
+      expect(Number(res.headers.get('Retry-After'))).toBeGreaterThan(0);
+    });
+
+    it('should hold parallel guesses to the attempt limit', async () => {
+      await enrollAndConfirm();
+
+      const results = await Promise.all(Array.from({ length: 10 }, () => post('/api/totp/verify', { userId: 'user_1', code: '000000' })));
+      const statuses = results.map(res => res.status);
+      expect(statuses.filter(status => status === 400)).toHaveLength(5);
+      expect(statuses.filter(status => status === 429)).toHaveLength(5);
+    });
+
+    it('should accept a code once when checks race for it', async () => {
+      const { secret, recoveryCodes } = await enrollAndConfirm();
+
+      const code = await currentCode(secret, 1);
+      const codes = await Promise.all(Array.from({ length: 3 }, () => post('/api/totp/verify', { userId: 'user_1', code })));
+      expect(codes.map(res => res.status).sort()).toEqual([200, 400, 400]);
+
+      const recovery = await Promise.all(Array.from({ length: 2 }, () => post('/api/totp/verify', { userId: 'user_1', recoveryCode: recoveryCodes[0] })));
+      expect(recovery.map(res => res.status).sort()).toEqual([200, 400]);
+    });
+
+    it('should look up and delete authenticators', async () => {
+      await enrollAndConfirm();
+
+      const res = await app.request('/api/totp/user_1', { headers: { 'X-API-Key': 'test-api-key' } }, env);
+      const data = await res.json();
+      expect(data.factor).toMatchObject({ status: 'active', recoveryCodesRemaining: 10 });
+      expect(data.factor.recoveryCodeHashes).toBeUndefined();
+
+      expect((await post('/api/totp/user_1/delete', {})).status).toBe(200);
+      expect((await post('/api/totp/verify', { userId: 'user_1', code: '123456' })).status).toBe(404);
+    });
+  });
+});
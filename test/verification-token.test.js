@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import {
+  NonceCache,
+  getTokenSecrets,
+  createVerificationToken,
+  checkVerificationToken
+} from '../src/verification-token.js';
+
+describe('Stateless Verification Tokens', () => {
+  describe('createVerificationToken / checkVerificationToken', () => {
+    let nonceCache;
+
+    beforeEach(() => {
+      nonceCache = new NonceCache();
+    });
+
+    it('should verify the right code once', async () => {
+      const token = await createVerificationToken({ phoneNumber: '+12025550123', code: '482913', secrets: ['s1'] });
+
+      const first = await checkVerificationToken({ token, code: '482913', secrets: ['s1'], nonceCache });
+      expect(first).toEqual({ verified: true, phoneNumber: '+12025550123', channel: 'sms' });
+
+      const replay = await checkVerificationToken({ token, code: '482913', secrets: ['s1'], nonceCache });
+      expect(replay.reason).toBe('approved');
+    });
+
+    it('should not expose the code in the token', async () => {
+      const token = await createVerificationToken({ phoneNumber: '+12025550123', code: '482913', secrets: ['s1'] });
+      const payload = Buffer.from(token.split('.')[1], 'base64url').toString();
+
+      expect(payload).not.toContain('482913');
+    });
+
+    it('should reject tampered tokens', async () => {
+      const token = await createVerificationToken({ phoneNumber: '+12025550123', code: '482913', secrets: ['s1'] });
+      const [version, payload, signature] = token.split('.');
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      claims.exp += 3600;
+      const forged = `${version}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${signature}`;
+
+      const result = await checkVerificationToken({ token: forged, code: '482913', secrets: ['s1'], nonceCache });
+      expect(result.reason).toBe('invalid_token');
+    });
+
+    it('should accept tokens signed with a rotated-out secret', async () => {
+      const token = await createVerificationToken({ phoneNumber: '+12025550123', code: '482913', secrets: ['old'] });
+
+      const rotated = await checkVerificationToken({ token, code: '482913', secrets: ['new', 'old'], nonceCache });
+      expect(rotated.verified).toBe(true);
+
+      const retired = await checkVerificationToken({
+        token: await createVerificationToken({ phoneNumber: '+12025550123', code: '482913', secrets: ['old'] }),
+        code: '482913',
+        secrets: ['new'],
+        nonceCache
+      });
+      expect(retired.reason).toBe('invalid_token');
+    });
+
+    it('should cap wrong guesses per token', async () => {
+      const token = await createVerificationToken({ phoneNumber: '+12025550123', code: '482913', secrets: ['s1'] });
+
+      for (let i = 0; i < 4; i++) {
+        const result = await checkVerificationToken({ token, code: '000000', secrets: ['s1'], nonceCache });
+        expect(result.reason).toBe('invalid_code');
+      }
+      const last = await checkVerificationToken({ token, code: '000000', secrets: ['s1'], nonceCache });
+      expect(last.reason).toBe('max_attempts');
+
+      const correct = await checkVerificationToken({ token, code: '482913', secrets: ['s1'], nonceCache });
+      expect(correct.reason).toBe('max_attempts');
+    });
+
+    it('should reject expired tokens', async () => {
+      const token = await createVerificationToken({
+        phoneNumber: '+12025550123', code: '482913', secrets: ['s1'], expiresIn: -1
+      });
+
+      const result = await checkVerificationToken({ token, code: '482913', secrets: ['s1'], nonceCache });
+      expect(result.reason).toBe('expired');
+    });
+
+    it('should parse the secret list from env', () => {
+      expect(getTokenSecrets({ VERIFY_TOKEN_SECRETS: 'new, old,' })).toEqual(['new', 'old']);
+      expect(getTokenSecrets({})).toEqual([]);
+    });
+  });
+
+  describe('API', () => {
+    let env;
+
+    const post = (path, body) => app.request(path, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-API-Key': env.API_KEY
+      },
+      body: JSON.stringify(body)
+    }, env);
+
+    beforeEach(() => {
+      env = {
+        ...globalThis.env,
+        VERIFY_STORE: new MemoryStore(),
+        VERIFICATION_STRATEGY: 'token',
+        VERIFY_TOKEN_SECRETS: 'secret-a,secret-b'
+      };
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response(
+        '<PublishResponse><PublishResult><MessageId>msg-1</MessageId></PublishResult></PublishResponse>'
+      ));
+    });
+
+    it('should send and verify with a token', async () => {
+      const sent = await (await post('/api/send', { phoneNumber: '+12025550123', code: '482913' })).json();
+      expect(sent.token).toMatch(/^v1\./);
+      expect(sent.verificationId).toBeUndefined();
+
+      const res = await post('/api/verify', { token: sent.token, code: '482913' });
+      expect(res.status).toBe(200);
+      expect((await res.json()).verified).toBe(true);
+    });
+
+    it('should reject a token used for another phone number', async () => {
+      const sent = await (await post('/api/send', { phoneNumber: '+12025550123', code: '482913' })).json();
+
+      const res = await post('/api/verify', { token: sent.token, phoneNumber: '+12025550124', code: '482913' });
+      expect(res.status).toBe(400);
+      expect((await res.json()).error).toBe('Invalid verification token');
+    });
+
+    it('should not let mismatched requests use up the token', async () => {
+      const sent = await (await post('/api/send', { phoneNumber: '+12025550123', code: '482913' })).json();
+
+      for (let i = 0; i < 5; i++) {
+        await post('/api/verify', { token: sent.token, phoneNumber: '+12025550124', code: '000000' });
+      }
+      const wrong = await post('/api/verify', { token: sent.token, phoneNumber: '+12025550124', code: '482913' });
+      expect((await wrong.json()).error).toBe('Invalid verification token');
+
+      const res = await post('/api/verify', { token: sent.token, phoneNumber: '+12025550123', code: '482913' });
+      expect(res.status).toBe(200);
+    });
+
+    it('should keep a number locked for fresh tokens', async () => {
+      env.PHONE_THROTTLE = JSON.stringify({ failureThreshold: 4 });
+      const sent = await (await post('/api/send', { phoneNumber: '+12025550123', code: '482913' })).json();
+      for (let i = 0; i < 5; i++) {
+        await post('/api/verify', { token: sent.token, code: '000000' });
+      }
+
+      // Issued before the lock, so it was never refused at /api/send
+      const fresh = await createVerificationToken({
+        tenantId: 'default',
+        phoneNumber: '+12025550123',
+        code: '482913',
+        secrets: ['secret-a']
+      });
+      const res = await post('/api/verify', { token: fresh, code: '482913' });
+      expect(res.status).toBe(429);
+      expect((await post('/api/send', { phoneNumber: '+12025550123' })).status).toBe(429);
+    });
+
+    it('should refuse stateless sends without secrets', async () => {
+      env.VERIFY_TOKEN_SECRETS = '';
+
+      const res = await post('/api/send', { phoneNumber: '+12025550123', stateless: true });
+      expect(res.status).toBe(500);
+      expect(globalThis.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
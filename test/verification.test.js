@@ -0,0 +1,174 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { checkVerification, getVerification } from '../src/verification-sessions.js';
+
+const snsResponse = (messageId = 'msg-123') => new Response(
+  `<PublishResponse><PublishResult><MessageId>${messageId}</MessageId></PublishResult></PublishResponse>`,
+  { status: 200 }
+);
+
+describe('Verification Sessions', () => {
+  let env;
+
+  const post = (path, body) => app.request(path, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-API-Key': env.API_KEY
+    },
+    body: JSON.stringify(body)
+  }, env);
+
+  const get = (path) => app.request(path, {
+    headers: { 'X-API-Key': env.API_KEY }
+  }, env);
+
+  beforeEach(() => {
+    // Per-number throttling is covered in phone-throttle.test.js
+    env = {
+      ...globalThis.env,
+      VERIFY_STORE: new MemoryStore(),
+      PHONE_THROTTLE: '{"resendInterval":0,"failureThreshold":100}'
+    };
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => snsResponse());
+  });
+
+  it('should create a pending session on send', async () => {
+    const res = await post('/api/send', { phoneNumber: '+12025550123', code: '482913' });
+    const data = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(data.verificationId).toMatch(/^ver_[0-9a-f]{32}$/);
+    expect(data.status).toBe('pending');
+
+    const lookup = await (await get(`/api/verifications/${data.verificationId}`)).json();
+    expect(lookup.verification).toMatchObject({
+      phoneNumber: '+12025550123',
+      channel: 'sms',
+      status: 'pending',
+      attempts: 0,
+      attemptsRemaining: 5,
+      messageId: 'msg-123'
+    });
+    expect(lookup.verification.codeHash).toBeUndefined();
+  });
+
+  it('should approve the correct code exactly once', async () => {
+    await post('/api/send', { phoneNumber: '+12025550123', code: '482913' });
+
+    const first = await post('/api/verify', { phoneNumber: '+12025550123', code: '482913' });
+    expect(first.status).toBe(200);
+    expect((await first.json()).verified).toBe(true);
+
+    const second = await post('/api/verify', { phoneNumber: '+12025550123', code: '482913' });
+    const data = await second.json();
+    expect(second.status).toBe(400);
+    expect(data.error).toBe('Verification code has already been used');
+  });
+
+  it('should ignore separators and case when verifying', async () => {
+    await post('/api/send', { phoneNumber: '+12025550123', code: 'K7M-Q2P' });
+
+    const res = await post('/api/verify', { phoneNumber: '+12025550123', code: 'k7m q2p' });
+    expect(res.status).toBe(200);
+  });
+
+  it('should generate codes from the request policy', async () => {
+    const res = await post('/api/send', {
+      phoneNumber: '+12025550123',
+      codePolicy: { length: 8, charset: 'alphanumeric', excludeAmbiguous: true, groupSize: 4 }
+    });
+    const data = await res.json();
+    const message = new URL(globalThis.fetch.mock.calls[0][0]).searchParams.get('Message');
+
+    expect(res.status).toBe(200);
+    expect(data.code).toBeUndefined();
+    expect(message).toMatch(/: [2-9A-HJKMNP-Z]{4}-[2-9A-HJKMNP-Z]{4}\.$/);
+  });
+
+  it('should verify by verificationId', async () => {
+    const sent = await (await post('/api/send', { phoneNumber: '+12025550123', code: '482913' })).json();
+
+    const res = await post('/api/verify', { verificationId: sent.verificationId, code: '482913' });
+    expect(res.status).toBe(200);
+  });
+
+  it('should fail the session after too many wrong codes', async () => {
+    await post('/api/send', { phoneNumber: '+12025550123', code: '482913' });
+
+    for (let i = 0; i < 4; i++) {
+      const res = await post('/api/verify', { phoneNumber: '+12025550123', code: '000000' });
+      const data = await res.json();
+      expect(res.status).toBe(400);
+      expect(data.attemptsRemaining).toBe(4 - i);
+    }
+
+    const locked = await post('/api/verify', { phoneNumber: '+12025550123', code: '000000' });
+    expect(locked.status).toBe(429);
+
+    const correct = await post('/api/verify', { phoneNumber: '+12025550123', code: '482913' });
+    expect(correct.status).toBe(429);
+  });
+
+  it('should not allow extra guesses from concurrent checks', async () => {
+    const sent = await (await post('/api/send', { phoneNumber: '+12025550123', code: '482913' })).json();
+    const store = env.VERIFY_STORE;
+
+    // Every check starts from the same stored session, as concurrent requests would
+    const stale = await getVerification(store, sent.verificationId);
+    const results = await Promise.all(Array.from({ length: 8 }, () => checkVerification(store, structuredClone(stale), '000000')));
+    expect(results.filter(({ reason }) => reason === 'invalid_code')).toHaveLength(4);
+
+    const last = await checkVerification(store, structuredClone(stale), '482913');
+    expect(last).toMatchObject({ verified: false, reason: 'max_attempts' });
+  });
+
+  it('should reject expired codes', async () => {
+    const sent = await (await post('/api/send', { phoneNumber: '+12025550123', code: '482913' })).json();
+
+    vi.useFakeTimers();
+    vi.setSystemTime(Date.now() + 601 * 1000);
+    try {
+      const res = await post('/api/verify', { verificationId: sent.verificationId, code: '482913' });
+      const data = await res.json();
+      expect(res.status).toBe(400);
+      expect(data.status).toBe('expired');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should cancel a pending session', async () => {
+    const sent = await (await post('/api/send', { phoneNumber: '+12025550123', code: '482913' })).json();
+
+    const cancel = await post(`/api/verifications/${sent.verificationId}/cancel`, {});
+    expect(cancel.status).toBe(200);
+    expect((await cancel.json()).verification.status).toBe('canceled');
+
+    const again = await post(`/api/verifications/${sent.verificationId}/cancel`, {});
+    expect(again.status).toBe(409);
+
+    const res = await post('/api/verify', { verificationId: sent.verificationId, code: '482913' });
+    expect(res.status).toBe(400);
+  });
+
+  it('should supersede the previous code when a new one is sent', async () => {
+    const first = await (await post('/api/send', { phoneNumber: '+12025550123', code: '111111' })).json();
+    await post('/api/send', { phoneNumber: '+12025550123', code: '222222' });
+
+    const old = await (await get(`/api/verifications/${first.verificationId}`)).json();
+    expect(old.verification.status).toBe('canceled');
+
+    const res = await post('/api/verify', { phoneNumber: '+12025550123', code: '222222' });
+    expect(res.status).toBe(200);
+  });
+
+  it('should return 404 for unknown sessions', async () => {
+    const res = await post('/api/verify', { phoneNumber: '+12025550199', code: '123456' });
+    expect(res.status).toBe(404);
+
+    const lookup = await get('/api/verifications/ver_missing');
+    expect(lookup.status).toBe(404);
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { buildVoiceMessage, resolveVoiceLocale, sendVoiceCode } from '../src/voice-otp.js';
+import { ProviderConfigError, createProvider, getVoiceProvider } from '../src/providers/index.js';
+import { circuitBreakers } from '../src/providers/failover.js';
+
+// Answers like the End User Messaging and Twilio APIs, recording each request
+let requests;
+
+const mockProviders = () => vi.spyOn(globalThis, 'fetch').mockImplementation(async (url, init) => {
+  requests.push({ url: String(url), headers: init.headers, body: init.body });
+  if (init.headers['x-amz-target'] === 'PinpointSMSVoiceV2.SendVoiceMessage') {
+    return new Response(JSON.stringify({ MessageId: 'voice-1' }), { status: 200 });
+  }
+  if (String(url).endsWith('/Calls.json')) {
+    return new Response(JSON.stringify({ sid: 'CA123', status: 'queued' }), { status: 201 });
+  }
+  return new Response('{}', { status: 404 });
+});
+
+const env = () => ({
+  AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+  AWS_SECRET_ACCESS_KEY: 'secret',
+  AWS_REGION: 'us-east-1',
+  SMS_VOICE_ENDPOINT: 'http://sms-voice.test',
+  SMS_VOICE_ORIGINATION_IDENTITY: '+15005550001',
+  TWILIO_ACCOUNT_SID: 'AC123',
+  TWILIO_AUTH_TOKEN: 'token',
+  TWILIO_VOICE_FROM: '+15005550006',
+  TWILIO_BASE_URL: 'http://twilio.test'
+});
+
+beforeEach(() => {
+  requests = [];
+  circuitBreakers.reset();
+  mockProviders();
+});
+
+describe('Voice OTP', () => {
+  describe('buildVoiceMessage', () => {
+    it('should read each character slowly, twice', () => {
+      const message = buildVoiceMessage('48-29', 'en-US');
+
+      expect(message.ssml).toMatch(/^<speak><prosody rate="slow">Your verification code is/);
+      expect(message.ssml.match(/<say-as interpret-as="characters">4<\/say-as>/g)).toHaveLength(2);
+      expect(message.ssml).not.toContain('>-<');
+      expect(message.text).toBe('Your verification code is: 4, 8, 2, 9. Again, your code is: 4, 8, 2, 9.');
+      expect(message.voice).toBe('Joanna');
+    });
+
+    it('should speak the requested language', () => {
+      const message = buildVoiceMessage('1234', 'es-ES');
+
+      expect(message.ssml).toContain('Su código de verificación es');
+      expect(message.voice).toBe('Lucia');
+    });
+  });
+
+  describe('resolveVoiceLocale', () => {
+    it('should prefer the requested locale, then the destination country', () => {
+      expect(resolveVoiceLocale({ locale: 'fr-FR', phoneNumber: '+4915123456789' })).toBe('fr-FR');
+      expect(resolveVoiceLocale({ locale: 'pt', phoneNumber: '+14155552671' })).toBe('pt-BR');
+      expect(resolveVoiceLocale({ phoneNumber: '+4915123456789' })).toBe('de-DE');
+      expect(resolveVoiceLocale({ locale: 'ja-JP', phoneNumber: '+14155552671' })).toBe('en-US');
+    });
+  });
+
+  describe('providers', () => {
+    it('should place calls through End User Messaging SendVoiceMessage', async () => {
+      const provider = createProvider('end-user-messaging', env());
+      const result = await sendVoiceCode({ phoneNumber: '+14155552671', code: '482913', provider });
+
+      expect(result).toMatchObject({ success: true, messageId: 'voice-1', phoneNumber: '+14155552671' });
+      expect(requests[0].url).toBe('http://sms-voice.test/');
+      const body = JSON.parse(requests[0].body);
+      expect(body).toMatchObject({
+        DestinationPhoneNumber: '+14155552671',
+        OriginationIdentity: '+15005550001',
+        MessageBodyTextType: 'SSML',
+        VoiceId: 'JOANNA'
+      });
+      expect(body.MessageBody).toContain('<say-as interpret-as="characters">4</say-as>');
+    });
+
+    it('should place calls through Twilio with TwiML', async () => {
+      const provider = createProvider('twilio', env());
+      const result = await sendVoiceCode({ phoneNumber: '+14155552671', code: '482913', provider, locale: 'it-IT' });
+
+      expect(result.messageId).toBe('CA123');
+      expect(requests[0].url).toBe('http://twilio.test/2010-04-01/Accounts/AC123/Calls.json');
+      const params = new URLSearchParams(requests[0].body);
+      expect(params.get('From')).toBe('+15005550006');
+      expect(params.get('Twiml')).toMatch(/^<Response><Say voice="Polly.Bianca" language="it-IT"><prosody rate="slow">/);
+    });
+
+    it('should reject voice providers that cannot place calls', () => {
+      expect(() => getVoiceProvider({ ...env(), VOICE_PROVIDER: 'sns' })).toThrow(ProviderConfigError);
+      expect(getVoiceProvider({ ...env(), VOICE_PROVIDER: 'twilio' }).name).toBe('twilio');
+    });
+
+    it('should skip failover targets without voice support', () => {
+      const provider = getVoiceProvider({ ...env(), SMS_ROUTING: JSON.stringify({ failover: ['sns', 'twilio'] }) });
+
+      expect(provider.targets.map(({ target }) => target)).toEqual(['end-user-messaging:us-east-1', 'twilio']);
+    });
+  });
+
+  describe('API', () => {
+    const request = (path, body, config) => app.request(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+      body: JSON.stringify(body)
+    }, config);
+
+    it('should call with the code and verify it through /api/verify', async () => {
+      const config = { ...env(), API_KEY: 'test-api-key', VERIFY_STORE: new MemoryStore() };
+
+      const sent = await request('/api/send', { phoneNumber: '+14155552671', code: '482913', channel: 'voice' }, config);
+      expect(sent.status).toBe(200);
+      const data = await sent.json();
+      expect(data).toMatchObject({
+        success: true,
+        message: 'Verification call placed successfully',
+        messageId: 'voice-1',
+        provider: 'end-user-messaging:us-east-1',
+        status: 'pending'
+      });
+      expect(requests).toHaveLength(1);
+
+      const verified = await request('/api/verify', { phoneNumber: '+14155552671', code: '482913' }, config);
+      expect(verified.status).toBe(200);
+      expect((await verified.json()).success).toBe(true);
+    });
+
+    it('should report an unconfigured voice provider', async () => {
+      const config = { ...env(), API_KEY: 'test-api-key', VERIFY_STORE: new MemoryStore(), VOICE_PROVIDER: 'vonage' };
+
+      const res = await request('/api/send', { phoneNumber: '+14155552671', channel: 'voice' }, config);
+      expect(res.status).toBe(500);
+      expect(requests).toHaveLength(0);
+    });
+  });
+});
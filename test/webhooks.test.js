@@ -0,0 +1,223 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { circuitBreakers } from '../src/providers/failover.js';
+import { createApiKey, rotateApiKey } from '../src/api-keys.js';
+import {
+  processWebhookRetries,
+  resolveWebhookRetry,
+  signWebhook,
+  verifyWebhookSignature,
+  webhookBackoff
+} from '../src/webhooks.js';
+
+const HOOK_URL = 'https://hooks.example.com/verify';
+
+describe('Webhooks', () => {
+  describe('signatures', () => {
+    it('should verify signatures and reject tampered or stale payloads', async () => {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const body = '{"type":"verification.sent"}';
+      const signature = await signWebhook('whsec_test', timestamp, body);
+
+      expect(signature).toMatch(/^v1=[0-9a-f]{64}$/);
+      expect(await verifyWebhookSignature('whsec_test', { body, timestamp: String(timestamp), signature })).toBe(true);
+      expect(await verifyWebhookSignature('whsec_test', { body: '{}', timestamp: String(timestamp), signature })).toBe(false);
+      expect(await verifyWebhookSignature('whsec_other', { body, timestamp: String(timestamp), signature })).toBe(false);
+
+      const stale = timestamp - 600;
+      const staleSignature = await signWebhook('whsec_test', stale, body);
+      expect(await verifyWebhookSignature('whsec_test', { body, timestamp: String(stale), signature: staleSignature })).toBe(false);
+    });
+
+    it('should back off exponentially up to the maximum delay', () => {
+      const policy = resolveWebhookRetry('{"baseDelay":10,"maxDelay":60}');
+      expect([1, 2, 3, 4, 5].map(attempts => webhookBackoff(attempts, policy))).toEqual([10, 20, 40, 60, 60]);
+      expect(() => resolveWebhookRetry('{"maxAttempts":0}')).toThrow();
+    });
+  });
+
+  describe('API', () => {
+    let env;
+    let hookStatus;
+    let hooks;
+
+    beforeEach(() => {
+      circuitBreakers.reset();
+      hookStatus = 200;
+      hooks = [];
+      env = {
+        API_KEY: 'test-api-key',
+        AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+        AWS_SECRET_ACCESS_KEY: 'secret',
+        DELIVERY_WEBHOOK_SECRET: 'hook-secret',
+        WEBHOOK_RETRY: '{"maxAttempts":2,"baseDelay":60}',
+        VERIFY_STORE: new MemoryStore()
+      };
+
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async (url, init = {}) => {
+        if (String(url).startsWith(HOOK_URL)) {
+          hooks.push({ headers: init.headers, body: init.body, event: JSON.parse(init.body) });
+          return new Response(null, { status: hookStatus });
+        }
+        if (String(url).startsWith('https://www.sent.dm/')) {
+          return new Response(JSON.stringify({
+            carrier: { name: 'Bandwidth.com', type: 'voip' },
+            portability: { line_type: 'voip' }
+          }), { status: 200 });
+        }
+        return new Response(
+          '<PublishResponse><PublishResult><MessageId>sns-msg-1</MessageId></PublishResult></PublishResponse>',
+          { status: 200 }
+        );
+      });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    const request = (path, body) => app.request(path, {
+      method: body ? 'POST' : 'GET',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+      body: body && JSON.stringify(body)
+    }, env);
+
+    const register = async (body = { url: HOOK_URL }) => (await request('/api/webhooks', body)).json();
+
+    it('should register endpoints and only show the secret once', async () => {
+      const created = await request('/api/webhooks', { url: HOOK_URL, events: ['verification.approved'] });
+      expect(created.status).toBe(201);
+      const { secret, endpoint } = await created.json();
+      expect(secret).toMatch(/^whsec_/);
+      expect(endpoint).toMatchObject({ url: HOOK_URL, events: ['verification.approved'] });
+      expect(endpoint.secret).toBeUndefined();
+
+      const listed = await (await request('/api/webhooks')).json();
+      expect(listed.endpoints).toEqual([endpoint]);
+
+      expect((await request('/api/webhooks', { url: 'http://hooks.example.com/' })).status).toBe(400);
+
+      expect((await request(`/api/webhooks/${endpoint.id}/delete`, {})).status).toBe(200);
+      expect((await (await request('/api/webhooks')).json()).endpoints).toEqual([]);
+      expect((await request(`/api/webhooks/${endpoint.id}/delete`, {})).status).toBe(404);
+    });
+
+    it('should post signed events for sends and verifications', async () => {
+      const { secret } = await register();
+
+      const sent = await (await request('/api/send', { phoneNumber: '+14155552671', code: '482913' })).json();
+      expect(sent.success).toBe(true);
+      await request('/api/verify', { verificationId: sent.verificationId, code: '000000' });
+      await request('/api/verify', { verificationId: sent.verificationId, code: '482913' });
+
+      expect(hooks.map(hook => hook.event.type)).toEqual(['verification.sent', 'verification.failed', 'verification.approved']);
+      expect(hooks[0].event).toMatchObject({
+        tenantId: 'default',
+        data: { verificationId: sent.verificationId, phoneNumber: '+14155552671', channel: 'sms', messageId: 'sns-msg-1' }
+      });
+      expect(hooks[1].event.data).toMatchObject({ reason: 'invalid_code', attemptsRemaining: 4 });
+
+      for (const hook of hooks) {
+        expect(hook.headers['X-Webhook-Id']).toBe(hook.event.id);
+        expect(await verifyWebhookSignature(secret, {
+          body: hook.body,
+          timestamp: hook.headers['X-Webhook-Timestamp'],
+          signature: hook.headers['X-Webhook-Signature']
+        })).toBe(true);
+      }
+    });
+
+    it('should only send the event types an endpoint subscribed to', async () => {
+      await register({ url: HOOK_URL, events: ['verification.approved'] });
+
+      const sent = await (await request('/api/send', { phoneNumber: '+14155552671', code: '482913' })).json();
+      await request('/api/verify', { verificationId: sent.verificationId, code: '482913' });
+
+      expect(hooks.map(hook => hook.event.type)).toEqual(['verification.approved']);
+    });
+
+    it('should keep delivering to endpoints after the key is rotated', async () => {
+      const withKey = (key, path, body) => app.request(path, {
+        method: body ? 'POST' : 'GET',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': key },
+        body: body && JSON.stringify(body)
+      }, env);
+      const { key: oldKey, record } = await createApiKey(env.VERIFY_STORE, { tenantId: 'acme', scopes: ['send', 'sms'] });
+      const { endpoint } = await (await withKey(oldKey, '/api/webhooks', { url: HOOK_URL })).json();
+
+      const { key: newKey } = await rotateApiKey(env.VERIFY_STORE, record);
+      expect((await (await withKey(newKey, '/api/webhooks')).json()).endpoints).toEqual([endpoint]);
+
+      await withKey(newKey, '/api/send', { phoneNumber: '+14155552671' });
+      await withKey(oldKey, '/api/send', { phoneNumber: '+14155552672' });
+      expect(hooks.map(hook => hook.event.data.phoneNumber)).toEqual(['+14155552671', '+14155552672']);
+
+      const deliveries = await (await withKey(newKey, '/api/webhooks/deliveries')).json();
+      expect(deliveries.deliveries).toHaveLength(2);
+    });
+
+    it('should report blocked VoIP numbers', async () => {
+      await register();
+
+      const res = await request('/api/send', { phoneNumber: '+14155552671', blockVoip: true });
+      expect(res.status).toBe(400);
+      expect(hooks.map(hook => hook.event)).toMatchObject([{ type: 'voip.blocked', data: { phoneNumber: '+14155552671' } }]);
+    });
+
+    it('should pass delivery callbacks on as message events', async () => {
+      await register();
+
+      const { messageId } = await (await request('/api/sms', { phoneNumber: '+14155552671', message: 'Hello' })).json();
+      const notification = {
+        Type: 'Notification',
+        Message: JSON.stringify({
+          notification: { messageId, timestamp: new Date().toISOString() },
+          delivery: { phoneCarrier: 'T-Mobile', priceInUSD: 0.00645, dwellTimeMs: 500 },
+          status: 'SUCCESS'
+        })
+      };
+      const callback = () => app.request('/webhooks/delivery/sns?token=hook-secret', {
+        method: 'POST',
+        body: JSON.stringify(notification)
+      }, env);
+
+      await callback();
+      // SNS retries the same notification; it is only passed on once
+      await callback();
+
+      expect(hooks.map(hook => hook.event.type)).toEqual(['message.sent', 'message.delivered']);
+      expect(hooks[1].event.data).toMatchObject({ messageId, status: 'delivered', carrier: 'T-Mobile', price: 0.00645 });
+    });
+
+    it('should retry failed deliveries, dead-letter them and replay them', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      await register();
+      hookStatus = 500;
+
+      await request('/api/sms', { phoneNumber: '+14155552671', message: 'Hello' });
+      let [delivery] = (await (await request('/api/webhooks/deliveries')).json()).deliveries;
+      expect(delivery).toMatchObject({ status: 'pending', attempts: 1, responseStatus: 500, lastError: 'Endpoint responded with 500' });
+
+      // Not due yet
+      expect(await processWebhookRetries(env.VERIFY_STORE, env)).toEqual({ attempted: 0, delivered: 0, dead: 0 });
+
+      vi.setSystemTime(Date.now() + 61 * 1000);
+      expect(await processWebhookRetries(env.VERIFY_STORE, env)).toEqual({ attempted: 1, delivered: 0, dead: 1 });
+      expect(hooks).toHaveLength(2);
+      expect(hooks[1].headers['X-Webhook-Id']).toBe(hooks[0].headers['X-Webhook-Id']);
+
+      const dead = (await (await request('/api/webhooks/deliveries?status=dead')).json()).deliveries;
+      expect(dead.map(entry => entry.id)).toEqual([delivery.id]);
+
+      hookStatus = 204;
+      const replayed = await request(`/api/webhooks/deliveries/${delivery.id}/replay`, {});
+      expect(replayed.status).toBe(200);
+      delivery = (await replayed.json()).delivery;
+      expect(delivery).toMatchObject({ status: 'delivered', attempts: 1, responseStatus: 204 });
+      expect(hooks).toHaveLength(3);
+
+      expect((await request('/api/webhooks/deliveries/missing/replay', {})).status).toBe(404);
+    });
+  });
+});
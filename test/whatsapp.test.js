@@ -0,0 +1,218 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer } from 'node:http';
+import app from '../src/verify-phone-server.js';
+import { MemoryStore } from '../src/verification-store.js';
+import { WhatsAppProvider, getWhatsAppProvider } from '../src/providers/index.js';
+import { circuitBreakers } from '../src/providers/failover.js';
+import { parseWhatsAppTemplates, resolveWhatsAppTemplate, resolveWhatsAppSender } from '../src/whatsapp-templates.js';
+
+// Local mock of the Graph API (and SNS for the SMS fallback)
+let server;
+let baseUrl;
+let requests;
+
+const NOT_ON_WHATSAPP = '15005550009';
+const RATE_LIMITED = '15005550010';
+
+const respond = (req, body) => {
+  const url = new URL(req.url, baseUrl);
+  if (url.pathname === '/' && url.searchParams.get('Action') === 'Publish') {
+    return [200, 'text/xml', '<PublishResponse><PublishResult><MessageId>sns-1</MessageId></PublishResult></PublishResponse>'];
+  }
+  if (/^\/v\d+\.\d+\/\d+\/messages$/.test(url.pathname)) {
+    const { to } = JSON.parse(body);
+    if (to === NOT_ON_WHATSAPP) {
+      return [400, 'application/json', JSON.stringify({
+        error: { message: '(#131026) Message undeliverable', code: 131026, error_data: { details: 'Message undeliverable' } }
+      })];
+    }
+    if (to === RATE_LIMITED) {
+      return [400, 'application/json', JSON.stringify({ error: { message: '(#130429) Rate limit hit', code: 130429 } })];
+    }
+    return [200, 'application/json', JSON.stringify({
+      messaging_product: 'whatsapp',
+      contacts: [{ input: to, wa_id: to }],
+      messages: [{ id: 'wamid.HBgL' }]
+    })];
+  }
+  return [404, 'application/json', '{}'];
+};
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const [status, type, payload] = respond(req, body);
+      res.writeHead(status, { 'Content-Type': type });
+      res.end(payload);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  circuitBreakers.reset();
+});
+
+const templates = JSON.stringify({
+  templates: {
+    en_US: { name: 'verification_code' },
+    pt_BR: { name: 'codigo_verificacao' },
+    es: { name: 'codigo', copyCodeButton: false }
+  },
+  tenants: {
+    acme: { phoneNumberId: '222222', templates: { en_US: { name: 'acme_code' } } }
+  }
+});
+
+const env = () => ({
+  AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+  AWS_SECRET_ACCESS_KEY: 'secret',
+  AWS_REGION: 'us-east-1',
+  SNS_ENDPOINT: baseUrl,
+  WHATSAPP_ACCESS_TOKEN: 'wa-token',
+  WHATSAPP_PHONE_NUMBER_ID: '111111',
+  WHATSAPP_BASE_URL: baseUrl,
+  WHATSAPP_TEMPLATES: templates,
+  SMS_RETRY: '{"maxAttempts":1}'
+});
+
+describe('WhatsApp', () => {
+  describe('template registry', () => {
+    const registry = parseWhatsAppTemplates(templates);
+
+    it('should match locales exactly, then by language, then fall back to the default', () => {
+      expect(resolveWhatsAppTemplate(registry, { locale: 'pt-BR' })).toEqual({ name: 'codigo_verificacao', language: 'pt_BR', copyCodeButton: true });
+      expect(resolveWhatsAppTemplate(registry, { locale: 'pt-PT' }).name).toBe('codigo_verificacao');
+      expect(resolveWhatsAppTemplate(registry, { locale: 'es-MX' })).toEqual({ name: 'codigo', language: 'es', copyCodeButton: false });
+      expect(resolveWhatsAppTemplate(registry, { locale: 'ja' }).name).toBe('verification_code');
+      expect(resolveWhatsAppTemplate({}, {})).toEqual({ name: 'verification_code', language: 'en_US', copyCodeButton: true });
+    });
+
+    it('should prefer tenant templates and senders', () => {
+      expect(resolveWhatsAppTemplate(registry, { tenantId: 'acme', locale: 'en-US' }).name).toBe('acme_code');
+      expect(resolveWhatsAppTemplate(registry, { tenantId: 'acme', locale: 'pt-BR' }).name).toBe('codigo_verificacao');
+      expect(resolveWhatsAppSender(registry, 'acme', '111111')).toBe('222222');
+      expect(resolveWhatsAppSender(registry, 'globex', '111111')).toBe('111111');
+    });
+
+    it('should reject invalid registries', () => {
+      expect(() => parseWhatsAppTemplates('{"templates":{"en_US":{}}}')).toThrow();
+    });
+  });
+
+  describe('provider', () => {
+    const provider = () => new WhatsAppProvider({ accessToken: 'wa-token', phoneNumberId: '111111', baseUrl });
+
+    it('should send an authentication template with the code', async () => {
+      const result = await provider().sendTemplate({
+        to: '+14155552671',
+        code: '482913',
+        template: { name: 'verification_code', language: 'en_US' }
+      });
+
+      expect(result.messageId).toBe('wamid.HBgL');
+      expect(requests[0].url).toBe('/v21.0/111111/messages');
+      expect(requests[0].headers.authorization).toBe('Bearer wa-token');
+      expect(JSON.parse(requests[0].body)).toEqual({
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: '14155552671',
+        type: 'template',
+        template: {
+          name: 'verification_code',
+          language: { code: 'en_US' },
+          components: [
+            { type: 'body', parameters: [{ type: 'text', text: '482913' }] },
+            { type: 'button', sub_type: 'url', index: '0', parameters: [{ type: 'text', text: '482913' }] }
+          ]
+        }
+      });
+    });
+
+    it('should flag numbers that are not on WhatsApp and retryable rate limits', async () => {
+      const template = { name: 'verification_code', language: 'en_US' };
+
+      await expect(provider().sendTemplate({ to: `+${NOT_ON_WHATSAPP}`, code: '482913', template }))
+        .rejects.toMatchObject({ code: '131026', notOnWhatsApp: true, retryable: false });
+      await expect(provider().sendTemplate({ to: `+${RATE_LIMITED}`, code: '482913', template }))
+        .rejects.toMatchObject({ code: '130429', notOnWhatsApp: false, retryable: true });
+    });
+
+    it('should send from the tenant sender', async () => {
+      await getWhatsAppProvider(env(), { tenantId: 'acme' }).sendTemplate({
+        to: '+14155552671',
+        code: '482913',
+        template: { name: 'acme_code', language: 'en_US' }
+      });
+
+      expect(requests[0].url).toBe('/v21.0/222222/messages');
+    });
+  });
+
+  describe('API', () => {
+    const request = (path, body, config) => app.request(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': 'test-api-key' },
+      body: JSON.stringify(body)
+    }, config);
+
+    it('should send through WhatsApp and verify through /api/verify', async () => {
+      const config = { ...env(), API_KEY: 'test-api-key', VERIFY_STORE: new MemoryStore() };
+
+      const sent = await request('/api/send', { phoneNumber: '+5511987654321', code: '482913', channel: 'whatsapp', locale: 'pt-BR' }, config);
+      expect(sent.status).toBe(200);
+      expect(await sent.json()).toMatchObject({
+        success: true,
+        messageId: 'wamid.HBgL',
+        provider: 'whatsapp',
+        channel: 'whatsapp',
+        status: 'pending'
+      });
+      expect(JSON.parse(requests[0].body).template.name).toBe('codigo_verificacao');
+
+      const verified = await request('/api/verify', { phoneNumber: '+5511987654321', code: '482913' }, config);
+      expect(verified.status).toBe(200);
+      expect((await verified.json()).success).toBe(true);
+    });
+
+    it('should fall back to SMS when the number is not on WhatsApp', async () => {
+      const config = { ...env(), API_KEY: 'test-api-key', VERIFY_STORE: new MemoryStore() };
+
+      const sent = await request('/api/send', { phoneNumber: `+${NOT_ON_WHATSAPP}`, code: '482913', channel: 'whatsapp' }, config);
+      expect(sent.status).toBe(200);
+      const data = await sent.json();
+      expect(data).toMatchObject({ success: true, messageId: 'sns-1', channel: 'sms', fallback: 'not_on_whatsapp' });
+      expect(requests).toHaveLength(2);
+
+      const session = await app.request(`/api/verifications/${data.verificationId}`, {
+        headers: { 'X-API-Key': 'test-api-key' }
+      }, config);
+      expect((await session.json()).verification.channel).toBe('sms');
+    });
+
+    it('should not fall back to SMS for other WhatsApp errors', async () => {
+      const config = { ...env(), API_KEY: 'test-api-key', VERIFY_STORE: new MemoryStore() };
+
+      const res = await request('/api/send', { phoneNumber: `+${RATE_LIMITED}`, code: '482913', channel: 'whatsapp' }, config);
+      expect(res.status).toBe(503);
+      expect(requests).toHaveLength(1);
+    });
+
+    it('should report missing WhatsApp configuration', async () => {
+      const config = { ...env(), API_KEY: 'test-api-key', VERIFY_STORE: new MemoryStore(), WHATSAPP_ACCESS_TOKEN: undefined };
+
+      const res = await request('/api/send', { phoneNumber: '+14155552671', channel: 'whatsapp' }, config);
+      expect(res.status).toBe(500);
+      expect((await res.json()).error).toBe('WhatsApp credentials not configured');
+    });
+  });
+});